@@ -20,6 +20,14 @@ use FluxMedia\App\Services\ConversionTracker;
 use FluxMedia\App\Services\LicenseValidationCache;
 use FluxMedia\App\Services\MediaProcessingServiceLocator;
 use FluxMedia\App\Services\WordPressProvider;
+use FluxMedia\App\Services\ActionSchedulerService;
+use FluxMedia\App\Services\VideoPosterService;
+use FluxMedia\App\Services\FormatSupportDetector;
+use FluxMedia\App\Services\ProcessorDetector;
+use FluxMedia\App\Services\SystemStatus;
+use FluxMedia\App\Services\LogsService;
+use FluxMedia\App\Services\TestEncodeService;
+use FluxMedia\App\Services\DiagnosticsService;
 
 /**
  * WP-CLI command for managing Flux Media Optimizer conversions.
@@ -52,11 +60,21 @@ class FluxMediaCommand extends WP_CLI_Command {
      */
     private $settings;
 
+    /**
+     * Diagnostics service instance.
+     *
+     * @since TBD
+     * @var DiagnosticsService
+     */
+    private $diagnostics_service;
+
     /**
      * Constructor.
      *
      * @since 0.1.0
      * @since 4.0.0 Updated to create full service setup for BulkConverter.
+     * @since TBD Sets the video poster service on the video converter.
+     * @since TBD Creates the diagnostics service.
      */
     public function __construct() {
         $this->logger = new Logger();
@@ -81,6 +99,18 @@ class FluxMediaCommand extends WP_CLI_Command {
         $service_locator->init();
 
         $this->bulk_converter = new BulkConverter( $this->logger, $service_locator, $conversion_tracker );
+
+        // Videos converted from the command line get a poster too
+        $action_scheduler_service = new ActionSchedulerService( $this->logger, $service_locator, $this->bulk_converter );
+        $video_converter->set_poster_service( new VideoPosterService( $video_converter, $action_scheduler_service, $this->logger ) );
+
+        $processor_detector = new ProcessorDetector();
+        $this->diagnostics_service = new DiagnosticsService(
+            new SystemStatus( new FormatSupportDetector( $processor_detector ), $processor_detector ),
+            new LogsService(),
+            $action_scheduler_service,
+            new TestEncodeService( $image_converter, $this->logger )
+        );
     }
 
     /**
@@ -191,6 +221,41 @@ class FluxMediaCommand extends WP_CLI_Command {
         WP_CLI::log( "Total file size savings: " . size_format( $total_savings ?: 0 ) );
     }
 
+    /**
+     * Generate a diagnostics report for support.
+     *
+     * The report contains the system status, the settings with secrets redacted, the
+     * compatibility check, recent errors, the health of the queue and test encodes.
+     *
+     * ## OPTIONS
+     *
+     * [--file=<path>]
+     * : Write the report to a file instead of the standard output.
+     *
+     * ## EXAMPLES
+     *
+     *     wp flux-media-optimizer diagnostics
+     *     wp flux-media-optimizer diagnostics --file=diagnostics.json
+     *
+     * @since TBD
+     * @param array $args Positional arguments.
+     * @param array $assoc_args Associative arguments.
+     */
+    public function diagnostics( $args, $assoc_args ) {
+        $json = wp_json_encode( $this->diagnostics_service->generate(), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES );
+
+        if ( empty( $assoc_args['file'] ) ) {
+            WP_CLI::line( $json );
+            return;
+        }
+
+        if ( false === file_put_contents( $assoc_args['file'], $json ) ) {
+            WP_CLI::error( "Could not write the diagnostics report to {$assoc_args['file']}" );
+        }
+
+        WP_CLI::success( "Diagnostics report written to {$assoc_args['file']}" );
+    }
+
     /**
      * Recursively delete a directory using WordPress filesystem.
      *
@@ -112,12 +112,32 @@ class AdminController {
 			'adminUrl' => admin_url(),
 			'pluginUrl' => FLUX_MEDIA_OPTIMIZER_PLUGIN_URL,
 			'userEmail' => $user_email,
+			'imageSizes' => $this->get_image_sizes(),
 		] );
 
 		// Enqueue WordPress admin styles
 		wp_enqueue_style( 'wp-components' );
 	}
 
+	/**
+	 * Get registered intermediate image sizes for the size selection in settings.
+	 *
+	 * @since TBD
+	 * @return array Array of sizes with name, width and height.
+	 */
+	private function get_image_sizes() {
+		$sizes = [];
+		foreach ( wp_get_registered_image_subsizes() as $name => $size ) {
+			$sizes[] = [
+				'name' => $name,
+				'width' => (int) $size['width'],
+				'height' => (int) $size['height'],
+			];
+		}
+
+		return $sizes;
+	}
+
 	/**
 	 * Get script URL based on debug mode.
 	 *
@@ -83,4 +83,19 @@ abstract class BaseController extends WP_REST_Controller {
 
 		return new WP_REST_Response( $response, $http_status );
 	}
+
+	/**
+	 * Escape a CSV value so spreadsheet apps do not evaluate it as a formula.
+	 *
+	 * @since TBD
+	 * @param mixed $value Cell value.
+	 * @return mixed Escaped value.
+	 */
+	protected function escape_csv_value( $value ) {
+		if ( is_string( $value ) && '' !== $value && in_array( $value[0], [ '=', '+', '-', '@' ], true ) ) {
+			return "'" . $value;
+		}
+
+		return $value;
+	}
 }
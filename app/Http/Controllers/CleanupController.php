@@ -0,0 +1,143 @@
+<?php
+/**
+ * Cleanup REST API controller for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Http\Controllers;
+
+use FluxMedia\App\Services\ConversionTracker;
+use FluxMedia\App\Services\LogsService;
+use FluxMedia\App\Services\VideoConverter;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Handles cleanup REST API endpoints.
+ *
+ * @since TBD
+ */
+class CleanupController extends BaseController {
+
+	/**
+	 * Video converter instance.
+	 *
+	 * @since TBD
+	 * @var VideoConverter
+	 */
+	private $video_converter;
+
+	/**
+	 * Logs service instance.
+	 *
+	 * @since TBD
+	 * @var LogsService
+	 */
+	private $logs_service;
+
+	/**
+	 * Conversion tracker instance.
+	 *
+	 * @since TBD
+	 * @var ConversionTracker
+	 */
+	private $conversion_tracker;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param VideoConverter    $video_converter Video converter instance.
+	 * @param LogsService       $logs_service Logs service instance.
+	 * @param ConversionTracker $conversion_tracker Conversion tracker instance.
+	 */
+	public function __construct( VideoConverter $video_converter, LogsService $logs_service, ConversionTracker $conversion_tracker ) {
+		$this->video_converter = $video_converter;
+		$this->logs_service = $logs_service;
+		$this->conversion_tracker = $conversion_tracker;
+		parent::__construct( new \FluxMedia\App\Services\Logger() );
+	}
+
+	/**
+	 * Register REST API routes.
+	 *
+	 * @since TBD
+	 */
+	public function register_routes() {
+		register_rest_route( 'flux-media-optimizer/v1', '/cleanup/temp-files', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'cleanup_temp_files' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/cleanup/old-records', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'cleanup_old_records' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'days' => [
+						'type' => 'integer',
+						'description' => 'Delete log entries older than this many days',
+						'default' => 30,
+						'minimum' => 1,
+					],
+				],
+			],
+		] );
+	}
+
+	/**
+	 * Remove stale temporary files left behind by video encodes.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function cleanup_temp_files( WP_REST_Request $request ) {
+		try {
+			$removed = $this->video_converter->cleanup_stale_temp_directories();
+
+			return $this->create_success_response( [ 'removed' => $removed ], 'Temporary files cleaned up successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to clean up temporary files: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Remove old log entries and conversion records for deleted attachments.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function cleanup_old_records( WP_REST_Request $request ) {
+		try {
+			$days = (int) $request->get_param( 'days' );
+
+			$result = [
+				'logs_deleted' => (int) $this->logs_service->clear_old_logs( $days ),
+				'conversions_deleted' => $this->conversion_tracker->delete_orphaned_conversions(),
+			];
+
+			return $this->create_success_response( $result, 'Old records cleaned up successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to clean up old records: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Check if user has permission to run cleanup tasks.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function check_permissions( WP_REST_Request $request ) {
+		return current_user_can( 'manage_options' );
+	}
+}
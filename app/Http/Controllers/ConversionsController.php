@@ -9,6 +9,13 @@
 namespace FluxMedia\App\Http\Controllers;
 
 use FluxMedia\App\Services\ConversionTracker;
+use FluxMedia\App\Services\ActionSchedulerService;
+use FluxMedia\App\Services\BulkConverter;
+use FluxMedia\App\Services\AttachmentMetaHandler;
+use FluxMedia\App\Services\ConversionHistory;
+use FluxMedia\App\Services\Converter;
+use FluxMedia\App\Services\MediaLibraryService;
+use FluxMedia\App\Services\Settings;
 use WP_REST_Request;
 use WP_REST_Response;
 
@@ -19,6 +26,41 @@ use WP_REST_Response;
  */
 class ConversionsController extends BaseController {
 
+	/**
+	 * Converted formats accepted by conversion endpoints.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const FORMATS = [
+		Converter::FORMAT_WEBP,
+		Converter::FORMAT_AVIF,
+		Converter::FORMAT_AV1,
+		Converter::FORMAT_WEBM,
+	];
+
+	/**
+	 * Columns of conversion report exports, in order.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const EXPORT_COLUMNS = [
+		'status',
+		'attachment_id',
+		'title',
+		'mime_type',
+		'size',
+		'format',
+		'processor',
+		'original_bytes',
+		'converted_bytes',
+		'savings_bytes',
+		'savings_percentage',
+		'date',
+		'error',
+	];
+
 	/**
 	 * Conversion tracker instance.
 	 *
@@ -27,14 +69,46 @@ class ConversionsController extends BaseController {
 	 */
 	private $conversion_tracker;
 
+	/**
+	 * Action Scheduler service instance.
+	 *
+	 * @since TBD
+	 * @var ActionSchedulerService
+	 */
+	private $action_scheduler_service;
+
+	/**
+	 * Bulk converter instance.
+	 *
+	 * @since TBD
+	 * @var BulkConverter
+	 */
+	private $bulk_converter;
+
+	/**
+	 * Media Library service instance.
+	 *
+	 * @since TBD
+	 * @var MediaLibraryService
+	 */
+	private $media_library_service;
+
 	/**
 	 * Constructor.
 	 *
 	 * @since 0.1.0
-	 * @param ConversionTracker $conversion_tracker Conversion tracker instance.
+	 * @since TBD Added Action Scheduler service and bulk converter for queue and bulk endpoints.
+	 * @since TBD Added Media Library service for attachment status and action endpoints.
+	 * @param ConversionTracker      $conversion_tracker Conversion tracker instance.
+	 * @param ActionSchedulerService $action_scheduler_service Action Scheduler service instance.
+	 * @param BulkConverter          $bulk_converter Bulk converter instance.
+	 * @param MediaLibraryService    $media_library_service Media Library service instance.
 	 */
-	public function __construct( ConversionTracker $conversion_tracker ) {
+	public function __construct( ConversionTracker $conversion_tracker, ActionSchedulerService $action_scheduler_service, BulkConverter $bulk_converter, MediaLibraryService $media_library_service ) {
 		$this->conversion_tracker = $conversion_tracker;
+		$this->action_scheduler_service = $action_scheduler_service;
+		$this->bulk_converter = $bulk_converter;
+		$this->media_library_service = $media_library_service;
 		parent::__construct( new \FluxMedia\App\Services\Logger() );
 	}
 
@@ -42,6 +116,9 @@ class ConversionsController extends BaseController {
 	 * Register REST API routes.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Added recent, start, bulk, queue and cancel endpoints.
+	 * @since TBD Added the export endpoint.
+	 * @since TBD Added attachment status and action endpoints.
 	 */
 	public function register_routes() {
 		register_rest_route( 'flux-media-optimizer/v1', '/conversions/stats', [
@@ -49,6 +126,291 @@ class ConversionsController extends BaseController {
 				'methods' => 'GET',
 				'callback' => [ $this, 'get_conversion_stats' ],
 				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'date_from' => [
+						'type' => 'string',
+						'description' => 'Start date (Y-m-d) for savings analytics',
+						'pattern' => '^\d{4}-\d{2}-\d{2}$',
+					],
+					'date_to' => [
+						'type' => 'string',
+						'description' => 'End date (Y-m-d) for savings analytics',
+						'pattern' => '^\d{4}-\d{2}-\d{2}$',
+					],
+					'group_by' => [
+						'type' => 'string',
+						'description' => 'Savings analytics time series grouping',
+						'enum' => [ 'day', 'week' ],
+					],
+					'top_limit' => [
+						'type' => 'integer',
+						'description' => 'Number of attachments in the top savings list',
+						'default' => 10,
+						'minimum' => 1,
+						'maximum' => 50,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/export', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'export_conversions' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'format' => [
+						'type' => 'string',
+						'description' => 'Report file format',
+						'enum' => [ 'csv', 'json' ],
+						'default' => 'csv',
+					],
+					'date_from' => [
+						'type' => 'string',
+						'description' => 'Start date (Y-m-d) of the report',
+						'pattern' => '^\d{4}-\d{2}-\d{2}$',
+					],
+					'date_to' => [
+						'type' => 'string',
+						'description' => 'End date (Y-m-d) of the report',
+						'pattern' => '^\d{4}-\d{2}-\d{2}$',
+					],
+					'group_by' => [
+						'type' => 'string',
+						'description' => 'Time series grouping of the JSON report summary',
+						'enum' => [ 'day', 'week' ],
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/quality', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_quality_summary' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/recent', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_recent_conversions' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'limit' => [
+						'type' => 'integer',
+						'description' => 'Maximum number of attachments to return',
+						'default' => 10,
+						'minimum' => 1,
+						'maximum' => 100,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/start', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'start_conversion' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'attachmentId' => [
+						'required' => true,
+						'type' => 'integer',
+						'description' => 'Attachment ID to convert',
+						'minimum' => 1,
+					],
+					'format' => [
+						'type' => 'string',
+						'description' => 'Format the caller expects; must be enabled in settings',
+						'enum' => self::FORMATS,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/scan', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'scan_media' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => array_merge( $this->get_media_filter_args(), [
+					'cursor' => [
+						'type' => 'integer',
+						'description' => 'Cursor returned by the previous scan request',
+						'default' => 0,
+						'minimum' => 0,
+					],
+					'limit' => [
+						'type' => 'integer',
+						'description' => 'Maximum number of attachments to examine',
+						'default' => 500,
+						'minimum' => 1,
+						'maximum' => 2000,
+					],
+				] ),
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/bulk', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_bulk_run' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'bulk_convert' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'formats' => [
+						'type' => 'array',
+						'description' => 'Formats to convert to, each enabled in settings; defaults to the formats in settings',
+						'items' => [
+							'type' => 'string',
+							'enum' => self::FORMATS,
+						],
+					],
+					'filters' => [
+						'type' => 'object',
+						'description' => 'Filters limiting which media is converted',
+						'properties' => $this->get_media_filter_args(),
+						'additionalProperties' => false,
+						'default' => [],
+					],
+					'batch_size' => [
+						'type' => 'integer',
+						'description' => 'Number of attachments to schedule per batch',
+						'default' => 50,
+						'minimum' => 1,
+						'maximum' => 500,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/bulk/pause', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'pause_bulk_run' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/bulk/resume', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'resume_bulk_run' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/queue', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_conversion_queue' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'status' => [
+						'type' => 'string',
+						'description' => 'Only return jobs with this status',
+						'enum' => [ 'pending', 'running', 'completed', 'failed' ],
+					],
+					'per_page' => [
+						'type' => 'integer',
+						'description' => 'Maximum number of jobs to return per status',
+						'default' => 50,
+						'minimum' => 1,
+						'maximum' => 200,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/status', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_attachment_statuses' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'ids' => [
+						'type' => 'array',
+						'description' => 'Attachment IDs to get the optimization status of',
+						'items' => [ 'type' => 'integer' ],
+						'required' => true,
+						'maxItems' => 200,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/attachments', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'run_attachment_action' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'action' => [
+						'type' => 'string',
+						'description' => 'Action to run on the attachments',
+						'enum' => MediaLibraryService::ACTIONS,
+						'required' => true,
+					],
+					'ids' => [
+						'type' => 'array',
+						'description' => 'Attachment IDs to run the action on',
+						'items' => [ 'type' => 'integer' ],
+						'required' => true,
+						'minItems' => 1,
+						'maxItems' => 200,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/attachments/(?P<id>\d+)', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_attachment_field' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'id' => [
+						'required' => true,
+						'type' => 'integer',
+						'description' => 'Attachment ID',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/attachments/(?P<id>\d+)/history', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_attachment_history' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'id' => [
+						'required' => true,
+						'type' => 'integer',
+						'description' => 'Attachment ID',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/conversions/cancel/(?P<id>\d+)', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'cancel_conversion' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'id' => [
+						'required' => true,
+						'type' => 'integer',
+						'description' => 'Conversion job (Action Scheduler action) ID',
+					],
+				],
 			],
 		] );
 	}
@@ -57,6 +419,7 @@ class ConversionsController extends BaseController {
 	 * Get conversion statistics.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Added savings analytics when date_from, date_to or group_by is given.
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response Response object.
 	 */
@@ -84,12 +447,553 @@ class ConversionsController extends BaseController {
 				'recent_savings' => $savings_stats['recent'],
 			];
 
+			// Analytics are only computed when a range or grouping is requested.
+			if ( $request->get_param( 'date_from' ) || $request->get_param( 'date_to' ) || $request->get_param( 'group_by' ) ) {
+				$stats['analytics'] = $this->get_savings_analytics( $request );
+			}
+
 			return $this->create_success_response( $stats, 'Conversion statistics retrieved successfully' );
 		} catch ( \Exception $e ) {
 			return $this->create_error_response( 'Failed to retrieve conversion statistics: ' . $e->getMessage() );
 		}
 	}
 
+	/**
+	 * Build savings analytics for the requested date range.
+	 *
+	 * Defaults to the last 30 days grouped by day, and ranges over a year are grouped
+	 * by week. Failed conversions come from
+	 * Action Scheduler since the conversion tracker only records successes.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return array Savings analytics.
+	 */
+	private function get_savings_analytics( WP_REST_Request $request ) {
+		$group_by = $request->get_param( 'group_by' ) ?: 'day';
+		[ $date_from, $date_to ] = $this->get_date_range( $request );
+
+		// Keep daily series to a readable length for long ranges.
+		if ( 'day' === $group_by && strtotime( $date_to ) - strtotime( $date_from ) > YEAR_IN_SECONDS ) {
+			$group_by = 'week';
+		}
+
+		$analytics = $this->conversion_tracker->get_savings_analytics( $date_from, $date_to, $group_by, (int) ( $request->get_param( 'top_limit' ) ?: 10 ) );
+		$failed_counts = $this->action_scheduler_service->get_failed_conversion_counts( $date_from, $date_to, $group_by );
+
+		foreach ( $analytics['time_series'] as &$period ) {
+			$period['failed'] = $failed_counts[ $period['period'] ] ?? 0;
+		}
+		unset( $period );
+
+		$analytics['totals']['failed'] = array_sum( $failed_counts );
+		$analytics['range'] = [
+			'date_from' => $date_from,
+			'date_to' => $date_to,
+			'group_by' => $group_by,
+		];
+
+		return $analytics;
+	}
+
+	/**
+	 * Get the requested date range.
+	 *
+	 * Defaults to the last 30 days and swaps the dates when they are given in reverse.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return array Start and end dates (Y-m-d).
+	 */
+	private function get_date_range( WP_REST_Request $request ) {
+		$date_to = $request->get_param( 'date_to' ) ?: current_time( 'Y-m-d' );
+		$date_from = $request->get_param( 'date_from' ) ?: gmdate( 'Y-m-d', strtotime( $date_to . ' -29 days' ) );
+
+		if ( $date_from > $date_to ) {
+			[ $date_from, $date_to ] = [ $date_to, $date_from ];
+		}
+
+		return [ $date_from, $date_to ];
+	}
+
+	/**
+	 * Stream a conversion report as a CSV or JSON download.
+	 *
+	 * Each converted file is a row, followed by conversion jobs that failed in the range.
+	 * Rows are written as they are read so large histories are never held in memory.
+	 * The JSON report also includes the savings analytics for the range.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|void Error response, or nothing once the report has been sent.
+	 */
+	public function export_conversions( WP_REST_Request $request ) {
+		try {
+			$format = $request->get_param( 'format' );
+			[ $date_from, $date_to ] = $this->get_date_range( $request );
+			$failures = $this->action_scheduler_service->iterate_failed_conversions( $date_from, $date_to );
+			$summary = 'json' === $format ? $this->get_savings_analytics( $request ) : null;
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to export conversions: ' . $e->getMessage() );
+		}
+
+		// Discard buffered output so the download only contains the report.
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( 'json' === $format ? 'application/json' : 'text/csv' ) . '; charset=' . get_option( 'blog_charset' ) );
+		header( 'Content-Disposition: attachment; filename="' . sprintf( 'flux-media-optimizer-conversions-%s-to-%s.%s', $date_from, $date_to, $format ) . '"' );
+
+		$output = fopen( 'php://output', 'w' );
+
+		if ( 'json' === $format ) {
+			fwrite( $output, '{"generated_at":' . wp_json_encode( current_time( 'mysql' ) ) . ',"summary":' . wp_json_encode( $summary ) . ',"rows":[' );
+		} else {
+			fputcsv( $output, self::EXPORT_COLUMNS );
+		}
+
+		$written = 0;
+		$write_row = function ( $row ) use ( $output, $format, &$written ) {
+			if ( 'json' === $format ) {
+				fwrite( $output, ( $written > 0 ? ',' : '' ) . wp_json_encode( $row ) );
+			} else {
+				fputcsv( $output, array_map( [ $this, 'escape_csv_value' ], array_values( $row ) ) );
+			}
+
+			// Send rows to the client in batches instead of buffering the whole report.
+			if ( 0 === ++$written % 500 ) {
+				fflush( $output );
+				flush();
+			}
+		};
+
+		foreach ( $this->conversion_tracker->iterate_conversions( $date_from, $date_to ) as $conversion ) {
+			$write_row( [
+				'status' => 'converted',
+				'attachment_id' => (int) $conversion['attachment_id'],
+				'title' => (string) $conversion['title'],
+				'mime_type' => (string) $conversion['mime_type'],
+				'size' => $conversion['size_name'],
+				'format' => $conversion['file_type'],
+				'processor' => (string) $conversion['processor'],
+				'original_bytes' => (int) $conversion['original_size'],
+				'converted_bytes' => (int) $conversion['converted_size'],
+				'savings_bytes' => (int) $conversion['size_savings'],
+				'savings_percentage' => $conversion['savings_percentage'],
+				'date' => $conversion['converted_at'],
+				'error' => '',
+			] );
+		}
+
+		foreach ( $failures as $failure ) {
+			$write_row( [
+				'status' => 'failed',
+				'attachment_id' => $failure['attachment_id'],
+				'title' => (string) $failure['title'],
+				'mime_type' => (string) $failure['mime_type'],
+				'size' => '',
+				'format' => '',
+				'processor' => '',
+				'original_bytes' => 0,
+				'converted_bytes' => 0,
+				'savings_bytes' => 0,
+				'savings_percentage' => 0,
+				'date' => $failure['failed_at'],
+				'error' => (string) $failure['error'],
+			] );
+		}
+
+		if ( 'json' === $format ) {
+			fwrite( $output, ']}' );
+		}
+
+		fclose( $output );
+		exit;
+	}
+
+	/**
+	 * Get aggregate perceptual quality statistics.
+	 *
+	 * Includes the distribution of qualities chosen by the automatic quality search.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_quality_summary( WP_REST_Request $request ) {
+		try {
+			$summary = $this->conversion_tracker->get_quality_summary();
+			$summary['auto_quality'] = $this->conversion_tracker->get_auto_quality_summary();
+
+			return $this->create_success_response( $summary, 'Quality statistics retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve quality statistics: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the most recently converted attachments.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_recent_conversions( WP_REST_Request $request ) {
+		try {
+			$conversions = $this->conversion_tracker->get_recent_conversions( (int) $request->get_param( 'limit' ) );
+
+			return $this->create_success_response( $conversions, 'Recent conversions retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve recent conversions: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Queue a conversion for a single attachment.
+	 *
+	 * The conversion runs through Action Scheduler and produces every enabled
+	 * format, so the optional format only guards against requesting a format
+	 * that is disabled in settings.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function start_conversion( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'attachmentId' );
+			$format = $request->get_param( 'format' );
+
+			if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+				return $this->create_error_response( 'Attachment not found', 'invalid_attachment', 404 );
+			}
+
+			if ( AttachmentMetaHandler::is_conversion_disabled( $attachment_id ) ) {
+				return $this->create_error_response( 'Conversion is disabled for this attachment', 'conversion_disabled', 400 );
+			}
+
+			if ( $format && ! in_array( $format, $this->get_enabled_formats(), true ) ) {
+				return $this->create_error_response( "Format {$format} is not enabled", 'format_disabled', 400 );
+			}
+
+			// Clear external job state to allow forced re-conversion
+			AttachmentMetaHandler::delete_external_job_state( $attachment_id );
+
+			if ( ! $this->action_scheduler_service->schedule_attachment_conversion( $attachment_id, time() ) ) {
+				return $this->create_error_response( 'Failed to schedule conversion', 'schedule_failed' );
+			}
+
+			ConversionHistory::request( $attachment_id, ConversionHistory::TRIGGER_MANUAL );
+
+			return $this->create_success_response( [
+				'attachment_id' => $attachment_id,
+				'queued' => true,
+			], 'Conversion queued successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to start conversion: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the optimization status of attachments.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_attachment_statuses( WP_REST_Request $request ) {
+		try {
+			$statuses = $this->media_library_service->get_statuses( $request->get_param( 'ids' ) );
+
+			return $this->create_success_response( $statuses, 'Attachment statuses retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve attachment statuses: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Run an action (convert, re-convert, disable, enable) on attachments.
+	 *
+	 * Returns the result of each attachment along with its updated status so the
+	 * Media Library can be refreshed in place.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function run_attachment_action( WP_REST_Request $request ) {
+		try {
+			$action = $request->get_param( 'action' );
+			$attachment_ids = array_unique( array_map( 'intval', $request->get_param( 'ids' ) ) );
+
+			$results = [];
+			foreach ( $attachment_ids as $attachment_id ) {
+				$results[ $attachment_id ] = $this->media_library_service->run_action( $action, $attachment_id );
+			}
+
+			return $this->create_success_response( [
+				'results' => $results,
+				'statuses' => $this->media_library_service->get_statuses( $attachment_ids ),
+			], 'Attachment action completed' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to run attachment action: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the optimization status and attachment field HTML of an attachment.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_attachment_field( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'id' );
+			if ( ! get_post( $attachment_id ) ) {
+				return $this->create_error_response( 'Attachment not found', 'invalid_attachment', 404 );
+			}
+
+			return $this->create_success_response( [
+				'status' => $this->media_library_service->get_status( $attachment_id ),
+				'html' => $this->media_library_service->get_field_html( $attachment_id ),
+			], 'Attachment field retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve attachment field: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the conversion history of an attachment.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_attachment_history( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'id' );
+			if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+				return $this->create_error_response( 'Attachment not found', 'invalid_attachment', 404 );
+			}
+
+			return $this->create_success_response( [
+				'attachment_id' => $attachment_id,
+				'title' => get_the_title( $attachment_id ),
+				'entries' => ConversionHistory::get_entries( $attachment_id ),
+			], 'Attachment history retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve attachment history: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Scan a batch of unconverted media matching the given filters.
+	 *
+	 * Clients call this repeatedly, passing back next_cursor, until it is null.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function scan_media( WP_REST_Request $request ) {
+		try {
+			$summary = $this->bulk_converter->scan_unconverted_media(
+				$this->get_media_filters( $request->get_params() ),
+				(int) $request->get_param( 'cursor' ),
+				(int) $request->get_param( 'limit' )
+			);
+
+			return $this->create_success_response( $summary, 'Media scanned successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to scan media: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Start a bulk conversion run.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function bulk_convert( WP_REST_Request $request ) {
+		try {
+			$formats = (array) $request->get_param( 'formats' );
+			$disabled_formats = array_diff( $formats, $this->get_enabled_formats() );
+
+			if ( ! empty( $disabled_formats ) ) {
+				return $this->create_error_response( 'Formats not enabled: ' . implode( ', ', $disabled_formats ), 'format_disabled', 400 );
+			}
+
+			$run = $this->action_scheduler_service->start_bulk_run(
+				$this->get_media_filters( (array) $request->get_param( 'filters' ) ),
+				(int) $request->get_param( 'batch_size' ),
+				$formats
+			);
+
+			return $this->create_success_response( $run, 'Bulk conversion started successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to start bulk conversion: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the current bulk conversion run.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_bulk_run( WP_REST_Request $request ) {
+		try {
+			return $this->create_success_response( [ 'run' => $this->action_scheduler_service->get_bulk_run() ], 'Bulk conversion run retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve bulk conversion run: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Pause the running bulk conversion run.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function pause_bulk_run( WP_REST_Request $request ) {
+		try {
+			if ( ! $this->action_scheduler_service->pause_bulk_run() ) {
+				return $this->create_error_response( 'No running bulk conversion to pause', 'not_running', 400 );
+			}
+
+			return $this->create_success_response( [ 'run' => $this->action_scheduler_service->get_bulk_run() ], 'Bulk conversion paused successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to pause bulk conversion: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Resume a paused bulk conversion run.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function resume_bulk_run( WP_REST_Request $request ) {
+		try {
+			if ( ! $this->action_scheduler_service->resume_bulk_run() ) {
+				return $this->create_error_response( 'No paused bulk conversion to resume', 'not_paused', 400 );
+			}
+
+			return $this->create_success_response( [ 'run' => $this->action_scheduler_service->get_bulk_run() ], 'Bulk conversion resumed successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to resume bulk conversion: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get conversion jobs from the Action Scheduler queue.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_conversion_queue( WP_REST_Request $request ) {
+		try {
+			$queue = $this->action_scheduler_service->get_conversion_jobs(
+				$request->get_param( 'status' ) ?: '',
+				(int) $request->get_param( 'per_page' )
+			);
+
+			return $this->create_success_response( $queue, 'Conversion queue retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve conversion queue: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Cancel a pending conversion job.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function cancel_conversion( WP_REST_Request $request ) {
+		try {
+			$job_id = (int) $request->get_param( 'id' );
+
+			if ( ! $this->action_scheduler_service->cancel_conversion_job( $job_id ) ) {
+				return $this->create_error_response( 'Only pending conversion jobs can be cancelled', 'cancel_failed', 400 );
+			}
+
+			return $this->create_success_response( [ 'id' => $job_id ], 'Conversion job cancelled successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to cancel conversion job: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the argument schema for media filters.
+	 *
+	 * @since TBD
+	 * @return array Argument schema.
+	 */
+	private function get_media_filter_args() {
+		return [
+			'mime_types' => [
+				'type' => 'array',
+				'description' => 'MIME types or top-level types (e.g. image/jpeg, video)',
+				'items' => [
+					'type' => 'string',
+					'pattern' => '^[a-z]+(/[a-z0-9.+-]+)?$',
+				],
+			],
+			'date_from' => [
+				'type' => 'string',
+				'description' => 'Only include media uploaded on or after this date (Y-m-d)',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			],
+			'date_to' => [
+				'type' => 'string',
+				'description' => 'Only include media uploaded on or before this date (Y-m-d)',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			],
+			'min_size' => [
+				'type' => 'integer',
+				'description' => 'Minimum file size in bytes',
+				'minimum' => 0,
+			],
+			'max_size' => [
+				'type' => 'integer',
+				'description' => 'Maximum file size in bytes',
+				'minimum' => 0,
+			],
+		];
+	}
+
+	/**
+	 * Extract media filters from request parameters.
+	 *
+	 * @since TBD
+	 * @param array $params Request parameters.
+	 * @return array Filters accepted by BulkConverter::find_unconverted_media().
+	 */
+	private function get_media_filters( $params ) {
+		return array_filter( array_intersect_key( $params, $this->get_media_filter_args() ) );
+	}
+
+	/**
+	 * Get all formats currently enabled in settings.
+	 *
+	 * @since TBD
+	 * @return array Enabled image and video formats.
+	 */
+	private function get_enabled_formats() {
+		return array_merge( (array) Settings::get_image_formats(), (array) Settings::get_video_formats() );
+	}
+
 	/**
 	 * Check if user has permission to access conversions.
 	 *
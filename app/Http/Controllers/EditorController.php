@@ -0,0 +1,243 @@
+<?php
+/**
+ * Block editor REST API controller for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Http\Controllers;
+
+use FluxMedia\App\Services\BlockEditorService;
+use FluxMedia\App\Services\MediaLibraryService;
+use FluxMedia\App\Services\VideoPosterService;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Handles the REST API endpoints used by the block editor Media Optimization sidebar.
+ *
+ * Available to authors, not only administrators, so permissions are checked against
+ * the uploaded files and each attachment rather than manage_options.
+ *
+ * @since TBD
+ */
+class EditorController extends BaseController {
+
+	/**
+	 * Block editor service instance.
+	 *
+	 * @since TBD
+	 * @var BlockEditorService
+	 */
+	private $block_editor_service;
+
+	/**
+	 * Media Library service instance.
+	 *
+	 * @since TBD
+	 * @var MediaLibraryService
+	 */
+	private $media_library_service;
+
+	/**
+	 * Video poster service instance.
+	 *
+	 * @since TBD
+	 * @var VideoPosterService
+	 */
+	private $video_poster_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @since TBD Added the video poster service.
+	 * @param BlockEditorService  $block_editor_service Block editor service instance.
+	 * @param MediaLibraryService $media_library_service Media Library service instance.
+	 * @param VideoPosterService  $video_poster_service Video poster service instance.
+	 */
+	public function __construct( BlockEditorService $block_editor_service, MediaLibraryService $media_library_service, VideoPosterService $video_poster_service ) {
+		$this->block_editor_service = $block_editor_service;
+		$this->media_library_service = $media_library_service;
+		$this->video_poster_service = $video_poster_service;
+		parent::__construct( new \FluxMedia\App\Services\Logger() );
+	}
+
+	/**
+	 * Register REST API routes.
+	 *
+	 * @since TBD
+	 */
+	public function register_routes() {
+		register_rest_route( 'flux-media-optimizer/v1', '/editor/media', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_media' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'ids' => [
+						'type' => 'array',
+						'description' => 'Attachment IDs used in the post',
+						'items' => [ 'type' => 'integer' ],
+						'required' => true,
+						'maxItems' => 200,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/editor/media/convert', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'convert_media' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'ids' => [
+						'type' => 'array',
+						'description' => 'Attachment IDs to convert',
+						'items' => [ 'type' => 'integer' ],
+						'required' => true,
+						'minItems' => 1,
+						'maxItems' => 200,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/editor/video/(?P<id>\d+)/poster', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'create_video_poster' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'id' => [
+						'type' => 'integer',
+						'description' => 'Video attachment ID',
+						'required' => true,
+					],
+					'time' => [
+						'type' => 'number',
+						'description' => 'Position of the poster frame in seconds',
+						'minimum' => 0,
+						'default' => 0,
+					],
+					'mode' => [
+						'type' => 'string',
+						'description' => 'Use the frame at the given time, or the first scene change',
+						'enum' => [ VideoPosterService::MODE_TIMESTAMP, VideoPosterService::MODE_SCENE ],
+						'default' => VideoPosterService::MODE_TIMESTAMP,
+					],
+					'featured' => [
+						'type' => 'boolean',
+						'description' => 'Set the poster as featured image of the video, replacing the previously generated poster',
+						'default' => false,
+					],
+				],
+			],
+		] );
+	}
+
+	/**
+	 * Get how the images and videos used in a post are delivered.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_media( WP_REST_Request $request ) {
+		try {
+			$media = $this->block_editor_service->get_media_delivery( $request->get_param( 'ids' ) );
+
+			return $this->create_success_response( $media, 'Media optimization retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve media optimization: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Queue conversion of attachments used in a post.
+	 *
+	 * Attachments the current user cannot edit are skipped and reported as failed.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function convert_media( WP_REST_Request $request ) {
+		try {
+			$attachment_ids = array_unique( array_map( 'intval', $request->get_param( 'ids' ) ) );
+
+			$results = [];
+			foreach ( $attachment_ids as $attachment_id ) {
+				if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+					$results[ $attachment_id ] = [
+						'success' => false,
+						'message' => __( 'You are not allowed to convert this attachment', 'flux-media-optimizer' ),
+					];
+					continue;
+				}
+
+				$results[ $attachment_id ] = $this->media_library_service->run_action( 'convert', $attachment_id );
+			}
+
+			return $this->create_success_response( [
+				'results' => $results,
+				'media' => $this->block_editor_service->get_media_delivery( $attachment_ids ),
+			], 'Media conversion queued' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to convert media: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Create a poster image from a frame of a video.
+	 *
+	 * @since TBD
+	 * @since TBD Added scene change mode and setting the poster as featured image.
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function create_video_poster( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'id' );
+
+			if ( ! wp_attachment_is( 'video', $attachment_id ) ) {
+				return $this->create_error_response( 'Invalid video attachment', 'invalid_attachment', 404 );
+			}
+
+			if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+				return $this->create_error_response( 'You are not allowed to edit this video', 'rest_forbidden', 403 );
+			}
+
+			$seconds = (float) $request->get_param( 'time' );
+			$mode = $request->get_param( 'mode' );
+
+			$result = $request->get_param( 'featured' )
+				? $this->video_poster_service->set_featured_poster( $attachment_id, $seconds, $mode )
+				: $this->video_poster_service->create_poster( $attachment_id, $seconds, $mode );
+
+			if ( ! $result['success'] ) {
+				return $this->create_error_response( 'Failed to create video poster: ' . $result['message'] );
+			}
+
+			return $this->create_success_response( [
+				'id' => $result['attachment_id'],
+				'url' => $result['url'],
+			], 'Video poster created successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to create video poster: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Check if user has permission to view and convert media from the block editor.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function check_permissions( WP_REST_Request $request ) {
+		return current_user_can( 'upload_files' );
+	}
+}
@@ -0,0 +1,215 @@
+<?php
+/**
+ * Failed conversions REST API controller for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Http\Controllers;
+
+use FluxMedia\App\Services\FailedConversionService;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Handles the REST API endpoints of the Failed view.
+ *
+ * @since TBD
+ */
+class FailuresController extends BaseController {
+
+	/**
+	 * Failed conversion service instance.
+	 *
+	 * @since TBD
+	 * @var FailedConversionService
+	 */
+	private $failed_conversion_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param FailedConversionService $failed_conversion_service Failed conversion service instance.
+	 */
+	public function __construct( FailedConversionService $failed_conversion_service ) {
+		$this->failed_conversion_service = $failed_conversion_service;
+		parent::__construct( new \FluxMedia\App\Services\Logger() );
+	}
+
+	/**
+	 * Register REST API routes.
+	 *
+	 * @since TBD
+	 */
+	public function register_routes() {
+		$categories = array_keys( FailedConversionService::get_category_labels() );
+
+		$selection_args = [
+			'ids' => [
+				'type' => 'array',
+				'description' => 'Attachment IDs, takes precedence over category',
+				'items' => [ 'type' => 'integer' ],
+				'maxItems' => 500,
+			],
+			'category' => [
+				'type' => 'string',
+				'description' => 'Apply to every failure in this category',
+				'enum' => $categories,
+			],
+		];
+
+		register_rest_route( 'flux-media-optimizer/v1', '/failures', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_failures' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'category' => [
+						'type' => 'string',
+						'description' => 'Only list failures in this category',
+						'enum' => array_merge( [ '' ], $categories ),
+						'default' => '',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/failures/retry', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'retry_failures' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => array_merge( $selection_args, [
+					'settings' => [
+						'type' => 'object',
+						'description' => 'Settings for the next attempt only',
+						'properties' => [
+							'formats' => [
+								'type' => 'array',
+								'items' => [ 'type' => 'string' ],
+							],
+							'webp_quality' => [
+								'type' => 'integer',
+								'minimum' => 1,
+								'maximum' => 100,
+							],
+							'avif_quality' => [
+								'type' => 'integer',
+								'minimum' => 1,
+								'maximum' => 100,
+							],
+							'avif_speed' => [
+								'type' => 'integer',
+								'minimum' => 0,
+								'maximum' => 10,
+							],
+						],
+						'default' => [],
+					],
+				] ),
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/failures/skip', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'skip_failures' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => $selection_args,
+			],
+		] );
+	}
+
+	/**
+	 * Get failed conversions grouped by cause.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_failures( WP_REST_Request $request ) {
+		try {
+			$failures = $this->failed_conversion_service->get_failures( $request->get_param( 'category' ) );
+			$failures['categories'] = FailedConversionService::get_category_labels();
+
+			return $this->create_success_response( $failures, 'Failures retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve failures: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Queue failed conversions again, optionally with different settings.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function retry_failures( WP_REST_Request $request ) {
+		try {
+			$attachment_ids = $this->get_selected_attachment_ids( $request );
+			if ( empty( $attachment_ids ) ) {
+				return $this->create_error_response( 'No failures selected', 'no_failures', 400 );
+			}
+
+			$result = $this->failed_conversion_service->retry( $attachment_ids, (array) $request->get_param( 'settings' ) );
+
+			return $this->create_success_response( $result, 'Failures queued for retry' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retry failures: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Permanently skip failed conversions.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function skip_failures( WP_REST_Request $request ) {
+		try {
+			$attachment_ids = $this->get_selected_attachment_ids( $request );
+			if ( empty( $attachment_ids ) ) {
+				return $this->create_error_response( 'No failures selected', 'no_failures', 400 );
+			}
+
+			return $this->create_success_response( [
+				'skipped' => $this->failed_conversion_service->skip( $attachment_ids ),
+			], 'Failures skipped' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to skip failures: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get the attachment IDs selected by a request, by IDs or by category.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return int[] Attachment IDs.
+	 */
+	private function get_selected_attachment_ids( WP_REST_Request $request ) {
+		$attachment_ids = $request->get_param( 'ids' );
+		if ( ! empty( $attachment_ids ) ) {
+			return array_map( 'intval', $attachment_ids );
+		}
+
+		$category = $request->get_param( 'category' );
+
+		return $category ? $this->failed_conversion_service->get_failed_attachment_ids( $category ) : [];
+	}
+
+	/**
+	 * Check if user has permission to manage failed conversions.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function check_permissions( WP_REST_Request $request ) {
+		return current_user_can( 'manage_options' );
+	}
+}
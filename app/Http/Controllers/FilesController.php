@@ -0,0 +1,494 @@
+<?php
+/**
+ * Files REST API controller for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Http\Controllers;
+
+use FluxMedia\App\Services\AttachmentMetaHandler;
+use FluxMedia\App\Services\ConversionTracker;
+use FluxMedia\App\Services\Converter;
+use FluxMedia\App\Services\ImageConverter;
+use FluxMedia\App\Services\Settings;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Handles converted file REST API endpoints.
+ *
+ * @since TBD
+ */
+class FilesController extends BaseController {
+
+	/**
+	 * Conversion tracker instance.
+	 *
+	 * @since TBD
+	 * @var ConversionTracker
+	 */
+	private $conversion_tracker;
+
+	/**
+	 * Image converter instance.
+	 *
+	 * @since TBD
+	 * @var ImageConverter
+	 */
+	private $image_converter;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param ConversionTracker $conversion_tracker Conversion tracker instance.
+	 * @param ImageConverter    $image_converter    Image converter instance.
+	 */
+	public function __construct( ConversionTracker $conversion_tracker, ImageConverter $image_converter ) {
+		$this->conversion_tracker = $conversion_tracker;
+		$this->image_converter = $image_converter;
+		parent::__construct( new \FluxMedia\App\Services\Logger() );
+	}
+
+	/**
+	 * Register REST API routes.
+	 *
+	 * @since TBD
+	 */
+	public function register_routes() {
+		register_rest_route( 'flux-media-optimizer/v1', '/files/compare/(?P<id>\d+)', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_comparison' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'id' => [
+						'required' => true,
+						'type' => 'integer',
+						'description' => 'Attachment ID',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/files/preview/(?P<id>\d+)', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'preview_conversion' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'id' => [
+						'required' => true,
+						'type' => 'integer',
+						'description' => 'Attachment ID',
+					],
+					'format' => [
+						'required' => true,
+						'type' => 'string',
+						'description' => 'Image format to preview',
+						'enum' => [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ],
+					],
+					'size' => [
+						'type' => 'string',
+						'description' => 'Image size to preview, falls back to the full size when unavailable',
+						'default' => 'large',
+					],
+					'webp_quality' => [
+						'type' => 'integer',
+						'description' => 'WebP quality to preview',
+						'minimum' => 1,
+						'maximum' => 100,
+					],
+					'avif_quality' => [
+						'type' => 'integer',
+						'description' => 'AVIF quality to preview',
+						'minimum' => 0,
+						'maximum' => 100,
+					],
+					'avif_speed' => [
+						'type' => 'integer',
+						'description' => 'AVIF speed to preview',
+						'minimum' => 0,
+						'maximum' => 10,
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/files/quality/(?P<id>\d+)', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'save_quality_scores' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'id' => [
+						'required' => true,
+						'type' => 'integer',
+						'description' => 'Attachment ID',
+					],
+					'size' => [
+						'type' => 'string',
+						'description' => 'Image size the scores were computed for',
+						'default' => 'full',
+					],
+					'scores' => [
+						'required' => true,
+						'type' => 'object',
+						'description' => 'SSIM and PSNR scores keyed by converted format',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/files/delete/(?P<id>\d+)/(?P<format>[a-z0-9]+)', [
+			[
+				'methods' => 'DELETE',
+				'callback' => [ $this, 'delete_converted_file' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'id' => [
+						'required' => true,
+						'type' => 'integer',
+						'description' => 'Attachment ID',
+					],
+					'format' => [
+						'required' => true,
+						'type' => 'string',
+						'description' => 'Converted format to delete',
+						'enum' => ConversionsController::FORMATS,
+					],
+				],
+			],
+		] );
+	}
+
+	/**
+	 * Delete a converted format for an attachment.
+	 *
+	 * Removes the converted file for every size, its meta and its tracking records.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function delete_converted_file( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'id' );
+			$format = $request->get_param( 'format' );
+
+			if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+				return $this->create_error_response( 'Attachment not found', 'invalid_attachment', 404 );
+			}
+
+			$deleted = AttachmentMetaHandler::delete_converted_format( $attachment_id, $format );
+			if ( ! $deleted ) {
+				return $this->create_error_response( "No {$format} files found for attachment", 'not_found', 404 );
+			}
+
+			$this->conversion_tracker->delete_attachment_conversions_by_formats( $attachment_id, [ $format ] );
+
+			return $this->create_success_response( [
+				'attachment_id' => $attachment_id,
+				'format' => $format,
+				'deleted' => $deleted,
+			], 'Converted file deleted successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to delete converted file: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Get original and converted files of an attachment for side-by-side comparison.
+	 *
+	 * Returns every size with its original file and each converted format, together
+	 * with the quality settings used for the conversion and the current settings.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_comparison( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'id' );
+
+			if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+				return $this->create_error_response( 'Attachment not found', 'invalid_attachment', 404 );
+			}
+
+			$metadata = wp_get_attachment_metadata( $attachment_id );
+			$metadata = is_array( $metadata ) ? $metadata : [];
+			$converted_files = AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id );
+
+			$sizes = [];
+			foreach ( $converted_files as $size_name => $size_files ) {
+				if ( ! is_array( $size_files ) ) {
+					continue;
+				}
+
+				$formats = [];
+				foreach ( $size_files as $format => $file_data ) {
+					if ( 'original' === $format || ! is_array( $file_data ) || empty( $file_data['url'] ) ) {
+						continue;
+					}
+					$formats[ $format ] = [
+						'url' => $file_data['url'],
+						'filesize' => (int) ( $file_data['filesize'] ?? 0 ),
+					];
+				}
+
+				if ( empty( $formats ) ) {
+					continue;
+				}
+
+				$size_meta = 'full' === $size_name ? $metadata : ( $metadata['sizes'][ $size_name ] ?? [] );
+
+				$sizes[ $size_name ] = [
+					'width' => isset( $size_meta['width'] ) ? (int) $size_meta['width'] : null,
+					'height' => isset( $size_meta['height'] ) ? (int) $size_meta['height'] : null,
+					'original' => $this->get_original_file( $metadata, $size_name, $size_files['original'] ?? [] ),
+					'formats' => $formats,
+				];
+			}
+
+			return $this->create_success_response( [
+				'attachment_id' => $attachment_id,
+				'title' => get_the_title( $attachment_id ),
+				'mime_type' => get_post_mime_type( $attachment_id ),
+				'edit_url' => get_edit_post_link( $attachment_id, 'raw' ),
+				'converted_at' => AttachmentMetaHandler::get_conversion_date( $attachment_id ),
+				'sizes' => $sizes,
+				'settings' => AttachmentMetaHandler::get_conversion_settings( $attachment_id ),
+				'quality_scores' => AttachmentMetaHandler::get_quality_scores( $attachment_id ),
+				'current_settings' => [
+					'webp_quality' => Settings::get_webp_quality(),
+					'avif_quality' => Settings::get_avif_quality(),
+					'avif_speed' => Settings::get_avif_speed(),
+				],
+			], 'Comparison retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to get comparison: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Preview an image conversion with the given quality settings.
+	 *
+	 * Converts a temporary copy of the attachment's image with ImageConverter and returns
+	 * the result inline, without writing converted files or attachment meta.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function preview_conversion( WP_REST_Request $request ) {
+		$temp_source = '';
+		$temp_destination = '';
+
+		try {
+			$attachment_id = (int) $request->get_param( 'id' );
+			$format = $request->get_param( 'format' );
+
+			if ( 'attachment' !== get_post_type( $attachment_id ) || ! wp_attachment_is_image( $attachment_id ) ) {
+				return $this->create_error_response( 'Image attachment not found', 'invalid_attachment', 404 );
+			}
+
+			if ( ! in_array( $format, Settings::get_image_formats(), true ) ) {
+				return $this->create_error_response( "Format {$format} is not enabled", 'format_disabled', 400 );
+			}
+
+			$metadata = wp_get_attachment_metadata( $attachment_id );
+			$metadata = is_array( $metadata ) ? $metadata : [];
+			$size_name = sanitize_key( $request->get_param( 'size' ) );
+			if ( empty( $metadata['sizes'][ $size_name ] ) ) {
+				$size_name = 'full';
+			}
+
+			$relative_path = $this->get_original_relative_path( $metadata, $size_name );
+			$upload_dir = wp_upload_dir();
+			$source_path = $relative_path ? trailingslashit( $upload_dir['basedir'] ) . $relative_path : '';
+			if ( ! $source_path || ! file_exists( $source_path ) || ! $this->image_converter->is_supported_image( $source_path ) ) {
+				return $this->create_error_response( 'Original image file not found', 'file_not_found', 404 );
+			}
+
+			// Convert a temporary copy so the original and its converted files are never touched.
+			$temp_base = trailingslashit( get_temp_dir() ) . 'flux-media-optimizer-preview-' . wp_generate_password( 12, false );
+			$temp_source = $temp_base . '.' . strtolower( pathinfo( $source_path, PATHINFO_EXTENSION ) );
+			$temp_destination = $temp_base . '.' . $format;
+			if ( ! copy( $source_path, $temp_source ) ) {
+				return $this->create_error_response( 'Failed to create temporary copy of the image', 'preview_failed', 500 );
+			}
+
+			$settings = array_merge( Settings::get_image_encoding_settings(), [
+				'image_hybrid_approach' => false,
+			] );
+			foreach ( [ 'webp_quality', 'avif_quality', 'avif_speed' ] as $key ) {
+				if ( null !== $request->get_param( $key ) ) {
+					$settings[ $key ] = $request->get_param( $key );
+				}
+			}
+
+			$started = microtime( true );
+			$results = $this->image_converter->process_image( $temp_source, [ $format => $temp_destination ], $settings );
+			$duration = microtime( true ) - $started;
+
+			if ( empty( $results['success'] ) || ! file_exists( $temp_destination ) ) {
+				$errors = ! empty( $results['errors'] ) ? implode( ', ', $results['errors'] ) : 'Conversion failed';
+				return $this->create_error_response( 'Failed to preview conversion: ' . $errors, 'preview_failed', 500 );
+			}
+
+			$original_size = (int) filesize( $source_path );
+			$preview_size = (int) filesize( $temp_destination );
+			$size_meta = 'full' === $size_name ? $metadata : $metadata['sizes'][ $size_name ];
+
+			return $this->create_success_response( [
+				'attachment_id' => $attachment_id,
+				'format' => $format,
+				'size' => $size_name,
+				'width' => isset( $size_meta['width'] ) ? (int) $size_meta['width'] : null,
+				'height' => isset( $size_meta['height'] ) ? (int) $size_meta['height'] : null,
+				'settings' => array_diff_key( $settings, [ 'image_hybrid_approach' => true ] ),
+				'original' => [
+					'url' => trailingslashit( $upload_dir['baseurl'] ) . $relative_path,
+					'filesize' => $original_size,
+				],
+				'preview' => [
+					'url' => 'data:image/' . $format . ';base64,' . base64_encode( file_get_contents( $temp_destination ) ),
+					'filesize' => $preview_size,
+				],
+				'savings_percentage' => $original_size > 0 ? round( ( ( $original_size - $preview_size ) / $original_size ) * 100, 2 ) : 0,
+				'duration' => round( $duration, 2 ),
+			], 'Conversion preview generated successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to preview conversion: ' . $e->getMessage() );
+		} finally {
+			foreach ( [ $temp_source, $temp_destination ] as $temp_file ) {
+				if ( $temp_file && file_exists( $temp_file ) ) {
+					wp_delete_file( $temp_file );
+				}
+			}
+		}
+	}
+
+	/**
+	 * Save perceptual quality scores computed in the browser for an attachment.
+	 *
+	 * Each format's score is stored with the quality setting it was converted with,
+	 * so scores can be aggregated per quality level.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function save_quality_scores( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'id' );
+
+			if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+				return $this->create_error_response( 'Attachment not found', 'invalid_attachment', 404 );
+			}
+
+			$settings = AttachmentMetaHandler::get_conversion_settings( $attachment_id );
+			$quality_settings = [
+				'webp' => $settings['webp_quality'] ?? null,
+				'avif' => $settings['avif_quality'] ?? null,
+			];
+
+			$formats = [];
+			foreach ( (array) $request->get_param( 'scores' ) as $format => $score ) {
+				if ( ! in_array( $format, ConversionsController::FORMATS, true ) || ! isset( $score['ssim'], $score['psnr'] ) ) {
+					continue;
+				}
+
+				$formats[ $format ] = [
+					'ssim' => round( max( -1, min( 1, (float) $score['ssim'] ) ), 4 ),
+					'psnr' => round( max( 0, min( 100, (float) $score['psnr'] ) ), 2 ),
+					'quality' => isset( $quality_settings[ $format ] ) ? (int) $quality_settings[ $format ] : null,
+				];
+			}
+
+			if ( empty( $formats ) ) {
+				return $this->create_error_response( 'No valid quality scores provided', 'invalid_scores', 400 );
+			}
+
+			$scores = [
+				'size' => sanitize_key( $request->get_param( 'size' ) ),
+				'scored_at' => current_time( 'mysql' ),
+				'formats' => $formats,
+			];
+			AttachmentMetaHandler::set_quality_scores( $attachment_id, $scores );
+
+			return $this->create_success_response( $scores, 'Quality scores saved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to save quality scores: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Resolve the original file of an attachment size.
+	 *
+	 * Prefers the unconverted file in the uploads directory, since attachment URLs are
+	 * filtered to serve converted files. Falls back to the stored original entry.
+	 *
+	 * @since TBD
+	 * @param array  $metadata        Attachment metadata.
+	 * @param string $size_name       Size name.
+	 * @param array  $stored_original Stored original file data (url, filesize).
+	 * @return array Original file data with url and filesize.
+	 */
+	private function get_original_file( $metadata, $size_name, $stored_original ) {
+		$relative_path = $this->get_original_relative_path( $metadata, $size_name );
+
+		if ( $relative_path ) {
+			$upload_dir = wp_upload_dir();
+			$file_path = trailingslashit( $upload_dir['basedir'] ) . $relative_path;
+			if ( file_exists( $file_path ) ) {
+				return [
+					'url' => trailingslashit( $upload_dir['baseurl'] ) . $relative_path,
+					'filesize' => (int) filesize( $file_path ),
+				];
+			}
+		}
+
+		return [
+			'url' => $stored_original['url'] ?? '',
+			'filesize' => (int) ( $stored_original['filesize'] ?? 0 ),
+		];
+	}
+
+	/**
+	 * Get the path of an attachment size's original file relative to the uploads directory.
+	 *
+	 * @since TBD
+	 * @param array  $metadata  Attachment metadata.
+	 * @param string $size_name Size name.
+	 * @return string Relative path, or empty string if the size is unknown.
+	 */
+	private function get_original_relative_path( $metadata, $size_name ) {
+		if ( empty( $metadata['file'] ) ) {
+			return '';
+		}
+
+		if ( 'full' === $size_name ) {
+			return $metadata['file'];
+		}
+
+		if ( ! empty( $metadata['sizes'][ $size_name ]['file'] ) ) {
+			return dirname( $metadata['file'] ) . '/' . $metadata['sizes'][ $size_name ]['file'];
+		}
+
+		return '';
+	}
+
+	/**
+	 * Check if user has permission to manage converted files.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool True if user has permission.
+	 */
+	public function check_permissions( WP_REST_Request $request ) {
+		return current_user_can( 'manage_options' );
+	}
+}
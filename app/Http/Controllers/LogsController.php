@@ -9,6 +9,7 @@
 namespace FluxMedia\App\Http\Controllers;
 
 use FluxMedia\App\Services\LogsService;
+use FluxMedia\App\Services\LogRetentionService;
 use WP_REST_Request;
 use WP_REST_Response;
 
@@ -19,6 +20,20 @@ use WP_REST_Response;
  */
 class LogsController extends BaseController {
 
+	/**
+	 * Columns of log exports, in order.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const EXPORT_COLUMNS = [
+		'id',
+		'level',
+		'message',
+		'context',
+		'created_at',
+	];
+
 	/**
 	 * Logs service instance.
 	 *
@@ -27,14 +42,25 @@ class LogsController extends BaseController {
 	 */
 	private $logs_service;
 
+	/**
+	 * Log retention service instance.
+	 *
+	 * @since TBD
+	 * @var LogRetentionService
+	 */
+	private $log_retention_service;
+
 	/**
 	 * Constructor.
 	 *
 	 * @since 0.1.0
-	 * @param LogsService $logs_service Logs service instance.
+	 * @since TBD Added the log retention service.
+	 * @param LogsService         $logs_service Logs service instance.
+	 * @param LogRetentionService $log_retention_service Log retention service instance.
 	 */
-	public function __construct( LogsService $logs_service ) {
+	public function __construct( LogsService $logs_service, LogRetentionService $log_retention_service ) {
 		$this->logs_service = $logs_service;
+		$this->log_retention_service = $log_retention_service;
 		parent::__construct( new \FluxMedia\App\Services\Logger() );
 	}
 
@@ -49,26 +75,152 @@ class LogsController extends BaseController {
 				'methods' => 'GET',
 				'callback' => [ $this, 'get_logs' ],
 				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => $this->get_filter_args(),
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/logs/stream', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'stream_logs' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => array_merge( $this->get_filter_args(), [
+					'since' => [
+						'type' => 'integer',
+						'description' => 'ID of the last log entry already received, 0 to start at the newest entries',
+						'minimum' => 0,
+						'default' => 0,
+					],
+					'limit' => [
+						'type' => 'integer',
+						'minimum' => 1,
+						'maximum' => 500,
+						'default' => 100,
+					],
+				] ),
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/logs/export', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'export_logs' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => array_merge( $this->get_filter_args(), [
+					'file_format' => [
+						'type' => 'string',
+						'description' => 'Export file format',
+						'enum' => [ 'ndjson', 'csv' ],
+						'default' => 'ndjson',
+					],
+				] ),
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/logs/retention', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_retention' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'run_retention' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
 			],
 		] );
 	}
 
+	/**
+	 * Get the arguments of the log filters shared by the logs and stream routes.
+	 *
+	 * @since TBD
+	 * @return array Route arguments.
+	 */
+	private function get_filter_args() {
+		return [
+			'level' => [
+				'type' => 'string',
+				'description' => 'Log level',
+				'default' => '',
+			],
+			'search' => [
+				'type' => 'string',
+				'description' => 'Text to find in the message or context',
+				'default' => '',
+			],
+			'date_from' => [
+				'type' => 'string',
+				'description' => 'Start date (Y-m-d) of the entries',
+				'pattern' => '^(\d{4}-\d{2}-\d{2})?$',
+				'default' => '',
+			],
+			'date_to' => [
+				'type' => 'string',
+				'description' => 'End date (Y-m-d) of the entries',
+				'pattern' => '^(\d{4}-\d{2}-\d{2})?$',
+				'default' => '',
+			],
+			'attachment_id' => [
+				'type' => 'integer',
+				'description' => 'Attachment ID in the entry context',
+				'minimum' => 0,
+				'default' => 0,
+			],
+			'job_id' => [
+				'type' => 'integer',
+				'description' => 'Action Scheduler job ID in the entry context',
+				'minimum' => 0,
+				'default' => 0,
+			],
+			'processor' => [
+				'type' => 'string',
+				'description' => 'Processor in the entry context',
+				'default' => '',
+			],
+			'format' => [
+				'type' => 'string',
+				'description' => 'Format in the entry context',
+				'default' => '',
+			],
+		];
+	}
+
+	/**
+	 * Get the filters of a logs request.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return array Filter arguments for LogsService.
+	 */
+	private function get_filters( WP_REST_Request $request ) {
+		return [
+			'level' => $request->get_param( 'level' ),
+			'search' => $request->get_param( 'search' ),
+			'date_from' => $request->get_param( 'date_from' ),
+			'date_to' => $request->get_param( 'date_to' ),
+			'attachment_id' => (int) $request->get_param( 'attachment_id' ),
+			'job_id' => (int) $request->get_param( 'job_id' ),
+			'processor' => sanitize_key( (string) $request->get_param( 'processor' ) ),
+			'format' => sanitize_key( (string) $request->get_param( 'format' ) ),
+		];
+	}
+
 	/**
 	 * Get logs.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Added date range, attachment, job, processor and format filters.
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response Response object.
 	 */
 	public function get_logs( WP_REST_Request $request ) {
 		try {
-			$args = [
+			$args = array_merge( $this->get_filters( $request ), [
 				'page' => $request->get_param( 'page' ) ?: 1,
 				'per_page' => $request->get_param( 'per_page' ) ?: 20,
-				'level' => $request->get_param( 'level' ),
-				'search' => $request->get_param( 'search' ),
-			];
-			
+			] );
+
 			$logs = $this->logs_service->get_logs( $args );
 
 			return $this->create_success_response( $logs, 'Logs retrieved successfully' );
@@ -77,6 +229,107 @@ class LogsController extends BaseController {
 		}
 	}
 
+	/**
+	 * Get log entries written after a cursor, polled by the live tail of the Logs page.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function stream_logs( WP_REST_Request $request ) {
+		try {
+			$logs = $this->logs_service->get_logs_since( (int) $request->get_param( 'since' ), array_merge( $this->get_filters( $request ), [
+				'limit' => (int) $request->get_param( 'limit' ),
+			] ) );
+
+			return $this->create_success_response( $logs, 'Logs retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve logs: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Stream the log entries matching the filters as an NDJSON or CSV download.
+	 *
+	 * Entries are written oldest first as they are read, so large logs are never held
+	 * in memory. Lets site owners hand logs over in support tickets without database access.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return void
+	 */
+	public function export_logs( WP_REST_Request $request ) {
+		$file_format = $request->get_param( 'file_format' );
+		$filters = $this->get_filters( $request );
+
+		// Discard buffered output so the download only contains the log.
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( 'csv' === $file_format ? 'text/csv' : 'application/x-ndjson' ) . '; charset=' . get_option( 'blog_charset' ) );
+		header( 'Content-Disposition: attachment; filename="' . sprintf( 'flux-media-optimizer-logs-%s.%s', gmdate( 'Y-m-d-His' ), $file_format ) . '"' );
+
+		$output = fopen( 'php://output', 'w' );
+
+		if ( 'csv' === $file_format ) {
+			fputcsv( $output, self::EXPORT_COLUMNS );
+		}
+
+		$written = 0;
+		foreach ( $this->logs_service->iterate_logs( $filters ) as $log ) {
+			if ( 'csv' === $file_format ) {
+				$log['context'] = null !== $log['context'] ? wp_json_encode( $log['context'] ) : '';
+				fputcsv( $output, array_map( [ $this, 'escape_csv_value' ], array_values( $log ) ) );
+			} else {
+				$log['id'] = (int) $log['id'];
+				fwrite( $output, wp_json_encode( $log ) . "\n" );
+			}
+
+			// Send entries to the client in batches instead of buffering the whole log.
+			if ( 0 === ++$written % 500 ) {
+				fflush( $output );
+				flush();
+			}
+		}
+
+		fclose( $output );
+		exit;
+	}
+
+	/**
+	 * Get the log retention policy, the size of the log and the last and next runs.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_retention( WP_REST_Request $request ) {
+		try {
+			return $this->create_success_response( $this->log_retention_service->get_state(), 'Log retention retrieved successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to retrieve log retention: ' . $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Apply the log retention policy now instead of waiting for the scheduled job.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function run_retention( WP_REST_Request $request ) {
+		try {
+			$this->log_retention_service->enforce();
+
+			return $this->create_success_response( $this->log_retention_service->get_state(), 'Log retention applied successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to apply log retention: ' . $e->getMessage() );
+		}
+	}
+
 	/**
 	 * Check if user has permission to access logs.
 	 *
@@ -9,6 +9,7 @@
 namespace FluxMedia\App\Http\Controllers;
 
 use FluxMedia\App\Services\Settings;
+use FluxMedia\App\Services\ConversionPolicy;
 use FluxMedia\App\Services\ExternalApiClient;
 use FluxMedia\App\Services\LicenseValidationCache;
 use WP_REST_Request;
@@ -46,6 +47,7 @@ class OptionsController extends BaseController {
 	 * @since 0.1.0
 	 * @since 2.0.5 Added sanitization and validation callbacks.
 	 * @since 3.0.0 Added separate license activation and validation endpoints.
+	 * @since TBD Added the conversion rules test endpoint.
 	 */
 	public function register_routes() {
 		register_rest_route( 'flux-media-optimizer/v1', '/options', [
@@ -70,6 +72,26 @@ class OptionsController extends BaseController {
 			],
 		] );
 
+		register_rest_route( 'flux-media-optimizer/v1', '/options/rules/test', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'test_conversion_rules' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+				'args' => [
+					'attachment_id' => [
+						'required' => true,
+						'type' => 'integer',
+						'description' => 'Attachment ID to test the rules against',
+						'minimum' => 1,
+					],
+					'rules' => [
+						'type' => 'array',
+						'description' => 'Unsaved rules to test, defaults to the saved rules',
+					],
+				],
+			],
+		] );
+
 		register_rest_route( 'flux-media-optimizer/v1', '/license', [
 			[
 				'methods' => 'GET',
@@ -191,6 +213,33 @@ class OptionsController extends BaseController {
 		}
 	}
 
+	/**
+	 * Test conversion rules against an attachment.
+	 *
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function test_conversion_rules( WP_REST_Request $request ) {
+		try {
+			$attachment_id = (int) $request->get_param( 'attachment_id' );
+			if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+				return $this->create_error_response( 'Attachment not found', 'invalid_attachment', 404 );
+			}
+
+			$rules = $request->get_param( 'rules' );
+			$rules = null === $rules ? Settings::get_conversion_rules() : ConversionPolicy::sanitize_rules( $rules );
+
+			$result = ConversionPolicy::explain( $attachment_id, $rules );
+			$result['attachment_id'] = $attachment_id;
+			$result['title'] = get_the_title( $attachment_id );
+
+			return $this->create_success_response( $result, 'Conversion rules tested successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to test conversion rules: ' . $e->getMessage() );
+		}
+	}
+
 	/**
 	 * Get license information.
 	 *
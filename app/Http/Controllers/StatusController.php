@@ -8,11 +8,9 @@
 
 namespace FluxMedia\App\Http\Controllers;
 
-use FluxMedia\App\Services\FormatSupportDetector;
-use FluxMedia\App\Services\ProcessorDetector;
-use FluxMedia\App\Services\ProcessorTypes;
-
-use FluxMedia\App\Services\Converter;
+use FluxMedia\App\Services\DiagnosticsService;
+use FluxMedia\App\Services\SystemStatus;
+use FluxMedia\App\Services\TestEncodeService;
 use WP_REST_Request;
 use WP_REST_Response;
 
@@ -24,31 +22,42 @@ use WP_REST_Response;
 class StatusController extends BaseController {
 
 	/**
-	 * Format support detector instance.
+	 * System status instance.
 	 *
-	 * @since 0.1.0
-	 * @var FormatSupportDetector
+	 * @since TBD
+	 * @var SystemStatus
 	 */
-	private $format_detector;
+	private $system_status;
 
 	/**
-	 * Processor detector instance.
+	 * Diagnostics service instance.
 	 *
-	 * @since 0.1.0
-	 * @var ProcessorDetector
+	 * @since TBD
+	 * @var DiagnosticsService
+	 */
+	private $diagnostics_service;
+
+	/**
+	 * Test encode service instance.
+	 *
+	 * @since TBD
+	 * @var TestEncodeService
 	 */
-	private $processor_detector;
+	private $test_encode_service;
 
 	/**
 	 * Constructor.
 	 *
 	 * @since 2.0.1
-	 * @param FormatSupportDetector $format_detector Format support detector.
-	 * @param ProcessorDetector     $processor_detector Processor detector.
+	 * @since TBD Takes the system status, built by the SystemStatus service, the diagnostics service and the test encode service.
+	 * @param SystemStatus       $system_status System status instance.
+	 * @param DiagnosticsService $diagnostics_service Diagnostics service instance.
+	 * @param TestEncodeService  $test_encode_service Test encode service instance.
 	 */
-	public function __construct( FormatSupportDetector $format_detector, ProcessorDetector $processor_detector ) {
-		$this->format_detector = $format_detector;
-		$this->processor_detector = $processor_detector;
+	public function __construct( SystemStatus $system_status, DiagnosticsService $diagnostics_service, TestEncodeService $test_encode_service ) {
+		$this->system_status = $system_status;
+		$this->diagnostics_service = $diagnostics_service;
+		$this->test_encode_service = $test_encode_service;
 		parent::__construct( new \FluxMedia\App\Services\Logger() );
 	}
 
@@ -56,6 +65,7 @@ class StatusController extends BaseController {
 	 * Register REST API routes.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Registers the diagnostics download and self-test routes.
 	 */
 	public function register_routes() {
 		register_rest_route( 'flux-media-optimizer/v1', '/status', [
@@ -66,6 +76,21 @@ class StatusController extends BaseController {
 			],
 		] );
 
+		register_rest_route( 'flux-media-optimizer/v1', '/status/diagnostics', [
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'download_diagnostics' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
+
+		register_rest_route( 'flux-media-optimizer/v1', '/status/self-test', [
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'run_self_test' ],
+				'permission_callback' => [ $this, 'check_permissions' ],
+			],
+		] );
 	}
 
 	/**
@@ -77,15 +102,7 @@ class StatusController extends BaseController {
 	 */
 	public function get_status( WP_REST_Request $request ) {
 		try {
-			$status = [
-				'imageProcessor' => $this->get_image_processor_status(),
-				'videoProcessor' => $this->get_video_processor_status(),
-				'phpVersion' => PHP_VERSION,
-				'memoryLimit' => ini_get( 'memory_limit' ),
-				'maxExecutionTime' => ini_get( 'max_execution_time' ),
-				'uploadMaxFilesize' => ini_get( 'upload_max_filesize' ),
-				'postMaxSize' => ini_get( 'post_max_size' ),
-			];
+			$status = $this->system_status->get_status();
 
 			return $this->create_success_response( $status, 'System status retrieved successfully' );
 		} catch ( \Exception $e ) {
@@ -94,152 +111,47 @@ class StatusController extends BaseController {
 	}
 
 	/**
-	 * Get image processor status.
+	 * Encode the sample files with every processor to every format.
 	 *
-	 * @since 0.1.0
-	 * @return array Image processor status.
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response Response object.
 	 */
-	private function get_image_processor_status() {
-		$available_processors = $this->processor_detector->get_available_image_processors();
-		$format_support_info = $this->format_detector->get_format_support_info();
-
-		// Build detailed processor information
-		$processors = [];
-		foreach ( $available_processors as $type => $processor_info ) {
-			$processors[ $type ] = [
-				'available' => $processor_info['available'],
-				'type' => $processor_info['type'],
-				'version' => $processor_info['version'],
-				'webp_support' => $processor_info['webp_support'] ?? false,
-				'avif_support' => $processor_info['avif_support'] ?? false,
-				'animated_gif_support' => $processor_info['animated_gif_support'] ?? false,
-			];
-		}
-		
-		// Determine which processor handles each format (best available)
-		$format_processors = [
-			Converter::FORMAT_WEBP => $this->get_best_processor_for_format( Converter::FORMAT_WEBP, $available_processors ),
-			Converter::FORMAT_AVIF => $this->get_best_processor_for_format( Converter::FORMAT_AVIF, $available_processors ),
-		];
-		
-		// Filter format_support_details to only include image formats
-		$image_format_details = [
-			Converter::FORMAT_WEBP => $format_support_info[ Converter::FORMAT_WEBP ] ?? [],
-			Converter::FORMAT_AVIF => $format_support_info[ Converter::FORMAT_AVIF ] ?? [],
-		];
-		
-		return [
-			'available' => ! empty( $available_processors ),
-			'webp_support' => $format_support_info[ Converter::FORMAT_WEBP ]['supported'] ?? false,
-			'avif_support' => $format_support_info[ Converter::FORMAT_AVIF ]['supported'] ?? false,
-			'processors' => $processors,
-			'format_processors' => $format_processors,
-			'format_support_details' => $image_format_details,
-		];
-	}
+	public function run_self_test( WP_REST_Request $request ) {
+		try {
+			$run = $this->test_encode_service->run();
 
-	/**
-	 * Get video processor status.
-	 *
-	 * @since 0.1.0
-	 * @return array Video processor status.
-	 */
-	private function get_video_processor_status() {
-		$available_processors = $this->processor_detector->get_available_video_processors();
-		$format_support_info = $this->format_detector->get_format_support_info();
-		
-		// Build detailed processor information
-		$processors = [];
-		foreach ( $available_processors as $type => $processor_info ) {
-			$processors[ $type ] = [
-				'available' => $processor_info['available'],
-				'type' => $processor_info['type'],
-				'version' => $processor_info['version'],
-				'av1_support' => $processor_info['av1_support'] ?? false,
-				'webm_support' => $processor_info['webm_support'] ?? false,
-			];
+			return $this->create_success_response( $run, 'Self-test completed successfully' );
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to run self-test: ' . $e->getMessage() );
 		}
-		
-		// Determine which processor handles each format (best available)
-		$format_processors = [
-			Converter::FORMAT_AV1 => $this->get_best_video_processor_for_format( Converter::FORMAT_AV1, $available_processors ),
-			Converter::FORMAT_WEBM => $this->get_best_video_processor_for_format( Converter::FORMAT_WEBM, $available_processors ),
-		];
-		
-		// Filter format_support_details to only include video formats
-		$video_format_details = [
-			Converter::FORMAT_AV1 => $format_support_info[ Converter::FORMAT_AV1 ] ?? [],
-			Converter::FORMAT_WEBM => $format_support_info[ Converter::FORMAT_WEBM ] ?? [],
-		];
-		
-		return [
-			'available' => ! empty( $available_processors ),
-			'av1_support' => $format_support_info[ Converter::FORMAT_AV1 ]['supported'] ?? false,
-			'webm_support' => $format_support_info[ Converter::FORMAT_WEBM ]['supported'] ?? false,
-			'processors' => $processors,
-			'format_processors' => $format_processors,
-			'format_support_details' => $video_format_details,
-		];
 	}
 
 	/**
-	 * Get the best processor for a specific format.
+	 * Download the diagnostics report as a JSON file.
 	 *
-	 * @since 0.1.0
-	 * @param string $format Target format constant.
-	 * @param array  $available_processors Available processors.
-	 * @return string|null Best processor type or null if none available.
+	 * @since TBD
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|void Error response, or exits after sending the file.
 	 */
-	private function get_best_processor_for_format( $format, $available_processors ) {
-		// Prefer Imagick for better quality and more features
-		if ( isset( $available_processors[ ProcessorTypes::IMAGE_IMAGICK ] ) ) {
-			$processor_info = $available_processors[ ProcessorTypes::IMAGE_IMAGICK ];
-			
-			if ( Converter::FORMAT_WEBP === $format && ( $processor_info['webp_support'] ?? false ) ) {
-				return ProcessorTypes::IMAGE_IMAGICK;
-			}
-			if ( Converter::FORMAT_AVIF === $format && ( $processor_info['avif_support'] ?? false ) ) {
-				return ProcessorTypes::IMAGE_IMAGICK;
-			}
-		}
-		
-		// Fallback to GD
-		if ( isset( $available_processors[ ProcessorTypes::IMAGE_GD ] ) ) {
-			$processor_info = $available_processors[ ProcessorTypes::IMAGE_GD ];
-			
-			if ( Converter::FORMAT_WEBP === $format && ( $processor_info['webp_support'] ?? false ) ) {
-				return ProcessorTypes::IMAGE_GD;
-			}
-			if ( Converter::FORMAT_AVIF === $format && ( $processor_info['avif_support'] ?? false ) ) {
-				return ProcessorTypes::IMAGE_GD;
-			}
+	public function download_diagnostics( WP_REST_Request $request ) {
+		try {
+			$report = $this->diagnostics_service->generate();
+		} catch ( \Exception $e ) {
+			return $this->create_error_response( 'Failed to generate diagnostics: ' . $e->getMessage() );
 		}
 
-		return null;
-	}
-
-	/**
-	 * Get the best video processor for a specific format.
-	 *
-	 * @since 0.1.0
-	 * @param string $format Target format constant.
-	 * @param array  $available_processors Available processors.
-	 * @return string|null Best processor type or null if none available.
-	 */
-	private function get_best_video_processor_for_format( $format, $available_processors ) {
-		// FFmpeg is the only video processor we support
-		if ( isset( $available_processors[ ProcessorTypes::VIDEO_FFMPEG ] ) ) {
-			$processor_info = $available_processors[ ProcessorTypes::VIDEO_FFMPEG ];
-			
-			if ( Converter::FORMAT_AV1 === $format && ( $processor_info['av1_support'] ?? false ) ) {
-				return ProcessorTypes::VIDEO_FFMPEG;
-			}
-			if ( Converter::FORMAT_WEBM === $format && ( $processor_info['webm_support'] ?? false ) ) {
-				return ProcessorTypes::VIDEO_FFMPEG;
-			}
+		// Discard buffered output so the download only contains the report.
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
 		}
 
-		return null;
+		nocache_headers();
+		header( 'Content-Type: application/json; charset=' . get_option( 'blog_charset' ) );
+		header( 'Content-Disposition: attachment; filename="' . sprintf( 'flux-media-optimizer-diagnostics-%s.json', gmdate( 'Y-m-d-His' ) ) . '"' );
+
+		echo wp_json_encode( $report, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES );
+		exit;
 	}
 
 	/**
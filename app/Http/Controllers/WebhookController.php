@@ -9,8 +9,10 @@
 namespace FluxMedia\App\Http\Controllers;
 
 use FluxMedia\App\Services\AttachmentMetaHandler;
+use FluxMedia\App\Services\ConversionHistory;
 use FluxMedia\App\Services\ConversionTracker;
 use FluxMedia\App\Services\Logger;
+use FluxMedia\App\Services\ProcessorTypes;
 use FluxMedia\FluxPlugins\Common\Account\AccountIdService;
 use WP_REST_Request;
 use WP_REST_Response;
@@ -75,6 +77,7 @@ class WebhookController extends BaseController {
 	 * }
 	 *
 	 * @since 3.0.0
+	 * @since TBD Records the result in the conversion history.
 	 * @param WP_REST_Request $request Request object.
 	 * @return WP_REST_Response Response object.
 	 */
@@ -201,7 +204,7 @@ class WebhookController extends BaseController {
 
 							$filesize = (int) $data['filesize'];
 							if ( $filesize > 0 && $original_size > 0 ) {
-								$conversion_tracker->record_conversion( $attachment_id, $format, $original_size, $filesize, $size_name );
+								$conversion_tracker->record_conversion( $attachment_id, $format, $original_size, $filesize, $size_name, ProcessorTypes::EXTERNAL );
 							}
 						}
 					}
@@ -220,6 +223,24 @@ class WebhookController extends BaseController {
 			$this->logger->error( "Job failed for attachment {$attachment_id}. No CDN URLs provided in webhook." );
 		}
 
+		// Record the attempt, attributed to whoever submitted the job when known.
+		ConversionHistory::set_trigger( ConversionHistory::TRIGGER_EXTERNAL );
+		$mimetype = (string) get_post_mime_type( $attachment_id );
+		$outputs = 'completed' === $status ? ConversionHistory::get_outputs( $attachment_id ) : [];
+		$formats = [];
+		foreach ( $outputs as $size_formats ) {
+			$formats = array_merge( $formats, array_diff( array_keys( $size_formats ), [ 'original' ] ) );
+		}
+		ConversionHistory::record( $attachment_id, [
+			'type' => strpos( $mimetype, 'image/' ) === 0 ? 'image' : ( strpos( $mimetype, 'video/' ) === 0 ? 'video' : 'other' ),
+			'success' => 'completed' === $status,
+			'error' => 'completed' === $status ? '' : __( 'External service returned no converted files', 'flux-media-optimizer' ),
+			'external' => true,
+			'processors' => array_fill_keys( array_unique( $formats ), ProcessorTypes::EXTERNAL ),
+			'settings' => [ 'formats' => array_values( array_unique( $formats ) ) ],
+			'outputs' => $outputs,
+		] );
+
 		return $this->create_success_response( null, 'Webhook processed successfully', 200 );
 	}
 
@@ -21,7 +21,11 @@ use FluxMedia\App\Http\Controllers\OptionsController;
 use FluxMedia\App\Http\Controllers\StatusController;
 use FluxMedia\App\Http\Controllers\ConversionsController;
 use FluxMedia\App\Http\Controllers\LogsController;
+use FluxMedia\App\Http\Controllers\FilesController;
+use FluxMedia\App\Http\Controllers\CleanupController;
 use FluxMedia\App\Http\Controllers\WebhookController;
+use FluxMedia\App\Http\Controllers\EditorController;
+use FluxMedia\App\Http\Controllers\FailuresController;
 use FluxMedia\App\Services\ExternalOptimizationProvider;
 use FluxMedia\App\Services\ConversionTracker;
 use FluxMedia\App\Services\LogsService;
@@ -30,6 +34,15 @@ use FluxMedia\App\Services\LicenseValidationCache;
 use FluxMedia\App\Services\MediaProcessingServiceLocator;
 use FluxMedia\App\Services\BulkConverter;
 use FluxMedia\App\Services\ActionSchedulerService;
+use FluxMedia\App\Services\MediaLibraryService;
+use FluxMedia\App\Services\FailedConversionService;
+use FluxMedia\App\Services\BlockEditorService;
+use FluxMedia\App\Services\VideoPosterService;
+use FluxMedia\App\Services\LogRetentionService;
+use FluxMedia\App\Services\SystemStatus;
+use FluxMedia\App\Services\DiagnosticsService;
+use FluxMedia\App\Services\TestEncodeService;
+use FluxMedia\App\Services\WordPressVideoRenderer;
 use FluxMedia\App\Services\ExternalApiClient;
 
 /**
@@ -79,6 +92,62 @@ class Plugin {
      */
     private $video_converter;
 
+    /**
+     * Action Scheduler service instance.
+     *
+     * @since TBD
+     * @var ActionSchedulerService
+     */
+    private $action_scheduler_service;
+
+    /**
+     * Bulk converter instance.
+     *
+     * @since TBD
+     * @var BulkConverter
+     */
+    private $bulk_converter;
+
+    /**
+     * Media Library service instance.
+     *
+     * @since TBD
+     * @var MediaLibraryService
+     */
+    private $media_library_service;
+
+    /**
+     * Failed conversion service instance.
+     *
+     * @since TBD
+     * @var FailedConversionService
+     */
+    private $failed_conversion_service;
+
+    /**
+     * Block editor service instance.
+     *
+     * @since TBD
+     * @var BlockEditorService
+     */
+    private $block_editor_service;
+
+    /**
+     * Video poster service instance.
+     *
+     * @since TBD
+     * @var VideoPosterService
+     */
+    private $video_poster_service;
+
+    /**
+     * Log retention service instance.
+     *
+     * @since TBD
+     * @var LogRetentionService
+     */
+    private $log_retention_service;
+
     /**
      * Initialize the plugin.
      *
@@ -120,16 +189,33 @@ class Plugin {
             $this->logger,
             $this->wordpress_provider
         );
-        $bulk_converter = new BulkConverter( $this->logger, $service_locator, $conversion_tracker );
+        $this->bulk_converter = new BulkConverter( $this->logger, $service_locator, $conversion_tracker );
         $service_locator->init();
         $this->wordpress_provider->set_service_locator( $service_locator );
         
         // Initialize Action Scheduler service on 'init' hook after Action Scheduler is ready.
         // Action Scheduler initializes on 'init' priority 1, so we hook in after that.
         // @since 3.0.3
-        $action_scheduler_service = new ActionSchedulerService( $this->logger, $service_locator, $bulk_converter );
-        add_action( 'init', [ $action_scheduler_service, 'init' ], 10 );
-        $this->wordpress_provider->set_action_scheduler_service( $action_scheduler_service );
+        $this->action_scheduler_service = new ActionSchedulerService( $this->logger, $service_locator, $this->bulk_converter );
+        add_action( 'init', [ $this->action_scheduler_service, 'init' ], 10 );
+        $this->wordpress_provider->set_action_scheduler_service( $this->action_scheduler_service );
+
+        // Media Library status column, row actions and bulk actions.
+        $this->media_library_service = new MediaLibraryService( $conversion_tracker, $this->action_scheduler_service, $service_locator );
+
+        // Failed view grouping failures by cause, with retry and skip.
+        $this->failed_conversion_service = new FailedConversionService( $this->action_scheduler_service, $this->media_library_service );
+
+        // Block editor Media Optimization sidebar and optimized video block.
+        $this->block_editor_service = new BlockEditorService( $this->media_library_service, new WordPressVideoRenderer() );
+
+        // Video poster extraction after conversion and from the editor and attachment screen.
+        $this->video_poster_service = new VideoPosterService( $this->video_converter, $this->action_scheduler_service, $this->logger );
+        $this->video_converter->set_poster_service( $this->video_poster_service );
+
+        // Scheduled deletion of log entries outside the retention policy.
+        $this->log_retention_service = new LogRetentionService( new LogsService(), $this->logger );
+        $this->log_retention_service->init();
         
         // Initialize WordPress provider (registers hooks)
         $this->wordpress_provider->init();
@@ -152,12 +238,13 @@ class Plugin {
     private function init_admin() {
         $admin_controller = new AdminController( $this->settings );
         $admin_controller->init();
-        
-        // Initialize AJAX handlers using WordPressProvider
-        $this->init_ajax_handlers();
+        $this->media_library_service->init();
+        $this->block_editor_service->init();
+        $this->video_poster_service->init();
         
         // Enqueue admin scripts
         add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_admin_scripts' ] );
+        add_action( 'wp_enqueue_media', [ $this, 'enqueue_media_scripts' ] );
         
         // Initialize license validation check
         add_action( 'admin_init', [ $this, 'check_license_validity' ] );
@@ -207,13 +294,24 @@ class Plugin {
 
         // Register controllers
         $options_controller = new OptionsController( $this->settings );
-        $status_controller = new StatusController( $format_detector, $processor_detector );
-        $conversions_controller = new ConversionsController( $conversion_tracker );
-        $logs_controller = new LogsController( $logs_service );
+        $system_status = new SystemStatus( $format_detector, $processor_detector );
+        $test_encode_service = new TestEncodeService( $this->image_converter, $this->logger );
+        $diagnostics_service = new DiagnosticsService( $system_status, $logs_service, $this->action_scheduler_service, $test_encode_service );
+        $status_controller = new StatusController( $system_status, $diagnostics_service, $test_encode_service );
+        $conversions_controller = new ConversionsController( $conversion_tracker, $this->action_scheduler_service, $this->bulk_converter, $this->media_library_service );
+        $logs_controller = new LogsController( $logs_service, $this->log_retention_service );
+        $files_controller = new FilesController( $conversion_tracker, $this->image_converter );
+        $cleanup_controller = new CleanupController( $this->video_converter, $logs_service, $conversion_tracker );
+        $editor_controller = new EditorController( $this->block_editor_service, $this->media_library_service, $this->video_poster_service );
+        $failures_controller = new FailuresController( $this->failed_conversion_service );
         $options_controller->register_routes();
         $status_controller->register_routes();
         $conversions_controller->register_routes();
         $logs_controller->register_routes();
+        $files_controller->register_routes();
+        $cleanup_controller->register_routes();
+        $editor_controller->register_routes();
+        $failures_controller->register_routes();
         
         // Register webhook controller if external service is enabled
         if ( Settings::is_external_service_enabled() ) {
@@ -272,23 +370,11 @@ class Plugin {
         return $this->video_converter;
     }
 
-    /**
-     * Initialize AJAX handlers for attachment actions.
-     *
-     * @since 0.1.0
-     * @return void
-     */
-    private function init_ajax_handlers() {
-        // AJAX handlers for logged-in users
-        add_action( 'wp_ajax_flux_media_optimizer_convert_attachment', [ $this->wordpress_provider, 'handle_ajax_convert_attachment' ] );
-        add_action( 'wp_ajax_flux_media_optimizer_disable_conversion', [ $this->wordpress_provider, 'handle_ajax_disable_conversion' ] );
-        add_action( 'wp_ajax_flux_media_optimizer_enable_conversion', [ $this->wordpress_provider, 'handle_ajax_enable_conversion' ] );
-    }
-
     /**
      * Enqueue admin scripts.
      *
      * @since 0.1.0
+     * @since TBD Moved enqueueing to enqueue_attachment_scripts().
      * @param string $hook Current admin page hook.
      * @return void
      */
@@ -304,21 +390,46 @@ class Plugin {
             return;
         }
 
+        $this->enqueue_attachment_scripts();
+    }
+
+    /**
+     * Enqueue attachment scripts wherever the media modal is used.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function enqueue_media_scripts() {
+        if ( current_user_can( 'manage_options' ) ) {
+            $this->enqueue_attachment_scripts();
+        }
+    }
+
+    /**
+     * Enqueue the attachment script, which includes the Media Library integration.
+     *
+     * @since TBD
+     * @return void
+     */
+    private function enqueue_attachment_scripts() {
+        if ( wp_script_is( 'flux-media-optimizer-attachment', 'enqueued' ) ) {
+            return;
+        }
+
         // Enqueue attachment-specific JavaScript
         wp_enqueue_script(
             'flux-media-optimizer-attachment',
             plugin_dir_url( dirname( __FILE__ ) ) . 'assets/js/dist/attachment.bundle.js',
-            [],
+            [ 'wp-hooks' ],
             FLUX_MEDIA_OPTIMIZER_VERSION,
             true
         );
 
         // Localize script with admin data
         wp_localize_script( 'flux-media-optimizer-attachment', 'fluxMediaAdmin', [
-            'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-            'convertNonce' => wp_create_nonce( 'flux_media_optimizer_convert_attachment' ),
-            'disableNonce' => wp_create_nonce( 'flux_media_optimizer_disable_conversion' ),
-            'enableNonce' => wp_create_nonce( 'flux_media_optimizer_enable_conversion' ),
+            'apiUrl' => rest_url( 'flux-media-optimizer/v1/' ),
+            'nonce' => wp_create_nonce( 'wp_rest' ),
+            'compareUrl' => admin_url( 'admin.php?page=flux-media-optimizer#/compare/' ),
         ] );
     }
 
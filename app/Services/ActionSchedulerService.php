@@ -21,6 +21,38 @@ use FluxMedia\App\Services\Settings;
  */
 class ActionSchedulerService {
 
+	/**
+	 * Option name for the current bulk conversion run.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const BULK_RUN_OPTION = 'flux_media_optimizer_bulk_run';
+
+	/**
+	 * Action Scheduler group of the conversion jobs scheduled by a bulk run.
+	 *
+	 * Keeps them apart from upload and single attachment conversions, so pausing
+	 * the run cancels only its own jobs.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const BULK_RUN_GROUP = 'flux-media-optimizer-bulk-run';
+
+	/**
+	 * Map of Action Scheduler statuses to conversion job statuses.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const JOB_STATUSES = [
+		\ActionScheduler_Store::STATUS_PENDING  => 'pending',
+		\ActionScheduler_Store::STATUS_RUNNING  => 'running',
+		\ActionScheduler_Store::STATUS_COMPLETE => 'completed',
+		\ActionScheduler_Store::STATUS_FAILED   => 'failed',
+	];
+
 	/**
 	 * Logger instance.
 	 *
@@ -45,6 +77,14 @@ class ActionSchedulerService {
 	 */
 	private $bulk_converter;
 
+	/**
+	 * ID of the Action Scheduler action being executed.
+	 *
+	 * @since TBD
+	 * @var int
+	 */
+	private $current_action_id = 0;
+
 	/**
 	 * Constructor.
 	 *
@@ -88,6 +128,8 @@ class ActionSchedulerService {
 	 * Register Action Scheduler action hooks.
 	 *
 	 * @since 3.0.0
+	 * @since TBD Records failed conversion jobs in the conversion history.
+	 * @since TBD Tracks the executing action to tag conversion logs with the job ID.
 	 * @return void
 	 */
 	private function register_action_hooks() {
@@ -96,6 +138,98 @@ class ActionSchedulerService {
 
 		// Register single attachment conversion action
 		add_action( 'flux_media_optimizer_convert_attachment', [ $this, 'handle_convert_attachment_action' ], 10, 1 );
+
+		// Register bulk run batch action
+		add_action( 'flux_media_optimizer_bulk_run_batch', [ $this, 'handle_bulk_run_batch_action' ] );
+
+		// Record conversion jobs that failed outside the conversion, e.g. timeouts and fatal errors
+		add_action( 'action_scheduler_failed_execution', [ $this, 'handle_failed_execution' ], 10, 2 );
+		add_action( 'action_scheduler_failed_action', [ $this, 'handle_timed_out_action' ], 10, 2 );
+		add_action( 'action_scheduler_unexpected_shutdown', [ $this, 'handle_unexpected_shutdown' ], 10, 2 );
+
+		// Remember the executing action so the logs of a conversion job carry its ID
+		add_action( 'action_scheduler_before_execute', [ $this, 'handle_before_execute' ], 10, 1 );
+	}
+
+	/**
+	 * Remember the ID of the action about to be executed.
+	 *
+	 * @since TBD
+	 * @param int $action_id Action Scheduler action ID.
+	 * @return void
+	 */
+	public function handle_before_execute( $action_id ) {
+		$this->current_action_id = (int) $action_id;
+	}
+
+	/**
+	 * Record a conversion job that threw an exception.
+	 *
+	 * @since TBD
+	 * @param int        $action_id Action Scheduler action ID.
+	 * @param \Exception $exception Exception thrown by the job.
+	 * @return void
+	 */
+	public function handle_failed_execution( $action_id, $exception ) {
+		$this->record_failed_conversion_job( $action_id, $exception instanceof \Throwable ? $exception->getMessage() : '' );
+	}
+
+	/**
+	 * Record a conversion job that exceeded the Action Scheduler time limit.
+	 *
+	 * @since TBD
+	 * @param int $action_id Action Scheduler action ID.
+	 * @param int $timeout   Time limit in seconds.
+	 * @return void
+	 */
+	public function handle_timed_out_action( $action_id, $timeout ) {
+		/* translators: %d: time limit in seconds */
+		$this->record_failed_conversion_job( $action_id, sprintf( __( 'Conversion timed out after %d seconds', 'flux-media-optimizer' ), (int) $timeout ) );
+	}
+
+	/**
+	 * Record a conversion job that ended the request with a fatal error.
+	 *
+	 * @since TBD
+	 * @param int   $action_id Action Scheduler action ID.
+	 * @param array $error     Last PHP error, as returned by error_get_last().
+	 * @return void
+	 */
+	public function handle_unexpected_shutdown( $action_id, $error ) {
+		$this->record_failed_conversion_job( $action_id, is_array( $error ) ? ( $error['message'] ?? '' ) : '' );
+	}
+
+	/**
+	 * Record a failed conversion job in the conversion history of its attachment.
+	 *
+	 * Jobs of other hooks are ignored.
+	 *
+	 * @since TBD
+	 * @param int    $action_id Action Scheduler action ID.
+	 * @param string $error     Error message.
+	 * @return void
+	 */
+	private function record_failed_conversion_job( $action_id, $error ) {
+		$action = \ActionScheduler_Store::instance()->fetch_action( $action_id );
+		if ( ! $action || 'flux_media_optimizer_convert_attachment' !== $action->get_hook() ) {
+			return;
+		}
+
+		$attachment_id = (int) ( $action->get_args()['attachment_id'] ?? 0 );
+		if ( ! $attachment_id ) {
+			return;
+		}
+
+		$this->logger->error( "Conversion job {$action_id} failed for attachment {$attachment_id}: {$error}", [
+			'job_id' => (int) $action_id,
+			'attachment_id' => $attachment_id,
+		] );
+
+		ConversionHistory::record( $attachment_id, [
+			'type' => wp_attachment_is( 'video', $attachment_id ) ? 'video' : ( wp_attachment_is_image( $attachment_id ) ? 'image' : 'other' ),
+			'success' => false,
+			'error' => $error ?: __( 'Conversion job failed', 'flux-media-optimizer' ),
+		] );
 	}
 
 	/**
@@ -149,11 +283,13 @@ class ActionSchedulerService {
 	 * @since 3.0.4 Removed redundant Action Scheduler initialization check since
 	 *              this method is only called after Action Scheduler is initialized.
 	 * @since 4.0.0 Added $time parameter to allow scheduling with specific time.
-	 * @param int $attachment_id Attachment ID to convert.
-	 * @param int $time          Unix timestamp when the action should run.
+	 * @since TBD Added $group parameter to schedule bulk run jobs in their own group.
+	 * @param int    $attachment_id Attachment ID to convert.
+	 * @param int    $time          Unix timestamp when the action should run.
+	 * @param string $group         Action Scheduler group.
 	 * @return int|false Action ID on success, false on failure.
 	 */
-	public function schedule_attachment_conversion( $attachment_id, $time ) {
+	public function schedule_attachment_conversion( $attachment_id, $time, $group = 'flux-media-optimizer' ) {
 		// Check if action is already scheduled for this attachment.
 		$next_scheduled = as_next_scheduled_action( 'flux_media_optimizer_convert_attachment', [ 'attachment_id' => $attachment_id ] );
 		
@@ -167,7 +303,7 @@ class ActionSchedulerService {
 			$time,
 			'flux_media_optimizer_convert_attachment',
 			[ 'attachment_id' => $attachment_id ],
-			'flux-media-optimizer'
+			$group
 		);
 
 		if ( $action_id ) {
@@ -193,6 +329,613 @@ class ActionSchedulerService {
 		$this->logger->debug( "Cancelled scheduled conversion action for attachment {$attachment_id}" );
 	}
 
+	/**
+	 * Start a bulk conversion run for media matching the given filters.
+	 *
+	 * The run is stored in an option and advanced in batches by the
+	 * flux_media_optimizer_bulk_run_batch action, so it keeps going without
+	 * the admin page open and can be paused and resumed. Unlike the recurring
+	 * discovery action it does not depend on the bulk conversion setting.
+	 *
+	 * Formats limit the conversion of each attachment to those formats, through a
+	 * settings override for its next conversion. Attachments none of the formats
+	 * apply to, e.g. videos when only image formats are given, are skipped.
+	 *
+	 * @since TBD
+	 * @param array $filters    Filters accepted by BulkConverter::find_unconverted_media().
+	 * @param int   $batch_size Number of attachments to examine per batch.
+	 * @param array $formats    Formats to convert to, or empty for the formats in settings.
+	 * @return array Bulk run state.
+	 */
+	public function start_bulk_run( $filters = [], $batch_size = 50, $formats = [] ) {
+		as_unschedule_all_actions( 'flux_media_optimizer_bulk_run_batch' );
+
+		$run = [
+			'status' => 'running',
+			'filters' => $filters,
+			'formats' => array_values( $formats ),
+			'batch_size' => $batch_size,
+			'cursor' => 0,
+			'scheduled' => 0,
+			'started_at' => time(),
+			'finished_at' => null,
+		];
+		update_option( self::BULK_RUN_OPTION, $run, false );
+
+		as_schedule_single_action( time(), 'flux_media_optimizer_bulk_run_batch', [], 'flux-media-optimizer' );
+		$this->logger->info( 'Bulk conversion run started', [ 'filters' => $filters, 'formats' => $formats ] );
+
+		return $this->get_bulk_run();
+	}
+
+	/**
+	 * Get the current bulk conversion run.
+	 *
+	 * @since TBD
+	 * @return array|null Bulk run state including the number of pending jobs, or null if no run exists.
+	 */
+	public function get_bulk_run() {
+		$run = get_option( self::BULK_RUN_OPTION, [] );
+		if ( empty( $run ) ) {
+			return null;
+		}
+
+		$run['pending'] = (int) \ActionScheduler_Store::instance()->query_actions(
+			[
+				'hook'   => 'flux_media_optimizer_convert_attachment',
+				'group'  => self::BULK_RUN_GROUP,
+				'status' => \ActionScheduler_Store::STATUS_PENDING,
+			],
+			'count'
+		);
+
+		return $run;
+	}
+
+	/**
+	 * Pause the running bulk conversion run.
+	 *
+	 * Pending conversion jobs of the run are cancelled and the cursor is rewound
+	 * so the same attachments are picked up again when the run is resumed.
+	 * Conversions queued outside the run, e.g. on upload, are left alone.
+	 *
+	 * @since TBD
+	 * @return bool True if the run was paused, false if no run was active.
+	 */
+	public function pause_bulk_run() {
+		$run = get_option( self::BULK_RUN_OPTION, [] );
+		if ( empty( $run ) || 'running' !== $run['status'] ) {
+			return false;
+		}
+
+		as_unschedule_all_actions( 'flux_media_optimizer_bulk_run_batch' );
+
+		$store = \ActionScheduler_Store::instance();
+		$pending_actions = as_get_scheduled_actions(
+			[
+				'hook'     => 'flux_media_optimizer_convert_attachment',
+				'group'    => self::BULK_RUN_GROUP,
+				'status'   => \ActionScheduler_Store::STATUS_PENDING,
+				'per_page' => -1,
+			],
+			'ids'
+		);
+
+		$highest_pending_id = 0;
+		foreach ( $pending_actions as $action_id ) {
+			$args = $store->fetch_action( $action_id )->get_args();
+			$highest_pending_id = max( $highest_pending_id, (int) ( $args['attachment_id'] ?? 0 ) );
+			$store->cancel_action( $action_id );
+
+			// The formats of the run are set again when the attachment is scheduled on resume
+			if ( ! empty( $run['formats'] ) && ! empty( $args['attachment_id'] ) ) {
+				AttachmentMetaHandler::delete_settings_override( (int) $args['attachment_id'] );
+			}
+		}
+
+		if ( $highest_pending_id ) {
+			$run['cursor'] = $highest_pending_id + 1;
+			$run['scheduled'] = max( 0, $run['scheduled'] - count( $pending_actions ) );
+		}
+
+		$run['status'] = 'paused';
+		update_option( self::BULK_RUN_OPTION, $run, false );
+		$this->logger->info( 'Bulk conversion run paused, cancelled ' . count( $pending_actions ) . ' pending jobs' );
+
+		return true;
+	}
+
+	/**
+	 * Resume a paused bulk conversion run.
+	 *
+	 * @since TBD
+	 * @return bool True if the run was resumed, false if no run was paused.
+	 */
+	public function resume_bulk_run() {
+		$run = get_option( self::BULK_RUN_OPTION, [] );
+		if ( empty( $run ) || 'paused' !== $run['status'] ) {
+			return false;
+		}
+
+		$run['status'] = 'running';
+		update_option( self::BULK_RUN_OPTION, $run, false );
+
+		as_schedule_single_action( time(), 'flux_media_optimizer_bulk_run_batch', [], 'flux-media-optimizer' );
+		$this->logger->info( 'Bulk conversion run resumed' );
+
+		return true;
+	}
+
+	/**
+	 * Handle bulk run batch action.
+	 *
+	 * Schedules conversions for the next batch of matching attachments and
+	 * queues the following batch to run once these have been spread out.
+	 * Attachments are converted to the formats of the run that apply to them.
+	 *
+	 * @since TBD
+	 * @return void
+	 */
+	public function handle_bulk_run_batch_action() {
+		$run = get_option( self::BULK_RUN_OPTION, [] );
+		if ( empty( $run ) || 'running' !== $run['status'] ) {
+			return;
+		}
+
+		$batch = $this->bulk_converter->find_unconverted_media( $run['filters'], $run['cursor'], $run['batch_size'] );
+
+		// Schedule individual conversion actions with incremental delays (10 seconds apart).
+		$base_time = time();
+		$delay_increment = 10;
+		foreach ( $batch['attachments'] as $index => $attachment ) {
+			$formats = self::get_formats_for_mime_type( $run['formats'] ?? [], $attachment['mime_type'] );
+			if ( ! empty( $run['formats'] ) ) {
+				if ( empty( $formats ) ) {
+					continue;
+				}
+
+				AttachmentMetaHandler::set_settings_override( $attachment['id'], array_merge(
+					AttachmentMetaHandler::get_settings_override( $attachment['id'] ),
+					[ 'formats' => $formats ]
+				) );
+			}
+
+			if ( $this->schedule_attachment_conversion( $attachment['id'], $base_time + ( $index * $delay_increment ), self::BULK_RUN_GROUP ) ) {
+				ConversionHistory::request( $attachment['id'], ConversionHistory::TRIGGER_BULK );
+				$run['scheduled']++;
+			} elseif ( ! empty( $run['formats'] ) ) {
+				AttachmentMetaHandler::delete_settings_override( $attachment['id'] );
+			}
+		}
+
+		if ( null === $batch['next_cursor'] ) {
+			$run['status'] = 'completed';
+			$run['finished_at'] = time();
+			$this->logger->info( "Bulk conversion run finished scheduling {$run['scheduled']} attachments" );
+		} else {
+			$run['cursor'] = $batch['next_cursor'];
+			as_schedule_single_action(
+				$base_time + ( count( $batch['attachments'] ) * $delay_increment ),
+				'flux_media_optimizer_bulk_run_batch',
+				[],
+				'flux-media-optimizer'
+			);
+		}
+
+		update_option( self::BULK_RUN_OPTION, $run, false );
+	}
+
+	/**
+	 * Get the formats that apply to an attachment of a MIME type.
+	 *
+	 * @since TBD
+	 * @param array  $formats   Image and video formats.
+	 * @param string $mime_type Attachment MIME type.
+	 * @return array Image formats for images, video formats for videos, none for other attachments.
+	 */
+	public static function get_formats_for_mime_type( $formats, $mime_type ) {
+		$type_formats = [
+			'image' => [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ],
+			'video' => [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ],
+		];
+		$type = strtok( (string) $mime_type, '/' );
+
+		return array_values( array_intersect( $formats, $type_formats[ $type ] ?? [] ) );
+	}
+
+	/**
+	 * Get attachment conversion jobs from the Action Scheduler queue.
+	 *
+	 * Returns jobs for the conversion hook grouped by status, along with status
+	 * counts so the admin app can show what is pending, running or stuck.
+	 *
+	 * @since TBD
+	 * @param string $status   Job status to return (pending, running, completed, failed), or empty for all.
+	 * @param int    $per_page Maximum number of jobs to return per status.
+	 * @return array Array with 'jobs' and 'counts' keys.
+	 */
+	public function get_conversion_jobs( $status = '', $per_page = 50 ) {
+		$store = \ActionScheduler_Store::instance();
+		$jobs = [];
+		$counts = [];
+
+		foreach ( self::JOB_STATUSES as $store_status => $job_status ) {
+			$counts[ $job_status ] = (int) $store->query_actions(
+				[
+					'hook'   => 'flux_media_optimizer_convert_attachment',
+					'status' => $store_status,
+				],
+				'count'
+			);
+
+			if ( ! empty( $status ) && $status !== $job_status ) {
+				continue;
+			}
+
+			// Pending jobs are listed in the order they will run, others newest first.
+			$action_ids = as_get_scheduled_actions(
+				[
+					'hook'     => 'flux_media_optimizer_convert_attachment',
+					'status'   => $store_status,
+					'per_page' => $per_page,
+					'orderby'  => 'date',
+					'order'    => \ActionScheduler_Store::STATUS_PENDING === $store_status ? 'ASC' : 'DESC',
+				],
+				'ids'
+			);
+
+			foreach ( $action_ids as $action_id ) {
+				$jobs[] = $this->format_conversion_job( (int) $action_id, $job_status );
+			}
+		}
+
+		return [
+			'jobs' => $jobs,
+			'counts' => $counts,
+		];
+	}
+
+	/**
+	 * Get the health of the plugin's Action Scheduler queue.
+	 *
+	 * Pending actions more than 10 minutes past their scheduled date mean the queue
+	 * runner is not running, e.g. because WP-Cron is disabled without a system cron.
+	 *
+	 * @since TBD
+	 * @return array Action counts per hook and status, overdue and oldest pending actions, bulk state and recent failures.
+	 */
+	public function get_queue_health() {
+		$store = \ActionScheduler_Store::instance();
+		$hooks = [
+			'flux_media_optimizer_convert_attachment',
+			'flux_media_optimizer_bulk_discovery',
+			'flux_media_optimizer_bulk_run_batch',
+			LogRetentionService::ACTION_HOOK,
+		];
+
+		$counts = [];
+		foreach ( $hooks as $hook ) {
+			foreach ( self::JOB_STATUSES as $store_status => $job_status ) {
+				$counts[ $hook ][ $job_status ] = (int) $store->query_actions(
+					[
+						'hook'   => $hook,
+						'status' => $store_status,
+					],
+					'count'
+				);
+			}
+		}
+
+		$overdue = 0;
+		$oldest_date = null;
+		foreach ( [ 'flux-media-optimizer', self::BULK_RUN_GROUP ] as $group ) {
+			$overdue += (int) $store->query_actions(
+				[
+					'group'        => $group,
+					'status'       => \ActionScheduler_Store::STATUS_PENDING,
+					'date'         => as_get_datetime_object( time() - 10 * MINUTE_IN_SECONDS ),
+					'date_compare' => '<=',
+				],
+				'count'
+			);
+
+			$oldest_ids = as_get_scheduled_actions(
+				[
+					'group'    => $group,
+					'status'   => \ActionScheduler_Store::STATUS_PENDING,
+					'per_page' => 1,
+					'orderby'  => 'date',
+					'order'    => 'ASC',
+				],
+				'ids'
+			);
+			$group_oldest_date = ! empty( $oldest_ids ) ? $store->get_date( (int) reset( $oldest_ids ) ) : null;
+			if ( $group_oldest_date && ( ! $oldest_date || $group_oldest_date < $oldest_date ) ) {
+				$oldest_date = $group_oldest_date;
+			}
+		}
+
+		$next_discovery = as_next_scheduled_action( 'flux_media_optimizer_bulk_discovery' );
+
+		return [
+			'counts' => $counts,
+			'overdue_pending' => $overdue,
+			'oldest_pending' => $oldest_date ? $oldest_date->format( 'Y-m-d H:i:s' ) : null,
+			'bulk_discovery_next_run' => is_int( $next_discovery ) ? gmdate( 'Y-m-d H:i:s', $next_discovery ) : null,
+			'bulk_run' => $this->get_bulk_run(),
+			'wp_cron_disabled' => defined( 'DISABLE_WP_CRON' ) && DISABLE_WP_CRON,
+			'recent_failures' => $this->get_conversion_jobs( 'failed', 10 )['jobs'],
+		];
+	}
+
+	/**
+	 * Count failed conversion jobs per period within a date range.
+	 *
+	 * Failures are bucketed by the local date of their last attempt, using the same
+	 * period keys as ConversionTracker::get_periods().
+	 *
+	 * @since TBD
+	 * @param string $date_from Start date (Y-m-d), inclusive.
+	 * @param string $date_to   End date (Y-m-d), inclusive.
+	 * @param string $group_by  Grouping, 'day' or 'week'.
+	 * @return array Failed job counts keyed by period.
+	 */
+	public function get_failed_conversion_counts( $date_from, $date_to, $group_by = 'day' ) {
+		$counts = [];
+		foreach ( $this->iterate_failed_conversion_dates( $date_from, $date_to ) as $date ) {
+			if ( 'week' === $group_by ) {
+				$date = $date->modify( '-' . ( (int) $date->format( 'N' ) - 1 ) . ' days' );
+			}
+
+			$period = $date->format( 'Y-m-d' );
+			$counts[ $period ] = ( $counts[ $period ] ?? 0 ) + 1;
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Iterate over failed conversion jobs within a date range for export.
+	 *
+	 * Jobs are read in batches so large failure histories can be streamed without
+	 * loading them all into memory.
+	 *
+	 * @since TBD
+	 * @param string $date_from Start date (Y-m-d), inclusive.
+	 * @param string $date_to   End date (Y-m-d), inclusive.
+	 * @return \Generator Failed jobs with attachment details, failure date and error message.
+	 */
+	public function iterate_failed_conversions( $date_from, $date_to ) {
+		foreach ( $this->iterate_failed_conversion_dates( $date_from, $date_to ) as $action_id => $date ) {
+			$job = $this->format_conversion_job( $action_id, 'failed' );
+
+			yield [
+				'attachment_id' => $job['attachment_id'],
+				'title' => $job['title'],
+				'mime_type' => $job['mime_type'],
+				'failed_at' => $date->format( 'Y-m-d H:i:s' ),
+				'error' => $job['error'],
+			];
+		}
+	}
+
+	/**
+	 * Get the most recent failed conversion job for an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Failure with 'failed_at' timestamp and 'error' message, or null if none failed.
+	 */
+	public function get_last_failed_conversion( $attachment_id ) {
+		$action_ids = as_get_scheduled_actions(
+			[
+				'hook'     => 'flux_media_optimizer_convert_attachment',
+				'args'     => [ 'attachment_id' => (int) $attachment_id ],
+				'status'   => \ActionScheduler_Store::STATUS_FAILED,
+				'per_page' => 1,
+				'orderby'  => 'date',
+				'order'    => 'DESC',
+			],
+			'ids'
+		);
+
+		if ( empty( $action_ids ) ) {
+			return null;
+		}
+
+		$job = $this->format_conversion_job( (int) reset( $action_ids ), 'failed' );
+
+		return [
+			'failed_at' => $job['finished_at'] ?: $job['started_at'],
+			'error' => $job['error'],
+		];
+	}
+
+	/**
+	 * Check whether a conversion job for an attachment is pending or running.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True if a conversion job is queued or in progress.
+	 */
+	public function has_pending_conversion( $attachment_id ) {
+		return as_has_scheduled_action( 'flux_media_optimizer_convert_attachment', [ 'attachment_id' => (int) $attachment_id ] );
+	}
+
+	/**
+	 * Iterate over the local date of the last attempt of each failed conversion job within a date range.
+	 *
+	 * Jobs are read in batches of action IDs, so every failure in the range is included
+	 * without holding them all in memory.
+	 *
+	 * @since TBD
+	 * @param string $date_from  Start date (Y-m-d), inclusive.
+	 * @param string $date_to    End date (Y-m-d), inclusive.
+	 * @param int    $batch_size Number of jobs read per query.
+	 * @return \Generator Failure dates (\DateTimeImmutable) keyed by action ID.
+	 */
+	private function iterate_failed_conversion_dates( $date_from, $date_to, $batch_size = 500 ) {
+		$timezone = wp_timezone();
+		$range_start = new \DateTimeImmutable( $date_from . ' 00:00:00', $timezone );
+		$range_end = new \DateTimeImmutable( $date_to . ' 23:59:59', $timezone );
+		$store = \ActionScheduler_Store::instance();
+		$offset = 0;
+
+		do {
+			// Ordered by ID so jobs failing during the export are appended instead of shifting the pages.
+			$action_ids = as_get_scheduled_actions(
+				[
+					'hook'             => 'flux_media_optimizer_convert_attachment',
+					'status'           => \ActionScheduler_Store::STATUS_FAILED,
+					'modified'         => $range_start->setTimezone( new \DateTimeZone( 'UTC' ) ),
+					'modified_compare' => '>=',
+					'per_page'         => $batch_size,
+					'offset'           => $offset,
+					'orderby'          => 'action_id',
+					'order'            => 'ASC',
+				],
+				'ids'
+			);
+			$offset += $batch_size;
+
+			foreach ( $action_ids as $action_id ) {
+				// For finished actions the store date is the last attempt.
+				$date = ( new \DateTimeImmutable( '@' . $store->get_date( $action_id )->getTimestamp() ) )->setTimezone( $timezone );
+				if ( $date <= $range_end ) {
+					yield (int) $action_id => $date;
+				}
+			}
+		} while ( count( $action_ids ) === $batch_size );
+	}
+
+	/**
+	 * Cancel a pending attachment conversion job by action ID.
+	 *
+	 * Only pending jobs for the conversion hook can be cancelled. Jobs that are
+	 * already running are left alone since Action Scheduler cannot interrupt them.
+	 *
+	 * @since TBD
+	 * @param int $action_id Action Scheduler action ID.
+	 * @return bool True if the job was cancelled, false otherwise.
+	 */
+	public function cancel_conversion_job( $action_id ) {
+		$store = \ActionScheduler_Store::instance();
+		$action = $store->fetch_action( $action_id );
+
+		if ( 'flux_media_optimizer_convert_attachment' !== $action->get_hook() ) {
+			return false;
+		}
+
+		try {
+			if ( \ActionScheduler_Store::STATUS_PENDING !== $store->get_status( $action_id ) ) {
+				return false;
+			}
+
+			$store->cancel_action( $action_id );
+		} catch ( \Exception $e ) {
+			$this->logger->error( "Failed to cancel conversion job {$action_id}: " . $e->getMessage() );
+			return false;
+		}
+
+		$this->logger->debug( "Cancelled conversion job {$action_id}" );
+
+		return true;
+	}
+
+	/**
+	 * Format a conversion action for the queue API.
+	 *
+	 * Elapsed time is measured from the last attempt until the final log entry
+	 * for finished jobs, or until now for running jobs. Progress for running
+	 * jobs is estimated from the number of image sizes converted so far.
+	 *
+	 * @since TBD
+	 * @param int    $action_id  Action Scheduler action ID.
+	 * @param string $job_status Normalized job status.
+	 * @return array Job data.
+	 */
+	private function format_conversion_job( $action_id, $job_status ) {
+		$store = \ActionScheduler_Store::instance();
+		$action = $store->fetch_action( $action_id );
+		$args = $action->get_args();
+		$attachment_id = (int) ( $args['attachment_id'] ?? 0 );
+
+		$schedule_date = $action->get_schedule() ? $action->get_schedule()->get_date() : null;
+		$scheduled_at = $schedule_date ? $schedule_date->getTimestamp() : null;
+
+		$started_at = null;
+		$finished_at = null;
+		$error = null;
+
+		if ( 'pending' !== $job_status ) {
+			// For non-pending actions the store returns the last attempt date.
+			$attempt_date = $store->get_date( $action_id );
+			$started_at = $attempt_date ? $attempt_date->getTimestamp() : null;
+
+			$logs = \ActionScheduler_Logger::instance()->get_logs( $action_id );
+			$last_log = ! empty( $logs ) ? end( $logs ) : null;
+
+			if ( $last_log && in_array( $job_status, [ 'completed', 'failed' ], true ) ) {
+				$finished_at = $last_log->get_date()->getTimestamp();
+
+				if ( 'failed' === $job_status ) {
+					$error = $last_log->get_message();
+				}
+			}
+		}
+
+		$elapsed = null;
+		if ( $started_at ) {
+			$elapsed = max( 0, ( $finished_at ?: time() ) - $started_at );
+		}
+
+		return [
+			'id' => $action_id,
+			'attachment_id' => $attachment_id,
+			'title' => $attachment_id ? get_the_title( $attachment_id ) : '',
+			'mime_type' => $attachment_id ? get_post_mime_type( $attachment_id ) : '',
+			'thumbnail_url' => $attachment_id ? wp_get_attachment_image_url( $attachment_id, 'thumbnail', true ) : '',
+			'edit_url' => $attachment_id ? get_edit_post_link( $attachment_id, 'raw' ) : '',
+			'status' => $job_status,
+			'progress' => $this->get_conversion_progress( $attachment_id, $job_status ),
+			'scheduled_at' => $scheduled_at,
+			'started_at' => $started_at,
+			'finished_at' => $finished_at,
+			'elapsed' => $elapsed,
+			'error' => $error,
+		];
+	}
+
+	/**
+	 * Estimate conversion progress for an attachment.
+	 *
+	 * @since TBD
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $job_status    Normalized job status.
+	 * @return int|null Progress percentage, or null when it cannot be determined.
+	 */
+	private function get_conversion_progress( $attachment_id, $job_status ) {
+		if ( 'completed' === $job_status ) {
+			return 100;
+		}
+
+		if ( 'running' !== $job_status ) {
+			return 0;
+		}
+
+		// Only images have per-size output we can count; other media is indeterminate.
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+		if ( ! wp_attachment_is_image( $attachment_id ) || ! is_array( $metadata ) ) {
+			return null;
+		}
+
+		$total_sizes = count( $metadata['sizes'] ?? [] ) + 1;
+		$converted_sizes = count( AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id ) );
+
+		// A running job is never reported as finished.
+		return (int) min( 99, floor( ( $converted_sizes / $total_sizes ) * 100 ) );
+	}
+
 	/**
 	 * Handle bulk discovery action.
 	 *
@@ -200,12 +943,16 @@ class ActionSchedulerService {
 	 *
 	 * @since 3.0.0
 	 * @since 4.0.0 Delegated to BulkConverter::handle_bulk_discovery().
+	 * @since TBD Marks discovered attachments as bulk conversions in the conversion history.
 	 * @param array $args Action arguments (unused, kept for compatibility).
 	 * @return void
 	 */
 	public function handle_bulk_discovery_action( $args = [] ) {
 		// Delegate to BulkConverter for bulk discovery logic.
-		$this->bulk_converter->handle_bulk_discovery( [ $this, 'schedule_attachment_conversion' ] );
+		$this->bulk_converter->handle_bulk_discovery( function ( $attachment_id, $time ) {
+			ConversionHistory::request( $attachment_id, ConversionHistory::TRIGGER_BULK );
+			return $this->schedule_attachment_conversion( $attachment_id, $time );
+		} );
 	}
 
 	/**
@@ -215,6 +962,8 @@ class ActionSchedulerService {
 	 *
 	 * @since 3.0.0
 	 * @since 4.0.0 Delegated to BulkConverter::process_attachment().
+	 * @since TBD Attributes the conversion to a scheduled job in the conversion history.
+	 * @since TBD Tags everything logged during the job with the job and attachment IDs.
 	 * @param int $attachment_id Attachment ID to convert.
 	 * @return void
 	 */
@@ -224,7 +973,16 @@ class ActionSchedulerService {
 			return;
 		}
 
+		ConversionHistory::set_trigger( ConversionHistory::TRIGGER_SCHEDULED );
+
+		$context = [
+			'job_id' => $this->current_action_id,
+			'attachment_id' => (int) $attachment_id,
+		];
+
 		// Delegate to BulkConverter for processing logic.
-		$this->bulk_converter->process_attachment( $attachment_id );
+		Logger::with_context( $context, function () use ( $attachment_id ) {
+			$this->bulk_converter->process_attachment( $attachment_id );
+		} );
 	}
 }
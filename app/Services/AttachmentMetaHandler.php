@@ -87,6 +87,113 @@ class AttachmentMetaHandler {
 	 */
 	const META_KEY_CONVERTED_FILES_BY_SIZE = '_flux_media_optimizer_converted_files_by_size';
 
+	/**
+	 * Meta key for conversion settings.
+	 *
+	 * Stores the quality settings that were used when the attachment was last converted.
+	 * Structure: ['webp_quality' => int, 'avif_quality' => int, 'avif_speed' => int]
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const META_KEY_CONVERSION_SETTINGS = '_flux_media_optimizer_conversion_settings';
+
+	/**
+	 * Meta key for perceptual quality scores.
+	 *
+	 * Stores SSIM/PSNR scores computed in the admin by comparing converted files against the original.
+	 * Structure: ['size' => 'full', 'scored_at' => 'Y-m-d H:i:s', 'formats' => ['webp' => ['ssim' => float, 'psnr' => float, 'quality' => int|null]]]
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const META_KEY_QUALITY_SCORES = '_flux_media_optimizer_quality_scores';
+
+	/**
+	 * Meta key for the generated video poster.
+	 *
+	 * Stores the ID of the image attachment the plugin extracted from a video and set as its featured image.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const META_KEY_POSTER_ID = '_flux_media_optimizer_poster_id';
+
+	/**
+	 * Meta key for per-size conversion status.
+	 *
+	 * Stores the outcome of the last local conversion of each image size.
+	 * Structure: ['medium' => ['status' => 'converted'|'failed'|'skipped', 'message' => string, 'date' => 'Y-m-d H:i:s']]
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const META_KEY_SIZE_STATUS = '_flux_media_optimizer_size_status';
+
+	/**
+	 * Meta key for the conversion history.
+	 *
+	 * Stores one entry per conversion attempt, newest first. Kept when converted files are deleted
+	 * so re-conversions can be compared against earlier attempts. See ConversionHistory for the entry structure.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const META_KEY_HISTORY = '_flux_media_optimizer_history';
+
+	/**
+	 * Meta key for a pending conversion request.
+	 *
+	 * Stores who or what queued the conversion until the attempt is recorded in the history.
+	 * Structure: ['trigger' => string, 'user_id' => int, 'requested_at' => int]
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const META_KEY_CONVERSION_REQUEST = '_flux_media_optimizer_conversion_request';
+
+	/**
+	 * Meta key for the last conversion failure.
+	 *
+	 * Set when an attempt fails and deleted when one succeeds, so it lists the attachments in the Failed view.
+	 * Structure: ['category' => string, 'error' => string, 'time' => 'Y-m-d H:i:s', 'trigger' => string]
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const META_KEY_FAILURE = '_flux_media_optimizer_failure';
+
+	/**
+	 * Meta key for settings to use on the next conversion attempt only.
+	 *
+	 * Set when retrying a failure with different settings.
+	 * Structure: ['formats' => ['webp'], 'webp_quality' => int, 'avif_quality' => int, 'avif_speed' => int]
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const META_KEY_SETTINGS_OVERRIDE = '_flux_media_optimizer_settings_override';
+
+	/**
+	 * Meta key for the quality chosen by the automatic quality search.
+	 *
+	 * Stores the quality found per format for the SSIM target of the last conversion.
+	 * Structure: ['target' => float, 'size' => 'large', 'chosen_at' => 'Y-m-d H:i:s', 'formats' => ['avif' => ['quality' => int, 'ssim' => float|null, 'attempts' => int, 'reached' => bool]]]
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const META_KEY_AUTO_QUALITY = '_flux_media_optimizer_auto_quality';
+
+	/**
+	 * Per-size conversion status values.
+	 *
+	 * @since TBD
+	 */
+	const SIZE_STATUS_CONVERTED = 'converted';
+	const SIZE_STATUS_FAILED = 'failed';
+	const SIZE_STATUS_SKIPPED = 'skipped';
+
 
 	/**
 	 * Get converted formats for an attachment.
@@ -171,6 +278,325 @@ class AttachmentMetaHandler {
 		return delete_post_meta( $attachment_id, self::META_KEY_CONVERSION_DATE );
 	}
 
+	/**
+	 * Get the settings used for the last conversion of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Conversion settings, or null if not recorded.
+	 */
+	public static function get_conversion_settings( $attachment_id ) {
+		$settings = get_post_meta( $attachment_id, self::META_KEY_CONVERSION_SETTINGS, true );
+		return is_array( $settings ) && ! empty( $settings ) ? $settings : null;
+	}
+
+	/**
+	 * Set the settings used for the last conversion of an attachment.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $settings      Conversion settings (webp_quality, avif_quality, avif_speed).
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_conversion_settings( $attachment_id, $settings ) {
+		return update_post_meta( $attachment_id, self::META_KEY_CONVERSION_SETTINGS, $settings );
+	}
+
+	/**
+	 * Delete conversion settings meta for an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True on success, false on failure.
+	 */
+	public static function delete_conversion_settings( $attachment_id ) {
+		return delete_post_meta( $attachment_id, self::META_KEY_CONVERSION_SETTINGS );
+	}
+
+	/**
+	 * Get perceptual quality scores for an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Quality scores, or null if the attachment has not been scored.
+	 */
+	public static function get_quality_scores( $attachment_id ) {
+		$scores = get_post_meta( $attachment_id, self::META_KEY_QUALITY_SCORES, true );
+		return is_array( $scores ) && ! empty( $scores['formats'] ) ? $scores : null;
+	}
+
+	/**
+	 * Set perceptual quality scores for an attachment.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $scores        Quality scores (size, scored_at, formats).
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_quality_scores( $attachment_id, $scores ) {
+		return update_post_meta( $attachment_id, self::META_KEY_QUALITY_SCORES, $scores );
+	}
+
+	/**
+	 * Delete perceptual quality scores for an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True on success, false on failure.
+	 */
+	public static function delete_quality_scores( $attachment_id ) {
+		return delete_post_meta( $attachment_id, self::META_KEY_QUALITY_SCORES );
+	}
+
+	/**
+	 * Get the generated poster of a video attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Video attachment ID.
+	 * @return int Poster image attachment ID, or 0 if none was generated.
+	 */
+	public static function get_poster_id( $attachment_id ) {
+		return (int) get_post_meta( $attachment_id, self::META_KEY_POSTER_ID, true );
+	}
+
+	/**
+	 * Set the generated poster of a video attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Video attachment ID.
+	 * @param int $poster_id Poster image attachment ID.
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_poster_id( $attachment_id, $poster_id ) {
+		return update_post_meta( $attachment_id, self::META_KEY_POSTER_ID, (int) $poster_id );
+	}
+
+	/**
+	 * Delete the generated poster reference of a video attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Video attachment ID.
+	 * @return bool True on success, false on failure.
+	 */
+	public static function delete_poster_id( $attachment_id ) {
+		return delete_post_meta( $attachment_id, self::META_KEY_POSTER_ID );
+	}
+
+	/**
+	 * Get the conversion status of each image size of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array Status entries keyed by size name, or empty array if none were recorded.
+	 */
+	public static function get_size_statuses( $attachment_id ) {
+		$statuses = get_post_meta( $attachment_id, self::META_KEY_SIZE_STATUS, true );
+		return is_array( $statuses ) ? $statuses : [];
+	}
+
+	/**
+	 * Set the conversion status of each image size of an attachment.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $statuses      Status entries keyed by size name.
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_size_statuses( $attachment_id, $statuses ) {
+		return update_post_meta( $attachment_id, self::META_KEY_SIZE_STATUS, $statuses );
+	}
+
+	/**
+	 * Build a size status entry.
+	 *
+	 * @since TBD
+	 * @param string $status  One of the SIZE_STATUS_* constants.
+	 * @param string $message Reason for a failed or skipped size. Default empty.
+	 * @return array Status entry.
+	 */
+	public static function build_size_status( $status, $message = '' ) {
+		return [
+			'status' => $status,
+			'message' => $message,
+			'date' => current_time( 'mysql' ),
+		];
+	}
+
+	/**
+	 * Delete the per-size conversion status of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True on success, false on failure.
+	 */
+	public static function delete_size_statuses( $attachment_id ) {
+		return delete_post_meta( $attachment_id, self::META_KEY_SIZE_STATUS );
+	}
+
+	/**
+	 * Get the conversion history of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array History entries, newest first.
+	 */
+	public static function get_history( $attachment_id ) {
+		$history = get_post_meta( $attachment_id, self::META_KEY_HISTORY, true );
+		return is_array( $history ) ? $history : [];
+	}
+
+	/**
+	 * Set the conversion history of an attachment.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $history       History entries, newest first.
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_history( $attachment_id, $history ) {
+		return update_post_meta( $attachment_id, self::META_KEY_HISTORY, $history );
+	}
+
+	/**
+	 * Get the pending conversion request of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Request (trigger, user_id, requested_at), or null if none is pending.
+	 */
+	public static function get_conversion_request( $attachment_id ) {
+		$request = get_post_meta( $attachment_id, self::META_KEY_CONVERSION_REQUEST, true );
+		return is_array( $request ) && ! empty( $request['trigger'] ) ? $request : null;
+	}
+
+	/**
+	 * Set the pending conversion request of an attachment.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $request       Request (trigger, user_id, requested_at).
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_conversion_request( $attachment_id, $request ) {
+		return update_post_meta( $attachment_id, self::META_KEY_CONVERSION_REQUEST, $request );
+	}
+
+	/**
+	 * Delete the pending conversion request of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True on success, false on failure.
+	 */
+	public static function delete_conversion_request( $attachment_id ) {
+		return delete_post_meta( $attachment_id, self::META_KEY_CONVERSION_REQUEST );
+	}
+
+	/**
+	 * Get the last conversion failure of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Failure (category, error, time, trigger), or null if the last attempt did not fail.
+	 */
+	public static function get_failure( $attachment_id ) {
+		$failure = get_post_meta( $attachment_id, self::META_KEY_FAILURE, true );
+		return is_array( $failure ) && ! empty( $failure['category'] ) ? $failure : null;
+	}
+
+	/**
+	 * Set the last conversion failure of an attachment.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $failure       Failure (category, error, time, trigger).
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_failure( $attachment_id, $failure ) {
+		return update_post_meta( $attachment_id, self::META_KEY_FAILURE, $failure );
+	}
+
+	/**
+	 * Delete the last conversion failure of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True on success, false on failure.
+	 */
+	public static function delete_failure( $attachment_id ) {
+		return delete_post_meta( $attachment_id, self::META_KEY_FAILURE );
+	}
+
+	/**
+	 * Get the settings override for the next conversion attempt of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array Settings override, or empty array if none is set.
+	 */
+	public static function get_settings_override( $attachment_id ) {
+		$override = get_post_meta( $attachment_id, self::META_KEY_SETTINGS_OVERRIDE, true );
+		return is_array( $override ) ? $override : [];
+	}
+
+	/**
+	 * Set the settings override for the next conversion attempt of an attachment.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $override      Settings override (formats, webp_quality, avif_quality, avif_speed).
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_settings_override( $attachment_id, $override ) {
+		return update_post_meta( $attachment_id, self::META_KEY_SETTINGS_OVERRIDE, $override );
+	}
+
+	/**
+	 * Delete the settings override of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True on success, false on failure.
+	 */
+	public static function delete_settings_override( $attachment_id ) {
+		return delete_post_meta( $attachment_id, self::META_KEY_SETTINGS_OVERRIDE );
+	}
+
+	/**
+	 * Get the quality chosen by the automatic quality search for an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array Chosen quality, or empty array if none is recorded.
+	 */
+	public static function get_auto_quality( $attachment_id ) {
+		$auto_quality = get_post_meta( $attachment_id, self::META_KEY_AUTO_QUALITY, true );
+		return is_array( $auto_quality ) ? $auto_quality : [];
+	}
+
+	/**
+	 * Set the quality chosen by the automatic quality search for an attachment.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $auto_quality  Chosen quality (target, size, chosen_at, formats).
+	 * @return bool|int Meta ID if the key didn't exist, true on successful update, false on failure.
+	 */
+	public static function set_auto_quality( $attachment_id, $auto_quality ) {
+		return update_post_meta( $attachment_id, self::META_KEY_AUTO_QUALITY, $auto_quality );
+	}
+
+	/**
+	 * Delete the quality chosen by the automatic quality search for an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True on success, false on failure.
+	 */
+	public static function delete_auto_quality( $attachment_id ) {
+		return delete_post_meta( $attachment_id, self::META_KEY_AUTO_QUALITY );
+	}
+
 	/**
 	 * Check if conversion is disabled for an attachment.
 	 *
@@ -368,17 +794,80 @@ class AttachmentMetaHandler {
 		return true;
 	}
 
+	/**
+	 * Delete a single converted format for an attachment across all sizes.
+	 *
+	 * Removes the format from the size-specific structure, deletes local files
+	 * stored in the uploads directory and updates the converted formats list.
+	 * External (CDN) files are only removed from meta.
+	 *
+	 * @since TBD
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $format        Format to delete (webp, avif, av1, webm).
+	 * @return int Number of size entries removed.
+	 */
+	public static function delete_converted_format( $attachment_id, $format ) {
+		$files_by_size = self::get_converted_files_grouped_by_size( $attachment_id );
+		$upload_dir = wp_upload_dir();
+		$removed = 0;
+
+		foreach ( $files_by_size as $size_name => $size_formats ) {
+			if ( ! is_array( $size_formats ) || ! isset( $size_formats[ $format ] ) ) {
+				continue;
+			}
+
+			$url = is_array( $size_formats[ $format ] ) ? ( $size_formats[ $format ]['url'] ?? '' ) : $size_formats[ $format ];
+
+			// Only delete files that live in the local uploads directory.
+			if ( is_string( $url ) && ! empty( $url ) && strpos( $url, $upload_dir['baseurl'] ) === 0 ) {
+				$relative_path = ltrim( str_replace( $upload_dir['baseurl'], '', $url ), '/' );
+				wp_delete_file( $upload_dir['basedir'] . '/' . $relative_path );
+			}
+
+			unset( $files_by_size[ $size_name ][ $format ] );
+			if ( empty( $files_by_size[ $size_name ] ) ) {
+				unset( $files_by_size[ $size_name ] );
+			}
+			$removed++;
+		}
+
+		if ( empty( $files_by_size ) ) {
+			self::delete_converted_files_grouped_by_size( $attachment_id );
+			self::delete_file_urls( $attachment_id );
+		} else {
+			self::set_converted_files_grouped_by_size( $attachment_id, $files_by_size );
+			self::delete_file_urls( $attachment_id );
+			self::update_file_urls_meta( $attachment_id );
+		}
+
+		$formats = array_values( array_diff( self::get_converted_formats( $attachment_id ), [ $format ] ) );
+		if ( empty( $formats ) ) {
+			self::delete_converted_formats( $attachment_id );
+		} else {
+			self::set_converted_formats( $attachment_id, $formats );
+		}
+
+		return $removed;
+	}
+
 	/**
 	 * Delete all conversion-related meta for an attachment, including size-specific data.
 	 *
 	 * @since 1.0.0
 	 * @since 3.0.0 Removed legacy delete_converted_files() call as legacy format is obsolete.
+	 * @since TBD Also deletes the recorded conversion settings and quality scores.
+	 * @since TBD Also deletes the per-size conversion status.
+	 * @since TBD Also deletes the automatically chosen quality.
 	 * @param int $attachment_id Attachment ID.
 	 * @return void
 	 */
 	public static function delete_all( $attachment_id ) {
 		self::delete_converted_formats( $attachment_id );
 		self::delete_conversion_date( $attachment_id );
+		self::delete_conversion_settings( $attachment_id );
+		self::delete_quality_scores( $attachment_id );
+		self::delete_auto_quality( $attachment_id );
+		self::delete_size_statuses( $attachment_id );
 		self::delete_converted_files_grouped_by_size( $attachment_id );
 		self::enable_conversion( $attachment_id );
 	}
@@ -389,6 +878,10 @@ class AttachmentMetaHandler {
 	 * Centralized method to clear all conversion-related meta data including:
 	 * - Converted formats
 	 * - Conversion date
+	 * - Conversion settings
+	 * - Quality scores and automatically chosen quality
+	 * - Per-size conversion status
+	 * - Last conversion failure and settings override
 	 * - Conversion disabled flag
 	 * - External job state
 	 * - CDN URLs
@@ -396,6 +889,10 @@ class AttachmentMetaHandler {
 	 * - Conversion tracking data (database table)
 	 *
 	 * @since 3.0.0
+	 * @since TBD Also clears the recorded conversion settings and quality scores.
+	 * @since TBD Also clears the per-size conversion status.
+	 * @since TBD Also clears the last conversion failure and settings override.
+	 * @since TBD Also clears the automatically chosen quality.
 	 * @param int $attachment_id Attachment ID.
 	 * @return void
 	 */
@@ -403,6 +900,12 @@ class AttachmentMetaHandler {
 		// Clear all meta keys
 		self::delete_converted_formats( $attachment_id );
 		self::delete_conversion_date( $attachment_id );
+		self::delete_conversion_settings( $attachment_id );
+		self::delete_quality_scores( $attachment_id );
+		self::delete_auto_quality( $attachment_id );
+		self::delete_size_statuses( $attachment_id );
+		self::delete_failure( $attachment_id );
+		self::delete_settings_override( $attachment_id );
 		// Enable conversion (which deletes the disabled flag meta)
 		self::enable_conversion( $attachment_id );
 		self::delete_external_job_state( $attachment_id );
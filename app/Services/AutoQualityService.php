@@ -0,0 +1,235 @@
+<?php
+/**
+ * Automatic quality selection for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Chooses the lowest WebP/AVIF quality of each image that still reaches a target SSIM.
+ *
+ * Binary-searches the quality range by encoding a sample size of the image to a temporary
+ * file and scoring it against the original, so simple graphics get a low quality and
+ * detailed photos a high one.
+ *
+ * @since TBD
+ */
+class AutoQualityService {
+
+	/**
+	 * Quality range searched per format, as [min, max].
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const QUALITY_RANGES = [
+		Converter::FORMAT_WEBP => [ 40, 95 ],
+		Converter::FORMAT_AVIF => [ 25, 90 ],
+	];
+
+	/**
+	 * Image converter instance.
+	 *
+	 * @since TBD
+	 * @var ImageConverter
+	 */
+	private $image_converter;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @since TBD
+	 * @var Logger
+	 */
+	private $logger;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param ImageConverter $image_converter Image converter instance.
+	 * @param Logger         $logger Logger instance.
+	 */
+	public function __construct( ImageConverter $image_converter, Logger $logger ) {
+		$this->image_converter = $image_converter;
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Choose the quality of each lossy format and record it in attachment meta.
+	 *
+	 * Formats whose quality is locked, by a conversion rule or a retry, keep their quality.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $image_sizes   Image sizes keyed by size name, with file_path, width and height.
+	 * @param array $formats       Formats to convert to.
+	 * @param array $settings      Encoder settings.
+	 * @param array $locked        Setting keys that must not be changed, e.g. 'avif_quality'.
+	 * @return array Encoder settings with the chosen qualities.
+	 */
+	public function apply( $attachment_id, $image_sizes, $formats, $settings, $locked = [] ) {
+		$sample = self::get_sample_size( $image_sizes );
+		if ( null === $sample ) {
+			return $settings;
+		}
+
+		$target = Settings::get_auto_quality_target();
+		$max_attempts = Settings::get_auto_quality_max_attempts();
+		$source_path = $image_sizes[ $sample ]['file_path'];
+		$chosen = [];
+
+		foreach ( array_intersect( $formats, array_keys( self::QUALITY_RANGES ) ) as $format ) {
+			$key = $format . '_quality';
+			if ( in_array( $key, $locked, true ) || Settings::IMAGE_MODE_LOSSY !== ( $settings[ $format . '_mode' ] ?? Settings::IMAGE_MODE_LOSSY ) ) {
+				continue;
+			}
+
+			list( $min, $max ) = self::QUALITY_RANGES[ $format ];
+			$result = self::search(
+				function ( $quality ) use ( $source_path, $format, $settings, $key ) {
+					return $this->measure( $source_path, $format, array_merge( $settings, [ $key => $quality, 'image_hybrid_approach' => false ] ) );
+				},
+				$target,
+				$min,
+				$max,
+				$max_attempts
+			);
+
+			$settings[ $key ] = $result['quality'];
+			$chosen[ $format ] = $result;
+
+			$this->logger->info( sprintf(
+				'Auto quality for attachment %d: %s quality %d (SSIM %s, target %s, %d attempts)',
+				$attachment_id,
+				$format,
+				$result['quality'],
+				null === $result['ssim'] ? 'unknown' : round( $result['ssim'], 4 ),
+				$target,
+				$result['attempts']
+			) );
+		}
+
+		if ( ! empty( $chosen ) ) {
+			AttachmentMetaHandler::set_auto_quality( $attachment_id, [
+				'target' => $target,
+				'size' => $sample,
+				'chosen_at' => current_time( 'mysql' ),
+				'formats' => $chosen,
+			] );
+		}
+
+		return $settings;
+	}
+
+	/**
+	 * Binary-search the lowest quality reaching the target SSIM.
+	 *
+	 * When no measured quality reaches the target, the maximum of the range is used.
+	 *
+	 * @since TBD
+	 * @param callable $measure      Returns the SSIM of an encode at the given quality, or null on failure.
+	 * @param float    $target       Target SSIM.
+	 * @param int      $min          Lowest quality to consider.
+	 * @param int      $max          Highest quality to consider.
+	 * @param int      $max_attempts Maximum number of encodes.
+	 * @return array Result with quality, ssim (of the chosen quality, null if not measured), attempts and reached.
+	 */
+	public static function search( callable $measure, $target, $min, $max, $max_attempts ) {
+		$low = $min;
+		$high = $max;
+		$attempts = 0;
+		$best = null;
+		$scores = [];
+
+		while ( $low <= $high && $attempts < $max_attempts ) {
+			$quality = (int) floor( ( $low + $high ) / 2 );
+			$ssim = call_user_func( $measure, $quality );
+			$attempts++;
+
+			// A failed encode cannot be scored, stop instead of guessing.
+			if ( null === $ssim ) {
+				break;
+			}
+
+			$scores[ $quality ] = $ssim;
+			if ( $ssim >= $target ) {
+				$best = $quality;
+				$high = $quality - 1;
+			} else {
+				$low = $quality + 1;
+			}
+		}
+
+		$quality = null !== $best ? $best : $max;
+
+		return [
+			'quality' => $quality,
+			'ssim' => $scores[ $quality ] ?? null,
+			'attempts' => $attempts,
+			'reached' => null !== $best,
+		];
+	}
+
+	/**
+	 * Get the size used to search the quality.
+	 *
+	 * Uses the largest size that is scored at its own resolution, so encodes stay fast
+	 * without hiding artifacts by downscaling, and the full size for small images.
+	 *
+	 * @since TBD
+	 * @param array $image_sizes Image sizes keyed by size name, with file_path, width and height.
+	 * @return string|null Size name, or null if no size has a file.
+	 */
+	public static function get_sample_size( $image_sizes ) {
+		$sample = null;
+		$sample_dimension = 0;
+
+		foreach ( $image_sizes as $size_name => $size_data ) {
+			$dimension = max( (int) ( $size_data['width'] ?? 0 ), (int) ( $size_data['height'] ?? 0 ) );
+			if ( empty( $size_data['file_path'] ) || $dimension > ImageSimilarity::MAX_DIMENSION || $dimension <= $sample_dimension ) {
+				continue;
+			}
+
+			$sample = $size_name;
+			$sample_dimension = $dimension;
+		}
+
+		if ( null === $sample && ! empty( $image_sizes['full']['file_path'] ) ) {
+			$sample = 'full';
+		}
+
+		return $sample;
+	}
+
+	/**
+	 * Encode an image to a temporary file and score it against the original.
+	 *
+	 * @since TBD
+	 * @param string $source_path Source image path.
+	 * @param string $format      Target format.
+	 * @param array  $settings    Encoder settings.
+	 * @return float|null SSIM score, or null if the encode or scoring failed.
+	 */
+	private function measure( $source_path, $format, $settings ) {
+		$destination = trailingslashit( get_temp_dir() ) . 'flux-media-optimizer-auto-quality-' . wp_generate_password( 12, false ) . '.' . $format;
+
+		try {
+			$results = $this->image_converter->process_image( $source_path, [ $format => $destination ], $settings );
+			if ( empty( $results['success'] ) || ! file_exists( $destination ) ) {
+				$this->logger->warning( "Auto quality encode failed for {$source_path} ({$format}): " . implode( ', ', $results['errors'] ?? [] ) );
+				return null;
+			}
+
+			return ImageSimilarity::compare_files( $source_path, $destination );
+		} finally {
+			// A failed encode may still leave a partial file behind
+			if ( file_exists( $destination ) ) {
+				wp_delete_file( $destination );
+			}
+		}
+	}
+}
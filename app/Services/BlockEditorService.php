@@ -0,0 +1,254 @@
+<?php
+/**
+ * Block editor integration for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Adds the "Media Optimization" sidebar and the optimized video block to the block
+ * editor, and reports how the images and videos in a post are delivered after optimization.
+ *
+ * @since TBD
+ */
+class BlockEditorService {
+
+	/**
+	 * Delivered formats in order of preference, matching the image and video renderers.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const PREFERRED_FORMATS = [
+		'image' => [ Converter::FORMAT_AVIF, Converter::FORMAT_WEBP ],
+		'video' => [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ],
+	];
+
+	/**
+	 * Optimized video block name.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const VIDEO_BLOCK = 'flux-media-optimizer/video';
+
+	/**
+	 * Optimized video block attributes, matching the block registered in the editor.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const VIDEO_BLOCK_ATTRIBUTES = [
+		'id' => [ 'type' => 'number' ],
+		'posterId' => [ 'type' => 'number' ],
+		'poster' => [ 'type' => 'string' ],
+		'preload' => [
+			'type' => 'string',
+			'enum' => [ 'auto', 'metadata', 'none' ],
+			'default' => 'metadata',
+		],
+		'lazy' => [ 'type' => 'boolean', 'default' => false ],
+		'controls' => [ 'type' => 'boolean', 'default' => true ],
+		'autoplay' => [ 'type' => 'boolean', 'default' => false ],
+		'loop' => [ 'type' => 'boolean', 'default' => false ],
+		'muted' => [ 'type' => 'boolean', 'default' => false ],
+		'playsInline' => [ 'type' => 'boolean', 'default' => false ],
+	];
+
+	/**
+	 * Media Library service instance.
+	 *
+	 * @since TBD
+	 * @var MediaLibraryService
+	 */
+	private $media_library_service;
+
+	/**
+	 * Video renderer instance.
+	 *
+	 * @since TBD
+	 * @var WordPressVideoRenderer
+	 */
+	private $video_renderer;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @since TBD Added the video renderer for the optimized video block.
+	 * @param MediaLibraryService    $media_library_service Media Library service instance.
+	 * @param WordPressVideoRenderer $video_renderer Video renderer instance.
+	 */
+	public function __construct( MediaLibraryService $media_library_service, WordPressVideoRenderer $video_renderer ) {
+		$this->media_library_service = $media_library_service;
+		$this->video_renderer = $video_renderer;
+	}
+
+	/**
+	 * Register block editor hooks.
+	 *
+	 * @since TBD
+	 * @since TBD Registers the optimized video block.
+	 * @return void
+	 */
+	public function init() {
+		add_action( 'init', [ $this, 'register_blocks' ] );
+		add_action( 'enqueue_block_editor_assets', [ $this, 'enqueue_editor_assets' ] );
+	}
+
+	/**
+	 * Register the optimized video block and its lazy loading script.
+	 *
+	 * The block is dynamic so the sources always reflect the current conversion state.
+	 *
+	 * @since TBD
+	 * @return void
+	 */
+	public function register_blocks() {
+		wp_register_script(
+			'flux-media-optimizer-lazy-video',
+			FLUX_MEDIA_OPTIMIZER_PLUGIN_URL . 'assets/js/dist/lazy-video.bundle.js',
+			[],
+			FLUX_MEDIA_OPTIMIZER_VERSION,
+			true
+		);
+
+		register_block_type( self::VIDEO_BLOCK, [
+			'api_version' => 2,
+			'attributes' => self::VIDEO_BLOCK_ATTRIBUTES,
+			'supports' => [
+				'align' => [ 'wide', 'full' ],
+			],
+			'render_callback' => [ $this->video_renderer, 'render_video_block' ],
+		] );
+	}
+
+	/**
+	 * Enqueue the Media Optimization sidebar script.
+	 *
+	 * @since TBD
+	 * @since TBD Also registers the optimized video block in the editor.
+	 * @return void
+	 */
+	public function enqueue_editor_assets() {
+		if ( ! current_user_can( 'upload_files' ) ) {
+			return;
+		}
+
+		wp_enqueue_script(
+			'flux-media-optimizer-editor',
+			FLUX_MEDIA_OPTIMIZER_PLUGIN_URL . 'assets/js/dist/editor.bundle.js',
+			[ 'wp-block-editor', 'wp-blocks', 'wp-components', 'wp-core-data', 'wp-data', 'wp-edit-post', 'wp-element', 'wp-i18n', 'wp-plugins' ],
+			FLUX_MEDIA_OPTIMIZER_VERSION,
+			true
+		);
+
+		wp_localize_script( 'flux-media-optimizer-editor', 'fluxMediaEditor', [
+			'apiUrl' => rest_url( 'flux-media-optimizer/v1/' ),
+			'nonce' => wp_create_nonce( 'wp_rest' ),
+			'imageHybrid' => Settings::is_image_hybrid_approach_enabled(),
+			'videoHybrid' => Settings::is_video_hybrid_approach_enabled(),
+		] );
+	}
+
+	/**
+	 * Get how several attachments are delivered.
+	 *
+	 * @since TBD
+	 * @param array $attachment_ids Attachment IDs.
+	 * @return array Delivery keyed by attachment ID, null for attachments that are not images or videos.
+	 */
+	public function get_media_delivery( $attachment_ids ) {
+		$delivery = [];
+		foreach ( array_unique( array_map( 'intval', $attachment_ids ) ) as $attachment_id ) {
+			$delivery[ $attachment_id ] = $this->get_delivery( $attachment_id );
+		}
+
+		return $delivery;
+	}
+
+	/**
+	 * Get how an attachment is delivered.
+	 *
+	 * For each image size, reports the original file size, the optimized variants and
+	 * the variant the renderers serve in place of the original.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Delivery with status and sizes, or null if the attachment is not an image or video.
+	 */
+	public function get_delivery( $attachment_id ) {
+		$status = $this->media_library_service->get_status( $attachment_id );
+		if ( ! $status ) {
+			return null;
+		}
+
+		$type = wp_attachment_is( 'video', $attachment_id ) ? 'video' : 'image';
+		$files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id );
+		$original_sizes = $this->get_original_file_sizes( $attachment_id );
+
+		$sizes = [];
+		foreach ( array_unique( array_merge( array_keys( $original_sizes ), array_keys( $files_by_size ) ) ) as $size_name ) {
+			$size_files = $files_by_size[ $size_name ] ?? [];
+			$original_bytes = (int) ( $size_files['original']['filesize'] ?? $original_sizes[ $size_name ] ?? 0 );
+
+			$variants = [];
+			foreach ( self::PREFERRED_FORMATS[ $type ] as $format ) {
+				if ( ! empty( $size_files[ $format ]['filesize'] ) ) {
+					$variants[ $format ] = (int) $size_files[ $format ]['filesize'];
+				}
+			}
+
+			$served_format = array_key_first( $variants );
+
+			$sizes[ $size_name ] = [
+				'original_bytes' => $original_bytes,
+				'variants' => $variants,
+				'served_format' => $served_format,
+				'served_bytes' => $served_format ? $variants[ $served_format ] : $original_bytes,
+			];
+		}
+
+		return [
+			'attachment_id' => (int) $attachment_id,
+			'type' => $type,
+			'title' => get_the_title( $attachment_id ),
+			'status' => $status,
+			'sizes' => $sizes,
+		];
+	}
+
+	/**
+	 * Get the file sizes of the original attachment and its image sizes.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array File sizes in bytes keyed by size name.
+	 */
+	private function get_original_file_sizes( $attachment_id ) {
+		$file_path = get_attached_file( $attachment_id );
+		if ( ! $file_path || ! file_exists( $file_path ) ) {
+			return [];
+		}
+
+		$sizes = [ 'full' => (int) filesize( $file_path ) ];
+
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+		foreach ( $metadata['sizes'] ?? [] as $size_name => $size_data ) {
+			if ( ! empty( $size_data['filesize'] ) ) {
+				$sizes[ $size_name ] = (int) $size_data['filesize'];
+				continue;
+			}
+
+			$size_path = path_join( dirname( $file_path ), $size_data['file'] ?? '' );
+			if ( ! empty( $size_data['file'] ) && file_exists( $size_path ) ) {
+				$sizes[ $size_name ] = (int) filesize( $size_path );
+			}
+		}
+
+		return $sizes;
+	}
+}
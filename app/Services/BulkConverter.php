@@ -149,14 +149,30 @@ class BulkConverter {
 		}
 
 		// Get unconverted media (batch size of 50).
-		$batch_size = 50;
-		$unconverted_attachments = $this->get_unconverted_media( $batch_size );
+		$scheduled_count = $this->schedule_unconverted_media( $schedule_callback, 50 );
 
-		if ( empty( $unconverted_attachments ) ) {
+		if ( ! $scheduled_count ) {
 			$this->logger->debug( 'Bulk conversion discovery: No unconverted attachments found' );
 			return;
 		}
 
+		$this->logger->debug( "Bulk conversion discovery: Scheduled {$scheduled_count} attachment conversion actions with incremental delays" );
+	}
+
+	/**
+	 * Schedule conversion actions for unconverted media.
+	 *
+	 * Actions are spaced 10 seconds apart to spread out server load.
+	 *
+	 * @since TBD
+	 * @param callable $schedule_callback Callback function to schedule attachment conversion.
+	 *                                    Should accept (attachment_id, time) and return action ID or false.
+	 * @param int      $batch_size        Maximum number of attachments to schedule.
+	 * @return int Number of attachments scheduled.
+	 */
+	public function schedule_unconverted_media( $schedule_callback, $batch_size = 50 ) {
+		$unconverted_attachments = $this->get_unconverted_media( $batch_size );
+
 		// Schedule individual conversion actions with incremental delays (10 seconds apart).
 		$base_time = time();
 		$delay_increment = 10; // 10 seconds between each action to spread out server load.
@@ -164,14 +180,14 @@ class BulkConverter {
 
 		foreach ( $unconverted_attachments as $index => $attachment_id ) {
 			$schedule_time = $base_time + ( $index * $delay_increment );
-			$action_id = call_user_func( $schedule_callback, $attachment_id, $schedule_time );
+			$action_id = call_user_func( $schedule_callback, (int) $attachment_id, $schedule_time );
 
 			if ( $action_id ) {
 				$scheduled_count++;
 			}
 		}
 
-		$this->logger->debug( "Bulk conversion discovery: Scheduled {$scheduled_count} attachment conversion actions with incremental delays" );
+		return $scheduled_count;
 	}
 
 	/**
@@ -207,6 +223,163 @@ class BulkConverter {
 		return $attachments;
 	}
 
+	/**
+	 * Find unconverted media matching the given filters.
+	 *
+	 * Walks the library from the newest attachment ID downwards so large libraries
+	 * can be processed in batches. Pass the returned cursor back in to continue
+	 * where the previous batch stopped.
+	 *
+	 * @since TBD
+	 * @param array $filters {
+	 *     Optional. Filters to apply.
+	 *
+	 *     @type array  $mime_types MIME types or top-level types (e.g. 'image/jpeg', 'video'). Defaults to images and videos.
+	 *     @type string $date_from  Only include attachments uploaded on or after this date (Y-m-d).
+	 *     @type string $date_to    Only include attachments uploaded on or before this date (Y-m-d).
+	 *     @type int    $min_size   Minimum file size in bytes.
+	 *     @type int    $max_size   Maximum file size in bytes.
+	 * }
+	 * @param int   $cursor Only include attachment IDs lower than this value, or 0 to start from the newest.
+	 * @param int   $limit  Maximum number of attachments to examine.
+	 * @return array {
+	 *     @type array    $attachments Matching attachments with 'id', 'mime_type' and 'filesize' keys.
+	 *     @type int|null $next_cursor Cursor for the next batch, or null when the library is exhausted.
+	 * }
+	 */
+	public function find_unconverted_media( $filters = [], $cursor = 0, $limit = 500 ) {
+		global $wpdb;
+
+		$where = '';
+		$params = [];
+
+		// Without a MIME filter, only images and videos, which are the types that can be converted
+		$mime_types = ! empty( $filters['mime_types'] ) ? (array) $filters['mime_types'] : [ 'image', 'video' ];
+		$where .= wp_post_mime_type_where( $mime_types, 'p' );
+
+		if ( ! empty( $filters['date_from'] ) ) {
+			$where .= ' AND p.post_date >= %s';
+			$params[] = $filters['date_from'] . ' 00:00:00';
+		}
+
+		if ( ! empty( $filters['date_to'] ) ) {
+			$where .= ' AND p.post_date <= %s';
+			$params[] = $filters['date_to'] . ' 23:59:59';
+		}
+
+		if ( $cursor > 0 ) {
+			$where .= ' AND p.ID < %d';
+			$params[] = $cursor;
+		}
+
+		$params[] = $limit;
+
+		$rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT p.ID, p.post_mime_type 
+			 FROM {$wpdb->posts} p 
+			 LEFT JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id AND pm.meta_key = '_flux_media_optimizer_converted_formats'
+			 LEFT JOIN {$wpdb->postmeta} pm_disabled ON p.ID = pm_disabled.post_id AND pm_disabled.meta_key = '_flux_media_optimizer_conversion_disabled'
+			 WHERE p.post_type = 'attachment' 
+			 AND (pm.meta_value IS NULL OR pm.meta_value = '')
+			 AND (pm_disabled.meta_value IS NULL OR pm_disabled.meta_value = '')
+			 {$where}
+			 ORDER BY p.ID DESC
+			 LIMIT %d",
+			$params
+		), ARRAY_A );
+
+		$attachments = [];
+		foreach ( $rows as $row ) {
+			$attachment_id = (int) $row['ID'];
+			$filesize = $this->get_attachment_file_size( $attachment_id );
+
+			// File size is not queryable in SQL, so size filters are applied here.
+			if ( ! empty( $filters['min_size'] ) && $filesize < (int) $filters['min_size'] ) {
+				continue;
+			}
+			if ( ! empty( $filters['max_size'] ) && $filesize > (int) $filters['max_size'] ) {
+				continue;
+			}
+
+			$attachments[] = [
+				'id' => $attachment_id,
+				'mime_type' => $row['post_mime_type'],
+				'filesize' => $filesize,
+			];
+		}
+
+		$last_row = end( $rows );
+
+		return [
+			'attachments' => $attachments,
+			'next_cursor' => count( $rows ) < $limit || ! $last_row ? null : (int) $last_row['ID'],
+		];
+	}
+
+	/**
+	 * Scan a batch of unconverted media and summarize it by MIME type.
+	 *
+	 * @since TBD
+	 * @param array $filters Filters accepted by find_unconverted_media().
+	 * @param int   $cursor  Cursor returned by the previous scan, or 0 to start.
+	 * @param int   $limit   Maximum number of attachments to examine.
+	 * @return array {
+	 *     @type int      $count       Number of matching attachments in this batch.
+	 *     @type int      $total_bytes Total original bytes of matching attachments.
+	 *     @type array    $by_mime     MIME type => ['count' => int, 'total_bytes' => int].
+	 *     @type int|null $next_cursor Cursor for the next batch, or null when done.
+	 * }
+	 */
+	public function scan_unconverted_media( $filters = [], $cursor = 0, $limit = 500 ) {
+		$batch = $this->find_unconverted_media( $filters, $cursor, $limit );
+		$summary = [
+			'count' => 0,
+			'total_bytes' => 0,
+			'by_mime' => [],
+			'next_cursor' => $batch['next_cursor'],
+		];
+
+		foreach ( $batch['attachments'] as $attachment ) {
+			$mime_type = $attachment['mime_type'];
+			if ( ! isset( $summary['by_mime'][ $mime_type ] ) ) {
+				$summary['by_mime'][ $mime_type ] = [
+					'count' => 0,
+					'total_bytes' => 0,
+				];
+			}
+
+			$summary['count']++;
+			$summary['total_bytes'] += $attachment['filesize'];
+			$summary['by_mime'][ $mime_type ]['count']++;
+			$summary['by_mime'][ $mime_type ]['total_bytes'] += $attachment['filesize'];
+		}
+
+		return $summary;
+	}
+
+	/**
+	 * Get the original file size of an attachment.
+	 *
+	 * Uses the size stored in attachment metadata and falls back to the file on disk.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return int File size in bytes, or 0 if unknown.
+	 */
+	private function get_attachment_file_size( $attachment_id ) {
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+		if ( is_array( $metadata ) && ! empty( $metadata['filesize'] ) ) {
+			return (int) $metadata['filesize'];
+		}
+
+		$file_path = get_attached_file( $attachment_id );
+		if ( $file_path && file_exists( $file_path ) ) {
+			return (int) filesize( $file_path );
+		}
+
+		return 0;
+	}
+
 	/**
 	 * Process single attachment conversion.
 	 *
@@ -0,0 +1,231 @@
+<?php
+/**
+ * Conversion history for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Records every conversion attempt of an attachment as an audit trail.
+ *
+ * Entry structure:
+ * [
+ *     'time' => 'Y-m-d H:i:s',
+ *     'trigger' => 'upload'|'manual'|'scheduled'|'bulk'|'cli'|'external',
+ *     'user_id' => int,
+ *     'type' => 'image'|'video'|'other',
+ *     'success' => bool,
+ *     'error' => string,
+ *     'external' => bool, whether the attempt ran on the external service
+ *     'duration' => float|null, seconds
+ *     'processors' => ['webp' => 'gd', ...],
+ *     'settings' => [...], settings used for the attempt
+ *     'outputs' => ['full' => ['original' => bytes, 'webp' => bytes, ...], ...], file sizes by size and format
+ * ]
+ *
+ * @since TBD
+ */
+class ConversionHistory {
+
+	/**
+	 * What started a conversion.
+	 *
+	 * @since TBD
+	 */
+	const TRIGGER_UPLOAD = 'upload';
+	const TRIGGER_MANUAL = 'manual';
+	const TRIGGER_SCHEDULED = 'scheduled';
+	const TRIGGER_BULK = 'bulk';
+	const TRIGGER_CLI = 'cli';
+	const TRIGGER_EXTERNAL = 'external';
+
+	/**
+	 * Maximum number of entries kept per attachment.
+	 *
+	 * @since TBD
+	 * @var int
+	 */
+	const MAX_ENTRIES = 50;
+
+	/**
+	 * Trigger of conversions running in the current request.
+	 *
+	 * @since TBD
+	 * @var string|null
+	 */
+	private static $trigger = null;
+
+	/**
+	 * Set the trigger of conversions running in the current request.
+	 *
+	 * Entry points (upload queue, Action Scheduler jobs, WP-CLI) set this before processing.
+	 *
+	 * @since TBD
+	 * @param string $trigger One of the TRIGGER_* constants.
+	 * @return void
+	 */
+	public static function set_trigger( $trigger ) {
+		self::$trigger = $trigger;
+	}
+
+	/**
+	 * Get the trigger of conversions running in the current request.
+	 *
+	 * @since TBD
+	 * @return string One of the TRIGGER_* constants.
+	 */
+	public static function get_trigger() {
+		if ( self::$trigger ) {
+			return self::$trigger;
+		}
+
+		if ( defined( 'WP_CLI' ) && WP_CLI ) {
+			return self::TRIGGER_CLI;
+		}
+
+		return wp_doing_cron() ? self::TRIGGER_SCHEDULED : self::TRIGGER_UPLOAD;
+	}
+
+	/**
+	 * Remember who or what requested a conversion that runs later.
+	 *
+	 * Conversions queued from the admin run in Action Scheduler jobs without a user, so the
+	 * request is kept until the attempt is recorded. Without a trigger, an already pending
+	 * request is kept as is.
+	 *
+	 * @since TBD
+	 * @param int         $attachment_id Attachment ID.
+	 * @param string|null $trigger One of the TRIGGER_* constants, or null for the current trigger.
+	 * @return void
+	 */
+	public static function request( $attachment_id, $trigger = null ) {
+		if ( null === $trigger && AttachmentMetaHandler::get_conversion_request( $attachment_id ) ) {
+			return;
+		}
+
+		AttachmentMetaHandler::set_conversion_request( $attachment_id, [
+			'trigger' => $trigger ?: self::get_trigger(),
+			'user_id' => get_current_user_id(),
+			'requested_at' => time(),
+		] );
+	}
+
+	/**
+	 * Record a conversion attempt.
+	 *
+	 * Fills in time, trigger and user from the pending request, or from the current request
+	 * if none is pending, and consumes the pending request. A failed attempt lists the
+	 * attachment in the Failed view until an attempt succeeds.
+	 *
+	 * @since TBD
+	 * @since TBD Records the last failure with its category and consumes the settings override.
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $entry Entry fields (type, success, error, external, duration, processors, settings, outputs).
+	 * @return array The recorded entry.
+	 */
+	public static function record( $attachment_id, $entry ) {
+		$request = AttachmentMetaHandler::get_conversion_request( $attachment_id );
+
+		$entry = array_merge( [
+			'time' => current_time( 'mysql' ),
+			'trigger' => $request['trigger'] ?? self::get_trigger(),
+			'user_id' => $request ? (int) $request['user_id'] : get_current_user_id(),
+			'type' => 'other',
+			'success' => false,
+			'error' => '',
+			'external' => false,
+			'duration' => null,
+			'processors' => [],
+			'settings' => [],
+			'outputs' => [],
+		], $entry );
+
+		// Attempts that are not timed where they run, like external jobs, are timed from the request
+		if ( null === $entry['duration'] && ! empty( $request['requested_at'] ) ) {
+			$entry['duration'] = (float) max( 0, time() - (int) $request['requested_at'] );
+		}
+
+		$history = AttachmentMetaHandler::get_history( $attachment_id );
+		array_unshift( $history, $entry );
+		AttachmentMetaHandler::set_history( $attachment_id, array_slice( $history, 0, self::MAX_ENTRIES ) );
+		AttachmentMetaHandler::delete_conversion_request( $attachment_id );
+		// A settings override from a retry applies to one attempt only
+		AttachmentMetaHandler::delete_settings_override( $attachment_id );
+
+		if ( $entry['success'] ) {
+			AttachmentMetaHandler::delete_failure( $attachment_id );
+		} else {
+			AttachmentMetaHandler::set_failure( $attachment_id, [
+				'category' => FailedConversionService::categorize( $entry['error'], $entry['external'] ),
+				'error' => $entry['error'],
+				'time' => $entry['time'],
+				'trigger' => $entry['trigger'],
+			] );
+		}
+
+		return $entry;
+	}
+
+	/**
+	 * Get the converted output sizes of an attachment in bytes, by size and format.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array Bytes keyed by size name and format.
+	 */
+	public static function get_outputs( $attachment_id ) {
+		$outputs = [];
+		foreach ( AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id ) as $size_name => $formats ) {
+			if ( ! is_array( $formats ) ) {
+				continue;
+			}
+			foreach ( $formats as $format => $data ) {
+				if ( is_array( $data ) && isset( $data['filesize'] ) ) {
+					$outputs[ $size_name ][ $format ] = (int) $data['filesize'];
+				}
+			}
+		}
+
+		return $outputs;
+	}
+
+	/**
+	 * Get the history of an attachment prepared for display.
+	 *
+	 * Adds the user's display name and a label for the trigger to each entry.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array History entries, newest first.
+	 */
+	public static function get_entries( $attachment_id ) {
+		$labels = self::get_trigger_labels();
+
+		return array_map( function ( $entry ) use ( $labels ) {
+			$user = ! empty( $entry['user_id'] ) ? get_userdata( $entry['user_id'] ) : false;
+			$entry['user'] = $user ? $user->display_name : '';
+			$entry['trigger_label'] = $labels[ $entry['trigger'] ?? '' ] ?? ( $entry['trigger'] ?? '' );
+			return $entry;
+		}, AttachmentMetaHandler::get_history( $attachment_id ) );
+	}
+
+	/**
+	 * Get labels of the triggers.
+	 *
+	 * @since TBD
+	 * @return array Labels keyed by trigger.
+	 */
+	public static function get_trigger_labels() {
+		return [
+			self::TRIGGER_UPLOAD => __( 'Upload', 'flux-media-optimizer' ),
+			self::TRIGGER_MANUAL => __( 'Manual', 'flux-media-optimizer' ),
+			self::TRIGGER_SCHEDULED => __( 'Scheduled job', 'flux-media-optimizer' ),
+			self::TRIGGER_BULK => __( 'Bulk conversion', 'flux-media-optimizer' ),
+			self::TRIGGER_CLI => __( 'WP-CLI', 'flux-media-optimizer' ),
+			self::TRIGGER_EXTERNAL => __( 'External service', 'flux-media-optimizer' ),
+		];
+	}
+}
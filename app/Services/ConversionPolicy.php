@@ -0,0 +1,491 @@
+<?php
+/**
+ * Rule-based conversion policies for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Matches attachments against the ordered conversion rules of the settings.
+ *
+ * The first enabled rule whose conditions all match an attachment applies to it.
+ * Empty conditions match any attachment.
+ *
+ * Rule structure:
+ * [
+ *     'id' => string,
+ *     'name' => string,
+ *     'enabled' => bool,
+ *     'conditions' => [
+ *         'mime_types' => ['image/png', 'video/*', ...],
+ *         'min_size_kb' => int, 'max_size_kb' => int, 0 for no limit
+ *         'min_width' => int, 'max_width' => int, 'min_height' => int, 'max_height' => int, pixels, 0 for no limit
+ *         'folder' => string, upload folder relative to the uploads directory, wildcards allowed
+ *         'filename' => string, filename glob such as '*logo*'
+ *         'post_types' => ['product', ...], post type of the parent post
+ *         'taxonomy' => string, 'terms' => [slug, ...], terms of the attachment or its parent post, any term when empty
+ *     ],
+ *     'actions' => [
+ *         'skip' => bool,
+ *         'formats' => ['webp', 'avif', 'av1', 'webm'], configured formats when empty
+ *         'webp_quality' => int|null, 'avif_quality' => int|null, 'avif_speed' => int|null, settings when null
+ *         'lossless' => bool,
+ *     ],
+ * ]
+ *
+ * @since TBD
+ */
+class ConversionPolicy {
+
+	/**
+	 * Maximum number of rules kept in the settings.
+	 *
+	 * @since TBD
+	 * @var int
+	 */
+	const MAX_RULES = 50;
+
+	/**
+	 * Default rule conditions.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const DEFAULT_CONDITIONS = [
+		'mime_types' => [],
+		'min_size_kb' => 0,
+		'max_size_kb' => 0,
+		'min_width' => 0,
+		'max_width' => 0,
+		'min_height' => 0,
+		'max_height' => 0,
+		'folder' => '',
+		'filename' => '',
+		'post_types' => [],
+		'taxonomy' => '',
+		'terms' => [],
+	];
+
+	/**
+	 * Default rule actions.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const DEFAULT_ACTIONS = [
+		'skip' => false,
+		'formats' => [],
+		'webp_quality' => null,
+		'avif_quality' => null,
+		'avif_speed' => null,
+		'lossless' => false,
+	];
+
+	/**
+	 * Get the conversion rules in evaluation order.
+	 *
+	 * @since TBD
+	 * @return array Rules.
+	 */
+	public static function get_rules() {
+		return Settings::get_conversion_rules();
+	}
+
+	/**
+	 * Get the first enabled rule matching an attachment.
+	 *
+	 * @since TBD
+	 * @param int        $attachment_id Attachment ID.
+	 * @param array|null $rules         Rules to evaluate, or null for the saved rules.
+	 * @return array|null Matching rule, or null if no rule matches.
+	 */
+	public static function get_matching_rule( $attachment_id, $rules = null ) {
+		$rules = null === $rules ? self::get_rules() : $rules;
+		if ( empty( $rules ) ) {
+			return null;
+		}
+
+		return self::find_rule( $rules, self::get_attachment_facts( $attachment_id ) );
+	}
+
+	/**
+	 * Check whether a rule skips the conversion of an attachment.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Skipping rule, or null if the attachment is converted.
+	 */
+	public static function get_skipping_rule( $attachment_id ) {
+		$rule = self::get_matching_rule( $attachment_id );
+
+		return $rule && $rule['actions']['skip'] ? $rule : null;
+	}
+
+	/**
+	 * Apply the rule matching an attachment to its formats and quality settings.
+	 *
+	 * @since TBD
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $type          Converter::TYPE_IMAGE or Converter::TYPE_VIDEO.
+	 * @param array  $formats       Configured formats.
+	 * @param array  $settings      Configured quality settings.
+	 * @return array Result with 'rule' (matching rule or null), 'formats' and 'settings'.
+	 */
+	public static function apply( $attachment_id, $type, $formats, $settings = [] ) {
+		$rule = self::get_matching_rule( $attachment_id );
+		$result = $rule ? self::apply_actions( $rule['actions'], $type, $formats, $settings ) : [
+			'formats' => $formats,
+			'settings' => $settings,
+		];
+		$result['rule'] = $rule;
+
+		return $result;
+	}
+
+	/**
+	 * Explain how rules apply to an attachment, for testing rules before saving them.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $rules         Rules in evaluation order.
+	 * @return array Result with the attachment 'facts', the 'rules' with their failed conditions,
+	 *               the matching 'rule' and the resulting 'skip', 'formats' and 'settings'.
+	 */
+	public static function explain( $attachment_id, $rules ) {
+		$facts = self::get_attachment_facts( $attachment_id );
+		$matching_rule = null;
+		$results = [];
+
+		foreach ( $rules as $rule ) {
+			$failed = self::get_failed_conditions( $rule['conditions'] ?? [], $facts );
+			$applies = null === $matching_rule && ! empty( $rule['enabled'] ) && empty( $failed );
+			if ( $applies ) {
+				$matching_rule = self::normalize_rule( $rule );
+			}
+
+			$results[] = [
+				'id' => $rule['id'] ?? '',
+				'name' => $rule['name'] ?? '',
+				'enabled' => ! empty( $rule['enabled'] ),
+				'failed_conditions' => $failed,
+				'applies' => $applies,
+			];
+		}
+
+		$type = 0 === strpos( $facts['mime_type'], 'video/' ) ? Converter::TYPE_VIDEO : Converter::TYPE_IMAGE;
+		$formats = Converter::TYPE_IMAGE === $type ? Settings::get_image_formats() : Settings::get_video_formats();
+		$settings = Converter::TYPE_IMAGE === $type ? Settings::get_image_encoding_settings() : [];
+		$applied = $matching_rule ? self::apply_actions( $matching_rule['actions'], $type, $formats, $settings ) : [
+			'formats' => $formats,
+			'settings' => $settings,
+		];
+
+		return [
+			'facts' => $facts,
+			'rules' => $results,
+			'rule' => $matching_rule,
+			'skip' => $matching_rule && $matching_rule['actions']['skip'],
+			'formats' => $applied['formats'],
+			'settings' => $applied['settings'],
+		];
+	}
+
+	/**
+	 * Get the first enabled rule matching attachment facts.
+	 *
+	 * @since TBD
+	 * @param array $rules Rules in evaluation order.
+	 * @param array $facts Attachment facts, see get_attachment_facts().
+	 * @return array|null Matching rule, or null if no rule matches.
+	 */
+	public static function find_rule( $rules, $facts ) {
+		foreach ( $rules as $rule ) {
+			if ( ! empty( $rule['enabled'] ) && empty( self::get_failed_conditions( $rule['conditions'] ?? [], $facts ) ) ) {
+				return self::normalize_rule( $rule );
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the conditions of a rule that attachment facts do not match.
+	 *
+	 * @since TBD
+	 * @param array $conditions Rule conditions.
+	 * @param array $facts      Attachment facts, see get_attachment_facts().
+	 * @return string[] Keys of the failed conditions, empty if the rule matches.
+	 */
+	public static function get_failed_conditions( $conditions, $facts ) {
+		$conditions = array_merge( self::DEFAULT_CONDITIONS, (array) $conditions );
+		$failed = [];
+
+		if ( ! empty( $conditions['mime_types'] ) && ! self::matches_any( $conditions['mime_types'], $facts['mime_type'] ?? '' ) ) {
+			$failed[] = 'mime_types';
+		}
+
+		$size_kb = ( $facts['file_size'] ?? 0 ) / 1024;
+		if ( ! self::in_range( $size_kb, $conditions['min_size_kb'], $conditions['max_size_kb'] ) ) {
+			$failed[] = 'file_size';
+		}
+
+		if ( ! self::in_range( $facts['width'] ?? 0, $conditions['min_width'], $conditions['max_width'] ) ) {
+			$failed[] = 'width';
+		}
+
+		if ( ! self::in_range( $facts['height'] ?? 0, $conditions['min_height'], $conditions['max_height'] ) ) {
+			$failed[] = 'height';
+		}
+
+		if ( '' !== $conditions['folder'] && ! self::matches_folder( $conditions['folder'], $facts['folder'] ?? '' ) ) {
+			$failed[] = 'folder';
+		}
+
+		if ( '' !== $conditions['filename'] && ! self::matches_any( [ $conditions['filename'] ], $facts['filename'] ?? '' ) ) {
+			$failed[] = 'filename';
+		}
+
+		if ( ! empty( $conditions['post_types'] ) && ! in_array( $facts['parent_post_type'] ?? '', $conditions['post_types'], true ) ) {
+			$failed[] = 'post_types';
+		}
+
+		if ( '' !== $conditions['taxonomy'] ) {
+			$terms = $facts['terms'][ $conditions['taxonomy'] ] ?? [];
+			$matches = empty( $conditions['terms'] ) ? ! empty( $terms ) : ! empty( array_intersect( $conditions['terms'], $terms ) );
+			if ( ! $matches ) {
+				$failed[] = 'taxonomy';
+			}
+		}
+
+		return $failed;
+	}
+
+	/**
+	 * Apply rule actions to formats and quality settings.
+	 *
+	 * Rule formats of the other media type are ignored. Lossless conversion switches
+	 * both WebP and AVIF to their lossless encoding mode.
+	 *
+	 * @since TBD
+	 * @param array  $actions  Rule actions.
+	 * @param string $type     Converter::TYPE_IMAGE or Converter::TYPE_VIDEO.
+	 * @param array  $formats  Configured formats.
+	 * @param array  $settings Configured quality settings.
+	 * @return array Result with 'formats' and 'settings'.
+	 */
+	public static function apply_actions( $actions, $type, $formats, $settings = [] ) {
+		$actions = array_merge( self::DEFAULT_ACTIONS, (array) $actions );
+		$type_formats = Converter::TYPE_IMAGE === $type
+			? [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ]
+			: [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ];
+
+		$rule_formats = array_values( array_intersect( (array) $actions['formats'], $type_formats ) );
+		if ( ! empty( $rule_formats ) ) {
+			$formats = $rule_formats;
+		}
+
+		if ( Converter::TYPE_IMAGE === $type ) {
+			foreach ( [ 'webp_quality', 'avif_quality', 'avif_speed' ] as $key ) {
+				if ( null !== $actions[ $key ] ) {
+					$settings[ $key ] = (int) $actions[ $key ];
+				}
+			}
+
+			if ( $actions['lossless'] ) {
+				$settings['webp_mode'] = Settings::IMAGE_MODE_LOSSLESS;
+				$settings['avif_mode'] = Settings::IMAGE_MODE_LOSSLESS;
+			}
+		}
+
+		return [
+			'formats' => $formats,
+			'settings' => $settings,
+		];
+	}
+
+	/**
+	 * Get the attachment facts rules are matched against.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return array Facts with 'mime_type', 'file_size' (bytes), 'width', 'height', 'folder',
+	 *               'filename', 'parent_post_type' and 'terms' (slugs keyed by taxonomy).
+	 */
+	public static function get_attachment_facts( $attachment_id ) {
+		$file_path = get_attached_file( $attachment_id );
+		$relative_path = (string) get_post_meta( $attachment_id, '_wp_attached_file', true );
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+		$parent_id = (int) wp_get_post_parent_id( $attachment_id );
+
+		$terms = self::get_object_term_slugs( $attachment_id, 'attachment' );
+		if ( $parent_id ) {
+			$terms = array_merge_recursive( $terms, self::get_object_term_slugs( $parent_id, get_post_type( $parent_id ) ) );
+		}
+
+		$folder = dirname( $relative_path );
+
+		return [
+			'mime_type' => (string) get_post_mime_type( $attachment_id ),
+			'file_size' => $file_path && file_exists( $file_path ) ? (int) filesize( $file_path ) : 0,
+			'width' => (int) ( $metadata['width'] ?? 0 ),
+			'height' => (int) ( $metadata['height'] ?? 0 ),
+			'folder' => '.' === $folder ? '' : $folder,
+			'filename' => wp_basename( $relative_path ?: (string) $file_path ),
+			'parent_post_type' => $parent_id ? (string) get_post_type( $parent_id ) : '',
+			'terms' => $terms,
+		];
+	}
+
+	/**
+	 * Sanitize conversion rules from the settings screen.
+	 *
+	 * @since TBD
+	 * @param mixed $rules Rules.
+	 * @return array Sanitized rules.
+	 */
+	public static function sanitize_rules( $rules ) {
+		if ( ! is_array( $rules ) ) {
+			return [];
+		}
+
+		$sanitized = [];
+		foreach ( array_slice( array_values( $rules ), 0, self::MAX_RULES ) as $rule ) {
+			if ( ! is_array( $rule ) ) {
+				continue;
+			}
+
+			$conditions = array_merge( self::DEFAULT_CONDITIONS, (array) ( $rule['conditions'] ?? [] ) );
+			$actions = array_merge( self::DEFAULT_ACTIONS, (array) ( $rule['actions'] ?? [] ) );
+
+			$sanitized[] = [
+				'id' => sanitize_key( $rule['id'] ?? '' ) ?: wp_generate_uuid4(),
+				'name' => sanitize_text_field( $rule['name'] ?? '' ),
+				'enabled' => ! empty( $rule['enabled'] ),
+				'conditions' => [
+					'mime_types' => array_values( array_filter( array_map( 'sanitize_text_field', (array) $conditions['mime_types'] ) ) ),
+					'min_size_kb' => absint( $conditions['min_size_kb'] ),
+					'max_size_kb' => absint( $conditions['max_size_kb'] ),
+					'min_width' => absint( $conditions['min_width'] ),
+					'max_width' => absint( $conditions['max_width'] ),
+					'min_height' => absint( $conditions['min_height'] ),
+					'max_height' => absint( $conditions['max_height'] ),
+					'folder' => trim( sanitize_text_field( $conditions['folder'] ), '/' ),
+					'filename' => sanitize_text_field( $conditions['filename'] ),
+					'post_types' => array_values( array_filter( array_map( 'sanitize_key', (array) $conditions['post_types'] ) ) ),
+					'taxonomy' => sanitize_key( $conditions['taxonomy'] ),
+					'terms' => array_values( array_filter( array_map( 'sanitize_title', (array) $conditions['terms'] ) ) ),
+				],
+				'actions' => [
+					'skip' => ! empty( $actions['skip'] ),
+					'formats' => array_values( array_intersect( (array) $actions['formats'], [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF, Converter::FORMAT_AV1, Converter::FORMAT_WEBM ] ) ),
+					'webp_quality' => self::sanitize_optional_int( $actions['webp_quality'], 1, 100 ),
+					'avif_quality' => self::sanitize_optional_int( $actions['avif_quality'], 1, 100 ),
+					'avif_speed' => self::sanitize_optional_int( $actions['avif_speed'], 0, 10 ),
+					'lossless' => ! empty( $actions['lossless'] ),
+				],
+			];
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Fill a rule with the default conditions and actions.
+	 *
+	 * @since TBD
+	 * @param array $rule Rule.
+	 * @return array Rule.
+	 */
+	private static function normalize_rule( $rule ) {
+		$rule['name'] = $rule['name'] ?? '';
+		$rule['conditions'] = array_merge( self::DEFAULT_CONDITIONS, (array) ( $rule['conditions'] ?? [] ) );
+		$rule['actions'] = array_merge( self::DEFAULT_ACTIONS, (array) ( $rule['actions'] ?? [] ) );
+
+		return $rule;
+	}
+
+	/**
+	 * Check whether a value matches any of several case-insensitive glob patterns.
+	 *
+	 * @since TBD
+	 * @param string[] $patterns Patterns.
+	 * @param string   $value    Value.
+	 * @return bool True if a pattern matches.
+	 */
+	private static function matches_any( $patterns, $value ) {
+		foreach ( $patterns as $pattern ) {
+			if ( fnmatch( strtolower( $pattern ), strtolower( $value ) ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Check whether an upload folder is a folder pattern or inside it.
+	 *
+	 * @since TBD
+	 * @param string $pattern Folder pattern, such as 'logos' or '2024/*'.
+	 * @param string $folder  Upload folder relative to the uploads directory.
+	 * @return bool True if the folder matches.
+	 */
+	private static function matches_folder( $pattern, $folder ) {
+		$pattern = trim( $pattern, '/' );
+
+		return fnmatch( $pattern, $folder ) || fnmatch( $pattern . '/*', $folder );
+	}
+
+	/**
+	 * Check whether a value is within a range, where a zero bound is no limit.
+	 *
+	 * @since TBD
+	 * @param int|float $value Value.
+	 * @param int       $min   Minimum, 0 for none.
+	 * @param int       $max   Maximum, 0 for none.
+	 * @return bool True if the value is in range.
+	 */
+	private static function in_range( $value, $min, $max ) {
+		return ( ! $min || $value >= $min ) && ( ! $max || $value <= $max );
+	}
+
+	/**
+	 * Get the term slugs of a post by taxonomy.
+	 *
+	 * @since TBD
+	 * @param int    $object_id Post ID.
+	 * @param string $post_type Post type.
+	 * @return array Term slugs keyed by taxonomy.
+	 */
+	private static function get_object_term_slugs( $object_id, $post_type ) {
+		$terms = [];
+		foreach ( get_object_taxonomies( $post_type ) as $taxonomy ) {
+			$slugs = wp_get_object_terms( $object_id, $taxonomy, [ 'fields' => 'slugs' ] );
+			if ( ! is_wp_error( $slugs ) && ! empty( $slugs ) ) {
+				$terms[ $taxonomy ] = $slugs;
+			}
+		}
+
+		return $terms;
+	}
+
+	/**
+	 * Sanitize an optional integer setting, where empty means unset.
+	 *
+	 * @since TBD
+	 * @param mixed $value Value.
+	 * @param int   $min   Minimum.
+	 * @param int   $max   Maximum.
+	 * @return int|null Value in range, or null if empty.
+	 */
+	private static function sanitize_optional_int( $value, $min, $max ) {
+		if ( null === $value || '' === $value ) {
+			return null;
+		}
+
+		return max( $min, min( $max, (int) $value ) );
+	}
+}
@@ -50,14 +50,16 @@ class ConversionTracker {
 	 * Record a conversion for an attachment.
 	 *
 	 * @since 1.0.0
+	 * @since TBD Added the processor parameter.
 	 * @param int    $attachment_id WordPress attachment ID.
 	 * @param string $file_type File type (webp, avif, av1, webm).
 	 * @param int    $original_size Original file size in bytes.
 	 * @param int    $converted_size Converted file size in bytes.
 	 * @param string $size_name Image size name (full, thumbnail, medium, etc.). Default 'full'.
+	 * @param string $processor Processor that created the file (gd, imagick, ffmpeg, external). Default null.
 	 * @return bool True on success, false on failure.
 	 */
-	public function record_conversion( $attachment_id, $file_type, $original_size = 0, $converted_size = 0, $size_name = 'full' ) {
+	public function record_conversion( $attachment_id, $file_type, $original_size = 0, $converted_size = 0, $size_name = 'full', $processor = null ) {
 		global $wpdb;
 
 		// Validate inputs
@@ -75,12 +77,13 @@ class ConversionTracker {
 
 		// Use INSERT ... ON DUPLICATE KEY UPDATE for atomic operation
 		$result = $wpdb->query( $wpdb->prepare(
-			"INSERT INTO {$this->table_name} (attachment_id, file_type, size_name, original_size, converted_size, size_savings, converted_at) 
-			 VALUES (%d, %s, %s, %d, %d, %d, %s) 
+			"INSERT INTO {$this->table_name} (attachment_id, file_type, size_name, original_size, converted_size, size_savings, processor, converted_at) 
+			 VALUES (%d, %s, %s, %d, %d, %d, %s, %s) 
 			 ON DUPLICATE KEY UPDATE 
 			 original_size = VALUES(original_size),
 			 converted_size = VALUES(converted_size),
 			 size_savings = VALUES(size_savings),
+			 processor = VALUES(processor),
 			 converted_at = VALUES(converted_at)",
 			$attachment_id,
 			$file_type,
@@ -88,6 +91,7 @@ class ConversionTracker {
 			$original_size,
 			$converted_size,
 			$size_savings,
+			$processor ?: '',
 			current_time( 'mysql' )
 		) );
 
@@ -235,6 +239,97 @@ class ConversionTracker {
 		return $deleted !== false ? (int) $deleted : 0;
 	}
 
+	/**
+	 * Delete conversion records for specific image sizes of an attachment.
+	 *
+	 * Removes tracking records for sizes that are no longer converted.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id WordPress attachment ID.
+	 * @param array $size_names Array of size names to delete (e.g., ['thumbnail', 'medium_large']).
+	 * @return int Number of records deleted.
+	 */
+	public function delete_attachment_conversions_by_sizes( $attachment_id, $size_names ) {
+		global $wpdb;
+
+		if ( ! $attachment_id || empty( $size_names ) || ! is_array( $size_names ) ) {
+			return 0;
+		}
+
+		// Build placeholders for IN clause
+		$placeholders = implode( ',', array_fill( 0, count( $size_names ), '%s' ) );
+
+		$deleted = $wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$this->table_name} WHERE attachment_id = %d AND size_name IN ($placeholders)",
+				array_merge( [ $attachment_id ], $size_names )
+			)
+		);
+
+		return $deleted !== false ? (int) $deleted : 0;
+	}
+
+	/**
+	 * Get the most recently converted attachments.
+	 *
+	 * Rows are grouped per attachment so each attachment appears once, with
+	 * totals summed across all sizes and formats.
+	 *
+	 * @since TBD
+	 * @param int $limit Maximum number of attachments to return.
+	 * @return array Array of recent conversions.
+	 */
+	public function get_recent_conversions( $limit = 10 ) {
+		global $wpdb;
+
+		$results = $wpdb->get_results( $wpdb->prepare(
+			"SELECT attachment_id, GROUP_CONCAT(DISTINCT file_type) as formats, SUM(original_size) as total_original, SUM(converted_size) as total_converted, SUM(size_savings) as total_savings, MAX(converted_at) as converted_at 
+			 FROM {$this->table_name} GROUP BY attachment_id ORDER BY converted_at DESC LIMIT %d",
+			$limit
+		), ARRAY_A );
+
+		$conversions = [];
+		foreach ( $results as $row ) {
+			$attachment_id = (int) $row['attachment_id'];
+			$conversions[] = [
+				'attachment_id' => $attachment_id,
+				'title' => get_the_title( $attachment_id ),
+				'mime_type' => get_post_mime_type( $attachment_id ),
+				'formats' => array_filter( explode( ',', $row['formats'] ) ),
+				'total_original_bytes' => (int) $row['total_original'],
+				'total_converted_bytes' => (int) $row['total_converted'],
+				'total_savings_bytes' => (int) $row['total_savings'],
+				'savings_percentage' => $row['total_original'] > 0 ? round( ( $row['total_savings'] / $row['total_original'] ) * 100, 2 ) : 0,
+				'converted_at' => $row['converted_at'],
+			];
+		}
+
+		return $conversions;
+	}
+
+	/**
+	 * Delete conversion records for attachments that no longer exist.
+	 *
+	 * @since TBD
+	 * @return int Number of records deleted.
+	 */
+	public function delete_orphaned_conversions() {
+		global $wpdb;
+
+		$deleted = $wpdb->query(
+			"DELETE c FROM {$this->table_name} c 
+			 LEFT JOIN {$wpdb->posts} p ON c.attachment_id = p.ID 
+			 WHERE p.ID IS NULL"
+		);
+
+		if ( $deleted ) {
+			wp_cache_delete( 'flux_media_optimizer_conversion_stats', 'flux_media_optimizer' );
+			wp_cache_delete( 'flux_media_optimizer_savings_stats', 'flux_media_optimizer' );
+		}
+
+		return $deleted !== false ? (int) $deleted : 0;
+	}
+
 	/**
 	 * Get conversion statistics.
 	 *
@@ -346,6 +441,376 @@ class ConversionTracker {
 		return $stats;
 	}
 
+	/**
+	 * Get savings analytics for a date range.
+	 *
+	 * Returns totals, a savings time series, breakdowns by output format and by source
+	 * MIME type, and the attachments with the largest savings within the range.
+	 * Dates are compared against the local conversion time.
+	 *
+	 * @since TBD
+	 * @param string $date_from Start date (Y-m-d), inclusive.
+	 * @param string $date_to   End date (Y-m-d), inclusive.
+	 * @param string $group_by  Time series grouping, 'day' or 'week'.
+	 * @param int    $top_limit Number of attachments to return in the top savings list.
+	 * @return array Analytics array.
+	 */
+	public function get_savings_analytics( $date_from, $date_to, $group_by = 'day', $top_limit = 10 ) {
+		global $wpdb;
+
+		$range_start = $date_from . ' 00:00:00';
+		$range_end = $date_to . ' 23:59:59';
+		$period_sql = self::get_period_sql( 'c.converted_at', $group_by );
+
+		$totals = $wpdb->get_row( $wpdb->prepare(
+			"SELECT SUM(original_size) as total_original, SUM(converted_size) as total_converted, SUM(size_savings) as total_savings, COUNT(*) as count, COUNT(DISTINCT attachment_id) as attachments 
+			 FROM {$this->table_name} WHERE converted_at BETWEEN %s AND %s",
+			$range_start,
+			$range_end
+		), ARRAY_A );
+
+		$time_series_rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT {$period_sql} as period, SUM(c.original_size) as total_original, SUM(c.converted_size) as total_converted, SUM(c.size_savings) as total_savings, COUNT(*) as count, COUNT(DISTINCT c.attachment_id) as attachments 
+			 FROM {$this->table_name} c WHERE c.converted_at BETWEEN %s AND %s GROUP BY period",
+			$range_start,
+			$range_end
+		), ARRAY_A );
+
+		$time_series = [];
+		foreach ( self::get_periods( $date_from, $date_to, $group_by ) as $period ) {
+			$time_series[ $period ] = array_merge( [ 'period' => $period ], $this->format_savings_row( [] ), [ 'attachments' => 0 ] );
+		}
+		foreach ( $time_series_rows as $row ) {
+			if ( isset( $time_series[ $row['period'] ] ) ) {
+				$time_series[ $row['period'] ] = array_merge( [ 'period' => $row['period'] ], $this->format_savings_row( $row ), [ 'attachments' => (int) $row['attachments'] ] );
+			}
+		}
+
+		$format_rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT file_type, SUM(original_size) as total_original, SUM(converted_size) as total_converted, SUM(size_savings) as total_savings, COUNT(*) as count 
+			 FROM {$this->table_name} WHERE converted_at BETWEEN %s AND %s GROUP BY file_type",
+			$range_start,
+			$range_end
+		), ARRAY_A );
+
+		$by_format = [];
+		foreach ( $format_rows as $row ) {
+			$by_format[ $row['file_type'] ] = $this->format_savings_row( $row );
+		}
+
+		$mime_rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT p.post_mime_type as mime_type, SUM(c.original_size) as total_original, SUM(c.converted_size) as total_converted, SUM(c.size_savings) as total_savings, COUNT(*) as count 
+			 FROM {$this->table_name} c INNER JOIN {$wpdb->posts} p ON c.attachment_id = p.ID 
+			 WHERE c.converted_at BETWEEN %s AND %s GROUP BY p.post_mime_type ORDER BY total_savings DESC",
+			$range_start,
+			$range_end
+		), ARRAY_A );
+
+		$by_mime = [];
+		foreach ( $mime_rows as $row ) {
+			$by_mime[ $row['mime_type'] ] = $this->format_savings_row( $row );
+		}
+
+		$top_rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT attachment_id, GROUP_CONCAT(DISTINCT file_type) as formats, SUM(original_size) as total_original, SUM(converted_size) as total_converted, SUM(size_savings) as total_savings, COUNT(*) as count 
+			 FROM {$this->table_name} WHERE converted_at BETWEEN %s AND %s 
+			 GROUP BY attachment_id ORDER BY total_savings DESC LIMIT %d",
+			$range_start,
+			$range_end,
+			$top_limit
+		), ARRAY_A );
+
+		$top_savings = [];
+		foreach ( $top_rows as $row ) {
+			$attachment_id = (int) $row['attachment_id'];
+			$top_savings[] = array_merge( [
+				'attachment_id' => $attachment_id,
+				'title' => get_the_title( $attachment_id ),
+				'mime_type' => get_post_mime_type( $attachment_id ),
+				'formats' => array_filter( explode( ',', $row['formats'] ) ),
+			], $this->format_savings_row( $row ) );
+		}
+
+		return [
+			'totals' => array_merge( $this->format_savings_row( $totals ?: [] ), [ 'attachments' => (int) ( $totals['attachments'] ?? 0 ) ] ),
+			'time_series' => array_values( $time_series ),
+			'by_format' => $by_format,
+			'by_mime' => $by_mime,
+			'top_savings' => $top_savings,
+		];
+	}
+
+	/**
+	 * Format an aggregated savings row.
+	 *
+	 * @since TBD
+	 * @param array $row Row with total_original, total_converted, total_savings and count.
+	 * @return array Savings with byte totals, percentage and count.
+	 */
+	private function format_savings_row( $row ) {
+		$total_original = (int) ( $row['total_original'] ?? 0 );
+		$total_savings = (int) ( $row['total_savings'] ?? 0 );
+
+		return [
+			'count' => (int) ( $row['count'] ?? 0 ),
+			'total_original_bytes' => $total_original,
+			'total_converted_bytes' => (int) ( $row['total_converted'] ?? 0 ),
+			'total_savings_bytes' => $total_savings,
+			'savings_percentage' => $total_original > 0 ? round( ( $total_savings / $total_original ) * 100, 2 ) : 0,
+		];
+	}
+
+	/**
+	 * Get the SQL expression that maps a datetime column to its period key.
+	 *
+	 * Days are keyed by date and weeks by the date of their Monday.
+	 *
+	 * @since TBD
+	 * @param string $column   Datetime column.
+	 * @param string $group_by Grouping, 'day' or 'week'.
+	 * @return string SQL expression.
+	 */
+	public static function get_period_sql( $column, $group_by ) {
+		if ( 'week' === $group_by ) {
+			return "DATE(DATE_SUB({$column}, INTERVAL WEEKDAY({$column}) DAY))";
+		}
+
+		return "DATE({$column})";
+	}
+
+	/**
+	 * Get every period key between two dates.
+	 *
+	 * @since TBD
+	 * @param string $date_from Start date (Y-m-d).
+	 * @param string $date_to   End date (Y-m-d).
+	 * @param string $group_by  Grouping, 'day' or 'week'.
+	 * @return array Period keys (Y-m-d).
+	 */
+	public static function get_periods( $date_from, $date_to, $group_by ) {
+		$current = new \DateTimeImmutable( $date_from );
+		$end = new \DateTimeImmutable( $date_to );
+
+		if ( 'week' === $group_by ) {
+			// Align to the Monday of the first week, matching WEEKDAY() in get_period_sql().
+			$current = $current->modify( '-' . ( (int) $current->format( 'N' ) - 1 ) . ' days' );
+		}
+
+		$step = 'week' === $group_by ? '+1 week' : '+1 day';
+		$periods = [];
+		while ( $current <= $end ) {
+			$periods[] = $current->format( 'Y-m-d' );
+			$current = $current->modify( $step );
+		}
+
+		return $periods;
+	}
+
+	/**
+	 * Iterate over conversion records within a date range for export.
+	 *
+	 * Records are read in batches so large histories can be streamed without
+	 * loading the whole table into memory.
+	 *
+	 * @since TBD
+	 * @param string $date_from  Start date (Y-m-d), inclusive.
+	 * @param string $date_to    End date (Y-m-d), inclusive.
+	 * @param int    $batch_size Number of records read per query.
+	 * @return \Generator Conversion records.
+	 */
+	public function iterate_conversions( $date_from, $date_to, $batch_size = 500 ) {
+		global $wpdb;
+
+		$last_id = 0;
+
+		do {
+			$rows = $wpdb->get_results( $wpdb->prepare(
+				"SELECT c.id, c.attachment_id, p.post_title as title, p.post_mime_type as mime_type, c.size_name, c.file_type, c.processor, c.original_size, c.converted_size, c.size_savings, c.converted_at
+				 FROM {$this->table_name} c LEFT JOIN {$wpdb->posts} p ON c.attachment_id = p.ID
+				 WHERE c.converted_at BETWEEN %s AND %s AND c.id > %d ORDER BY c.id ASC LIMIT %d",
+				$date_from . ' 00:00:00',
+				$date_to . ' 23:59:59',
+				$last_id,
+				$batch_size
+			), ARRAY_A );
+
+			foreach ( $rows as $row ) {
+				$last_id = (int) $row['id'];
+				$row['savings_percentage'] = $row['original_size'] > 0 ?
+					round( ( $row['size_savings'] / $row['original_size'] ) * 100, 2 ) : 0;
+
+				yield $row;
+			}
+		} while ( count( $rows ) === $batch_size );
+	}
+
+	/**
+	 * Get aggregate perceptual quality statistics.
+	 *
+	 * Aggregates the SSIM/PSNR scores stored per attachment by format, and by the
+	 * quality setting each format was converted with.
+	 *
+	 * @since TBD
+	 * @return array Quality statistics array.
+	 */
+	public function get_quality_summary() {
+		global $wpdb;
+
+		$rows = $wpdb->get_col( $wpdb->prepare(
+			"SELECT meta_value FROM {$wpdb->postmeta} WHERE meta_key = %s",
+			AttachmentMetaHandler::META_KEY_QUALITY_SCORES
+		) );
+
+		$totals = [];
+		$scored_attachments = 0;
+		foreach ( $rows as $row ) {
+			$scores = maybe_unserialize( $row );
+			if ( ! is_array( $scores ) || empty( $scores['formats'] ) || ! is_array( $scores['formats'] ) ) {
+				continue;
+			}
+
+			$scored_attachments++;
+			foreach ( $scores['formats'] as $format => $score ) {
+				if ( ! isset( $score['ssim'], $score['psnr'] ) ) {
+					continue;
+				}
+
+				$totals[ $format ]['all'] = $this->add_quality_score( $totals[ $format ]['all'] ?? [], $score );
+
+				if ( isset( $score['quality'] ) ) {
+					$quality = (int) $score['quality'];
+					$totals[ $format ]['by_quality'][ $quality ] = $this->add_quality_score( $totals[ $format ]['by_quality'][ $quality ] ?? [], $score );
+				}
+			}
+		}
+
+		$by_format = [];
+		foreach ( $totals as $format => $format_totals ) {
+			$by_quality = [];
+			$quality_totals = $format_totals['by_quality'] ?? [];
+			krsort( $quality_totals );
+			foreach ( $quality_totals as $quality => $quality_total ) {
+				$by_quality[] = array_merge( [ 'quality' => $quality ], $this->summarize_quality_scores( $quality_total ) );
+			}
+
+			$by_format[ $format ] = array_merge( $this->summarize_quality_scores( $format_totals['all'] ), [
+				'by_quality' => $by_quality,
+			] );
+		}
+
+		return [
+			'scored_attachments' => $scored_attachments,
+			'by_format' => $by_format,
+		];
+	}
+
+	/**
+	 * Get the distribution of qualities chosen by the automatic quality search.
+	 *
+	 * Groups the quality recorded per attachment by format in buckets of five.
+	 *
+	 * @since TBD
+	 * @return array Automatic quality statistics array.
+	 */
+	public function get_auto_quality_summary() {
+		global $wpdb;
+
+		$rows = $wpdb->get_col( $wpdb->prepare(
+			"SELECT meta_value FROM {$wpdb->postmeta} WHERE meta_key = %s",
+			AttachmentMetaHandler::META_KEY_AUTO_QUALITY
+		) );
+
+		$attachments = 0;
+		$totals = [];
+		foreach ( $rows as $row ) {
+			$auto_quality = maybe_unserialize( $row );
+			if ( ! is_array( $auto_quality ) || empty( $auto_quality['formats'] ) || ! is_array( $auto_quality['formats'] ) ) {
+				continue;
+			}
+
+			$attachments++;
+			foreach ( $auto_quality['formats'] as $format => $result ) {
+				if ( ! isset( $result['quality'] ) ) {
+					continue;
+				}
+
+				$quality = (int) $result['quality'];
+				$bucket = (int) floor( $quality / 5 ) * 5;
+				$format_totals = $totals[ $format ] ?? [ 'count' => 0, 'quality' => 0, 'attempts' => 0, 'unreached' => 0, 'buckets' => [] ];
+
+				$format_totals['count']++;
+				$format_totals['quality'] += $quality;
+				$format_totals['attempts'] += (int) ( $result['attempts'] ?? 0 );
+				$format_totals['unreached'] += empty( $result['reached'] ) ? 1 : 0;
+				$format_totals['buckets'][ $bucket ] = ( $format_totals['buckets'][ $bucket ] ?? 0 ) + 1;
+
+				$totals[ $format ] = $format_totals;
+			}
+		}
+
+		$by_format = [];
+		foreach ( $totals as $format => $format_totals ) {
+			ksort( $format_totals['buckets'] );
+
+			$distribution = [];
+			foreach ( $format_totals['buckets'] as $bucket => $count ) {
+				$distribution[] = [
+					'min_quality' => $bucket,
+					'max_quality' => $bucket + 4,
+					'count' => $count,
+				];
+			}
+
+			$by_format[ $format ] = [
+				'count' => $format_totals['count'],
+				'average_quality' => round( $format_totals['quality'] / $format_totals['count'], 1 ),
+				'average_attempts' => round( $format_totals['attempts'] / $format_totals['count'], 1 ),
+				'unreached' => $format_totals['unreached'],
+				'distribution' => $distribution,
+			];
+		}
+
+		return [
+			'enabled' => Settings::is_auto_quality_enabled(),
+			'target' => Settings::get_auto_quality_target(),
+			'attachments' => $attachments,
+			'by_format' => $by_format,
+		];
+	}
+
+	/**
+	 * Add a quality score to running totals.
+	 *
+	 * @since TBD
+	 * @param array $totals Running totals (count, ssim, psnr, min_ssim).
+	 * @param array $score  Score with ssim and psnr.
+	 * @return array Updated totals.
+	 */
+	private function add_quality_score( $totals, $score ) {
+		return [
+			'count' => ( $totals['count'] ?? 0 ) + 1,
+			'ssim' => ( $totals['ssim'] ?? 0 ) + (float) $score['ssim'],
+			'psnr' => ( $totals['psnr'] ?? 0 ) + (float) $score['psnr'],
+			'min_ssim' => min( $totals['min_ssim'] ?? 1, (float) $score['ssim'] ),
+		];
+	}
+
+	/**
+	 * Summarize quality score totals as averages.
+	 *
+	 * @since TBD
+	 * @param array $totals Running totals (count, ssim, psnr, min_ssim).
+	 * @return array Summary with count, average_ssim, average_psnr and min_ssim.
+	 */
+	private function summarize_quality_scores( $totals ) {
+		return [
+			'count' => $totals['count'],
+			'average_ssim' => round( $totals['ssim'] / $totals['count'], 4 ),
+			'average_psnr' => round( $totals['psnr'] / $totals['count'], 2 ),
+			'min_ssim' => round( $totals['min_ssim'], 4 ),
+		];
+	}
+
 	/**
 	 * Get conversion statistics for a specific attachment.
 	 *
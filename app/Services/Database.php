@@ -35,6 +35,7 @@ class Database {
 			original_size bigint(20) DEFAULT 0,
 			converted_size bigint(20) DEFAULT 0,
 			size_savings bigint(20) DEFAULT 0,
+			processor varchar(20) DEFAULT NULL,
 			converted_at datetime DEFAULT CURRENT_TIMESTAMP,
 			PRIMARY KEY (id),
 			UNIQUE KEY unique_conversion (attachment_id, file_type, size_name),
@@ -74,7 +75,7 @@ class Database {
 		}
 
 		// Store database version for future updates
-		update_option( 'flux_media_optimizer_db_version', '2.0' );
+		update_option( 'flux_media_optimizer_db_version', '2.1' );
 	}
 
 	/**
@@ -130,6 +131,7 @@ class Database {
 	 * Update database if needed.
 	 *
 	 * @since 1.0.0
+	 * @since TBD Version 2.1 adds the processor column to the conversions table.
 	 */
 	public static function maybe_update_database() {
 		// Check if tables exist first - if not, create them
@@ -140,7 +142,7 @@ class Database {
 
 		// If tables exist, check version and update if needed
 		$current_version = self::get_db_version();
-		$target_version = '2.0';
+		$target_version = '2.1';
 
 		if ( version_compare( $current_version, $target_version, '<' ) ) {
 			self::create_tables();
@@ -0,0 +1,202 @@
+<?php
+/**
+ * Diagnostics bundle for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Collects everything support needs to troubleshoot a site in one report.
+ *
+ * Secrets are redacted from the settings so the report can be shared.
+ *
+ * @since TBD
+ */
+class DiagnosticsService {
+
+	/**
+	 * Value replacing redacted settings.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const REDACTED = '[redacted]';
+
+	/**
+	 * Parts of setting keys that hold secrets.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const SECRET_KEYS = [ 'api_key', 'license_key', 'secret', 'token', 'password' ];
+
+	/**
+	 * Number of error log entries included.
+	 *
+	 * @since TBD
+	 * @var int
+	 */
+	const RECENT_ERRORS_LIMIT = 50;
+
+	/**
+	 * System status instance.
+	 *
+	 * @since TBD
+	 * @var SystemStatus
+	 */
+	private $system_status;
+
+	/**
+	 * Logs service instance.
+	 *
+	 * @since TBD
+	 * @var LogsService
+	 */
+	private $logs_service;
+
+	/**
+	 * Action Scheduler service instance.
+	 *
+	 * @since TBD
+	 * @var ActionSchedulerService
+	 */
+	private $action_scheduler_service;
+
+	/**
+	 * Test encode service instance.
+	 *
+	 * @since TBD
+	 * @var TestEncodeService
+	 */
+	private $test_encode_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param SystemStatus           $system_status System status instance.
+	 * @param LogsService            $logs_service Logs service instance.
+	 * @param ActionSchedulerService $action_scheduler_service Action Scheduler service instance.
+	 * @param TestEncodeService      $test_encode_service Test encode service instance.
+	 */
+	public function __construct( SystemStatus $system_status, LogsService $logs_service, ActionSchedulerService $action_scheduler_service, TestEncodeService $test_encode_service ) {
+		$this->system_status = $system_status;
+		$this->logs_service = $logs_service;
+		$this->action_scheduler_service = $action_scheduler_service;
+		$this->test_encode_service = $test_encode_service;
+	}
+
+	/**
+	 * Generate the diagnostics report.
+	 *
+	 * Each section is collected separately, so a failing check is reported in its section
+	 * instead of failing the whole report.
+	 *
+	 * @since TBD
+	 * @return array Diagnostics report.
+	 */
+	public function generate() {
+		return [
+			'generated_at' => gmdate( 'Y-m-d H:i:s' ),
+			'plugin' => $this->collect( function () {
+				return [
+					'version' => FLUX_MEDIA_OPTIMIZER_VERSION,
+					'database_version' => get_option( 'flux_media_optimizer_db_version', null ),
+				];
+			} ),
+			'environment' => $this->collect( [ $this, 'get_environment' ] ),
+			'status' => $this->collect( [ $this->system_status, 'get_status' ] ),
+			'settings' => $this->collect( function () {
+				$settings = self::redact_options( Settings::get_all() );
+				$settings['license_key_set'] = '' !== Settings::get_license_key();
+
+				return $settings;
+			} ),
+			'compatibility' => $this->collect( function () {
+				$validator = CompatibilityValidator::get_instance();
+
+				return [
+					'blocks_operations' => $validator->should_block_operations(),
+					'result' => $validator->check_compatibility()->to_array(),
+				];
+			} ),
+			'recent_errors' => $this->collect( function () {
+				return $this->logs_service->get_recent_errors( self::RECENT_ERRORS_LIMIT );
+			} ),
+			'queue' => $this->collect( [ $this->action_scheduler_service, 'get_queue_health' ] ),
+			'test_encodes' => $this->collect( [ $this->test_encode_service, 'run' ] ),
+		];
+	}
+
+	/**
+	 * Replace the values of secret settings, at any depth.
+	 *
+	 * Empty secrets are kept so the report shows they are not set.
+	 *
+	 * @since TBD
+	 * @param array $options Settings.
+	 * @return array Settings with secrets redacted.
+	 */
+	public static function redact_options( $options ) {
+		foreach ( $options as $key => $value ) {
+			if ( is_array( $value ) ) {
+				$options[ $key ] = self::redact_options( $value );
+				continue;
+			}
+
+			foreach ( self::SECRET_KEYS as $secret_key ) {
+				if ( is_string( $key ) && false !== strpos( strtolower( $key ), $secret_key ) && '' !== (string) $value ) {
+					$options[ $key ] = self::REDACTED;
+					break;
+				}
+			}
+		}
+
+		return $options;
+	}
+
+	/**
+	 * Get the WordPress and server environment.
+	 *
+	 * @since TBD
+	 * @return array Environment details.
+	 */
+	public function get_environment() {
+		global $wp_version;
+
+		return [
+			'wordpress_version' => $wp_version,
+			'multisite' => is_multisite(),
+			'site_url' => site_url(),
+			'locale' => get_locale(),
+			'server_software' => isset( $_SERVER['SERVER_SOFTWARE'] ) ? sanitize_text_field( wp_unslash( $_SERVER['SERVER_SOFTWARE'] ) ) : '',
+			'php_extensions' => [
+				'gd' => extension_loaded( 'gd' ),
+				'imagick' => extension_loaded( 'imagick' ),
+			],
+			'temp_dir' => get_temp_dir(),
+			'temp_dir_writable' => wp_is_writable( get_temp_dir() ),
+			'active_plugins' => array_values( (array) get_option( 'active_plugins', [] ) ),
+		];
+	}
+
+	/**
+	 * Run a section collector, reporting its error instead of throwing.
+	 *
+	 * @since TBD
+	 * @param callable $collector Section collector.
+	 * @return mixed Section data, or an array with the error message.
+	 */
+	private function collect( callable $collector ) {
+		try {
+			return $collector();
+		} catch ( \Throwable $e ) {
+			return [
+				'error' => $e->getMessage(),
+			];
+		}
+	}
+}
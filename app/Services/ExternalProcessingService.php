@@ -143,6 +143,7 @@ class ExternalProcessingService implements ProcessingServiceInterface {
 	 * to the external service for all file types.
 	 *
 	 * @since 3.0.0
+	 * @since TBD Skips attachments matching a conversion rule that skips them.
 	 * @param int         $attachment_id Attachment ID.
 	 * @param string|null $file_path     Optional file path. If null, will be retrieved from attachment meta.
 	 *                                   This parameter is useful when processing is triggered before the file path
@@ -156,6 +157,13 @@ class ExternalProcessingService implements ProcessingServiceInterface {
 			return false;
 		}
 
+		// Check if a conversion rule skips this attachment
+		$skipping_rule = ConversionPolicy::get_skipping_rule( $attachment_id );
+		if ( $skipping_rule ) {
+			$this->logger->info( "Attachment conversion skipped: Rule \"{$skipping_rule['name']}\" skips attachment {$attachment_id}" );
+			return false;
+		}
+
 		// Get file path if not provided
 		// Note: We retrieve from meta here because sometimes processing is triggered before
 		// the file path is stored in the attachment meta (e.g., during initial upload).
@@ -194,6 +202,10 @@ class ExternalProcessingService implements ProcessingServiceInterface {
 	 * by WordPressProvider::should_skip_processing() before this method is called.
 	 *
 	 * @since 3.0.0
+	 * @since TBD Skips image sizes excluded in settings.
+	 * @since TBD Records submissions in the conversion history.
+	 * @since TBD Uses the formats of the settings override of a retry.
+	 * @since TBD Uses the formats of the matching conversion rule.
 	 * @param int    $attachment_id Attachment ID.
 	 * @param string $file_path     File path.
 	 * @return void
@@ -242,6 +254,7 @@ class ExternalProcessingService implements ProcessingServiceInterface {
 		if ( empty( $original_file_path ) || strpos( $original_file_path, 'http://' ) === 0 || strpos( $original_file_path, 'https://' ) === 0 ) {
 			$this->logger->error( "Cannot submit job for attachment {$attachment_id}: Invalid file path (CDN URL or empty). Passed path: {$file_path}, Resolved path: {$original_file_path}" );
 			$this->update_job_state( $attachment_id, 'failed' );
+			$this->record_submission_failure( $attachment_id, __( 'Original file path is invalid', 'flux-media-optimizer' ) );
 			return;
 		}
 		
@@ -249,6 +262,7 @@ class ExternalProcessingService implements ProcessingServiceInterface {
 		if ( ! file_exists( $original_file_path ) ) {
 			$this->logger->error( "Cannot submit job for attachment {$attachment_id}: Original file does not exist at path: {$original_file_path}" );
 			$this->update_job_state( $attachment_id, 'failed' );
+			$this->record_submission_failure( $attachment_id, __( 'Original file not found', 'flux-media-optimizer' ) );
 			return;
 		}
 		
@@ -279,6 +293,17 @@ class ExternalProcessingService implements ProcessingServiceInterface {
 			$formats = Settings::get_video_formats();
 		}
 
+		// Formats set by the matching conversion rule
+		if ( $is_image || $is_video ) {
+			$formats = ConversionPolicy::apply( $attachment_id, $is_image ? Converter::TYPE_IMAGE : Converter::TYPE_VIDEO, $formats )['formats'];
+		}
+
+		// Formats chosen when retrying a failed conversion
+		$override_formats = array_values( array_intersect( AttachmentMetaHandler::get_settings_override( $attachment_id )['formats'] ?? [], $is_image ? [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ] : [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ] ) );
+		if ( ! empty( $override_formats ) && ( $is_image || $is_video ) ) {
+			$formats = $override_formats;
+		}
+
 		// Build operations array.
 		$operations = [];
 		
@@ -297,6 +322,10 @@ class ExternalProcessingService implements ProcessingServiceInterface {
 			// Add operations for each WordPress image size.
 			if ( ! empty( $metadata['sizes'] ) && is_array( $metadata['sizes'] ) ) {
 				foreach ( $metadata['sizes'] as $size_name => $size_data ) {
+					if ( ! Settings::is_image_size_enabled( $size_name ) ) {
+						continue;
+					}
+
 					$operation = [
 						'formats'  => $formats,
 						'key_name' => $size_name,
@@ -336,14 +365,36 @@ class ExternalProcessingService implements ProcessingServiceInterface {
 			// Update state to 'failed' on submission error.
 			$this->update_job_state( $attachment_id, 'failed' );
 			$this->logger->error( "Failed to submit job for attachment {$attachment_id}: " . ( $result['error'] ?? 'Unknown error' ) );
+			$this->record_submission_failure( $attachment_id, $result['error'] ?? __( 'Unknown error', 'flux-media-optimizer' ) );
 			return;
 		}
 
 		// Update state to 'processing' on successful submission.
 		$this->update_job_state( $attachment_id, 'processing' );
+		// The attempt is recorded in the history when the webhook reports the result.
+		ConversionHistory::request( $attachment_id );
 		$this->logger->debug( "Job submitted successfully for attachment {$attachment_id}" );
 	}
 
+	/**
+	 * Record a job that could not be submitted in the conversion history.
+	 *
+	 * @since TBD
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $error         Error message.
+	 * @return void
+	 */
+	private function record_submission_failure( $attachment_id, $error ) {
+		$mimetype = (string) get_post_mime_type( $attachment_id );
+
+		ConversionHistory::record( $attachment_id, [
+			'type' => strpos( $mimetype, 'image/' ) === 0 ? 'image' : ( strpos( $mimetype, 'video/' ) === 0 ? 'video' : 'other' ),
+			'success' => false,
+			'error' => $error,
+			'external' => true,
+		] );
+	}
+
 	/**
 	 * Delete attachment from external service.
 	 *
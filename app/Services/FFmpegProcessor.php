@@ -14,6 +14,7 @@ use FluxMedia\App\Services\ProcessorDetector;
 use FluxMedia\App\Services\ProcessorTypes;
 use FluxMedia\FFMpeg\FFMpeg;
 use FluxMedia\FFMpeg\FFProbe;
+use FluxMedia\FFMpeg\Coordinate\TimeCode;
 use FluxMedia\FFMpeg\Format\Video\WebM;
 use FluxMedia\FFMpeg\Format\Video\X264;
 use FluxMedia\FFMpeg\Exception\RuntimeException;
@@ -310,6 +311,77 @@ class FFmpegProcessor implements VideoProcessorInterface {
 		}
 	}
 
+	/**
+	 * Extract a single frame of a video as an image.
+	 *
+	 * Positions past the end of the video are clamped to its last second.
+	 *
+	 * @since TBD
+	 * @param string $source_path Source video path.
+	 * @param string $destination_path Destination image path (JPEG).
+	 * @param float  $seconds Position of the frame in seconds.
+	 * @return bool True on success, false on failure.
+	 */
+	public function extract_frame( $source_path, $destination_path, $seconds ) {
+		if ( ! $this->ffmpeg ) {
+			$this->logger->error( 'FFmpeg is not available' );
+			return false;
+		}
+
+		try {
+			$metadata = $this->get_metadata( $source_path );
+			if ( $metadata && $metadata['duration'] > 0 ) {
+				$seconds = min( $seconds, max( 0, $metadata['duration'] - 1 ) );
+			}
+
+			$video = $this->ffmpeg->open( $source_path );
+
+			// Accurate seeking decodes up to the exact frame instead of the nearest keyframe
+			$video->frame( TimeCode::fromSeconds( max( 0, (float) $seconds ) ) )->save( $destination_path, true );
+
+			return file_exists( $destination_path );
+
+		} catch ( RuntimeException $e ) {
+			$this->logger->error( "Frame extraction failed: {$e->getMessage()}" );
+			return false;
+		}
+	}
+
+	/**
+	 * Extract the first frame after a scene change as an image.
+	 *
+	 * @since TBD
+	 * @param string $source_path Source video path.
+	 * @param string $destination_path Destination image path (JPEG).
+	 * @param float  $threshold Scene change score between 0 and 1 a frame must exceed.
+	 * @return bool True on success, false on failure or if the video has no scene change.
+	 */
+	public function extract_scene_frame( $source_path, $destination_path, $threshold ) {
+		if ( ! $this->ffmpeg ) {
+			$this->logger->error( 'FFmpeg is not available' );
+			return false;
+		}
+
+		try {
+			// The select filter only passes frames whose difference from the previous frame exceeds the threshold
+			$this->ffmpeg->getFFMpegDriver()->command( [
+				'-y',
+				'-i', $source_path,
+				'-vf', "select='gt(scene," . number_format( (float) $threshold, 2, '.', '' ) . ")'",
+				'-frames:v', '1',
+				'-vsync', 'vfr',
+				'-q:v', '2',
+				$destination_path,
+			] );
+
+			return file_exists( $destination_path ) && filesize( $destination_path ) > 0;
+
+		} catch ( \Exception $e ) {
+			$this->logger->error( "Scene frame extraction failed: {$e->getMessage()}" );
+			return false;
+		}
+	}
+
 	/**
 	 * Get video metadata.
 	 *
@@ -0,0 +1,322 @@
+<?php
+/**
+ * Failed conversion management for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Groups failed conversions by cause and retries or skips them.
+ *
+ * An attachment is failed while its last conversion attempt failed. The failure is
+ * recorded with the attempt in the conversion history.
+ *
+ * @since TBD
+ */
+class FailedConversionService {
+
+	/**
+	 * Failure categories.
+	 *
+	 * @since TBD
+	 */
+	const CATEGORY_TIMEOUT = 'timeout';
+	const CATEGORY_MEMORY = 'memory';
+	const CATEGORY_CODEC = 'codec';
+	const CATEGORY_FILE_SIZE = 'file_size';
+	const CATEGORY_EXTERNAL = 'external';
+	const CATEGORY_OTHER = 'other';
+
+	/**
+	 * Error message fragments identifying each category, checked in order.
+	 *
+	 * Codec comes last since "not supported" also appears in messages about other causes.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const CATEGORY_PATTERNS = [
+		self::CATEGORY_TIMEOUT => [ 'timed out', 'timeout', 'maximum execution time', 'conversion_timeout' ],
+		self::CATEGORY_MEMORY => [ 'allowed memory size', 'out of memory', 'memory exhausted', 'memory limit', 'cannot allocate memory' ],
+		self::CATEGORY_FILE_SIZE => [ 'too large', 'max_file_size', 'exceeds the maximum', 'file size limit' ],
+		self::CATEGORY_CODEC => [ 'codec', 'encoder', 'decoder', 'delegate', 'unsupported', 'not supported' ],
+	];
+
+	/**
+	 * Maximum number of failures returned in a listing.
+	 *
+	 * @since TBD
+	 * @var int
+	 */
+	const MAX_LISTED = 200;
+
+	/**
+	 * Action Scheduler service instance.
+	 *
+	 * @since TBD
+	 * @var ActionSchedulerService
+	 */
+	private $action_scheduler_service;
+
+	/**
+	 * Media Library service instance.
+	 *
+	 * @since TBD
+	 * @var MediaLibraryService
+	 */
+	private $media_library_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param ActionSchedulerService $action_scheduler_service Action Scheduler service instance.
+	 * @param MediaLibraryService    $media_library_service Media Library service instance.
+	 */
+	public function __construct( ActionSchedulerService $action_scheduler_service, MediaLibraryService $media_library_service ) {
+		$this->action_scheduler_service = $action_scheduler_service;
+		$this->media_library_service = $media_library_service;
+	}
+
+	/**
+	 * Get the category of a conversion error.
+	 *
+	 * Failures of the external service are external API errors whatever the message.
+	 *
+	 * @since TBD
+	 * @param string $error    Error message.
+	 * @param bool   $external Whether the attempt ran on the external service.
+	 * @return string One of the CATEGORY_* constants.
+	 */
+	public static function categorize( $error, $external = false ) {
+		if ( $external ) {
+			return self::CATEGORY_EXTERNAL;
+		}
+
+		$error = strtolower( (string) $error );
+		foreach ( self::CATEGORY_PATTERNS as $category => $patterns ) {
+			foreach ( $patterns as $pattern ) {
+				if ( false !== strpos( $error, $pattern ) ) {
+					return $category;
+				}
+			}
+		}
+
+		return self::CATEGORY_OTHER;
+	}
+
+	/**
+	 * Get labels of the failure categories.
+	 *
+	 * @since TBD
+	 * @return array Labels keyed by category.
+	 */
+	public static function get_category_labels() {
+		return [
+			self::CATEGORY_TIMEOUT => __( 'Timeout', 'flux-media-optimizer' ),
+			self::CATEGORY_MEMORY => __( 'Out of memory', 'flux-media-optimizer' ),
+			self::CATEGORY_CODEC => __( 'Unsupported codec', 'flux-media-optimizer' ),
+			self::CATEGORY_FILE_SIZE => __( 'File too large', 'flux-media-optimizer' ),
+			self::CATEGORY_EXTERNAL => __( 'External API error', 'flux-media-optimizer' ),
+			self::CATEGORY_OTHER => __( 'Other', 'flux-media-optimizer' ),
+		];
+	}
+
+	/**
+	 * Get failed conversions with the number of failures in each category.
+	 *
+	 * Attachments with conversion disabled are skipped and not listed.
+	 *
+	 * @since TBD
+	 * @param string $category Category to list, or empty for all.
+	 * @return array Result with 'counts' keyed by category and 'failures', newest first.
+	 */
+	public function get_failures( $category = '' ) {
+		$counts = array_fill_keys( array_keys( self::get_category_labels() ), 0 );
+		$failures = [];
+
+		foreach ( $this->get_failed_attachments() as $attachment_id => $failure ) {
+			$counts[ $failure['category'] ] = ( $counts[ $failure['category'] ] ?? 0 ) + 1;
+
+			if ( $category && $category !== $failure['category'] ) {
+				continue;
+			}
+
+			$failures[] = $this->format_failure( $attachment_id, $failure );
+		}
+
+		usort( $failures, function ( $a, $b ) {
+			return strcmp( $b['time'], $a['time'] );
+		} );
+
+		return [
+			'counts' => $counts,
+			'total' => array_sum( $counts ),
+			'failures' => array_slice( $failures, 0, self::MAX_LISTED ),
+		];
+	}
+
+	/**
+	 * Get the IDs of failed attachments, optionally in one category.
+	 *
+	 * @since TBD
+	 * @param string $category Category, or empty for all.
+	 * @return int[] Attachment IDs.
+	 */
+	public function get_failed_attachment_ids( $category = '' ) {
+		$attachment_ids = [];
+		foreach ( $this->get_failed_attachments() as $attachment_id => $failure ) {
+			if ( ! $category || $category === $failure['category'] ) {
+				$attachment_ids[] = $attachment_id;
+			}
+		}
+
+		return $attachment_ids;
+	}
+
+	/**
+	 * Queue failed attachments for conversion again.
+	 *
+	 * The settings override applies to the next attempt only, and is recorded with it in the history.
+	 *
+	 * @since TBD
+	 * @param int[] $attachment_ids Attachment IDs.
+	 * @param array $override       Settings for the next attempt (formats, webp_quality, avif_quality, avif_speed).
+	 * @return array Result with 'queued' and 'failed' counts.
+	 */
+	public function retry( $attachment_ids, $override = [] ) {
+		$override = $this->sanitize_override( $override );
+		$queued = 0;
+		$failed = 0;
+
+		foreach ( array_unique( array_map( 'intval', $attachment_ids ) ) as $attachment_id ) {
+			if ( ! empty( $override ) ) {
+				AttachmentMetaHandler::set_settings_override( $attachment_id, $override );
+			}
+
+			$result = $this->media_library_service->run_action( 'convert', $attachment_id );
+			if ( $result['success'] ) {
+				$queued++;
+			} else {
+				AttachmentMetaHandler::delete_settings_override( $attachment_id );
+				$failed++;
+			}
+		}
+
+		return [
+			'queued' => $queued,
+			'failed' => $failed,
+		];
+	}
+
+	/**
+	 * Permanently skip failed attachments.
+	 *
+	 * Disables conversion for the attachments and removes them from the failed list.
+	 * Files converted by earlier attempts are kept.
+	 *
+	 * @since TBD
+	 * @param int[] $attachment_ids Attachment IDs.
+	 * @return int Number of skipped attachments.
+	 */
+	public function skip( $attachment_ids ) {
+		$skipped = 0;
+		foreach ( array_unique( array_map( 'intval', $attachment_ids ) ) as $attachment_id ) {
+			if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+				continue;
+			}
+
+			$this->action_scheduler_service->cancel_attachment_conversion( $attachment_id );
+			AttachmentMetaHandler::disable_conversion( $attachment_id );
+			AttachmentMetaHandler::delete_failure( $attachment_id );
+			AttachmentMetaHandler::delete_settings_override( $attachment_id );
+			$skipped++;
+		}
+
+		return $skipped;
+	}
+
+	/**
+	 * Get the last failure of every failed attachment that is not skipped.
+	 *
+	 * @since TBD
+	 * @return array Failures keyed by attachment ID.
+	 */
+	private function get_failed_attachments() {
+		$attachment_ids = get_posts( [
+			'post_type' => 'attachment',
+			'post_status' => 'any',
+			'posts_per_page' => -1,
+			'fields' => 'ids',
+			'meta_key' => AttachmentMetaHandler::META_KEY_FAILURE,
+			'meta_compare' => 'EXISTS',
+		] );
+		update_postmeta_cache( $attachment_ids );
+
+		$failures = [];
+		foreach ( $attachment_ids as $attachment_id ) {
+			$failure = AttachmentMetaHandler::get_failure( $attachment_id );
+			if ( $failure && ! AttachmentMetaHandler::is_conversion_disabled( $attachment_id ) ) {
+				$failures[ (int) $attachment_id ] = $failure;
+			}
+		}
+
+		return $failures;
+	}
+
+	/**
+	 * Format a failure for the failed list.
+	 *
+	 * @since TBD
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $failure       Failure (category, error, time, trigger).
+	 * @return array Failure data.
+	 */
+	private function format_failure( $attachment_id, $failure ) {
+		$labels = self::get_category_labels();
+		$trigger_labels = ConversionHistory::get_trigger_labels();
+
+		return [
+			'attachment_id' => $attachment_id,
+			'title' => get_the_title( $attachment_id ),
+			'mime_type' => get_post_mime_type( $attachment_id ),
+			'thumbnail_url' => wp_get_attachment_image_url( $attachment_id, 'thumbnail', true ),
+			'edit_url' => get_edit_post_link( $attachment_id, 'raw' ),
+			'category' => $failure['category'],
+			'category_label' => $labels[ $failure['category'] ] ?? $failure['category'],
+			'error' => $failure['error'] ?? '',
+			'time' => $failure['time'] ?? '',
+			'trigger' => $trigger_labels[ $failure['trigger'] ?? '' ] ?? ( $failure['trigger'] ?? '' ),
+			'pending' => $this->action_scheduler_service->has_pending_conversion( $attachment_id ),
+		];
+	}
+
+	/**
+	 * Keep the supported settings of a retry override.
+	 *
+	 * @since TBD
+	 * @param array $override Settings override.
+	 * @return array Sanitized settings override.
+	 */
+	private function sanitize_override( $override ) {
+		$sanitized = [];
+
+		if ( isset( $override['formats'] ) && is_array( $override['formats'] ) ) {
+			$sanitized['formats'] = array_values( array_intersect( $override['formats'], [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF, Converter::FORMAT_AV1, Converter::FORMAT_WEBM ] ) );
+		}
+		if ( isset( $override['webp_quality'] ) ) {
+			$sanitized['webp_quality'] = max( 1, min( 100, (int) $override['webp_quality'] ) );
+		}
+		if ( isset( $override['avif_quality'] ) ) {
+			$sanitized['avif_quality'] = max( 1, min( 100, (int) $override['avif_quality'] ) );
+		}
+		if ( isset( $override['avif_speed'] ) ) {
+			$sanitized['avif_speed'] = max( 0, min( 10, (int) $override['avif_speed'] ) );
+		}
+
+		return $sanitized;
+	}
+}
@@ -62,6 +62,8 @@ class GDProcessor implements ImageProcessorInterface {
 	 * Convert image to WebP format.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Supports lossless compression.
+	 * @since TBD Encodes near-lossless mode losslessly.
 	 * @param string $source_path Source image path.
 	 * @param string $destination_path Destination path.
 	 * @param array  $options Conversion options.
@@ -85,6 +87,14 @@ class GDProcessor implements ImageProcessorInterface {
 		}
 
 		$quality = $options['webp_quality'];
+
+		$mode = $options['webp_mode'] ?? ( ( $options['lossless'] ?? false ) ? Settings::IMAGE_MODE_LOSSLESS : Settings::IMAGE_MODE_LOSSY );
+
+		// Enable lossless compression if requested (PHP 8.1+). GD has no near-lossless preprocessing.
+		if ( Settings::IMAGE_MODE_LOSSY !== $mode && defined( 'IMG_WEBP_LOSSLESS' ) ) {
+			$quality = IMG_WEBP_LOSSLESS;
+		}
+
 		$result = imagewebp( $image, $destination_path, $quality );
 
 		// Clean up memory.
@@ -101,6 +111,7 @@ class GDProcessor implements ImageProcessorInterface {
 	 * Convert image to AVIF format.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Applies the encoding speed and lossless mode.
 	 * @param string $source_path Source image path.
 	 * @param string $destination_path Destination path.
 	 * @param array  $options Conversion options.
@@ -124,7 +135,13 @@ class GDProcessor implements ImageProcessorInterface {
 		}
 
 		$quality = $options['avif_quality'];
-		$result = imageavif( $image, $destination_path, $quality );
+
+		// GD cannot encode lossless AVIF, full quality is the closest it gets.
+		if ( Settings::IMAGE_MODE_LOSSLESS === ( $options['avif_mode'] ?? Settings::DEFAULT_AVIF_MODE ) ) {
+			$quality = 100;
+		}
+
+		$result = imageavif( $image, $destination_path, $quality, $options['avif_speed'] ?? -1 );
 
 		// Clean up memory.
 		imagedestroy( $image );
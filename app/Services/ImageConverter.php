@@ -242,6 +242,24 @@ class ImageConverter implements Converter {
 		return null;
 	}
 
+	/**
+	 * Get the type of processor used to convert a source file to a format.
+	 *
+	 * @since TBD
+	 * @param string $format Target format constant.
+	 * @param string $source_path Optional source file path for animated GIF detection.
+	 * @return string|null Processor type constant, or null if none available.
+	 */
+	public function get_processor_type( $format, $source_path = null ) {
+		$processor = $this->processor_for_format( $format, $source_path );
+		if ( ! $processor ) {
+			return null;
+		}
+
+		$type = array_search( $processor, $this->available_processors, true );
+		return false === $type ? null : $type;
+	}
+
 	/**
 	 * Convert image to WebP format.
 	 *
@@ -398,6 +416,7 @@ class ImageConverter implements Converter {
 	 * Process image file - convert to multiple formats.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Results include the processor used for each converted format.
 	 * @param string $source_path Source image file path.
 	 * @param array  $destination_paths Array of format => destination_path mappings.
 	 * @param array  $settings Conversion settings.
@@ -408,6 +427,7 @@ class ImageConverter implements Converter {
 			'success' => false,
 			'converted_formats' => [],
 			'converted_files' => [],
+			'processors' => [],
 			'errors' => [],
 		];
 
@@ -487,12 +507,20 @@ class ImageConverter implements Converter {
 		} else {
 			// Individual format conversion
 			foreach ( $destination_paths as $format => $destination_path ) {
-				$success = false;
-				if ( Converter::FORMAT_WEBP === $format ) {
-					$success = $this->convert_to_webp( $source_path, $destination_path, $settings );
-				} elseif ( Converter::FORMAT_AVIF === $format ) {
-					$success = $this->convert_to_avif( $source_path, $destination_path, $settings );
-				}
+				$context = [
+					'format' => $format,
+					'processor' => $this->get_processor_type( $format, $source_path ),
+				];
+
+				$success = Logger::with_context( $context, function () use ( $format, $source_path, $destination_path, $settings ) {
+					if ( Converter::FORMAT_WEBP === $format ) {
+						return $this->convert_to_webp( $source_path, $destination_path, $settings );
+					} elseif ( Converter::FORMAT_AVIF === $format ) {
+						return $this->convert_to_avif( $source_path, $destination_path, $settings );
+					}
+
+					return false;
+				} );
 
 				if ( $success ) {
 					$results['converted_formats'][] = $format;
@@ -501,6 +529,10 @@ class ImageConverter implements Converter {
 			}
 		}
 
+		foreach ( $results['converted_formats'] as $format ) {
+			$results['processors'][ $format ] = $this->get_processor_type( $format, $source_path );
+		}
+
 		// Update results
 		$results['success'] = ! empty( $results['converted_formats'] );
 
@@ -0,0 +1,210 @@
+<?php
+/**
+ * Perceptual image similarity for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Computes SSIM between an original image and a converted file.
+ *
+ * Uses the same windows and constants as the in-browser scoring of the Compare tab,
+ * so scores recorded during conversion and in the admin are comparable.
+ *
+ * @since TBD
+ */
+class ImageSimilarity {
+
+	/**
+	 * Images are scored at most at this size on their longest side to keep scoring fast.
+	 *
+	 * @since TBD
+	 * @var int
+	 */
+	const MAX_DIMENSION = 1024;
+
+	/**
+	 * SSIM is computed over 8x8 windows moved 4 pixels at a time.
+	 *
+	 * @since TBD
+	 */
+	const WINDOW_SIZE = 8;
+	const WINDOW_STRIDE = 4;
+
+	/**
+	 * SSIM stabilisation constants for 8-bit images, (0.01 * 255)^2 and (0.03 * 255)^2.
+	 *
+	 * @since TBD
+	 */
+	const C1 = 6.5025;
+	const C2 = 58.5225;
+
+	/**
+	 * Compute the SSIM of a converted file against its original.
+	 *
+	 * @since TBD
+	 * @param string $original_path  Original image path.
+	 * @param string $converted_path Converted image path.
+	 * @return float|null SSIM score, or null if either image cannot be read.
+	 */
+	public static function compare_files( $original_path, $converted_path ) {
+		$size = @getimagesize( $original_path );
+		if ( ! $size ) {
+			return null;
+		}
+
+		list( $width, $height ) = self::get_scaled_dimensions( $size[0], $size[1] );
+
+		$original = self::read_rgb( $original_path, $width, $height );
+		$converted = self::read_rgb( $converted_path, $width, $height );
+		if ( null === $original || null === $converted ) {
+			return null;
+		}
+
+		return self::compute_ssim( self::rgb_to_luma( $original ), self::rgb_to_luma( $converted ), $width, $height );
+	}
+
+	/**
+	 * Compute SSIM over the luma of two images of the same size.
+	 *
+	 * @since TBD
+	 * @param float[] $original  Original luma values, row by row.
+	 * @param float[] $converted Converted luma values, row by row.
+	 * @param int     $width     Image width.
+	 * @param int     $height    Image height.
+	 * @return float Mean SSIM of all windows.
+	 */
+	public static function compute_ssim( $original, $converted, $width, $height ) {
+		$columns = max( 1, (int) floor( ( $width - self::WINDOW_SIZE ) / self::WINDOW_STRIDE ) + 1 );
+		$rows = max( 1, (int) floor( ( $height - self::WINDOW_SIZE ) / self::WINDOW_STRIDE ) + 1 );
+		$window_width = min( self::WINDOW_SIZE, $width );
+		$window_height = min( self::WINDOW_SIZE, $height );
+		$count = $window_width * $window_height;
+		$total = 0;
+
+		for ( $row = 0; $row < $rows; $row++ ) {
+			for ( $column = 0; $column < $columns; $column++ ) {
+				$sum_x = 0;
+				$sum_y = 0;
+				$sum_xx = 0;
+				$sum_yy = 0;
+				$sum_xy = 0;
+
+				for ( $y = $row * self::WINDOW_STRIDE; $y < $row * self::WINDOW_STRIDE + $window_height; $y++ ) {
+					$index = $y * $width + $column * self::WINDOW_STRIDE;
+					for ( $x = 0; $x < $window_width; $x++, $index++ ) {
+						$a = $original[ $index ];
+						$b = $converted[ $index ];
+						$sum_x += $a;
+						$sum_y += $b;
+						$sum_xx += $a * $a;
+						$sum_yy += $b * $b;
+						$sum_xy += $a * $b;
+					}
+				}
+
+				$mean_x = $sum_x / $count;
+				$mean_y = $sum_y / $count;
+				$variance_x = $sum_xx / $count - $mean_x * $mean_x;
+				$variance_y = $sum_yy / $count - $mean_y * $mean_y;
+				$covariance = $sum_xy / $count - $mean_x * $mean_y;
+
+				$total += ( ( 2 * $mean_x * $mean_y + self::C1 ) * ( 2 * $covariance + self::C2 ) )
+					/ ( ( $mean_x * $mean_x + $mean_y * $mean_y + self::C1 ) * ( $variance_x + $variance_y + self::C2 ) );
+			}
+		}
+
+		return $total / ( $columns * $rows );
+	}
+
+	/**
+	 * Convert RGB pixel data to luma (Rec. 601).
+	 *
+	 * @since TBD
+	 * @param int[] $rgb RGB values, three per pixel.
+	 * @return float[] Luma values.
+	 */
+	public static function rgb_to_luma( $rgb ) {
+		$luma = [];
+		for ( $p = 0, $length = count( $rgb ); $p < $length; $p += 3 ) {
+			$luma[] = 0.299 * $rgb[ $p ] + 0.587 * $rgb[ $p + 1 ] + 0.114 * $rgb[ $p + 2 ];
+		}
+
+		return $luma;
+	}
+
+	/**
+	 * Get the dimensions an image is scored at.
+	 *
+	 * @since TBD
+	 * @param int $width  Image width.
+	 * @param int $height Image height.
+	 * @return int[] Scaled width and height.
+	 */
+	public static function get_scaled_dimensions( $width, $height ) {
+		$scale = min( 1, self::MAX_DIMENSION / max( $width, $height, 1 ) );
+
+		return [ max( 1, (int) round( $width * $scale ) ), max( 1, (int) round( $height * $scale ) ) ];
+	}
+
+	/**
+	 * Read the RGB pixels of an image resized to the given dimensions.
+	 *
+	 * Transparent areas are composited onto white so alpha handling differences between
+	 * formats are compared the way they would appear on a light page.
+	 *
+	 * @since TBD
+	 * @param string $path   Image path.
+	 * @param int    $width  Target width.
+	 * @param int    $height Target height.
+	 * @return int[]|null RGB values, or null if the image cannot be read.
+	 */
+	private static function read_rgb( $path, $width, $height ) {
+		if ( extension_loaded( 'imagick' ) ) {
+			try {
+				$image = new \Imagick( $path );
+				$image->setImageBackgroundColor( 'white' );
+				$image->setImageAlphaChannel( \Imagick::ALPHACHANNEL_REMOVE );
+				$image->resizeImage( $width, $height, \Imagick::FILTER_TRIANGLE, 1 );
+				$pixels = $image->exportImagePixels( 0, 0, $width, $height, 'RGB', \Imagick::PIXEL_CHAR );
+				$image->clear();
+				$image->destroy();
+
+				return $pixels;
+			} catch ( \Exception $e ) {
+				// Fall back to GD, which may decode formats this ImageMagick build cannot.
+			}
+		}
+
+		if ( ! function_exists( 'imagecreatefromstring' ) ) {
+			return null;
+		}
+
+		$contents = file_get_contents( $path );
+		$source = false !== $contents ? @imagecreatefromstring( $contents ) : false;
+		if ( ! $source ) {
+			return null;
+		}
+
+		$canvas = imagecreatetruecolor( $width, $height );
+		imagefill( $canvas, 0, 0, imagecolorallocate( $canvas, 255, 255, 255 ) );
+		imagecopyresampled( $canvas, $source, 0, 0, 0, 0, $width, $height, imagesx( $source ), imagesy( $source ) );
+		imagedestroy( $source );
+
+		$pixels = [];
+		for ( $y = 0; $y < $height; $y++ ) {
+			for ( $x = 0; $x < $width; $x++ ) {
+				$color = imagecolorat( $canvas, $x, $y );
+				$pixels[] = ( $color >> 16 ) & 0xFF;
+				$pixels[] = ( $color >> 8 ) & 0xFF;
+				$pixels[] = $color & 0xFF;
+			}
+		}
+		imagedestroy( $canvas );
+
+		return $pixels;
+	}
+}
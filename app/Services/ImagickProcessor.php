@@ -74,6 +74,7 @@ class ImagickProcessor implements ImageProcessorInterface {
 	 * Convert image to WebP format.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Applies the encoding mode, near-lossless level, alpha quality and method.
 	 * @param string $source_path Source image path.
 	 * @param string $destination_path Destination path.
 	 * @param array  $options Conversion options.
@@ -112,19 +113,8 @@ class ImagickProcessor implements ImageProcessorInterface {
 						$image->resizeImage( $resize_width, $resize_height, Imagick::FILTER_LANCZOS, 1, true );
 					}
 					
-					// Set optimized WebP options for better compression.
-					$image->setImageFormat( 'WEBP' );
-					$image->setImageCompressionQuality( $options['webp_quality'] );
-					
-					// Enable lossless compression if requested.
-					if ( $options['lossless'] ?? false ) {
-						$image->setOption( 'webp:lossless', 'true' );
-					} else {
-						// Use optimized WebP options for better compression and smaller file sizes.
-						$image->setOption( 'webp:method', '4' ); // Balanced compression method (was 6).
-						$image->setOption( 'webp:pass', '6' ); // Fewer passes for faster/smaller files (was 10).
-						$image->setOption( 'webp:preprocessing', '1' ); // Less aggressive preprocessing (was 2).
-					}
+					// Set WebP format and encoding options.
+					$this->apply_webp_settings( $image, $options );
 
 					// Strip metadata for smaller file size.
 					$image->stripImage();
@@ -139,19 +129,8 @@ class ImagickProcessor implements ImageProcessorInterface {
 				// Write all frames as animated WebP.
 				$result = $image->writeImages( $destination_path, true );
 			} else {
-				// Set optimized WebP options for better compression.
-				$image->setImageFormat( 'WEBP' );
-				$image->setImageCompressionQuality( $options['webp_quality'] );
-				
-				// Enable lossless compression if requested.
-				if ( $options['lossless'] ?? false ) {
-					$image->setOption( 'webp:lossless', 'true' );
-				} else {
-					// Use optimized WebP options for better compression and smaller file sizes.
-					$image->setOption( 'webp:method', '4' ); // Balanced compression method (was 6).
-					$image->setOption( 'webp:pass', '6' ); // Fewer passes for faster/smaller files (was 10).
-					$image->setOption( 'webp:preprocessing', '1' ); // Less aggressive preprocessing (was 2).
-				}
+				// Set WebP format and encoding options.
+				$this->apply_webp_settings( $image, $options );
 
 				// Strip metadata for smaller file size.
 				$image->stripImage();
@@ -190,6 +169,7 @@ class ImagickProcessor implements ImageProcessorInterface {
 	 * Convert image to AVIF format with version-specific optimization.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Applies the encoding mode and chroma subsampling.
 	 * @param string $source_path Source image path.
 	 * @param string $destination_path Destination path.
 	 * @param array  $options Conversion options.
@@ -248,6 +228,7 @@ class ImagickProcessor implements ImageProcessorInterface {
 					
 					// Apply version-specific AVIF settings to this frame.
 					$this->apply_avif_settings( $image, $version_info, $quality, $speed );
+					$this->apply_avif_encoding_settings( $image, $options );
 					
 					// Strip metadata for smaller file size.
 					$image->stripImage();
@@ -273,6 +254,7 @@ class ImagickProcessor implements ImageProcessorInterface {
 				
 				// Apply version-specific AVIF settings.
 				$this->apply_avif_settings( $image, $version_info, $quality, $speed );
+				$this->apply_avif_encoding_settings( $image, $options );
 				
 				// Strip metadata for smaller file size.
 				$image->stripImage();
@@ -422,6 +404,40 @@ class ImagickProcessor implements ImageProcessorInterface {
 		];
 	}
 
+	/**
+	 * Set the WebP format and encoding options on an image or animation frame.
+	 *
+	 * @since TBD
+	 * @param Imagick $image ImageMagick instance.
+	 * @param array   $options Conversion options.
+	 * @return void
+	 */
+	private function apply_webp_settings( $image, $options ) {
+		$image->setImageFormat( 'WEBP' );
+		$image->setImageCompressionQuality( $options['webp_quality'] );
+		$image->setOption( 'webp:method', (string) ( $options['webp_method'] ?? Settings::DEFAULT_WEBP_METHOD ) );
+		$image->setOption( 'webp:alpha-quality', (string) ( $options['webp_alpha_quality'] ?? Settings::DEFAULT_WEBP_ALPHA_QUALITY ) );
+
+		$mode = $options['webp_mode'] ?? ( ( $options['lossless'] ?? false ) ? Settings::IMAGE_MODE_LOSSLESS : Settings::IMAGE_MODE_LOSSY );
+
+		switch ( $mode ) {
+			case Settings::IMAGE_MODE_LOSSLESS:
+				$image->setOption( 'webp:lossless', 'true' );
+				break;
+
+			case Settings::IMAGE_MODE_NEAR_LOSSLESS:
+				// libwebp applies near-lossless preprocessing to lossless encoding only.
+				$image->setOption( 'webp:lossless', 'true' );
+				$image->setOption( 'webp:near-lossless', (string) ( $options['webp_near_lossless'] ?? Settings::DEFAULT_WEBP_NEAR_LOSSLESS ) );
+				break;
+
+			default:
+				// Use optimized WebP options for better compression and smaller file sizes.
+				$image->setOption( 'webp:pass', '6' ); // Fewer passes for faster/smaller files (was 10).
+				$image->setOption( 'webp:preprocessing', '1' ); // Less aggressive preprocessing (was 2).
+		}
+	}
+
 	/**
 	 * Apply version-specific AVIF settings based on ImageMagick capabilities.
 	 *
@@ -463,6 +479,29 @@ class ImagickProcessor implements ImageProcessorInterface {
 		$this->apply_avif_color_settings( $image );
 	}
 
+	/**
+	 * Apply the AVIF encoding mode and chroma subsampling.
+	 *
+	 * @since TBD
+	 * @param Imagick $image ImageMagick instance.
+	 * @param array   $options Conversion options.
+	 * @return void
+	 */
+	private function apply_avif_encoding_settings( $image, $options ) {
+		if ( Settings::IMAGE_MODE_LOSSLESS === ( $options['avif_mode'] ?? Settings::DEFAULT_AVIF_MODE ) ) {
+			// The HEIF encoder switches to lossless at full quality, which needs full chroma resolution.
+			$image->setImageCompressionQuality( 100 );
+			$image->setOption( 'avif:crf', '0' );
+			$image->setOption( 'heic:chroma', '444' );
+			$this->logger->debug( 'Applied lossless AVIF encoding' );
+			return;
+		}
+
+		$chroma = (string) ( $options['avif_chroma'] ?? Settings::DEFAULT_AVIF_CHROMA );
+		$image->setOption( 'heic:chroma', $chroma );
+		$this->logger->debug( "Applied heic:chroma={$chroma}" );
+	}
+
 	/**
 	 * Convert quality setting (0-100) to CRF value (0-63).
 	 *
@@ -64,6 +64,22 @@ class LocalProcessingService implements ProcessingServiceInterface {
 	 */
 	private $bulk_converter;
 
+	/**
+	 * Details of the image conversion in progress, recorded in the conversion history.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	private $image_run = [];
+
+	/**
+	 * Automatic quality service instance.
+	 *
+	 * @since TBD
+	 * @var AutoQualityService
+	 */
+	private $auto_quality_service;
+
 	/**
 	 * Constructor.
 	 *
@@ -87,6 +103,7 @@ class LocalProcessingService implements ProcessingServiceInterface {
 		$this->conversion_tracker = $conversion_tracker;
 		$this->bulk_converter = $bulk_converter;
 		$this->logger = $logger;
+		$this->auto_quality_service = new AutoQualityService( $image_converter, $logger );
 	}
 
 	/**
@@ -152,11 +169,27 @@ class LocalProcessingService implements ProcessingServiceInterface {
 	 *
 	 * @since 3.0.0
 	 * @since 3.0.2 Updated to call video converter directly instead of WordPressProvider.
+	 * @since TBD Records the attempt in the conversion history.
+	 * @since TBD Tags everything logged during the conversion with the attachment ID.
 	 * @param int    $attachment_id Attachment ID.
 	 * @param string $file_path Source file path.
 	 * @return void
 	 */
 	public function process_video_cron( $attachment_id, $file_path ) {
+		Logger::with_context( [ 'attachment_id' => (int) $attachment_id ], function () use ( $attachment_id, $file_path ) {
+			$this->process_video_attachment( $attachment_id, $file_path );
+		} );
+	}
+
+	/**
+	 * Convert a video attachment, see process_video_cron().
+	 *
+	 * @since TBD
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $file_path Source file path.
+	 * @return void
+	 */
+	private function process_video_attachment( $attachment_id, $file_path ) {
 		// Verify attachment still exists
 		if ( ! get_post( $attachment_id ) ) {
 			$this->logger->warning( "Video processing cron skipped: attachment {$attachment_id} no longer exists" );
@@ -176,7 +209,30 @@ class LocalProcessingService implements ProcessingServiceInterface {
 		}
 
 		// Process the video conversion directly via VideoConverter
-		$this->video_converter->process_video_conversion( $attachment_id, $file_path );
+		$formats = $this->video_converter->get_attachment_video_formats( $attachment_id );
+		$started = microtime( true );
+		$result = $this->video_converter->process_video_conversion( $attachment_id, $file_path );
+
+		$processors = [];
+		foreach ( $result['converted_formats'] ?? [] as $format ) {
+			$processors[ $format ] = ProcessorTypes::VIDEO_FFMPEG;
+		}
+
+		ConversionHistory::record( $attachment_id, [
+			'type' => 'video',
+			'success' => ! empty( $result['success'] ),
+			'error' => implode( ', ', $result['errors'] ?? [] ),
+			'duration' => round( microtime( true ) - $started, 2 ),
+			'processors' => $processors,
+			'settings' => [
+				'formats' => $formats,
+				'video_av1_crf' => Settings::get_video_av1_crf(),
+				'video_av1_cpu_used' => Settings::get_video_av1_cpu_used(),
+				'video_webm_crf' => Settings::get_video_webm_crf(),
+				'video_webm_speed' => Settings::get_video_webm_speed(),
+			],
+			'outputs' => ConversionHistory::get_outputs( $attachment_id ),
+		] );
 	}
 
 
@@ -188,6 +244,9 @@ class LocalProcessingService implements ProcessingServiceInterface {
 	 * Can be used for manual conversions, Action Scheduler tasks, or internal processing.
 	 *
 	 * @since 3.0.0
+	 * @since TBD Records image conversion attempts in the conversion history.
+	 * @since TBD Skips attachments matching a conversion rule that skips them.
+	 * @since TBD Tags everything logged during the conversion with the attachment ID.
 	 * @param int         $attachment_id Attachment ID.
 	 * @param string|null $file_path     Optional file path. If null, will be retrieved from attachment meta.
 	 *                                   This parameter is useful when processing is triggered before the file path
@@ -195,6 +254,20 @@ class LocalProcessingService implements ProcessingServiceInterface {
 	 * @return bool True if conversion was initiated successfully, false otherwise.
 	 */
 	public function process( $attachment_id, $file_path = null ) {
+		return Logger::with_context( [ 'attachment_id' => (int) $attachment_id ], function () use ( $attachment_id, $file_path ) {
+			return $this->process_attachment( $attachment_id, $file_path );
+		} );
+	}
+
+	/**
+	 * Process attachment conversion, see process().
+	 *
+	 * @since TBD
+	 * @param int         $attachment_id Attachment ID.
+	 * @param string|null $file_path     Optional file path. If null, will be retrieved from attachment meta.
+	 * @return bool True if conversion was initiated successfully, false otherwise.
+	 */
+	private function process_attachment( $attachment_id, $file_path ) {
 		// Get file path if not provided
 		// Note: We retrieve from meta here because sometimes processing is triggered before
 		// the file path is stored in the attachment meta (e.g., during initial upload).
@@ -221,9 +294,36 @@ class LocalProcessingService implements ProcessingServiceInterface {
 			return false;
 		}
 
+		// Check if a conversion rule skips this attachment
+		$skipping_rule = ConversionPolicy::get_skipping_rule( $attachment_id );
+		if ( $skipping_rule ) {
+			$this->logger->info( "Attachment conversion skipped: Rule \"{$skipping_rule['name']}\" skips attachment {$attachment_id}" );
+			return false;
+		}
+
 		// Process images
 		if ( $this->image_converter->is_supported_image( $file_path ) ) {
-			return $this->process_image( $attachment_id, $file_path );
+			$started = microtime( true );
+			$this->image_run = [
+				'errors' => [],
+				'processors' => [],
+				'settings' => [],
+				'outputs' => [],
+			];
+
+			$success = $this->process_image( $attachment_id, $file_path );
+
+			ConversionHistory::record( $attachment_id, [
+				'type' => 'image',
+				'success' => $success,
+				'error' => $success ? '' : ( implode( '; ', $this->image_run['errors'] ) ?: __( 'No sizes were converted', 'flux-media-optimizer' ) ),
+				'duration' => round( microtime( true ) - $started, 2 ),
+				'processors' => $this->image_run['processors'],
+				'settings' => $this->image_run['settings'],
+				'outputs' => $this->image_run['outputs'],
+			] );
+
+			return $success;
 		}
 
 		// Process videos - always defer to cron for async processing
@@ -242,9 +342,16 @@ class LocalProcessingService implements ProcessingServiceInterface {
 	 * Converts all WordPress image sizes to WebP/AVIF formats. Supports incremental conversion
 	 * (skips sizes already fully converted). Does not check disabled flag as explicit conversions should override.
 	 * Auto-convert checks are handled in upload hooks; this method processes if called.
+	 * Sizes excluded in settings are skipped and their previously converted files removed.
 	 *
 	 * @since 3.0.2
 	 * @since 4.0.0 Removed auto-convert check (moved to upload hooks).
+	 * @since TBD Skips excluded sizes and records the outcome of each size.
+	 * @since TBD Collects errors, processors, settings and outputs for the conversion history.
+	 * @since TBD Applies the settings override of a retry.
+	 * @since TBD Applies the formats and quality of the matching conversion rule.
+	 * @since TBD Applies the WebP and AVIF encoding modes.
+	 * @since TBD Chooses the quality per image in auto quality mode.
 	 * @param int    $attachment_id Attachment ID.
 	 * @param string $file_path     File path.
 	 * @return bool True if conversion was initiated successfully, false otherwise.
@@ -292,15 +399,47 @@ class LocalProcessingService implements ProcessingServiceInterface {
 		}
 
 		// Get settings and formats
-		$settings = [
-			'webp_quality' => Settings::get_webp_quality(),
-			'avif_quality' => Settings::get_avif_quality(),
-			'avif_speed' => Settings::get_avif_speed(),
-		];
+		$settings = Settings::get_image_encoding_settings();
 		$image_formats = Settings::get_image_formats();
+
+		// Formats and quality set by the matching conversion rule
+		$policy = ConversionPolicy::apply( $attachment_id, Converter::TYPE_IMAGE, $image_formats, $settings );
+		$image_formats = $policy['formats'];
+		$settings = $policy['settings'];
+
+		// Settings chosen when retrying a failed conversion
+		$override = AttachmentMetaHandler::get_settings_override( $attachment_id );
+		$settings = array_merge( $settings, array_intersect_key( $override, $settings ) );
+		$override_formats = array_values( array_intersect( $override['formats'] ?? [], [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ] ) );
+		if ( ! empty( $override_formats ) ) {
+			$image_formats = $override_formats;
+		}
+
+		// Per-image quality for the SSIM target, unless a rule or retry set the quality.
+		// Animated GIFs are skipped as every search attempt would encode all frames.
+		if ( Settings::is_auto_quality_enabled() && ! $is_animated_gif ) {
+			$locked = array_keys( $override );
+			if ( $policy['rule'] ) {
+				$locked = array_merge( $locked, array_keys( array_filter( $policy['rule']['actions'], function ( $value ) {
+					return null !== $value;
+				} ) ) );
+			}
+			$settings = $this->auto_quality_service->apply( $attachment_id, $image_sizes, $image_formats, $settings, $locked );
+		} else {
+			AttachmentMetaHandler::delete_auto_quality( $attachment_id );
+		}
+
+		$this->image_run['settings'] = array_merge( $settings, [
+			'formats' => $image_formats,
+			'excluded_sizes' => Settings::get_image_excluded_sizes(),
+		] );
+		if ( $policy['rule'] ) {
+			$this->image_run['settings']['rule'] = $policy['rule']['name'];
+		}
 		
 		if ( empty( $image_formats ) ) {
 			$this->logger->warning( "No image formats configured for conversion. Attachment ID: {$attachment_id}" );
+			$this->image_run['errors'][] = __( 'No image formats are enabled', 'flux-media-optimizer' );
 			return false;
 		}
 
@@ -385,11 +524,45 @@ class LocalProcessingService implements ProcessingServiceInterface {
 			}
 		}
 		
+		// Clean up sizes that are excluded in settings
+		// Remove converted files, metadata, and tracking records so the original size file is served again
+		$excluded_sizes_to_clean = [];
+
+		foreach ( $all_converted_files_by_size as $size_name => $size_formats ) {
+			if ( ! Settings::is_image_size_enabled( $size_name ) && is_array( $size_formats ) ) {
+				$excluded_sizes_to_clean[] = $size_name;
+			}
+		}
+
+		if ( ! empty( $excluded_sizes_to_clean ) ) {
+			$not_deleted = self::delete_converted_size_files( $all_converted_files_by_size, $excluded_sizes_to_clean, wp_upload_dir(), function ( $path ) use ( $wp_filesystem ) {
+				return ! $wp_filesystem->exists( $path ) || $wp_filesystem->delete( $path );
+			} );
+			foreach ( $not_deleted as $path ) {
+				$this->logger->warning( "Failed to remove excluded size file: {$path}" );
+			}
+
+			foreach ( $excluded_sizes_to_clean as $size_name ) {
+				unset( $all_converted_files_by_size[ $size_name ] );
+			}
+
+			$this->conversion_tracker->delete_attachment_conversions_by_sizes( $attachment_id, $excluded_sizes_to_clean );
+			$this->logger->info( "Removed converted files of excluded sizes for attachment {$attachment_id}: " . implode( ', ', $excluded_sizes_to_clean ) );
+		}
+		
 		// Track formats - will be built from actual converted files after processing
 		// This ensures we only track formats that actually exist
 
+		// Outcome of each size, shown in the attachment details
+		$size_statuses = [];
+
 		// Convert each image size (full, thumbnail, medium, large, and any custom sizes)
 		foreach ( $image_sizes as $size_name => $size_data ) {
+			if ( ! Settings::is_image_size_enabled( $size_name ) ) {
+				$size_statuses[ $size_name ] = AttachmentMetaHandler::build_size_status( AttachmentMetaHandler::SIZE_STATUS_SKIPPED, __( 'Excluded in settings', 'flux-media-optimizer' ) );
+				continue;
+			}
+
 			$size_file_path = $size_data['file_path'];
 			$size_width = $size_data['width'] ?? null;
 			$size_height = $size_data['height'] ?? null;
@@ -404,6 +577,8 @@ class LocalProcessingService implements ProcessingServiceInterface {
 			// Skip if source file doesn't exist
 			if ( ! $wp_filesystem->exists( $source_file_path ) ) {
 				$this->logger->warning( "Source file not found for attachment {$attachment_id}, size {$size_name}: {$source_file_path}" );
+				$size_statuses[ $size_name ] = AttachmentMetaHandler::build_size_status( AttachmentMetaHandler::SIZE_STATUS_FAILED, __( 'Source file not found', 'flux-media-optimizer' ) );
+				$this->image_run['errors'][] = "{$size_name}: " . __( 'Source file not found', 'flux-media-optimizer' );
 				continue;
 			}
 			
@@ -432,9 +607,15 @@ class LocalProcessingService implements ProcessingServiceInterface {
 			
 			if ( ! $results['success'] ) {
 				$this->logger->warning( "Image conversion failed for attachment {$attachment_id}, size {$size_name}: " . implode( ', ', $results['errors'] ?? [] ) );
+				$size_statuses[ $size_name ] = AttachmentMetaHandler::build_size_status( AttachmentMetaHandler::SIZE_STATUS_FAILED, implode( ', ', $results['errors'] ?? [] ) );
+				$this->image_run['errors'][] = "{$size_name}: " . implode( ', ', $results['errors'] ?? [] );
 				continue;
 			}
 
+			$this->image_run['processors'] = array_merge( $this->image_run['processors'], $results['processors'] ?? [] );
+
+			$size_statuses[ $size_name ] = AttachmentMetaHandler::build_size_status( AttachmentMetaHandler::SIZE_STATUS_CONVERTED );
+
 			// Get file sizes for statistics tracking - use source file size for animated GIFs.
 			$size_original_size = $wp_filesystem->size( $source_file_path );
 			
@@ -498,7 +679,7 @@ class LocalProcessingService implements ProcessingServiceInterface {
 				}
 				
 				// Record conversion for statistics tracking (track all sizes for accurate savings calculation)
-				$this->conversion_tracker->record_conversion( $attachment_id, $format, $size_original_size, $converted_size, $size_name );
+				$this->conversion_tracker->record_conversion( $attachment_id, $format, $size_original_size, $converted_size, $size_name, $results['processors'][ $format ] ?? null );
 				
 				// Store URL and size together using unified structure.
 				// Only store if we have a valid file size (greater than 0)
@@ -517,6 +698,8 @@ class LocalProcessingService implements ProcessingServiceInterface {
 					}
 				}
 			}
+
+			$this->image_run['outputs'][ $size_name ] = wp_list_pluck( $all_converted_files_by_size[ $size_name ], 'filesize' );
 		}
 		
 		// Build final formats list - only include formats that actually exist in converted files
@@ -533,9 +716,11 @@ class LocalProcessingService implements ProcessingServiceInterface {
 			}
 		}
 
+		AttachmentMetaHandler::set_size_statuses( $attachment_id, $size_statuses );
+
 		// Update WordPress meta with all converted files (organized by size)
-		// Update even if we only removed disabled formats (not just when new conversions happened)
-		if ( ! empty( $all_converted_files_by_size ) || $disabled_formats_removed ) {
+		// Update even if we only removed disabled formats or excluded sizes (not just when new conversions happened)
+		if ( ! empty( $all_converted_files_by_size ) || $disabled_formats_removed || ! empty( $excluded_sizes_to_clean ) ) {
 			AttachmentMetaHandler::set_converted_files_grouped_by_size( $attachment_id, $all_converted_files_by_size );
 			
 			// Extract all URLs and store in dedicated meta field for efficient lookup
@@ -563,6 +748,10 @@ class LocalProcessingService implements ProcessingServiceInterface {
 			// Only update conversion date if we actually converted something (not just cleaned up)
 			if ( ! $disabled_formats_removed || ! empty( $all_converted_files_by_size ) ) {
 				AttachmentMetaHandler::set_conversion_date_now( $attachment_id );
+				// Record the quality settings used so converted output can be compared against them later.
+				AttachmentMetaHandler::set_conversion_settings( $attachment_id, $settings );
+				// Scores computed against the previous output no longer apply.
+				AttachmentMetaHandler::delete_quality_scores( $attachment_id );
 			}
 		} else {
 			$this->logger->error( "Image conversion failed for attachment {$attachment_id}: No sizes were successfully converted" );
@@ -686,6 +875,63 @@ class LocalProcessingService implements ProcessingServiceInterface {
 		return $sizes;
 	}
 
+	/**
+	 * Delete the converted files of some sizes from disk.
+	 *
+	 * Converted files are stored as upload URLs, which are mapped to the uploads directory.
+	 * Files on a CDN are not stored locally and are left alone, as is the original size file.
+	 *
+	 * @since TBD
+	 * @param array    $converted_files_by_size Converted files grouped by size, as stored in meta.
+	 * @param array    $size_names Sizes to delete the converted files of.
+	 * @param array    $upload_dir Upload directory with baseurl and basedir, as returned by wp_upload_dir().
+	 * @param callable $delete Deletes a file path, returning false on failure.
+	 * @return array Paths that could not be deleted.
+	 */
+	public static function delete_converted_size_files( $converted_files_by_size, $size_names, $upload_dir, callable $delete ) {
+		$not_deleted = [];
+
+		foreach ( $size_names as $size_name ) {
+			if ( empty( $converted_files_by_size[ $size_name ] ) || ! is_array( $converted_files_by_size[ $size_name ] ) ) {
+				continue;
+			}
+
+			foreach ( $converted_files_by_size[ $size_name ] as $format => $file_data ) {
+				$url = is_array( $file_data ) ? ( $file_data['url'] ?? '' ) : $file_data;
+				if ( 'original' === $format || ! is_string( $url ) || empty( $url ) ) {
+					continue;
+				}
+
+				$path = self::get_upload_file_path( $url, $upload_dir );
+				if ( null !== $path && ! $delete( $path ) ) {
+					$not_deleted[] = $path;
+				}
+			}
+		}
+
+		return $not_deleted;
+	}
+
+	/**
+	 * Map a converted file URL to its path in the uploads directory.
+	 *
+	 * @since TBD
+	 * @param string $url_or_path Converted file URL, or a path.
+	 * @param array  $upload_dir Upload directory with baseurl and basedir, as returned by wp_upload_dir().
+	 * @return string|null File path, or null if the URL is not a local upload URL (a CDN URL).
+	 */
+	public static function get_upload_file_path( $url_or_path, $upload_dir ) {
+		if ( ! AttachmentMetaHandler::is_file_url( $url_or_path ) ) {
+			return $url_or_path;
+		}
+
+		if ( strpos( $url_or_path, $upload_dir['baseurl'] ) !== 0 ) {
+			return null;
+		}
+
+		return $upload_dir['basedir'] . '/' . ltrim( substr( $url_or_path, strlen( $upload_dir['baseurl'] ) ), '/' );
+	}
+
 	/**
 	 * Delete attachment from local service.
 	 *
@@ -0,0 +1,152 @@
+<?php
+/**
+ * Log retention for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Deletes log entries older than the retention period or beyond the maximum count,
+ * from a recurring Action Scheduler job.
+ *
+ * @since TBD
+ */
+class LogRetentionService {
+
+	/**
+	 * Action Scheduler hook of the retention job.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const ACTION_HOOK = 'flux_media_optimizer_log_retention';
+
+	/**
+	 * Option storing the result of the last run.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const LAST_RUN_OPTION = 'flux_media_optimizer_log_retention_last_run';
+
+	/**
+	 * Interval between runs in seconds, short enough that bulk runs cannot grow the log far past the maximum count.
+	 *
+	 * @since TBD
+	 * @var int
+	 */
+	const INTERVAL = 3600;
+
+	/**
+	 * Logs service instance.
+	 *
+	 * @since TBD
+	 * @var LogsService
+	 */
+	private $logs_service;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @since TBD
+	 * @var Logger
+	 */
+	private $logger;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param LogsService $logs_service Logs service instance.
+	 * @param Logger      $logger Logger instance.
+	 */
+	public function __construct( LogsService $logs_service, Logger $logger ) {
+		$this->logs_service = $logs_service;
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Register the retention job.
+	 *
+	 * Scheduling is deferred to 'init' after Action Scheduler is ready.
+	 *
+	 * @since TBD
+	 * @return void
+	 */
+	public function init() {
+		add_action( self::ACTION_HOOK, [ $this, 'enforce' ] );
+		add_action( 'init', [ $this, 'ensure_scheduled' ], 20 );
+	}
+
+	/**
+	 * Ensure the recurring retention job is scheduled.
+	 *
+	 * @since TBD
+	 * @return int|false Action ID or timestamp if already scheduled, false on failure.
+	 */
+	public function ensure_scheduled() {
+		if ( ! function_exists( 'as_next_scheduled_action' ) ) {
+			return false;
+		}
+
+		$next_scheduled = as_next_scheduled_action( self::ACTION_HOOK );
+		if ( $next_scheduled ) {
+			return $next_scheduled;
+		}
+
+		$action_id = as_schedule_recurring_action( time(), self::INTERVAL, self::ACTION_HOOK, [], 'flux-media-optimizer' );
+		if ( ! $action_id ) {
+			$this->logger->error( 'Failed to schedule log retention action' );
+		}
+
+		return $action_id;
+	}
+
+	/**
+	 * Delete the log entries outside the retention policy.
+	 *
+	 * @since TBD
+	 * @return array Result with ran_at, deleted_by_age and deleted_by_count.
+	 */
+	public function enforce() {
+		$days = Settings::get_log_retention_days();
+		$max_rows = Settings::get_log_retention_max_rows();
+
+		$result = [
+			'ran_at' => gmdate( 'Y-m-d H:i:s' ),
+			'deleted_by_age' => $days > 0 ? (int) $this->logs_service->clear_old_logs( $days ) : 0,
+			'deleted_by_count' => $max_rows > 0 ? (int) $this->logs_service->trim_logs( $max_rows ) : 0,
+		];
+
+		update_option( self::LAST_RUN_OPTION, $result, false );
+
+		if ( $result['deleted_by_age'] > 0 || $result['deleted_by_count'] > 0 ) {
+			$this->logger->info( "Log retention deleted {$result['deleted_by_age']} entries older than {$days} days and {$result['deleted_by_count']} entries beyond {$max_rows} entries" );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get the retention policy, the size of the log and the last and next runs.
+	 *
+	 * Dates are in UTC, like the dates of log entries.
+	 *
+	 * @since TBD
+	 * @return array Retention state.
+	 */
+	public function get_state() {
+		$next_run = function_exists( 'as_next_scheduled_action' ) ? as_next_scheduled_action( self::ACTION_HOOK ) : false;
+
+		return [
+			'days' => Settings::get_log_retention_days(),
+			'max_rows' => Settings::get_log_retention_max_rows(),
+			'stats' => $this->logs_service->get_log_stats(),
+			'last_run' => get_option( self::LAST_RUN_OPTION, null ) ?: null,
+			'next_run' => is_int( $next_run ) ? gmdate( 'Y-m-d H:i:s', $next_run ) : null,
+		];
+	}
+}
@@ -27,16 +27,64 @@ class Logger implements LoggerInterface {
 	 */
 	private $logger;
 
+	/**
+	 * Context added to every record logged inside Logger::with_context(), innermost last.
+	 *
+	 * @since TBD
+	 * @var array[]
+	 */
+	private static $scoped_context = [];
+
 	/**
 	 * Constructor.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Adds the scoped context to every record.
 	 */
 	public function __construct() {
 		$this->logger = new MonologLogger( 'flux-media-optimizer' );
+		$this->logger->pushProcessor( [ self::class, 'add_scoped_context' ] );
 		$this->setup_handlers();
 	}
 
+	/**
+	 * Run a callback with context added to everything logged while it runs.
+	 *
+	 * Lets entry points tag the logs of a conversion with attachment_id, job_id, format and
+	 * processor, so the Logs page can filter on them, without passing them to every call.
+	 *
+	 * @since TBD
+	 * @param array    $context  Context to add, e.g. [ 'attachment_id' => 123 ].
+	 * @param callable $callback Callback to run.
+	 * @return mixed Return value of the callback.
+	 */
+	public static function with_context( $context, callable $callback ) {
+		self::$scoped_context[] = $context;
+
+		try {
+			return $callback();
+		} finally {
+			array_pop( self::$scoped_context );
+		}
+	}
+
+	/**
+	 * Add the scoped context to a log record.
+	 *
+	 * Context passed to the log call wins over the scoped context.
+	 *
+	 * @since TBD
+	 * @param array $record Monolog record.
+	 * @return array Record with the scoped context.
+	 */
+	public static function add_scoped_context( $record ) {
+		if ( ! empty( self::$scoped_context ) ) {
+			$record['context'] = array_merge( array_merge( ...self::$scoped_context ), $record['context'] );
+		}
+
+		return $record;
+	}
+
 	/**
 	 * Setup log handlers.
 	 *
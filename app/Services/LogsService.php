@@ -37,6 +37,7 @@ class LogsService {
 	 * Get logs with pagination and filtering.
 	 *
 	 * @since 0.1.0
+	 * @since TBD Added date range, attachment, job, processor and format filters.
 	 * @param array $args Query arguments.
 	 * @return array Logs data with pagination info.
 	 */
@@ -48,6 +49,12 @@ class LogsService {
 			'per_page' => 20,
 			'level' => '',
 			'search' => '',
+			'date_from' => '',
+			'date_to' => '',
+			'attachment_id' => 0,
+			'job_id' => 0,
+			'processor' => '',
+			'format' => '',
 			'orderby' => 'created_at',
 			'order' => 'DESC',
 		];
@@ -55,20 +62,7 @@ class LogsService {
 		$args = wp_parse_args( $args, $defaults );
 
 		// Build WHERE clause
-		$where_conditions = [];
-		$where_values = [];
-
-		if ( ! empty( $args['level'] ) ) {
-			$where_conditions[] = 'level = %s';
-			$where_values[] = $args['level'];
-		}
-
-		if ( ! empty( $args['search'] ) ) {
-			$where_conditions[] = '(message LIKE %s OR context LIKE %s)';
-			$search_term = '%' . $wpdb->esc_like( $args['search'] ) . '%';
-			$where_values[] = $search_term;
-			$where_values[] = $search_term;
-		}
+		list( $where_conditions, $where_values ) = $this->get_where_conditions( $args );
 
 		$where_clause = ! empty( $where_conditions ) ? 'WHERE ' . implode( ' AND ', $where_conditions ) : '';
 
@@ -95,9 +89,7 @@ class LogsService {
 		), ARRAY_A );
 
 		// Process logs
-		foreach ( $logs as &$log ) {
-			$log['context'] = ! empty( $log['context'] ) ? json_decode( $log['context'], true ) : null;
-		}
+		$logs = array_map( [ $this, 'format_log' ], $logs );
 
 		return [
 			'data' => $logs,
@@ -108,6 +100,250 @@ class LogsService {
 		];
 	}
 
+	/**
+	 * Get logs written after a cursor, for tailing the log.
+	 *
+	 * Without a cursor the newest entries are returned, so a tail starts at the current end
+	 * of the log. Entries are returned oldest first.
+	 *
+	 * @since TBD
+	 * @param int   $since_id ID of the last entry already received, 0 to start a tail.
+	 * @param array $args     Query arguments (the filters of get_logs() and limit).
+	 * @return array Logs data with the cursor to pass on the next call.
+	 */
+	public function get_logs_since( $since_id, $args = [] ) {
+		global $wpdb;
+
+		$args = wp_parse_args( $args, [
+			'level' => '',
+			'search' => '',
+			'date_from' => '',
+			'date_to' => '',
+			'attachment_id' => 0,
+			'job_id' => 0,
+			'processor' => '',
+			'format' => '',
+			'limit' => 100,
+		] );
+
+		$table = esc_sql( $this->table_name );
+		list( $where_conditions, $where_values ) = $this->get_where_conditions( $args );
+
+		if ( $since_id > 0 ) {
+			$where_conditions[] = 'id > %d';
+			$where_values[] = $since_id;
+		}
+
+		$where_clause = ! empty( $where_conditions ) ? 'WHERE ' . implode( ' AND ', $where_conditions ) : '';
+		$order = $since_id > 0 ? 'ASC' : 'DESC';
+
+		$logs = $wpdb->get_results( $wpdb->prepare(
+			"SELECT id, level, message, context, created_at FROM `{$table}` {$where_clause} ORDER BY id {$order} LIMIT %d",
+			array_merge( $where_values, [ (int) $args['limit'] ] )
+		), ARRAY_A );
+
+		if ( $since_id <= 0 ) {
+			$logs = array_reverse( $logs );
+		}
+
+		$logs = array_map( [ $this, 'format_log' ], $logs );
+
+		if ( ! empty( $logs ) ) {
+			$cursor = (int) end( $logs )['id'];
+		} elseif ( $since_id > 0 ) {
+			$cursor = (int) $since_id;
+		} else {
+			// Skip entries written before the tail started that do not match the filters
+			$cursor = (int) $wpdb->get_var( "SELECT MAX(id) FROM `{$table}`" );
+		}
+
+		return [
+			'data' => $logs,
+			'cursor' => $cursor,
+		];
+	}
+
+	/**
+	 * Iterate over the log entries matching the filters, oldest first.
+	 *
+	 * Reads the table in batches so an export never holds the whole log in memory.
+	 *
+	 * @since TBD
+	 * @param array $args       Filters of get_logs().
+	 * @param int   $batch_size Number of entries read per query.
+	 * @return \Generator Log entries with decoded context.
+	 */
+	public function iterate_logs( $args = [], $batch_size = 500 ) {
+		global $wpdb;
+
+		$table = esc_sql( $this->table_name );
+		list( $where_conditions, $where_values ) = $this->get_where_conditions( $args );
+		$where_conditions[] = 'id > %d';
+		$last_id = 0;
+
+		do {
+			$logs = $wpdb->get_results( $wpdb->prepare(
+				"SELECT id, level, message, context, created_at FROM `{$table}` WHERE " . implode( ' AND ', $where_conditions ) . ' ORDER BY id ASC LIMIT %d',
+				array_merge( $where_values, [ $last_id, $batch_size ] )
+			), ARRAY_A );
+
+			foreach ( $logs as $log ) {
+				$last_id = (int) $log['id'];
+				$log['context'] = ! empty( $log['context'] ) ? json_decode( $log['context'], true ) : null;
+
+				yield $log;
+			}
+		} while ( count( $logs ) === $batch_size );
+	}
+
+	/**
+	 * Get the number of log entries and the dates of the oldest and newest.
+	 *
+	 * @since TBD
+	 * @return array Stats with total, oldest and newest (null when the log is empty).
+	 */
+	public function get_log_stats() {
+		global $wpdb;
+
+		$stats = $wpdb->get_row( "SELECT COUNT(*) AS total, MIN(created_at) AS oldest, MAX(created_at) AS newest FROM `" . esc_sql( $this->table_name ) . "`", ARRAY_A );
+
+		return [
+			'total' => (int) ( $stats['total'] ?? 0 ),
+			'oldest' => $stats['oldest'] ?? null,
+			'newest' => $stats['newest'] ?? null,
+		];
+	}
+
+	/**
+	 * Get the newest log entries of level ERROR or above.
+	 *
+	 * @since TBD
+	 * @param int $limit Maximum number of entries.
+	 * @return array Log entries with decoded context, newest first.
+	 */
+	public function get_recent_errors( $limit = 50 ) {
+		global $wpdb;
+
+		$logs = $wpdb->get_results( $wpdb->prepare(
+			"SELECT id, level, message, context, created_at FROM `" . esc_sql( $this->table_name ) . "` WHERE level IN ('ERROR', 'CRITICAL', 'ALERT', 'EMERGENCY') ORDER BY id DESC LIMIT %d",
+			$limit
+		), ARRAY_A );
+
+		foreach ( $logs as &$log ) {
+			$log['context'] = ! empty( $log['context'] ) ? json_decode( $log['context'], true ) : null;
+		}
+
+		return $logs;
+	}
+
+	/**
+	 * Decode the context of a log entry and link the attachment it is about.
+	 *
+	 * @since TBD
+	 * @param array $log Log row.
+	 * @return array Log entry with decoded context, attachment_id and edit_url.
+	 */
+	private function format_log( $log ) {
+		$log['context'] = ! empty( $log['context'] ) ? json_decode( $log['context'], true ) : null;
+
+		$attachment_id = is_array( $log['context'] ) ? (int) ( $log['context']['attachment_id'] ?? 0 ) : 0;
+		$log['attachment_id'] = $attachment_id;
+		$log['edit_url'] = $attachment_id ? get_edit_post_link( $attachment_id, 'raw' ) : '';
+
+		return $log;
+	}
+
+	/**
+	 * Build the WHERE conditions of the log filters.
+	 *
+	 * Attachment, job, processor and format are matched in the JSON context, under the keys
+	 * the Logger writes them with.
+	 *
+	 * @since TBD
+	 * @param array $args Query arguments (level, search, date_from, date_to, attachment_id, job_id, processor, format).
+	 * @return array Conditions and their placeholder values.
+	 */
+	private function get_where_conditions( $args ) {
+		global $wpdb;
+
+		$where_conditions = [];
+		$where_values = [];
+
+		if ( ! empty( $args['level'] ) ) {
+			$where_conditions[] = 'level = %s';
+			$where_values[] = $args['level'];
+		}
+
+		if ( ! empty( $args['search'] ) ) {
+			$where_conditions[] = '(message LIKE %s OR context LIKE %s)';
+			$search_term = '%' . $wpdb->esc_like( $args['search'] ) . '%';
+			$where_values[] = $search_term;
+			$where_values[] = $search_term;
+		}
+
+		if ( ! empty( $args['date_from'] ) ) {
+			$where_conditions[] = 'created_at >= %s';
+			$where_values[] = $args['date_from'] . ' 00:00:00';
+		}
+
+		if ( ! empty( $args['date_to'] ) ) {
+			$where_conditions[] = 'created_at <= %s';
+			$where_values[] = $args['date_to'] . ' 23:59:59';
+		}
+
+		$context_filters = [
+			'attachment_id' => [ 'attachment_id' ],
+			'job_id' => [ 'job_id' ],
+			'processor' => [ 'processor', 'processor_type' ],
+			'format' => [ 'format', 'target_format' ],
+		];
+
+		foreach ( $context_filters as $filter => $keys ) {
+			if ( empty( $args[ $filter ] ) ) {
+				continue;
+			}
+
+			$patterns = [];
+			foreach ( $keys as $key ) {
+				$patterns = array_merge( $patterns, self::get_context_patterns( $key, $args[ $filter ] ) );
+			}
+
+			$where_conditions[] = '(' . implode( ' OR ', array_fill( 0, count( $patterns ), 'context LIKE %s' ) ) . ')';
+			foreach ( $patterns as $pattern ) {
+				$where_values[] = '%' . $wpdb->esc_like( $pattern ) . '%';
+			}
+		}
+
+		return [ $where_conditions, $where_values ];
+	}
+
+	/**
+	 * Get the JSON fragments a context value is stored as.
+	 *
+	 * Numbers are matched up to the following delimiter so attachment 12 does not match 123,
+	 * and also as strings for IDs logged from request parameters.
+	 *
+	 * @since TBD
+	 * @param string     $key   Context key.
+	 * @param int|string $value Value to find.
+	 * @return string[] JSON fragments, any of which matches.
+	 */
+	public static function get_context_patterns( $key, $value ) {
+		$json_key = wp_json_encode( (string) $key ) . ':';
+
+		if ( is_numeric( $value ) ) {
+			$number = (string) (int) $value;
+
+			return [
+				$json_key . $number . ',',
+				$json_key . $number . '}',
+				$json_key . wp_json_encode( $number ),
+			];
+		}
+
+		return [ $json_key . wp_json_encode( (string) $value ) ];
+	}
+
 	/**
 	 * Get log levels available in the database.
 	 *
@@ -140,4 +376,31 @@ class LogsService {
 
 		return $deleted ?: 0;
 	}
+
+	/**
+	 * Delete the oldest log entries beyond a maximum count.
+	 *
+	 * @since TBD
+	 * @param int $max_rows Number of newest entries to keep.
+	 * @return int Number of logs deleted.
+	 */
+	public function trim_logs( $max_rows ) {
+		global $wpdb;
+
+		$table = esc_sql( $this->table_name );
+
+		// ID of the newest entry that no longer fits
+		$cutoff_id = (int) $wpdb->get_var( $wpdb->prepare(
+			"SELECT id FROM `{$table}` ORDER BY id DESC LIMIT 1 OFFSET %d",
+			(int) $max_rows
+		) );
+
+		if ( ! $cutoff_id ) {
+			return 0;
+		}
+
+		$deleted = $wpdb->query( $wpdb->prepare( "DELETE FROM `{$table}` WHERE id <= %d", $cutoff_id ) );
+
+		return $deleted ?: 0;
+	}
 }
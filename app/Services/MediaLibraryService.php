@@ -0,0 +1,555 @@
+<?php
+/**
+ * Media Library integration for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Shows optimization status in the Media Library list and grid views and runs
+ * attachment actions (convert, re-convert, disable, enable) from there.
+ *
+ * @since TBD
+ */
+class MediaLibraryService {
+
+	/**
+	 * Optimization statuses shown in the Media Library.
+	 *
+	 * @since TBD
+	 */
+	const STATUS_CONVERTED = 'converted';
+	const STATUS_PENDING = 'pending';
+	const STATUS_FAILED = 'failed';
+	const STATUS_DISABLED = 'disabled';
+	const STATUS_UNCONVERTED = 'unconverted';
+
+	/**
+	 * Attachment actions that can be run from the Media Library.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const ACTIONS = [ 'convert', 'reconvert', 'disable', 'enable' ];
+
+	/**
+	 * Media Library list view column key.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const COLUMN = 'flux_media_optimizer';
+
+	/**
+	 * Badge colors keyed by status.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const STATUS_COLORS = [
+		self::STATUS_CONVERTED => '#00a32a',
+		self::STATUS_PENDING => '#2271b1',
+		self::STATUS_FAILED => '#d63638',
+		self::STATUS_DISABLED => '#787c82',
+		self::STATUS_UNCONVERTED => '#dba617',
+	];
+
+	/**
+	 * Conversion tracker instance.
+	 *
+	 * @since TBD
+	 * @var ConversionTracker
+	 */
+	private $conversion_tracker;
+
+	/**
+	 * Action Scheduler service instance.
+	 *
+	 * @since TBD
+	 * @var ActionSchedulerService
+	 */
+	private $action_scheduler_service;
+
+	/**
+	 * Media processing service locator instance.
+	 *
+	 * @since TBD
+	 * @var MediaProcessingServiceLocator
+	 */
+	private $service_locator;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param ConversionTracker             $conversion_tracker Conversion tracker instance.
+	 * @param ActionSchedulerService        $action_scheduler_service Action Scheduler service instance.
+	 * @param MediaProcessingServiceLocator $service_locator Media processing service locator instance.
+	 */
+	public function __construct( ConversionTracker $conversion_tracker, ActionSchedulerService $action_scheduler_service, MediaProcessingServiceLocator $service_locator ) {
+		$this->conversion_tracker = $conversion_tracker;
+		$this->action_scheduler_service = $action_scheduler_service;
+		$this->service_locator = $service_locator;
+	}
+
+	/**
+	 * Register Media Library hooks.
+	 *
+	 * @since TBD
+	 * @return void
+	 */
+	public function init() {
+		add_filter( 'manage_media_columns', [ $this, 'add_status_column' ] );
+		add_action( 'manage_media_custom_column', [ $this, 'render_status_column' ], 10, 2 );
+		add_filter( 'media_row_actions', [ $this, 'add_row_actions' ], 10, 2 );
+		add_filter( 'bulk_actions-upload', [ $this, 'add_bulk_actions' ] );
+		add_filter( 'handle_bulk_actions-upload', [ $this, 'handle_bulk_actions' ], 10, 3 );
+		add_action( 'admin_notices', [ $this, 'display_bulk_action_notice' ] );
+		add_filter( 'wp_prepare_attachment_for_js', [ $this, 'add_status_to_attachment_js' ], 10, 2 );
+	}
+
+	/**
+	 * Get the optimization status of an attachment.
+	 *
+	 * @since TBD
+	 * @since TBD Reports attachments whose last conversion attempt failed as failed.
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Status with formats and savings, or null if the attachment is not an image or video.
+	 */
+	public function get_status( $attachment_id ) {
+		$attachment_id = (int) $attachment_id;
+		$files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id );
+
+		if ( empty( $files_by_size ) && ! wp_attachment_is( 'image', $attachment_id ) && ! wp_attachment_is( 'video', $attachment_id ) ) {
+			return null;
+		}
+
+		$formats = [];
+		foreach ( $files_by_size as $size_files ) {
+			if ( is_array( $size_files ) ) {
+				$formats = array_merge( $formats, array_keys( $size_files ) );
+			}
+		}
+		$formats = array_values( array_diff( array_unique( $formats ), [ 'original' ] ) );
+
+		$status = self::STATUS_UNCONVERTED;
+		$error = null;
+		$external_job_state = AttachmentMetaHandler::get_external_job_state( $attachment_id );
+
+		if ( AttachmentMetaHandler::is_conversion_disabled( $attachment_id ) ) {
+			$status = self::STATUS_DISABLED;
+		} elseif ( in_array( $external_job_state, [ 'queued', 'processing' ], true ) || $this->action_scheduler_service->has_pending_conversion( $attachment_id ) ) {
+			$status = self::STATUS_PENDING;
+		} else {
+			$failure = $this->action_scheduler_service->get_last_failed_conversion( $attachment_id );
+			$conversion_date = AttachmentMetaHandler::get_conversion_date( $attachment_id );
+			$last_failure = AttachmentMetaHandler::get_failure( $attachment_id );
+
+			// A failure only counts when nothing was converted after it.
+			if ( $failure && ( ! $conversion_date || $failure['failed_at'] > get_gmt_from_date( $conversion_date, 'U' ) ) ) {
+				$status = self::STATUS_FAILED;
+				$error = $failure['error'];
+			} elseif ( $last_failure ) {
+				// The last attempt failed without failing its job, e.g. no size could be converted.
+				$status = self::STATUS_FAILED;
+				$error = $last_failure['error'];
+			} elseif ( 'failed' === $external_job_state ) {
+				$status = self::STATUS_FAILED;
+			} elseif ( ! empty( $formats ) ) {
+				$status = self::STATUS_CONVERTED;
+			}
+		}
+
+		$stats = $this->conversion_tracker->get_attachment_stats( $attachment_id );
+
+		return [
+			'attachment_id' => $attachment_id,
+			'status' => $status,
+			'label' => $this->get_status_label( $status ),
+			'formats' => $formats,
+			'savings_bytes' => $stats['total_savings_bytes'] ?? 0,
+			'savings_percentage' => $stats['savings_percentage'] ?? 0,
+			'error' => $error,
+		];
+	}
+
+	/**
+	 * Get the optimization status of several attachments.
+	 *
+	 * @since TBD
+	 * @param array $attachment_ids Attachment IDs.
+	 * @return array Statuses keyed by attachment ID, null for attachments that are not images or videos.
+	 */
+	public function get_statuses( $attachment_ids ) {
+		$statuses = [];
+		foreach ( array_unique( array_map( 'intval', $attachment_ids ) ) as $attachment_id ) {
+			$statuses[ $attachment_id ] = $this->get_status( $attachment_id );
+		}
+
+		return $statuses;
+	}
+
+	/**
+	 * Get the Flux Media Optimizer attachment field HTML.
+	 *
+	 * Runs the same filter WordPress uses for the attachment details screen, so the
+	 * field can be replaced in place after an action.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return string Field HTML, empty if the attachment does not exist.
+	 */
+	public function get_field_html( $attachment_id ) {
+		$post = get_post( $attachment_id );
+		if ( ! $post || 'attachment' !== $post->post_type ) {
+			return '';
+		}
+
+		$form_fields = apply_filters( 'attachment_fields_to_edit', [], $post );
+
+		return $form_fields['flux_media_optimizer']['html'] ?? '';
+	}
+
+	/**
+	 * Run an attachment action.
+	 *
+	 * Conversions are queued through Action Scheduler. Re-converting removes the existing
+	 * converted files first, since conversion skips sizes that are already converted.
+	 *
+	 * @since TBD
+	 * @param string $action        Action name, one of self::ACTIONS.
+	 * @param int    $attachment_id Attachment ID.
+	 * @return array Result with 'success' and 'message' keys.
+	 */
+	public function run_action( $action, $attachment_id ) {
+		$attachment_id = (int) $attachment_id;
+
+		if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+			return [
+				'success' => false,
+				'message' => __( 'Attachment not found', 'flux-media-optimizer' ),
+			];
+		}
+
+		switch ( $action ) {
+			case 'enable':
+				AttachmentMetaHandler::enable_conversion( $attachment_id );
+				return [
+					'success' => true,
+					'message' => __( 'Conversion enabled', 'flux-media-optimizer' ),
+				];
+
+			case 'disable':
+				$this->action_scheduler_service->cancel_attachment_conversion( $attachment_id );
+				$this->delete_converted_files( $attachment_id );
+
+				// Deleting converted files clears the disabled flag, so set it afterwards.
+				AttachmentMetaHandler::disable_conversion( $attachment_id );
+				return [
+					'success' => true,
+					'message' => __( 'Conversion disabled', 'flux-media-optimizer' ),
+				];
+
+			case 'reconvert':
+			case 'convert':
+				if ( AttachmentMetaHandler::is_conversion_disabled( $attachment_id ) ) {
+					return [
+						'success' => false,
+						'message' => __( 'Conversion is disabled for this attachment', 'flux-media-optimizer' ),
+					];
+				}
+
+				if ( 'reconvert' === $action ) {
+					$this->delete_converted_files( $attachment_id );
+				}
+
+				// Clear external job state to allow forced re-conversion.
+				AttachmentMetaHandler::delete_external_job_state( $attachment_id );
+
+				ConversionHistory::request( $attachment_id, ConversionHistory::TRIGGER_MANUAL );
+
+				if ( ! $this->action_scheduler_service->schedule_attachment_conversion( $attachment_id, time() ) ) {
+					AttachmentMetaHandler::delete_conversion_request( $attachment_id );
+					return [
+						'success' => false,
+						'message' => __( 'Failed to schedule conversion', 'flux-media-optimizer' ),
+					];
+				}
+
+				return [
+					'success' => true,
+					'message' => __( 'Conversion queued', 'flux-media-optimizer' ),
+				];
+		}
+
+		return [
+			'success' => false,
+			'message' => __( 'Unknown action', 'flux-media-optimizer' ),
+		];
+	}
+
+	/**
+	 * Add the optimization column to the Media Library list view.
+	 *
+	 * @since TBD
+	 * @param array $columns List table columns.
+	 * @return array Modified columns.
+	 */
+	public function add_status_column( $columns ) {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return $columns;
+		}
+
+		$columns[ self::COLUMN ] = __( 'Optimization', 'flux-media-optimizer' );
+		return $columns;
+	}
+
+	/**
+	 * Render the optimization column for an attachment.
+	 *
+	 * @since TBD
+	 * @param string $column_name   Column key.
+	 * @param int    $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function render_status_column( $column_name, $attachment_id ) {
+		if ( self::COLUMN !== $column_name ) {
+			return;
+		}
+
+		printf(
+			'<div class="flux-media-optimizer-status" data-attachment-id="%d">%s</div>',
+			(int) $attachment_id,
+			wp_kses_post( $this->get_status_html( $this->get_status( $attachment_id ) ) )
+		);
+	}
+
+	/**
+	 * Get the badge HTML for an attachment status.
+	 *
+	 * The admin script renders the same markup when it refreshes a status in place.
+	 *
+	 * @since TBD
+	 * @param array|null $status Status from get_status().
+	 * @return string Badge HTML.
+	 */
+	public function get_status_html( $status ) {
+		if ( ! $status ) {
+			return '&mdash;';
+		}
+
+		$html = sprintf(
+			'<span class="flux-media-optimizer-badge flux-media-optimizer-badge-%1$s" style="display: inline-block; padding: 2px 8px; border-radius: 10px; background: %2$s; color: #fff; font-size: 12px; line-height: 18px;"%3$s>%4$s</span>',
+			esc_attr( $status['status'] ),
+			esc_attr( self::STATUS_COLORS[ $status['status'] ] ),
+			$status['error'] ? ' title="' . esc_attr( $status['error'] ) . '"' : '',
+			esc_html( $status['label'] )
+		);
+
+		if ( ! empty( $status['formats'] ) ) {
+			$html .= sprintf(
+				'<div style="margin-top: 4px; font-size: 12px; color: #50575e;">%s</div>',
+				esc_html( sprintf(
+					/* translators: 1: converted formats, 2: percentage saved */
+					__( '%1$s, %2$s%% saved', 'flux-media-optimizer' ),
+					strtoupper( implode( ', ', $status['formats'] ) ),
+					$status['savings_percentage']
+				) )
+			);
+		}
+
+		return $html;
+	}
+
+	/**
+	 * Add optimization row actions to the Media Library list view.
+	 *
+	 * Links carry the action in data attributes so the admin script can run them in place.
+	 *
+	 * @since TBD
+	 * @param array    $actions Row actions.
+	 * @param \WP_Post $post    Attachment post.
+	 * @return array Modified row actions.
+	 */
+	public function add_row_actions( $actions, $post ) {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return $actions;
+		}
+
+		$status = $this->get_status( $post->ID );
+		if ( ! $status ) {
+			return $actions;
+		}
+
+		$row_actions = [];
+		if ( self::STATUS_DISABLED === $status['status'] ) {
+			$row_actions['enable'] = __( 'Enable conversion', 'flux-media-optimizer' );
+		} else {
+			if ( self::STATUS_PENDING !== $status['status'] ) {
+				$row_actions[ empty( $status['formats'] ) ? 'convert' : 'reconvert' ] = empty( $status['formats'] )
+					? __( 'Convert', 'flux-media-optimizer' )
+					: __( 'Re-convert', 'flux-media-optimizer' );
+			}
+			$row_actions['disable'] = __( 'Disable conversion', 'flux-media-optimizer' );
+		}
+
+		foreach ( $row_actions as $action => $label ) {
+			$actions[ 'flux_media_optimizer_' . $action ] = sprintf(
+				'<a href="%1$s" class="flux-media-optimizer-action" data-action="%2$s" data-attachment-id="%3$d">%4$s</a>',
+				esc_url( $this->get_bulk_action_url( $action, $post->ID ) ),
+				esc_attr( $action ),
+				(int) $post->ID,
+				esc_html( $label )
+			);
+		}
+
+		return $actions;
+	}
+
+	/**
+	 * Add optimization bulk actions to the Media Library list view.
+	 *
+	 * @since TBD
+	 * @param array $actions Bulk actions.
+	 * @return array Modified bulk actions.
+	 */
+	public function add_bulk_actions( $actions ) {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return $actions;
+		}
+
+		$actions['flux_media_optimizer_convert'] = __( 'Convert', 'flux-media-optimizer' );
+		$actions['flux_media_optimizer_reconvert'] = __( 'Re-convert', 'flux-media-optimizer' );
+		$actions['flux_media_optimizer_disable'] = __( 'Disable conversion', 'flux-media-optimizer' );
+		$actions['flux_media_optimizer_enable'] = __( 'Enable conversion', 'flux-media-optimizer' );
+
+		return $actions;
+	}
+
+	/**
+	 * Handle optimization bulk actions submitted without JavaScript.
+	 *
+	 * The admin script normally runs these through the REST API without reloading.
+	 *
+	 * @since TBD
+	 * @param string $redirect_url Redirect URL.
+	 * @param string $doaction     Bulk action.
+	 * @param array  $post_ids     Selected attachment IDs.
+	 * @return string Redirect URL.
+	 */
+	public function handle_bulk_actions( $redirect_url, $doaction, $post_ids ) {
+		$action = str_replace( 'flux_media_optimizer_', '', $doaction );
+		if ( 0 !== strpos( $doaction, 'flux_media_optimizer_' ) || ! in_array( $action, self::ACTIONS, true ) || ! current_user_can( 'manage_options' ) ) {
+			return $redirect_url;
+		}
+
+		$processed = 0;
+		foreach ( $post_ids as $post_id ) {
+			$result = $this->run_action( $action, $post_id );
+			if ( $result['success'] ) {
+				++$processed;
+			}
+		}
+
+		return add_query_arg( 'flux_media_optimizer_processed', $processed, $redirect_url );
+	}
+
+	/**
+	 * Display the result of a bulk action submitted without JavaScript.
+	 *
+	 * @since TBD
+	 * @return void
+	 */
+	public function display_bulk_action_notice() {
+		$screen = get_current_screen();
+		if ( ! isset( $_GET['flux_media_optimizer_processed'] ) || ! $screen || 'upload' !== $screen->id ) {
+			return;
+		}
+
+		$processed = absint( wp_unslash( $_GET['flux_media_optimizer_processed'] ) );
+		printf(
+			'<div class="notice notice-success is-dismissible"><p>%s</p></div>',
+			esc_html( sprintf(
+				/* translators: %d: number of attachments */
+				_n( 'Flux Media Optimizer updated %d attachment.', 'Flux Media Optimizer updated %d attachments.', $processed, 'flux-media-optimizer' ),
+				$processed
+			) )
+		);
+	}
+
+	/**
+	 * Add the optimization status to attachment data used by the media modal grid.
+	 *
+	 * @since TBD
+	 * @param array    $response   Attachment data for JavaScript.
+	 * @param \WP_Post $attachment Attachment post.
+	 * @return array Modified attachment data.
+	 */
+	public function add_status_to_attachment_js( $response, $attachment ) {
+		if ( current_user_can( 'manage_options' ) ) {
+			$response['fluxMediaOptimizer'] = $this->get_status( $attachment->ID );
+		}
+
+		return $response;
+	}
+
+	/**
+	 * Get the label of a status.
+	 *
+	 * @since TBD
+	 * @param string $status Status key.
+	 * @return string Status label.
+	 */
+	private function get_status_label( $status ) {
+		$labels = [
+			self::STATUS_CONVERTED => __( 'Converted', 'flux-media-optimizer' ),
+			self::STATUS_PENDING => __( 'Pending', 'flux-media-optimizer' ),
+			self::STATUS_FAILED => __( 'Failed', 'flux-media-optimizer' ),
+			self::STATUS_DISABLED => __( 'Disabled', 'flux-media-optimizer' ),
+			self::STATUS_UNCONVERTED => __( 'Not converted', 'flux-media-optimizer' ),
+		];
+
+		return $labels[ $status ] ?? $status;
+	}
+
+	/**
+	 * Get the no-JavaScript fallback URL of a row action.
+	 *
+	 * @since TBD
+	 * @param string $action        Action name.
+	 * @param int    $attachment_id Attachment ID.
+	 * @return string Bulk action URL for a single attachment.
+	 */
+	private function get_bulk_action_url( $action, $attachment_id ) {
+		return wp_nonce_url(
+			add_query_arg(
+				[
+					'action' => 'flux_media_optimizer_' . $action,
+					'media[]' => $attachment_id,
+				],
+				admin_url( 'upload.php' )
+			),
+			'bulk-media'
+		);
+	}
+
+	/**
+	 * Delete an attachment's converted files and conversion records.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	private function delete_converted_files( $attachment_id ) {
+		// The processor handles service-specific deletion (files and meta).
+		$processor = $this->service_locator->get_processor();
+		if ( $processor ) {
+			$processor->delete_attachment( $attachment_id );
+		}
+
+		$this->conversion_tracker->delete_attachment_conversions( $attachment_id );
+	}
+}
@@ -39,6 +39,7 @@ class ProcessorDetector {
      * Get available image processors.
      *
      * @since 0.1.0
+     * @since TBD Includes the supported encoding options.
      * @return array Available image processors with their capabilities.
      */
     public function get_available_image_processors() {
@@ -53,6 +54,7 @@ class ProcessorDetector {
                 'webp_support' => $this->imagick_supports_webp(),
                 'avif_support' => $this->imagick_supports_avif(),
                 'animated_gif_support' => $this->imagick_supports_animated_gif(),
+                'encoding_options' => $this->get_imagick_encoding_options(),
             ];
         }
 
@@ -65,6 +67,7 @@ class ProcessorDetector {
                 'webp_support' => $this->gd_supports_webp(),
                 'avif_support' => $this->gd_supports_avif(),
                 'animated_gif_support' => false, // GD cannot preserve animation.
+                'encoding_options' => $this->get_gd_encoding_options(),
             ];
         }
 
@@ -328,6 +331,49 @@ class ProcessorDetector {
         return $this->is_gd_available() && function_exists( 'imageavif' );
     }
 
+    /**
+     * Get the image encoding options Imagick supports.
+     *
+     * @since TBD
+     * @return array Support flags keyed by encoding option.
+     */
+    private function get_imagick_encoding_options() {
+        $webp = $this->imagick_supports_webp();
+
+        // Lossless and chroma options of the HEIF encoder need ImageMagick 7.1.0+
+        $avif = $this->imagick_supports_avif()
+            && preg_match( '/ImageMagick (\d+\.\d+\.\d+)/', $this->get_imagick_version(), $matches )
+            && version_compare( $matches[1], '7.1.0', '>=' );
+
+        return [
+            'webp_lossless' => $webp,
+            'webp_near_lossless' => $webp,
+            'webp_alpha_quality' => $webp,
+            'webp_method' => $webp,
+            'avif_lossless' => $avif,
+            'avif_chroma' => $avif,
+        ];
+    }
+
+    /**
+     * Get the image encoding options GD supports.
+     *
+     * GD only exposes a quality argument, lossless WebP needs PHP 8.1+.
+     *
+     * @since TBD
+     * @return array Support flags keyed by encoding option.
+     */
+    private function get_gd_encoding_options() {
+        return [
+            'webp_lossless' => $this->gd_supports_webp() && defined( 'IMG_WEBP_LOSSLESS' ),
+            'webp_near_lossless' => false,
+            'webp_alpha_quality' => false,
+            'webp_method' => false,
+            'avif_lossless' => false,
+            'avif_chroma' => false,
+        ];
+    }
+
     /**
      * Check if Imagick supports animated GIF.
      *
@@ -26,6 +26,13 @@ class ProcessorTypes {
      */
     public const VIDEO_FFMPEG = 'ffmpeg';
 
+    /**
+     * External processing service type.
+     *
+     * @since TBD
+     */
+    public const EXTERNAL = 'external';
+
     /**
      * Get all image processor types.
      *
@@ -0,0 +1,113 @@
+<?php
+/**
+ * Recording logger for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Passes messages on to another logger and keeps the errors, so the caller of a processor
+ * can report why it failed.
+ *
+ * @since TBD
+ */
+class RecordingLogger implements LoggerInterface {
+
+	/**
+	 * Logger the messages are passed on to.
+	 *
+	 * @since TBD
+	 * @var LoggerInterface
+	 */
+	private $logger;
+
+	/**
+	 * Error messages logged since the last reset.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	private $errors = [];
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param LoggerInterface $logger Logger the messages are passed on to.
+	 */
+	public function __construct( LoggerInterface $logger ) {
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Log an error message and keep it.
+	 *
+	 * @since TBD
+	 * @param string $message The error message.
+	 * @param array  $context Additional context data.
+	 * @return void
+	 */
+	public function error( $message, $context = [] ) {
+		$this->errors[] = $message;
+		$this->logger->error( $message, $context );
+	}
+
+	/**
+	 * Log a warning message.
+	 *
+	 * @since TBD
+	 * @param string $message The warning message.
+	 * @param array  $context Additional context data.
+	 * @return void
+	 */
+	public function warning( $message, $context = [] ) {
+		$this->logger->warning( $message, $context );
+	}
+
+	/**
+	 * Log an info message.
+	 *
+	 * @since TBD
+	 * @param string $message The info message.
+	 * @param array  $context Additional context data.
+	 * @return void
+	 */
+	public function info( $message, $context = [] ) {
+		$this->logger->info( $message, $context );
+	}
+
+	/**
+	 * Log a debug message.
+	 *
+	 * @since TBD
+	 * @param string $message The debug message.
+	 * @param array  $context Additional context data.
+	 * @return void
+	 */
+	public function debug( $message, $context = [] ) {
+		$this->logger->debug( $message, $context );
+	}
+
+	/**
+	 * Get the error messages logged since the last reset.
+	 *
+	 * @since TBD
+	 * @return array Error messages, oldest first.
+	 */
+	public function get_errors() {
+		return $this->errors;
+	}
+
+	/**
+	 * Forget the recorded error messages.
+	 *
+	 * @since TBD
+	 * @return void
+	 */
+	public function reset() {
+		$this->errors = [];
+	}
+}
@@ -39,6 +39,44 @@ class Settings {
 	const DEFAULT_VIDEO_AV1_CPU_USED = 6; // 0-8, where lower = slower but better compression. Default 6 for faster encoding.
 	const DEFAULT_VIDEO_WEBM_SPEED = 6; // 0-9, where lower = slower but better compression. Default 6 for faster encoding.
 
+	/**
+	 * Image encoding mode constants.
+	 *
+	 * @since TBD
+	 */
+	const IMAGE_MODE_LOSSY = 'lossy';
+	const IMAGE_MODE_LOSSLESS = 'lossless';
+	const IMAGE_MODE_NEAR_LOSSLESS = 'near_lossless';
+
+	/**
+	 * Default image encoding settings.
+	 *
+	 * @since TBD
+	 */
+	const DEFAULT_WEBP_MODE = self::IMAGE_MODE_LOSSY;
+	const DEFAULT_WEBP_NEAR_LOSSLESS = 60; // 0-100, where lower = more preprocessing and smaller files.
+	const DEFAULT_WEBP_ALPHA_QUALITY = 100;
+	const DEFAULT_WEBP_METHOD = 4; // 0-6, where higher = slower but better compression.
+	const DEFAULT_AVIF_MODE = self::IMAGE_MODE_LOSSY;
+	const DEFAULT_AVIF_CHROMA = '420';
+
+	/**
+	 * Image quality mode constants.
+	 *
+	 * @since TBD
+	 */
+	const IMAGE_QUALITY_MODE_FIXED = 'fixed';
+	const IMAGE_QUALITY_MODE_AUTO = 'auto';
+
+	/**
+	 * Default automatic quality settings.
+	 *
+	 * @since TBD
+	 */
+	const DEFAULT_IMAGE_QUALITY_MODE = self::IMAGE_QUALITY_MODE_FIXED;
+	const DEFAULT_AUTO_QUALITY_TARGET = 0.98; // SSIM every converted image must reach.
+	const DEFAULT_AUTO_QUALITY_MAX_ATTEMPTS = 6; // Encodes per format, enough to search 64 quality steps.
+
 	/**
 	 * Default format arrays.
 	 *
@@ -46,6 +84,7 @@ class Settings {
 	 */
 	const DEFAULT_IMAGE_FORMATS = [ 'webp', 'avif' ];
 	const DEFAULT_VIDEO_FORMATS = [ 'av1', 'webm' ];
+	const DEFAULT_IMAGE_EXCLUDED_SIZES = [];
 
 	/**
 	 * Default boolean settings.
@@ -55,9 +94,34 @@ class Settings {
 	const DEFAULT_IMAGE_AUTO_CONVERT = true;
 	const DEFAULT_VIDEO_AUTO_CONVERT = true;
 	const DEFAULT_HYBRID_APPROACH = false;
+	const DEFAULT_IMAGE_PICTURE_OUTPUT = false;
 	const DEFAULT_VIDEO_HYBRID_APPROACH = false;
 	const DEFAULT_BULK_CONVERSION_ENABLED = false;
 
+	/**
+	 * Default video poster settings.
+	 *
+	 * @since TBD
+	 */
+	const DEFAULT_VIDEO_POSTER_ENABLED = true;
+	const DEFAULT_VIDEO_POSTER_MODE = 'timestamp';
+	const DEFAULT_VIDEO_POSTER_TIMESTAMP = 1; // Seconds, skips the black or faded-in first frame of most videos.
+
+	/**
+	 * Default conversion rules, see ConversionPolicy for the rule structure.
+	 *
+	 * @since TBD
+	 */
+	const DEFAULT_CONVERSION_RULES = [];
+
+	/**
+	 * Default log retention, 0 keeps logs regardless of age or count.
+	 *
+	 * @since TBD
+	 */
+	const DEFAULT_LOG_RETENTION_DAYS = 30;
+	const DEFAULT_LOG_RETENTION_MAX_ROWS = 50000;
+
 	/**
 	 * Default other settings.
 	 *
@@ -88,9 +152,20 @@ class Settings {
 			'image_webp_quality' => self::DEFAULT_WEBP_QUALITY,
 			'image_avif_quality' => self::DEFAULT_AVIF_QUALITY,
 			'image_avif_speed' => self::DEFAULT_AVIF_SPEED,
+			'image_webp_mode' => self::DEFAULT_WEBP_MODE,
+			'image_webp_near_lossless' => self::DEFAULT_WEBP_NEAR_LOSSLESS,
+			'image_webp_alpha_quality' => self::DEFAULT_WEBP_ALPHA_QUALITY,
+			'image_webp_method' => self::DEFAULT_WEBP_METHOD,
+			'image_avif_mode' => self::DEFAULT_AVIF_MODE,
+			'image_avif_chroma' => self::DEFAULT_AVIF_CHROMA,
+			'image_quality_mode' => self::DEFAULT_IMAGE_QUALITY_MODE,
+			'image_auto_quality_target' => self::DEFAULT_AUTO_QUALITY_TARGET,
+			'image_auto_quality_max_attempts' => self::DEFAULT_AUTO_QUALITY_MAX_ATTEMPTS,
 			'image_auto_convert' => self::DEFAULT_IMAGE_AUTO_CONVERT,
 			'image_formats' => self::DEFAULT_IMAGE_FORMATS,
+			'image_excluded_sizes' => self::DEFAULT_IMAGE_EXCLUDED_SIZES,
 			'image_hybrid_approach' => self::DEFAULT_HYBRID_APPROACH,
+			'image_picture_output' => self::DEFAULT_IMAGE_PICTURE_OUTPUT,
 
 			// Video conversion settings.
 			'video_av1_crf' => self::DEFAULT_VIDEO_AV1_CRF,
@@ -100,11 +175,19 @@ class Settings {
 			'video_auto_convert' => self::DEFAULT_VIDEO_AUTO_CONVERT,
 			'video_formats' => self::DEFAULT_VIDEO_FORMATS,
 			'video_hybrid_approach' => self::DEFAULT_VIDEO_HYBRID_APPROACH,
+			'video_poster_enabled' => self::DEFAULT_VIDEO_POSTER_ENABLED,
+			'video_poster_mode' => self::DEFAULT_VIDEO_POSTER_MODE,
+			'video_poster_timestamp' => self::DEFAULT_VIDEO_POSTER_TIMESTAMP,
+
+			// Conversion rules.
+			'conversion_rules' => self::DEFAULT_CONVERSION_RULES,
 
 			// General settings.
 			'bulk_conversion_enabled' => self::DEFAULT_BULK_CONVERSION_ENABLED,
 			'log_level' => self::DEFAULT_LOG_LEVEL,
 			'enable_logging' => self::DEFAULT_ENABLE_LOGGING,
+			'log_retention_days' => self::DEFAULT_LOG_RETENTION_DAYS,
+			'log_retention_max_rows' => self::DEFAULT_LOG_RETENTION_MAX_ROWS,
 			
 			// SaaS API settings.
 			// Note: license_key is stored in flux-plugins_license_key site option for cross-plugin compatibility.
@@ -181,16 +264,28 @@ class Settings {
 			'image_webp_quality' => [ 'type' => 'int', 'min' => 1, 'max' => 100 ],
 			'image_avif_quality' => [ 'type' => 'int', 'min' => 1, 'max' => 100 ],
 			'image_avif_speed' => [ 'type' => 'int', 'min' => 0, 'max' => 10 ],
+			'image_webp_near_lossless' => [ 'type' => 'int', 'min' => 0, 'max' => 100 ],
+			'image_webp_alpha_quality' => [ 'type' => 'int', 'min' => 0, 'max' => 100 ],
+			'image_webp_method' => [ 'type' => 'int', 'min' => 0, 'max' => 6 ],
+			'image_auto_quality_max_attempts' => [ 'type' => 'int', 'min' => 2, 'max' => 10 ],
 			'video_av1_crf' => [ 'type' => 'int', 'min' => 0, 'max' => 63 ],
 			'video_webm_crf' => [ 'type' => 'int', 'min' => 0, 'max' => 63 ],
 			'video_av1_cpu_used' => [ 'type' => 'int', 'min' => 0, 'max' => 8 ],
 			'video_webm_speed' => [ 'type' => 'int', 'min' => 0, 'max' => 9 ],
+			'video_poster_timestamp' => [ 'type' => 'int', 'min' => 0, 'max' => 3600 ],
+			'log_retention_days' => [ 'type' => 'int', 'min' => 0, 'max' => 3650 ],
+			'log_retention_max_rows' => [ 'type' => 'int', 'min' => 0, 'max' => 10000000 ],
+
+			// Float settings with min/max ranges
+			'image_auto_quality_target' => [ 'type' => 'float', 'min' => 0.9, 'max' => 0.999 ],
 			
 			// Boolean settings
 			'image_auto_convert' => [ 'type' => 'bool' ],
 			'video_auto_convert' => [ 'type' => 'bool' ],
 			'image_hybrid_approach' => [ 'type' => 'bool' ],
+			'image_picture_output' => [ 'type' => 'bool' ],
 			'video_hybrid_approach' => [ 'type' => 'bool' ],
+			'video_poster_enabled' => [ 'type' => 'bool' ],
 			'bulk_conversion_enabled' => [ 'type' => 'bool' ],
 			'enable_logging' => [ 'type' => 'bool' ],
 			
@@ -203,6 +298,31 @@ class Settings {
 				'options' => [ 'debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency' ],
 				'default' => self::DEFAULT_LOG_LEVEL,
 			],
+			'video_poster_mode' => [
+				'type' => 'enum',
+				'options' => [ 'timestamp', 'scene' ],
+				'default' => self::DEFAULT_VIDEO_POSTER_MODE,
+			],
+			'image_webp_mode' => [
+				'type' => 'enum',
+				'options' => [ self::IMAGE_MODE_LOSSY, self::IMAGE_MODE_LOSSLESS, self::IMAGE_MODE_NEAR_LOSSLESS ],
+				'default' => self::DEFAULT_WEBP_MODE,
+			],
+			'image_avif_mode' => [
+				'type' => 'enum',
+				'options' => [ self::IMAGE_MODE_LOSSY, self::IMAGE_MODE_LOSSLESS ],
+				'default' => self::DEFAULT_AVIF_MODE,
+			],
+			'image_avif_chroma' => [
+				'type' => 'enum',
+				'options' => [ '420', '422', '444' ],
+				'default' => self::DEFAULT_AVIF_CHROMA,
+			],
+			'image_quality_mode' => [
+				'type' => 'enum',
+				'options' => [ self::IMAGE_QUALITY_MODE_FIXED, self::IMAGE_QUALITY_MODE_AUTO ],
+				'default' => self::DEFAULT_IMAGE_QUALITY_MODE,
+			],
 			
 			// Array settings with whitelist validation
 			'image_formats' => [
@@ -210,11 +330,20 @@ class Settings {
 				'whitelist' => [ 'webp', 'avif' ],
 				'default' => self::DEFAULT_IMAGE_FORMATS,
 			],
+			// Sizes are stored as exclusions so sizes registered later are converted by default
+			'image_excluded_sizes' => [
+				'type' => 'array',
+				'whitelist' => get_intermediate_image_sizes(),
+				'default' => self::DEFAULT_IMAGE_EXCLUDED_SIZES,
+			],
 			'video_formats' => [
 				'type' => 'array',
 				'whitelist' => [ 'av1', 'webm' ],
 				'default' => self::DEFAULT_VIDEO_FORMATS,
 			],
+
+			// Ordered conversion rules
+			'conversion_rules' => [ 'type' => 'rules' ],
 		];
 	}
 
@@ -222,6 +351,7 @@ class Settings {
 	 * Sanitize a setting value based on its schema.
 	 *
 	 * @since 2.0.5
+	 * @since TBD Supports float settings.
 	 * @param string $key Setting key.
 	 * @param mixed  $value Setting value to sanitize.
 	 * @return mixed Sanitized value.
@@ -243,6 +373,10 @@ class Settings {
 					return max( $rule['min'], min( $rule['max'], $value ) );
 				}
 				return $value;
+
+			case 'float':
+				$value = (float) $value;
+				return max( $rule['min'], min( $rule['max'], $value ) );
 				
 			case 'bool':
 				return (bool) $value;
@@ -266,6 +400,9 @@ class Settings {
 					}
 				}
 				return ! empty( $sanitized ) ? $sanitized : ( $rule['default'] ?? [] );
+
+			case 'rules':
+				return ConversionPolicy::sanitize_rules( $value );
 				
 			default:
 				return self::sanitize_by_type( $value );
@@ -394,6 +531,124 @@ class Settings {
 		return (int) self::get( 'image_avif_speed', self::DEFAULT_AVIF_SPEED );
 	}
 
+	/**
+	 * Get WebP encoding mode setting.
+	 *
+	 * Honours the legacy image_webp_lossless flag when no mode has been saved yet.
+	 *
+	 * @since TBD
+	 * @return string WebP encoding mode (lossy, lossless or near_lossless).
+	 */
+	public static function get_webp_mode() {
+		$options = get_option( self::$option_name, [] );
+
+		if ( ! isset( $options['image_webp_mode'] ) && ! empty( $options['image_webp_lossless'] ) ) {
+			return self::IMAGE_MODE_LOSSLESS;
+		}
+
+		return (string) self::get( 'image_webp_mode', self::DEFAULT_WEBP_MODE );
+	}
+
+	/**
+	 * Get WebP near-lossless preprocessing level setting.
+	 *
+	 * @since TBD
+	 * @return int Near-lossless level (0-100).
+	 */
+	public static function get_webp_near_lossless() {
+		return (int) self::get( 'image_webp_near_lossless', self::DEFAULT_WEBP_NEAR_LOSSLESS );
+	}
+
+	/**
+	 * Get WebP alpha channel quality setting.
+	 *
+	 * @since TBD
+	 * @return int Alpha quality (0-100).
+	 */
+	public static function get_webp_alpha_quality() {
+		return (int) self::get( 'image_webp_alpha_quality', self::DEFAULT_WEBP_ALPHA_QUALITY );
+	}
+
+	/**
+	 * Get WebP compression method (effort) setting.
+	 *
+	 * @since TBD
+	 * @return int Compression method (0-6).
+	 */
+	public static function get_webp_method() {
+		return (int) self::get( 'image_webp_method', self::DEFAULT_WEBP_METHOD );
+	}
+
+	/**
+	 * Get AVIF encoding mode setting.
+	 *
+	 * @since TBD
+	 * @return string AVIF encoding mode (lossy or lossless).
+	 */
+	public static function get_avif_mode() {
+		return (string) self::get( 'image_avif_mode', self::DEFAULT_AVIF_MODE );
+	}
+
+	/**
+	 * Get AVIF chroma subsampling setting.
+	 *
+	 * @since TBD
+	 * @return string Chroma subsampling (420, 422 or 444).
+	 */
+	public static function get_avif_chroma() {
+		return (string) self::get( 'image_avif_chroma', self::DEFAULT_AVIF_CHROMA );
+	}
+
+	/**
+	 * Check if image quality is chosen per image by the automatic quality search.
+	 *
+	 * @since TBD
+	 * @return bool True if the quality mode is auto.
+	 */
+	public static function is_auto_quality_enabled() {
+		return self::IMAGE_QUALITY_MODE_AUTO === self::get( 'image_quality_mode', self::DEFAULT_IMAGE_QUALITY_MODE );
+	}
+
+	/**
+	 * Get the SSIM target of the automatic quality search.
+	 *
+	 * @since TBD
+	 * @return float Target SSIM.
+	 */
+	public static function get_auto_quality_target() {
+		return (float) self::get( 'image_auto_quality_target', self::DEFAULT_AUTO_QUALITY_TARGET );
+	}
+
+	/**
+	 * Get the maximum number of encodes per format of the automatic quality search.
+	 *
+	 * @since TBD
+	 * @return int Maximum encode attempts.
+	 */
+	public static function get_auto_quality_max_attempts() {
+		return (int) self::get( 'image_auto_quality_max_attempts', self::DEFAULT_AUTO_QUALITY_MAX_ATTEMPTS );
+	}
+
+	/**
+	 * Get the image encoder options for a conversion.
+	 *
+	 * @since TBD
+	 * @return array Encoder options keyed as expected by the image processors.
+	 */
+	public static function get_image_encoding_settings() {
+		return [
+			'webp_quality' => self::get_webp_quality(),
+			'avif_quality' => self::get_avif_quality(),
+			'avif_speed' => self::get_avif_speed(),
+			'webp_mode' => self::get_webp_mode(),
+			'webp_near_lossless' => self::get_webp_near_lossless(),
+			'webp_alpha_quality' => self::get_webp_alpha_quality(),
+			'webp_method' => self::get_webp_method(),
+			'avif_mode' => self::get_avif_mode(),
+			'avif_chroma' => self::get_avif_chroma(),
+		];
+	}
+
 	/**
 	 * Get version-specific AVIF recommendations.
 	 *
@@ -487,6 +742,29 @@ class Settings {
 		return self::get( 'image_formats', self::DEFAULT_IMAGE_FORMATS );
 	}
 
+	/**
+	 * Get the intermediate image sizes that are not converted.
+	 *
+	 * @since TBD
+	 * @return array Array of size names.
+	 */
+	public static function get_image_excluded_sizes() {
+		return (array) self::get( 'image_excluded_sizes', self::DEFAULT_IMAGE_EXCLUDED_SIZES );
+	}
+
+	/**
+	 * Check if an image size is converted.
+	 *
+	 * The full size is always converted.
+	 *
+	 * @since TBD
+	 * @param string $size_name Size name.
+	 * @return bool True if the size is converted.
+	 */
+	public static function is_image_size_enabled( $size_name ) {
+		return 'full' === $size_name || ! in_array( $size_name, self::get_image_excluded_sizes(), true );
+	}
+
 	/**
 	 * Get video formats setting.
 	 *
@@ -497,6 +775,16 @@ class Settings {
 		return self::get( 'video_formats', self::DEFAULT_VIDEO_FORMATS );
 	}
 
+	/**
+	 * Get the conversion rules in evaluation order.
+	 *
+	 * @since TBD
+	 * @return array Rules.
+	 */
+	public static function get_conversion_rules() {
+		return (array) self::get( 'conversion_rules', self::DEFAULT_CONVERSION_RULES );
+	}
+
 	/**
 	 * Check if image hybrid approach is enabled.
 	 *
@@ -507,6 +795,16 @@ class Settings {
 		return (bool) self::get( 'image_hybrid_approach', self::DEFAULT_HYBRID_APPROACH );
 	}
 
+	/**
+	 * Check if images are rendered as picture elements with per-size AVIF and WebP sources.
+	 *
+	 * @since TBD
+	 * @return bool True if picture output is enabled.
+	 */
+	public static function is_image_picture_output_enabled() {
+		return (bool) self::get( 'image_picture_output', self::DEFAULT_IMAGE_PICTURE_OUTPUT );
+	}
+
 	/**
 	 * Check if video hybrid approach is enabled.
 	 *
@@ -517,6 +815,37 @@ class Settings {
 		return (bool) self::get( 'video_hybrid_approach', self::DEFAULT_VIDEO_HYBRID_APPROACH );
 	}
 
+	/**
+	 * Check if a poster image is generated for videos after conversion.
+	 *
+	 * @since TBD
+	 * @return bool True if video poster generation is enabled.
+	 */
+	public static function is_video_poster_enabled() {
+		return (bool) self::get( 'video_poster_enabled', self::DEFAULT_VIDEO_POSTER_ENABLED );
+	}
+
+	/**
+	 * Get how the video poster frame is picked.
+	 *
+	 * @since TBD
+	 * @return string 'timestamp' for the frame at the configured time, 'scene' for the first scene change.
+	 */
+	public static function get_video_poster_mode() {
+		$mode = self::get( 'video_poster_mode', self::DEFAULT_VIDEO_POSTER_MODE );
+		return in_array( $mode, [ 'timestamp', 'scene' ], true ) ? $mode : self::DEFAULT_VIDEO_POSTER_MODE;
+	}
+
+	/**
+	 * Get the position of the video poster frame.
+	 *
+	 * @since TBD
+	 * @return int Position in seconds.
+	 */
+	public static function get_video_poster_timestamp() {
+		return max( 0, (int) self::get( 'video_poster_timestamp', self::DEFAULT_VIDEO_POSTER_TIMESTAMP ) );
+	}
+
 	/**
 	 * Check if image auto-conversion is enabled.
 	 *
@@ -547,6 +876,26 @@ class Settings {
 		return (bool) self::get( 'enable_logging', self::DEFAULT_ENABLE_LOGGING );
 	}
 
+	/**
+	 * Get the number of days log entries are kept.
+	 *
+	 * @since TBD
+	 * @return int Days, 0 to keep entries regardless of age.
+	 */
+	public static function get_log_retention_days() {
+		return (int) self::get( 'log_retention_days', self::DEFAULT_LOG_RETENTION_DAYS );
+	}
+
+	/**
+	 * Get the maximum number of log entries kept.
+	 *
+	 * @since TBD
+	 * @return int Entries, 0 to keep entries regardless of count.
+	 */
+	public static function get_log_retention_max_rows() {
+		return (int) self::get( 'log_retention_max_rows', self::DEFAULT_LOG_RETENTION_MAX_ROWS );
+	}
+
 	/**
 	 * Check if bulk conversion is enabled.
 	 *
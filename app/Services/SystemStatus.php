@@ -0,0 +1,238 @@
+<?php
+/**
+ * System status for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Reports the image and video processors, the formats they support and the PHP limits.
+ *
+ * @since TBD
+ */
+class SystemStatus {
+
+	/**
+	 * Format support detector instance.
+	 *
+	 * @since TBD
+	 * @var FormatSupportDetector
+	 */
+	private $format_detector;
+
+	/**
+	 * Processor detector instance.
+	 *
+	 * @since TBD
+	 * @var ProcessorDetector
+	 */
+	private $processor_detector;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param FormatSupportDetector $format_detector Format support detector.
+	 * @param ProcessorDetector     $processor_detector Processor detector.
+	 */
+	public function __construct( FormatSupportDetector $format_detector, ProcessorDetector $processor_detector ) {
+		$this->format_detector = $format_detector;
+		$this->processor_detector = $processor_detector;
+	}
+
+	/**
+	 * Get system status.
+	 *
+	 * @since TBD
+	 * @return array Image and video processor status, PHP limits and the last self-test run.
+	 */
+	public function get_status() {
+		return [
+			'imageProcessor' => $this->get_image_processor_status(),
+			'videoProcessor' => $this->get_video_processor_status(),
+			'phpVersion' => PHP_VERSION,
+			'memoryLimit' => ini_get( 'memory_limit' ),
+			'maxExecutionTime' => ini_get( 'max_execution_time' ),
+			'uploadMaxFilesize' => ini_get( 'upload_max_filesize' ),
+			'postMaxSize' => ini_get( 'post_max_size' ),
+			'selfTest' => TestEncodeService::get_last_run(),
+		];
+	}
+
+	/**
+	 * Get image processor status.
+	 *
+	 * @since 0.1.0
+	 * @since TBD Reports the supported encoding options.
+	 * @return array Image processor status.
+	 */
+	private function get_image_processor_status() {
+		$available_processors = $this->processor_detector->get_available_image_processors();
+		$format_support_info = $this->format_detector->get_format_support_info();
+
+		// Build detailed processor information
+		$processors = [];
+		foreach ( $available_processors as $type => $processor_info ) {
+			$processors[ $type ] = [
+				'available' => $processor_info['available'],
+				'type' => $processor_info['type'],
+				'version' => $processor_info['version'],
+				'webp_support' => $processor_info['webp_support'] ?? false,
+				'avif_support' => $processor_info['avif_support'] ?? false,
+				'animated_gif_support' => $processor_info['animated_gif_support'] ?? false,
+				'encoding_options' => $processor_info['encoding_options'] ?? [],
+			];
+		}
+		
+		// Determine which processor handles each format (best available)
+		$format_processors = [
+			Converter::FORMAT_WEBP => $this->get_best_processor_for_format( Converter::FORMAT_WEBP, $available_processors ),
+			Converter::FORMAT_AVIF => $this->get_best_processor_for_format( Converter::FORMAT_AVIF, $available_processors ),
+		];
+		
+		// Filter format_support_details to only include image formats
+		$image_format_details = [
+			Converter::FORMAT_WEBP => $format_support_info[ Converter::FORMAT_WEBP ] ?? [],
+			Converter::FORMAT_AVIF => $format_support_info[ Converter::FORMAT_AVIF ] ?? [],
+		];
+		
+		return [
+			'available' => ! empty( $available_processors ),
+			'webp_support' => $format_support_info[ Converter::FORMAT_WEBP ]['supported'] ?? false,
+			'avif_support' => $format_support_info[ Converter::FORMAT_AVIF ]['supported'] ?? false,
+			'processors' => $processors,
+			'format_processors' => $format_processors,
+			'encoding_options' => $this->get_encoding_options( $format_processors, $available_processors ),
+			'format_support_details' => $image_format_details,
+		];
+	}
+
+	/**
+	 * Get video processor status.
+	 *
+	 * @since 0.1.0
+	 * @return array Video processor status.
+	 */
+	private function get_video_processor_status() {
+		$available_processors = $this->processor_detector->get_available_video_processors();
+		$format_support_info = $this->format_detector->get_format_support_info();
+		
+		// Build detailed processor information
+		$processors = [];
+		foreach ( $available_processors as $type => $processor_info ) {
+			$processors[ $type ] = [
+				'available' => $processor_info['available'],
+				'type' => $processor_info['type'],
+				'version' => $processor_info['version'],
+				'av1_support' => $processor_info['av1_support'] ?? false,
+				'webm_support' => $processor_info['webm_support'] ?? false,
+			];
+		}
+		
+		// Determine which processor handles each format (best available)
+		$format_processors = [
+			Converter::FORMAT_AV1 => $this->get_best_video_processor_for_format( Converter::FORMAT_AV1, $available_processors ),
+			Converter::FORMAT_WEBM => $this->get_best_video_processor_for_format( Converter::FORMAT_WEBM, $available_processors ),
+		];
+		
+		// Filter format_support_details to only include video formats
+		$video_format_details = [
+			Converter::FORMAT_AV1 => $format_support_info[ Converter::FORMAT_AV1 ] ?? [],
+			Converter::FORMAT_WEBM => $format_support_info[ Converter::FORMAT_WEBM ] ?? [],
+		];
+		
+		return [
+			'available' => ! empty( $available_processors ),
+			'av1_support' => $format_support_info[ Converter::FORMAT_AV1 ]['supported'] ?? false,
+			'webm_support' => $format_support_info[ Converter::FORMAT_WEBM ]['supported'] ?? false,
+			'processors' => $processors,
+			'format_processors' => $format_processors,
+			'format_support_details' => $video_format_details,
+		];
+	}
+
+	/**
+	 * Get the best processor for a specific format.
+	 *
+	 * @since 0.1.0
+	 * @param string $format Target format constant.
+	 * @param array  $available_processors Available processors.
+	 * @return string|null Best processor type or null if none available.
+	 */
+	private function get_best_processor_for_format( $format, $available_processors ) {
+		// Prefer Imagick for better quality and more features
+		if ( isset( $available_processors[ ProcessorTypes::IMAGE_IMAGICK ] ) ) {
+			$processor_info = $available_processors[ ProcessorTypes::IMAGE_IMAGICK ];
+			
+			if ( Converter::FORMAT_WEBP === $format && ( $processor_info['webp_support'] ?? false ) ) {
+				return ProcessorTypes::IMAGE_IMAGICK;
+			}
+			if ( Converter::FORMAT_AVIF === $format && ( $processor_info['avif_support'] ?? false ) ) {
+				return ProcessorTypes::IMAGE_IMAGICK;
+			}
+		}
+		
+		// Fallback to GD
+		if ( isset( $available_processors[ ProcessorTypes::IMAGE_GD ] ) ) {
+			$processor_info = $available_processors[ ProcessorTypes::IMAGE_GD ];
+			
+			if ( Converter::FORMAT_WEBP === $format && ( $processor_info['webp_support'] ?? false ) ) {
+				return ProcessorTypes::IMAGE_GD;
+			}
+			if ( Converter::FORMAT_AVIF === $format && ( $processor_info['avif_support'] ?? false ) ) {
+				return ProcessorTypes::IMAGE_GD;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the encoding options supported by the processor that handles each format.
+	 *
+	 * @since TBD
+	 * @param array $format_processors Processor type handling each image format.
+	 * @param array $available_processors Available processors.
+	 * @return array Support flags keyed by encoding option, prefixed with the format.
+	 */
+	private function get_encoding_options( $format_processors, $available_processors ) {
+		$encoding_options = [];
+		foreach ( $format_processors as $format => $type ) {
+			$processor_options = $type ? ( $available_processors[ $type ]['encoding_options'] ?? [] ) : [];
+			foreach ( $processor_options as $option => $supported ) {
+				if ( 0 === strpos( $option, $format . '_' ) ) {
+					$encoding_options[ $option ] = (bool) $supported;
+				}
+			}
+		}
+
+		return $encoding_options;
+	}
+
+	/**
+	 * Get the best video processor for a specific format.
+	 *
+	 * @since 0.1.0
+	 * @param string $format Target format constant.
+	 * @param array  $available_processors Available processors.
+	 * @return string|null Best processor type or null if none available.
+	 */
+	private function get_best_video_processor_for_format( $format, $available_processors ) {
+		// FFmpeg is the only video processor we support
+		if ( isset( $available_processors[ ProcessorTypes::VIDEO_FFMPEG ] ) ) {
+			$processor_info = $available_processors[ ProcessorTypes::VIDEO_FFMPEG ];
+			
+			if ( Converter::FORMAT_AV1 === $format && ( $processor_info['av1_support'] ?? false ) ) {
+				return ProcessorTypes::VIDEO_FFMPEG;
+			}
+			if ( Converter::FORMAT_WEBM === $format && ( $processor_info['webm_support'] ?? false ) ) {
+				return ProcessorTypes::VIDEO_FFMPEG;
+			}
+		}
+
+		return null;
+	}
+}
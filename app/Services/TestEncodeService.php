@@ -0,0 +1,254 @@
+<?php
+/**
+ * Test encodes for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Self-test encoding the bundled sample images and clip with every processor to every
+ * format it reports support for, to check the processors work and not only that they
+ * report support. ImageMagick, for example, may list AVIF but fail to encode it.
+ *
+ * @since TBD
+ */
+class TestEncodeService {
+
+	/**
+	 * Option storing the last self-test run.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const RESULTS_OPTION = 'flux_media_optimizer_self_test';
+
+	/**
+	 * Sample images in assets/samples: a photo and an image with transparency.
+	 *
+	 * @since TBD
+	 * @var array
+	 */
+	const SAMPLE_IMAGES = [ 'sample.jpg', 'sample.png' ];
+
+	/**
+	 * Sample clip in assets/samples, one second of uncompressed YUV that FFmpeg reads without a decoder library.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const SAMPLE_VIDEO = 'sample.y4m';
+
+	/**
+	 * Image converter instance.
+	 *
+	 * @since TBD
+	 * @var ImageConverter
+	 */
+	private $image_converter;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @since TBD
+	 * @var LoggerInterface
+	 */
+	private $logger;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param ImageConverter  $image_converter Image converter instance.
+	 * @param LoggerInterface $logger Logger instance.
+	 */
+	public function __construct( ImageConverter $image_converter, LoggerInterface $logger ) {
+		$this->image_converter = $image_converter;
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Encode the samples with every available processor to every format, with the current
+	 * encoder settings, and save the results.
+	 *
+	 * A format works when every sample passed with the processor that converts to it.
+	 *
+	 * @since TBD
+	 * @return array Run with ran_at, a result per processor, format and sample, and whether each format works.
+	 */
+	public function run() {
+		$logger = new RecordingLogger( $this->logger );
+		$detector = new ProcessorDetector();
+		$results = [];
+
+		$image_processors = [
+			ProcessorTypes::IMAGE_GD => $detector->is_gd_available() ? new GDProcessor( $logger ) : null,
+			ProcessorTypes::IMAGE_IMAGICK => $detector->is_imagick_available() ? new ImagickProcessor( $logger ) : null,
+		];
+		foreach ( $image_processors as $type => $processor ) {
+			foreach ( [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ] as $format ) {
+				foreach ( self::SAMPLE_IMAGES as $sample ) {
+					$results[] = $this->test_encode( $processor, $type, $format, $sample, $logger );
+				}
+			}
+		}
+
+		$ffmpeg = $detector->is_ffmpeg_available() ? new FFmpegProcessor( $logger, $detector ) : null;
+		foreach ( [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ] as $format ) {
+			$results[] = $this->test_encode( $ffmpeg, ProcessorTypes::VIDEO_FFMPEG, $format, self::SAMPLE_VIDEO, $logger );
+		}
+
+		$formats = [];
+		foreach ( [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ] as $format ) {
+			$formats[ $format ] = self::passed( $results, $this->image_converter->get_processor_type( $format ), $format );
+		}
+		foreach ( [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ] as $format ) {
+			$formats[ $format ] = self::passed( $results, ProcessorTypes::VIDEO_FFMPEG, $format );
+		}
+
+		$run = [
+			'ran_at' => gmdate( 'Y-m-d H:i:s' ),
+			'results' => $results,
+			'formats' => $formats,
+		];
+
+		update_option( self::RESULTS_OPTION, $run, false );
+
+		return $run;
+	}
+
+	/**
+	 * Get the last self-test run.
+	 *
+	 * @since TBD
+	 * @return array|null Run as returned by run(), or null if the self-test never ran.
+	 */
+	public static function get_last_run() {
+		return get_option( self::RESULTS_OPTION, null ) ?: null;
+	}
+
+	/**
+	 * Check every sample encoded by a processor to a format passed.
+	 *
+	 * @since TBD
+	 * @param array       $results   Results of a run.
+	 * @param string|null $processor Processor type, null when no processor converts to the format.
+	 * @param string      $format    Target format.
+	 * @return bool True if the processor encoded at least one sample and none failed.
+	 */
+	public static function passed( $results, $processor, $format ) {
+		$statuses = [];
+		foreach ( $results as $result ) {
+			if ( $result['processor'] === $processor && $result['format'] === $format ) {
+				$statuses[] = $result['status'];
+			}
+		}
+
+		return ! empty( $statuses ) && [ 'passed' ] === array_values( array_unique( $statuses ) );
+	}
+
+	/**
+	 * Encode a sample with a processor and measure it.
+	 *
+	 * @since TBD
+	 * @param ImageProcessorInterface|VideoProcessorInterface|null $processor Processor, null when not available.
+	 * @param string                                               $type      Processor type.
+	 * @param string                                               $format    Target format.
+	 * @param string                                               $sample    Sample file name.
+	 * @param RecordingLogger                                      $logger    Logger the processor logs to.
+	 * @return array Result with processor, format, sample, status (passed, failed, unsupported or unavailable),
+	 *               duration_ms, bytes, source_bytes and error.
+	 */
+	private function test_encode( $processor, $type, $format, $sample, RecordingLogger $logger ) {
+		$source_path = FLUX_MEDIA_OPTIMIZER_PLUGIN_DIR . 'assets/samples/' . $sample;
+
+		$result = [
+			'processor' => $type,
+			'format' => $format,
+			'sample' => $sample,
+			'status' => 'unavailable',
+			'duration_ms' => null,
+			'bytes' => null,
+			'source_bytes' => file_exists( $source_path ) ? filesize( $source_path ) : null,
+			'error' => null,
+		];
+
+		if ( ! $processor ) {
+			return $result;
+		}
+
+		$info = $processor->get_info();
+		if ( empty( $info[ $format . '_support' ] ) ) {
+			$result['status'] = 'unsupported';
+			return $result;
+		}
+
+		// AV1 is written to MP4 like converted videos, the other formats to a file of their name
+		$extension = Converter::FORMAT_AV1 === $format ? 'mp4' : $format;
+		$temp_dir = get_temp_dir();
+		$destination_path = $temp_dir . wp_unique_filename( $temp_dir, "flux-media-optimizer-self-test-{$type}.{$extension}" );
+
+		$logger->reset();
+		$started = microtime( true );
+
+		try {
+			$success = Logger::with_context( [ 'self_test' => true, 'processor' => $type, 'format' => $format ], function () use ( $processor, $format, $source_path, $destination_path ) {
+				return $this->encode( $processor, $format, $source_path, $destination_path );
+			} );
+		} catch ( \Throwable $e ) {
+			$success = false;
+			$logger->error( "Self-test {$format} encode with {$type} failed: {$e->getMessage()}" );
+		}
+
+		$result['duration_ms'] = (int) round( ( microtime( true ) - $started ) * 1000 );
+
+		clearstatcache( true, $destination_path );
+		if ( $success && file_exists( $destination_path ) && filesize( $destination_path ) > 0 ) {
+			$result['status'] = 'passed';
+			$result['bytes'] = filesize( $destination_path );
+		} else {
+			$errors = $logger->get_errors();
+			$result['status'] = 'failed';
+			$result['error'] = ! empty( $errors ) ? end( $errors ) : 'The encoder did not write an output file';
+		}
+
+		if ( file_exists( $destination_path ) ) {
+			wp_delete_file( $destination_path );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Encode a sample to a format with the current encoder settings.
+	 *
+	 * @since TBD
+	 * @param ImageProcessorInterface|VideoProcessorInterface $processor Processor.
+	 * @param string                                          $format Target format.
+	 * @param string                                          $source_path Sample path.
+	 * @param string                                          $destination_path Output path.
+	 * @return bool True on success, false on failure.
+	 */
+	private function encode( $processor, $format, $source_path, $destination_path ) {
+		switch ( $format ) {
+			case Converter::FORMAT_WEBP:
+				return $processor->convert_to_webp( $source_path, $destination_path, Settings::get_image_encoding_settings() );
+			case Converter::FORMAT_AVIF:
+				return $processor->convert_to_avif( $source_path, $destination_path, Settings::get_image_encoding_settings() );
+			case Converter::FORMAT_AV1:
+				return $processor->convert_to_av1( $source_path, $destination_path, [
+					'crf' => Settings::get_video_av1_crf(),
+					'cpu_used' => Settings::get_video_av1_cpu_used(),
+				] );
+			case Converter::FORMAT_WEBM:
+				return $processor->convert_to_webm( $source_path, $destination_path, [
+					'crf' => Settings::get_video_webm_crf(),
+					'speed' => Settings::get_video_webm_speed(),
+				] );
+		}
+
+		return false;
+	}
+}
@@ -14,9 +14,11 @@ use FluxMedia\App\Services\Converter;
 use FluxMedia\App\Services\VideoProcessorInterface;
 use FluxMedia\App\Services\FFmpegProcessor;
 use FluxMedia\App\Services\ProcessorDetector;
+use FluxMedia\App\Services\ProcessorTypes;
 use FluxMedia\App\Services\AttachmentMetaHandler;
 use FluxMedia\App\Services\ConversionTracker;
 use FluxMedia\App\Services\Settings;
+use FluxMedia\App\Services\ConversionPolicy;
 
 /**
  * Video conversion service that handles AV1 and WebM conversion.
@@ -98,6 +100,14 @@ class VideoConverter implements Converter {
      */
     private $errors = [];
 
+    /**
+     * Video poster service, set after construction since it depends on this converter.
+     *
+     * @since TBD
+     * @var VideoPosterService|null
+     */
+    private $poster_service;
+
     /**
      * Constructor.
      *
@@ -330,6 +340,81 @@ class VideoConverter implements Converter {
 		}
     }
 
+    /**
+     * Set the video poster service used to create a poster after conversion.
+     *
+     * @since TBD
+     * @param VideoPosterService $poster_service Video poster service instance.
+     * @return void
+     */
+    public function set_poster_service( VideoPosterService $poster_service ) {
+        $this->poster_service = $poster_service;
+    }
+
+    /**
+     * Extract a single frame of a video as a JPEG image.
+     *
+     * @since TBD
+     * @param string $source_path Source video path.
+     * @param string $destination_path Destination image path.
+     * @param float  $seconds Position of the frame in seconds.
+     * @return bool True on success, false on failure.
+     */
+    public function extract_frame( $source_path, $destination_path, $seconds ) {
+        $processor = $this->get_processor();
+        if ( ! $processor ) {
+            $this->logger->warning( 'No video processor available for frame extraction', [
+                'operation' => 'processor_check',
+                'component' => 'processor',
+                'processor_type' => 'Video',
+                'unavailability_reason' => 'No video processor available for frame extraction',
+            ] );
+            return false;
+        }
+
+        try {
+            $result = $processor->extract_frame( $source_path, $destination_path, $seconds );
+
+            if ( ! $result ) {
+                $this->logger->error( "Frame extraction failed for: {$source_path}" );
+            }
+
+            return $result;
+        } catch ( \Exception $e ) {
+            $this->logger->error( "Frame extraction error for {$source_path}: {$e->getMessage()}" );
+            return false;
+        }
+    }
+
+    /**
+     * Extract the first frame after a scene change as a JPEG image.
+     *
+     * @since TBD
+     * @param string $source_path Source video path.
+     * @param string $destination_path Destination image path.
+     * @param float  $threshold Scene change score between 0 and 1 a frame must exceed.
+     * @return bool True on success, false on failure or if the video has no scene change.
+     */
+    public function extract_scene_frame( $source_path, $destination_path, $threshold ) {
+        $processor = $this->get_processor();
+        if ( ! $processor ) {
+            $this->logger->warning( 'No video processor available for frame extraction', [
+                'operation' => 'processor_check',
+                'component' => 'processor',
+                'processor_type' => 'Video',
+                'unavailability_reason' => 'No video processor available for frame extraction',
+            ] );
+            return false;
+        }
+
+        try {
+            return $processor->extract_scene_frame( $source_path, $destination_path, $threshold );
+        } catch ( \Exception $e ) {
+            $this->logger->error( "Scene frame extraction error for {$source_path}: {$e->getMessage()}" );
+            return false;
+        }
+    }
+
     /**
      * Check if file is a supported video format.
      *
@@ -411,6 +496,69 @@ class VideoConverter implements Converter {
         return $success;
     }
 
+    /**
+     * Clean up stale temporary directories left behind by FFmpeg encodes.
+     *
+     * Multi-pass encodes write pass logs to "ffmpeg-passes*" directories in the
+     * system temp directory. These are normally removed after encoding but can be
+     * left behind when a request times out. Recent directories are skipped so
+     * encodes that are still running are not affected.
+     *
+     * @since TBD
+     * @param int $max_age Minimum age in seconds before a directory is removed.
+     * @return int Number of directories removed.
+     */
+    public function cleanup_stale_temp_directories( $max_age = HOUR_IN_SECONDS ) {
+        $temp_dirs = glob( trailingslashit( get_temp_dir() ) . 'ffmpeg-passes*', GLOB_ONLYDIR );
+        $removed = 0;
+
+        if ( empty( $temp_dirs ) ) {
+            return $removed;
+        }
+
+        global $wp_filesystem;
+
+        foreach ( $temp_dirs as $temp_dir ) {
+            if ( time() - filemtime( $temp_dir ) < $max_age ) {
+                continue;
+            }
+
+            // cleanup_temp_files() initializes the WordPress filesystem.
+            if ( $this->cleanup_temp_files( $temp_dir ) && $wp_filesystem->rmdir( $temp_dir ) ) {
+                $removed++;
+            } else {
+                $this->logger->warning( "Failed to remove temporary directory: {$temp_dir}" );
+            }
+        }
+
+        return $removed;
+    }
+
+    /**
+     * Get the video formats to convert an attachment to.
+     *
+     * Uses the formats of the settings override of a retry when set, otherwise the formats of the
+     * matching conversion rule or the formats in settings.
+     *
+     * @since TBD
+     * @since TBD Applies the formats of the matching conversion rule.
+     * @param int $attachment_id Attachment ID, or 0 for the formats in settings.
+     * @return array Video formats.
+     */
+    public function get_attachment_video_formats( $attachment_id ) {
+        $video_formats = Settings::get_video_formats();
+        if ( ! $attachment_id ) {
+            return $video_formats;
+        }
+
+        $video_formats = ConversionPolicy::apply( $attachment_id, Converter::TYPE_VIDEO, $video_formats )['formats'];
+
+        $override = AttachmentMetaHandler::get_settings_override( $attachment_id );
+        $override_formats = array_values( array_intersect( $override['formats'] ?? [], [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ] ) );
+
+        return ! empty( $override_formats ) ? $override_formats : $video_formats;
+    }
+
     /**
      * Process video conversion with automatic destination path building and WordPress meta storage.
      *
@@ -420,9 +568,12 @@ class VideoConverter implements Converter {
      * - Processes the video conversion
      * - Stores WordPress meta data (if attachment_id provided)
      * - Tracks conversions (if attachment_id provided)
+     * - Creates a poster featured image (if attachment_id provided and the video has none)
      * - Returns structured results
      *
      * @since 3.0.0
+     * @since TBD Creates a poster featured image after conversion.
+     * @since TBD Uses the formats of the settings override of a retry.
      * @param int    $attachment_id WordPress attachment ID (optional, for meta storage).
      * @param string $file_path Source video file path.
      * @return array Conversion results with 'success', 'converted_formats', 'converted_files', and 'errors' keys.
@@ -440,7 +591,7 @@ class VideoConverter implements Converter {
         ];
 
         // Get video formats to convert
-        $video_formats = Settings::get_video_formats();
+        $video_formats = $this->get_attachment_video_formats( $attachment_id );
         
         // Ensure video_formats is an array
         if ( ! is_array( $video_formats ) ) {
@@ -528,7 +679,7 @@ class VideoConverter implements Converter {
                 
                 // Track conversion if tracker available
                 if ( $this->conversion_tracker ) {
-                    $this->conversion_tracker->record_conversion( $attachment_id, $format, $original_size, $converted_size, 'full' );
+                    $this->conversion_tracker->record_conversion( $attachment_id, $format, $original_size, $converted_size, 'full', ProcessorTypes::VIDEO_FFMPEG );
                 }
                 
                 // Store URL and size together using unified structure.
@@ -596,7 +747,10 @@ class VideoConverter implements Converter {
                 AttachmentMetaHandler::set_file_urls( $attachment_id, array_unique( $all_urls ) );
             }
 
-            // Video conversion completed
+            // Video conversion completed, give the video a poster frame as its featured image
+            if ( $this->poster_service ) {
+                $this->poster_service->maybe_set_featured_poster( $attachment_id );
+            }
         } elseif ( ! $results['success'] && $attachment_id ) {
             $this->logger->error( "Video conversion failed for attachment {$attachment_id}: " . implode( ', ', $results['errors'] ) );
         }
@@ -691,20 +845,26 @@ class VideoConverter implements Converter {
                     'crf' => $settings['video_av1_crf'] ?? 28,
                     'cpu_used' => $settings['video_av1_cpu_used'] ?? 4,
                 ];
-                $success = $this->convert_to_av1( $source_path, $destination_path, $conversion_options );
+                $context = [ 'format' => $format_normalized, 'processor' => ProcessorTypes::VIDEO_FFMPEG ];
+                $success = Logger::with_context( $context, function () use ( $source_path, $destination_path, $conversion_options ) {
+                    return $this->convert_to_av1( $source_path, $destination_path, $conversion_options );
+                } );
                 if ( ! $success ) {
                     $results['errors'][] = "AV1 conversion failed for format: {$format}";
-                    $this->logger->error( "AV1 conversion failed for: {$destination_path}" );
+                    $this->logger->error( "AV1 conversion failed for: {$destination_path}", $context );
                 }
             } elseif ( Converter::FORMAT_WEBM === $format_normalized && $this->can_convert_to_webm() ) {
                 $conversion_options = [
                     'crf' => $settings['video_webm_crf'] ?? 30,
                     'speed' => $settings['video_webm_speed'] ?? 4,
                 ];
-                $success = $this->convert_to_webm( $source_path, $destination_path, $conversion_options );
+                $context = [ 'format' => $format_normalized, 'processor' => ProcessorTypes::VIDEO_FFMPEG ];
+                $success = Logger::with_context( $context, function () use ( $source_path, $destination_path, $conversion_options ) {
+                    return $this->convert_to_webm( $source_path, $destination_path, $conversion_options );
+                } );
                 if ( ! $success ) {
                     $results['errors'][] = "WebM conversion failed for format: {$format}";
-                    $this->logger->error( "WebM conversion failed for: {$destination_path}" );
+                    $this->logger->error( "WebM conversion failed for: {$destination_path}", $context );
                 }
             } else {
                 // Format not supported or processor not available
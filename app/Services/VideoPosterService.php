@@ -0,0 +1,312 @@
+<?php
+/**
+ * Video poster generation for Flux Media Optimizer plugin.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+namespace FluxMedia\App\Services;
+
+/**
+ * Extracts a frame from a video attachment and saves it as an image attachment
+ * to use as the video poster and featured image.
+ *
+ * @since TBD
+ */
+class VideoPosterService {
+
+	/**
+	 * Poster frame selection modes.
+	 *
+	 * @since TBD
+	 */
+	const MODE_TIMESTAMP = 'timestamp';
+	const MODE_SCENE = 'scene';
+
+	/**
+	 * Scene change score a frame must exceed to be picked in scene mode.
+	 *
+	 * @since TBD
+	 * @var float
+	 */
+	const SCENE_THRESHOLD = 0.4;
+
+	/**
+	 * Attachment edit screen field key.
+	 *
+	 * @since TBD
+	 * @var string
+	 */
+	const FIELD = 'flux_media_optimizer_poster';
+
+	/**
+	 * Video converter instance.
+	 *
+	 * @since TBD
+	 * @var VideoConverter
+	 */
+	private $video_converter;
+
+	/**
+	 * Action Scheduler service instance.
+	 *
+	 * @since TBD
+	 * @var ActionSchedulerService
+	 */
+	private $action_scheduler_service;
+
+	/**
+	 * Logger instance.
+	 *
+	 * @since TBD
+	 * @var Logger
+	 */
+	private $logger;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since TBD
+	 * @param VideoConverter         $video_converter Video converter instance.
+	 * @param ActionSchedulerService $action_scheduler_service Action Scheduler service instance.
+	 * @param Logger                 $logger Logger instance.
+	 */
+	public function __construct( VideoConverter $video_converter, ActionSchedulerService $action_scheduler_service, Logger $logger ) {
+		$this->video_converter = $video_converter;
+		$this->action_scheduler_service = $action_scheduler_service;
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Register the poster picker on the attachment screen and poster cleanup.
+	 *
+	 * @since TBD
+	 * @return void
+	 */
+	public function init() {
+		add_filter( 'attachment_fields_to_edit', [ $this, 'add_poster_field' ], 20, 2 );
+		add_action( 'delete_attachment', [ $this, 'delete_generated_poster' ] );
+	}
+
+	/**
+	 * Create a poster image attachment from a frame of a video attachment.
+	 *
+	 * The poster is saved next to the video and attached to it. Generating its metadata
+	 * runs it through the same upload pipeline as any other image, including conversion.
+	 *
+	 * @since TBD
+	 * @since TBD Added scene change mode.
+	 * @param int    $video_attachment_id Video attachment ID.
+	 * @param float  $seconds Position of the frame in seconds, or the fallback position in scene mode.
+	 * @param string $mode MODE_TIMESTAMP for the frame at $seconds, MODE_SCENE for the first scene change.
+	 * @return array Result with success, and attachment_id and url on success or message on failure.
+	 */
+	public function create_poster( $video_attachment_id, $seconds, $mode = self::MODE_TIMESTAMP ) {
+		if ( ! wp_attachment_is( 'video', $video_attachment_id ) ) {
+			return [
+				'success' => false,
+				'message' => __( 'Attachment is not a video', 'flux-media-optimizer' ),
+			];
+		}
+
+		$video_path = get_attached_file( $video_attachment_id );
+		if ( ! $video_path || ! file_exists( $video_path ) ) {
+			return [
+				'success' => false,
+				'message' => __( 'Video file not found', 'flux-media-optimizer' ),
+			];
+		}
+
+		$directory = dirname( $video_path );
+		$filename = wp_unique_filename( $directory, pathinfo( $video_path, PATHINFO_FILENAME ) . '-poster.jpg' );
+		$poster_path = path_join( $directory, $filename );
+
+		if ( ! $this->extract_poster_frame( $video_path, $poster_path, (float) $seconds, $mode ) ) {
+			return [
+				'success' => false,
+				'message' => __( 'Failed to extract a frame from the video', 'flux-media-optimizer' ),
+			];
+		}
+
+		$poster_id = wp_insert_attachment( [
+			'post_mime_type' => 'image/jpeg',
+			/* translators: %s: video title */
+			'post_title' => sprintf( __( '%s poster', 'flux-media-optimizer' ), get_the_title( $video_attachment_id ) ),
+			'post_content' => '',
+			'post_status' => 'inherit',
+		], $poster_path, $video_attachment_id, true );
+
+		if ( is_wp_error( $poster_id ) ) {
+			wp_delete_file( $poster_path );
+			$this->logger->error( "Failed to create poster attachment for video {$video_attachment_id}: {$poster_id->get_error_message()}" );
+
+			return [
+				'success' => false,
+				'message' => $poster_id->get_error_message(),
+			];
+		}
+
+		if ( ! function_exists( 'wp_generate_attachment_metadata' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/image.php';
+		}
+		wp_update_attachment_metadata( $poster_id, wp_generate_attachment_metadata( $poster_id, $poster_path ) );
+
+		// Uploads are only converted automatically when image auto-conversion is enabled
+		if ( ! Settings::is_image_auto_convert_enabled() ) {
+			$this->action_scheduler_service->schedule_attachment_conversion( $poster_id, time() );
+		}
+
+		$this->logger->info( "Created poster {$poster_id} for video {$video_attachment_id} ({$mode}, {$seconds}s)" );
+
+		return [
+			'success' => true,
+			'attachment_id' => $poster_id,
+			'url' => wp_get_attachment_image_url( $poster_id, 'full' ),
+		];
+	}
+
+	/**
+	 * Create a poster and set it as the featured image of a video.
+	 *
+	 * Replaces the poster previously generated for the video, if any.
+	 *
+	 * @since TBD
+	 * @param int    $video_attachment_id Video attachment ID.
+	 * @param float  $seconds Position of the frame in seconds, or the fallback position in scene mode.
+	 * @param string $mode MODE_TIMESTAMP or MODE_SCENE.
+	 * @return array Result with success, and attachment_id and url on success or message on failure.
+	 */
+	public function set_featured_poster( $video_attachment_id, $seconds, $mode = self::MODE_TIMESTAMP ) {
+		$result = $this->create_poster( $video_attachment_id, $seconds, $mode );
+		if ( ! $result['success'] ) {
+			return $result;
+		}
+
+		$previous_poster_id = AttachmentMetaHandler::get_poster_id( $video_attachment_id );
+
+		set_post_thumbnail( $video_attachment_id, $result['attachment_id'] );
+		AttachmentMetaHandler::set_poster_id( $video_attachment_id, $result['attachment_id'] );
+
+		if ( $previous_poster_id && $previous_poster_id !== $result['attachment_id'] ) {
+			wp_delete_attachment( $previous_poster_id, true );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Set a generated poster as featured image of a converted video that has none.
+	 *
+	 * Uses the poster frame settings. Videos with a featured image keep it, so a poster
+	 * picked by hand is not replaced on re-conversion.
+	 *
+	 * @since TBD
+	 * @param int $video_attachment_id Video attachment ID.
+	 * @return void
+	 */
+	public function maybe_set_featured_poster( $video_attachment_id ) {
+		if ( ! Settings::is_video_poster_enabled() || has_post_thumbnail( $video_attachment_id ) ) {
+			return;
+		}
+
+		$result = $this->set_featured_poster( $video_attachment_id, Settings::get_video_poster_timestamp(), Settings::get_video_poster_mode() );
+		if ( ! $result['success'] ) {
+			$this->logger->warning( "Poster generation skipped for video {$video_attachment_id}: {$result['message']}" );
+		}
+	}
+
+	/**
+	 * Delete the generated poster when its video is deleted.
+	 *
+	 * @since TBD
+	 * @param int $attachment_id Deleted attachment ID.
+	 * @return void
+	 */
+	public function delete_generated_poster( $attachment_id ) {
+		$poster_id = AttachmentMetaHandler::get_poster_id( $attachment_id );
+		if ( $poster_id ) {
+			AttachmentMetaHandler::delete_poster_id( $attachment_id );
+			wp_delete_attachment( $poster_id, true );
+		}
+	}
+
+	/**
+	 * Add the poster picker to the attachment screen of videos.
+	 *
+	 * @since TBD
+	 * @param array    $form_fields Attachment form fields.
+	 * @param \WP_Post $post The attachment post object.
+	 * @return array Modified form fields.
+	 */
+	public function add_poster_field( $form_fields, $post ) {
+		if ( ! $post || ! wp_attachment_is( 'video', $post->ID ) || ! current_user_can( 'edit_post', $post->ID ) ) {
+			return $form_fields;
+		}
+
+		$poster_url = get_the_post_thumbnail_url( $post->ID, 'medium' );
+		$video_url = WordPressVideoRenderer::get_original_video_url( $post->ID );
+
+		$html = sprintf(
+			'<img class="flux-media-optimizer-poster-preview" src="%s" alt="" style="max-width:100%%;height:auto;%s">',
+			esc_url( $poster_url ?: '' ),
+			$poster_url ? '' : 'display:none;'
+		);
+		if ( ! $poster_url ) {
+			$html .= '<p class="flux-media-optimizer-poster-empty">' . esc_html__( 'No poster yet. The player shows a blank frame until the video loads.', 'flux-media-optimizer' ) . '</p>';
+		}
+
+		if ( $video_url ) {
+			$html .= sprintf(
+				'<video class="flux-media-optimizer-poster-video" src="%s" preload="metadata" controls muted style="max-width:100%%;margin-top:8px;"></video>',
+				esc_url( $video_url )
+			);
+		}
+
+		$html .= sprintf(
+			'<p><label>%s <input type="number" class="flux-media-optimizer-poster-time small-text" min="0" step="0.1" value="%s"></label></p>',
+			esc_html__( 'Frame at (seconds)', 'flux-media-optimizer' ),
+			esc_attr( Settings::get_video_poster_timestamp() )
+		);
+		$html .= sprintf(
+			'<p><button type="button" class="button" data-poster-mode="%s">%s</button> <button type="button" class="button" data-poster-mode="%s">%s</button></p>',
+			esc_attr( self::MODE_TIMESTAMP ),
+			esc_html__( 'Use this frame', 'flux-media-optimizer' ),
+			esc_attr( self::MODE_SCENE ),
+			esc_html__( 'Use first scene change', 'flux-media-optimizer' )
+		);
+		$html .= '<p class="description">' . esc_html__( 'Pause the video on a frame, or enter a time. The poster becomes the featured image and is converted like any other image.', 'flux-media-optimizer' ) . '</p>';
+
+		$form_fields[ self::FIELD ] = [
+			'label' => __( 'Video Poster', 'flux-media-optimizer' ),
+			'input' => 'html',
+			'html' => sprintf(
+				'<div class="flux-media-optimizer-poster-field" data-attachment-id="%d">%s</div>',
+				absint( $post->ID ),
+				$html
+			),
+		];
+
+		return $form_fields;
+	}
+
+	/**
+	 * Extract the poster frame of a video.
+	 *
+	 * Scene mode falls back to the frame at $seconds when the video has no scene change.
+	 *
+	 * @since TBD
+	 * @param string $video_path Video file path.
+	 * @param string $poster_path Destination image path.
+	 * @param float  $seconds Position of the frame in seconds.
+	 * @param string $mode MODE_TIMESTAMP or MODE_SCENE.
+	 * @return bool True on success, false on failure.
+	 */
+	private function extract_poster_frame( $video_path, $poster_path, $seconds, $mode ) {
+		if ( self::MODE_SCENE === $mode && $this->video_converter->extract_scene_frame( $video_path, $poster_path, self::SCENE_THRESHOLD ) ) {
+			return true;
+		}
+
+		return $this->video_converter->extract_frame( $video_path, $poster_path, $seconds );
+	}
+}
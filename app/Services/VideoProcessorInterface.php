@@ -37,6 +37,28 @@ interface VideoProcessorInterface {
      */
     public function convert_to_webm( $source_path, $destination_path, $options = [] );
 
+    /**
+     * Extract a single frame of a video as an image.
+     *
+     * @since TBD
+     * @param string $source_path Source video path.
+     * @param string $destination_path Destination image path (JPEG).
+     * @param float  $seconds Position of the frame in seconds.
+     * @return bool True on success, false on failure.
+     */
+    public function extract_frame( $source_path, $destination_path, $seconds );
+
+    /**
+     * Extract the first frame after a scene change as an image.
+     *
+     * @since TBD
+     * @param string $source_path Source video path.
+     * @param string $destination_path Destination image path (JPEG).
+     * @param float  $threshold Scene change score between 0 and 1 a frame must exceed.
+     * @return bool True on success, false on failure or if the video has no scene change.
+     */
+    public function extract_scene_frame( $source_path, $destination_path, $threshold );
+
     /**
      * Get processor information.
      *
@@ -210,6 +210,7 @@ class WordPressImageRenderer {
      *
      * @since 0.1.0
      * @since 3.0.0 Only used when hybrid approach is enabled.
+     * @since TBD Renders responsive picture elements when picture output is enabled.
      * @param string $filtered_image The filtered image HTML.
      * @param string $context The context of the image.
      * @param int    $attachment_id The attachment ID.
@@ -223,7 +224,11 @@ class WordPressImageRenderer {
 
         // Check if we have converted formats available
         if ( isset( $converted_files[ Converter::FORMAT_AVIF ] ) || isset( $converted_files[ Converter::FORMAT_WEBP ] ) ) {
-            if ( Settings::is_image_hybrid_approach_enabled() ) {
+            if ( Settings::is_image_picture_output_enabled() ) {
+                // Picture output: per-size sources for each format, original img as fallback
+                $this->enqueue_picture_css();
+                return $this->create_responsive_picture_element( $attachment_id, $filtered_image );
+            } elseif ( Settings::is_image_hybrid_approach_enabled() ) {
                 // Hybrid approach: Use picture element with sources and fallback
                 $this->enqueue_picture_css();
                 return $this->create_picture_element( $attachment_id, $converted_files, $filtered_image );
@@ -410,6 +415,9 @@ class WordPressImageRenderer {
      *
      * @since 0.1.0
      * @since 3.0.0 Updated to use size-specific structure from AttachmentMetaHandler and simplified external status display.
+     * @since TBD Wrapped the field so it can be replaced in place after an action.
+     * @since TBD Added the per-size conversion table for images.
+     * @since TBD Added the conversion history timeline.
      * @param array   $form_fields Attachment form fields.
      * @param \WP_Post $post The attachment post object.
      * @return array Modified form fields.
@@ -456,14 +464,26 @@ class WordPressImageRenderer {
                 $html_content .= $this->get_conversion_status_html( $post->ID, $converted_files );
             }
             
+            // Per-size progress for images, including sizes that are not converted yet
+            if ( wp_attachment_is_image( $post->ID ) ) {
+                $html_content .= $this->get_size_status_html( $post->ID, $converted_files_by_size );
+            }
+
             // Always add conversion actions
             $html_content .= $this->get_conversion_actions_html( $post->ID, $conversion_disabled );
+
+            // Audit trail of conversion attempts, newest first
+            $html_content .= $this->get_history_html( $post->ID );
             
             // Single Flux Media Optimizer section with all content
             $form_fields['flux_media_optimizer'] = [
                 'label' => __( 'Flux Media Optimizer', 'flux-media-optimizer' ),
                 'input' => 'html',
-                'html' => $html_content,
+                'html' => sprintf(
+                    '<div class="flux-media-optimizer-field" data-attachment-id="%d">%s</div>',
+                    absint( $post->ID ),
+                    $html_content
+                ),
             ];
         } catch ( \Exception $e ) {
             // Log error but don't break the attachment query
@@ -620,6 +640,120 @@ class WordPressImageRenderer {
         return ! empty( $srcset_parts ) ? implode( ', ', $srcset_parts ) : '';
     }
 
+    /**
+     * Create picture element for picture output.
+     *
+     * Adds an AVIF and a WebP source, each with a srcset over every converted size, so the
+     * browser picks both the format it supports and the width it needs. The img is kept as
+     * fallback and points at the original files, since URL filters leave them untouched in this mode.
+     *
+     * @since TBD
+     * @param int    $attachment_id Attachment ID.
+     * @param string $img_html Image HTML to wrap.
+     * @return string Picture element HTML, or the image HTML if it is already wrapped or has no converted sizes.
+     */
+    private function create_responsive_picture_element( $attachment_id, $img_html ) {
+        // post_thumbnail_html receives the output of wp_get_attachment_image, which is already wrapped
+        if ( false !== stripos( $img_html, '<picture' ) ) {
+            return $img_html;
+        }
+
+        $converted_files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id );
+
+        $sources = [];
+        foreach ( [ Converter::FORMAT_AVIF, Converter::FORMAT_WEBP ] as $format ) {
+            $srcset = $this->build_srcset_for_format( $attachment_id, $format, $converted_files_by_size );
+            if ( $srcset ) {
+                $sources[ $format ] = $srcset;
+            }
+        }
+
+        if ( empty( $sources ) ) {
+            return $img_html;
+        }
+
+        $size = $this->get_size_from_img( $img_html, $attachment_id );
+        $img_html = $this->restore_original_img_urls( $img_html, $attachment_id, $size );
+
+        // Sources need the same sizes as the img, otherwise width descriptors are resolved against 100vw
+        if ( preg_match( '/\ssizes=["\']([^"\']*)["\']/i', $img_html, $matches ) ) {
+            $sizes = $matches[1];
+        } else {
+            $sizes = (string) wp_get_attachment_image_sizes( $attachment_id, $size );
+        }
+
+        $picture_html = '<picture>';
+        foreach ( $sources as $format => $srcset ) {
+            // URLs in srcset are already validated with esc_url() in build_srcset_for_format(),
+            // but we still need esc_attr() for the attribute context
+            $picture_html .= '<source type="image/' . esc_attr( $format ) . '" srcset="' . esc_attr( $srcset ) . '"';
+            if ( $sizes ) {
+                $picture_html .= ' sizes="' . esc_attr( $sizes ) . '"';
+            }
+            $picture_html .= '>';
+        }
+        $picture_html .= $img_html;
+        $picture_html .= '</picture>';
+
+        return $picture_html;
+    }
+
+    /**
+     * Get the registered size an img tag displays.
+     *
+     * Uses the size-{name} class WordPress adds to attachment images, falling back to 'full'.
+     *
+     * @since TBD
+     * @param string $img_html Image HTML.
+     * @param int    $attachment_id Attachment ID.
+     * @return string Size name.
+     */
+    private function get_size_from_img( $img_html, $attachment_id ) {
+        if ( ! preg_match( '/\sclass=["\'][^"\']*\bsize-([\w-]+)/i', $img_html, $matches ) ) {
+            return 'full';
+        }
+
+        $metadata = wp_get_attachment_metadata( $attachment_id );
+        if ( ! empty( $metadata['sizes'][ $matches[1] ] ) ) {
+            return $matches[1];
+        }
+
+        return 'full';
+    }
+
+    /**
+     * Point src and srcset of an img tag back at the original files.
+     *
+     * Content saved while converted URLs were served has them embedded in the markup.
+     * Those would leave the fallback img unusable in browsers without AVIF or WebP support.
+     *
+     * @since TBD
+     * @param string $img_html Image HTML.
+     * @param int    $attachment_id Attachment ID.
+     * @param string $size Size name.
+     * @return string Image HTML with original URLs.
+     */
+    private function restore_original_img_urls( $img_html, $attachment_id, $size ) {
+        $converted_pattern = '/\.(?:avif|webp)(?:[?#\s"\',]|$)/i';
+        if ( ! preg_match( $converted_pattern, $img_html ) || preg_match( $converted_pattern, (string) get_attached_file( $attachment_id ) ) ) {
+            return $img_html;
+        }
+
+        $original_src = wp_get_attachment_image_url( $attachment_id, $size );
+        if ( $original_src ) {
+            $img_html = preg_replace( '/\ssrc=["\'][^"\']*["\']/i', ' src="' . esc_url( $original_src ) . '"', $img_html, 1 );
+        }
+
+        $original_srcset = wp_get_attachment_image_srcset( $attachment_id, $size );
+        if ( $original_srcset ) {
+            $img_html = preg_replace( '/\ssrcset=["\'][^"\']*["\']/i', ' srcset="' . esc_attr( $original_srcset ) . '"', $img_html, 1 );
+        } else {
+            $img_html = preg_replace( '/\ssrcset=["\'][^"\']*["\']/i', '', $img_html, 1 );
+        }
+
+        return $img_html;
+    }
+
     /**
      * Create picture element for hybrid approach.
      *
@@ -1087,6 +1221,174 @@ class WordPressImageRenderer {
         }
     }
 
+    /**
+     * Get the per-size conversion table HTML for admin display.
+     *
+     * Lists the full size and every generated intermediate size with its status and converted file sizes.
+     * Sizes with converted files show as converted even when the status was not recorded, e.g. after
+     * external processing.
+     *
+     * @since TBD
+     * @param int   $attachment_id Attachment ID.
+     * @param array $converted_files_by_size Converted files organized by size.
+     * @return string HTML for the size table, or empty string if the attachment has no metadata.
+     */
+    private function get_size_status_html( $attachment_id, $converted_files_by_size ) {
+        $metadata = wp_get_attachment_metadata( $attachment_id );
+        if ( empty( $metadata ) ) {
+            return '';
+        }
+
+        $sizes = [
+            'full' => [
+                'width' => $metadata['width'] ?? 0,
+                'height' => $metadata['height'] ?? 0,
+            ],
+        ];
+        $registered_sizes = get_intermediate_image_sizes();
+        foreach ( $metadata['sizes'] ?? [] as $size_name => $size_data ) {
+            if ( in_array( $size_name, $registered_sizes, true ) ) {
+                $sizes[ $size_name ] = $size_data;
+            }
+        }
+
+        $size_statuses = AttachmentMetaHandler::get_size_statuses( $attachment_id );
+        $formats = [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ];
+        $labels = [
+            AttachmentMetaHandler::SIZE_STATUS_CONVERTED => __( 'Converted', 'flux-media-optimizer' ),
+            AttachmentMetaHandler::SIZE_STATUS_FAILED => __( 'Failed', 'flux-media-optimizer' ),
+            AttachmentMetaHandler::SIZE_STATUS_SKIPPED => __( 'Skipped', 'flux-media-optimizer' ),
+            'pending' => __( 'Not converted', 'flux-media-optimizer' ),
+        ];
+        $colors = [
+            AttachmentMetaHandler::SIZE_STATUS_CONVERTED => '#2e7d32',
+            AttachmentMetaHandler::SIZE_STATUS_FAILED => '#c62828',
+            AttachmentMetaHandler::SIZE_STATUS_SKIPPED => '#666',
+            'pending' => '#666',
+        ];
+
+        $html = '<div class="flux-media-optimizer-size-status" style="margin: 10px 0;">';
+        $html .= '<h4 style="margin: 0 0 8px 0; color: #333; font-size: 14px;">' . esc_html__( 'Sizes', 'flux-media-optimizer' ) . '</h4>';
+        $html .= '<table class="widefat striped" style="font-size: 12px;">';
+        $html .= '<thead><tr>';
+        $html .= '<th>' . esc_html__( 'Size', 'flux-media-optimizer' ) . '</th>';
+        $html .= '<th>' . esc_html__( 'Status', 'flux-media-optimizer' ) . '</th>';
+        foreach ( $formats as $format ) {
+            $html .= '<th>' . esc_html( strtoupper( $format ) ) . '</th>';
+        }
+        $html .= '</tr></thead><tbody>';
+
+        foreach ( $sizes as $size_name => $size_data ) {
+            $size_formats = $converted_files_by_size[ $size_name ] ?? [];
+            $has_converted = isset( $size_formats[ Converter::FORMAT_WEBP ] ) || isset( $size_formats[ Converter::FORMAT_AVIF ] );
+            $message = '';
+
+            if ( $has_converted ) {
+                $status = AttachmentMetaHandler::SIZE_STATUS_CONVERTED;
+            } elseif ( ! Settings::is_image_size_enabled( $size_name ) ) {
+                $status = AttachmentMetaHandler::SIZE_STATUS_SKIPPED;
+                $message = __( 'Excluded in settings', 'flux-media-optimizer' );
+            } elseif ( isset( $size_statuses[ $size_name ]['status'] ) && AttachmentMetaHandler::SIZE_STATUS_FAILED === $size_statuses[ $size_name ]['status'] ) {
+                $status = AttachmentMetaHandler::SIZE_STATUS_FAILED;
+                $message = $size_statuses[ $size_name ]['message'] ?? '';
+            } else {
+                $status = 'pending';
+            }
+
+            $size_label = 'full' === $size_name ? __( 'Full Size', 'flux-media-optimizer' ) : $size_name;
+            $dimensions = ! empty( $size_data['width'] ) ? (int) $size_data['width'] . '×' . (int) $size_data['height'] : '';
+
+            $html .= '<tr>';
+            $html .= '<td><strong>' . esc_html( $size_label ) . '</strong>' . ( $dimensions ? '<br><span style="color: #666;">' . esc_html( $dimensions ) . '</span>' : '' ) . '</td>';
+            $html .= '<td><span style="color: ' . esc_attr( $colors[ $status ] ) . '; font-weight: bold;"' . ( $message ? ' title="' . esc_attr( $message ) . '"' : '' ) . '>' . esc_html( $labels[ $status ] ) . '</span></td>';
+
+            foreach ( $formats as $format ) {
+                $file_size = isset( $size_formats[ $format ] ) ? AttachmentMetaHandler::get_file_size( $attachment_id, $format, $size_name ) : null;
+                $html .= '<td>' . ( $file_size ? esc_html( size_format( $file_size ) ) : '&mdash;' ) . '</td>';
+            }
+
+            $html .= '</tr>';
+        }
+
+        $html .= '</tbody></table>';
+        $html .= '</div>';
+
+        return $html;
+    }
+
+    /**
+     * Get the conversion history timeline HTML for admin display.
+     *
+     * Each attempt is collapsed to a summary line and expands to its processors, settings,
+     * output sizes and error.
+     *
+     * @since TBD
+     * @param int $attachment_id Attachment ID.
+     * @return string HTML for the timeline, or empty string if the attachment has no history.
+     */
+    private function get_history_html( $attachment_id ) {
+        $entries = ConversionHistory::get_entries( $attachment_id );
+        if ( empty( $entries ) ) {
+            return '';
+        }
+
+        $html = '<div class="flux-media-optimizer-history" style="margin: 10px 0;">';
+        $html .= '<h4 style="margin: 0 0 8px 0; color: #333; font-size: 14px;">' . esc_html__( 'Conversion History', 'flux-media-optimizer' ) . '</h4>';
+        $html .= '<ol style="margin: 0; padding-left: 12px; border-left: 2px solid #ddd; list-style: none;">';
+
+        foreach ( $entries as $entry ) {
+            $color = $entry['success'] ? '#2e7d32' : '#c62828';
+            $summary = sprintf(
+                '<span style="color: %s; font-weight: bold;">%s</span> %s &middot; %s',
+                esc_attr( $color ),
+                $entry['success'] ? esc_html__( 'Converted', 'flux-media-optimizer' ) : esc_html__( 'Failed', 'flux-media-optimizer' ),
+                esc_html( mysql2date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $entry['time'] ) ),
+                esc_html( $entry['trigger_label'] )
+            );
+            if ( $entry['user'] ) {
+                $summary .= ' &middot; ' . esc_html( $entry['user'] );
+            }
+            if ( null !== $entry['duration'] ) {
+                $summary .= ' &middot; ' . esc_html( number_format_i18n( $entry['duration'], 2 ) . 's' );
+            }
+
+            $details = '';
+            if ( $entry['error'] ) {
+                $details .= '<p style="margin: 4px 0; color: #c62828;">' . esc_html( $entry['error'] ) . '</p>';
+            }
+            if ( ! empty( $entry['processors'] ) ) {
+                $processors = [];
+                foreach ( $entry['processors'] as $format => $processor ) {
+                    $processors[] = strtoupper( $format ) . ': ' . $processor;
+                }
+                $details .= '<p style="margin: 4px 0;"><strong>' . esc_html__( 'Processors', 'flux-media-optimizer' ) . ':</strong> ' . esc_html( implode( ', ', $processors ) ) . '</p>';
+            }
+            if ( ! empty( $entry['settings'] ) ) {
+                $settings = [];
+                foreach ( $entry['settings'] as $key => $value ) {
+                    $settings[] = $key . ': ' . ( is_array( $value ) ? ( implode( ', ', $value ) ?: '-' ) : ( is_bool( $value ) ? ( $value ? 'on' : 'off' ) : (string) $value ) );
+                }
+                $details .= '<p style="margin: 4px 0;"><strong>' . esc_html__( 'Settings', 'flux-media-optimizer' ) . ':</strong> ' . esc_html( implode( '; ', $settings ) ) . '</p>';
+            }
+            foreach ( $entry['outputs'] as $size_name => $files ) {
+                $sizes = [];
+                foreach ( $files as $format => $bytes ) {
+                    $sizes[] = strtoupper( $format ) . ' ' . size_format( $bytes );
+                }
+                $details .= '<p style="margin: 4px 0;"><strong>' . esc_html( 'full' === $size_name ? __( 'Full Size', 'flux-media-optimizer' ) : $size_name ) . ':</strong> ' . esc_html( implode( ', ', $sizes ) ) . '</p>';
+            }
+
+            $html .= '<li style="margin: 0 0 6px 0;"><details>';
+            $html .= '<summary style="cursor: pointer; font-size: 12px;">' . $summary . '</summary>';
+            $html .= '<div style="font-size: 12px; padding: 4px 0 0 12px;">' . ( $details ?: esc_html__( 'No details recorded.', 'flux-media-optimizer' ) ) . '</div>';
+            $html .= '</details></li>';
+        }
+
+        $html .= '</ol></div>';
+
+        return $html;
+    }
+
     /**
      * Get format color for display.
      *
@@ -1155,6 +1457,8 @@ class WordPressImageRenderer {
      *
      * @since 1.0.0
      * @since 3.0.0 Updated to use size-specific structure from AttachmentMetaHandler.
+     * @since TBD Added Compare button for converted images.
+     * @since TBD Replaced inline onclick handlers with data-action attributes.
      * @param int  $attachment_id Attachment ID.
      * @param bool $conversion_disabled Whether conversion is disabled.
      * @return string HTML for conversion actions.
@@ -1192,7 +1496,7 @@ class WordPressImageRenderer {
         
         if ( $conversion_disabled ) {
             $html .= sprintf(
-                '<button type="button" class="button button-primary" onclick="fluxMediaEnableConversion(%d)" style="background: #00a32a; border-color: #00a32a; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
+                '<button type="button" class="button button-primary" data-action="enable" data-attachment-id="%d" style="background: #00a32a; border-color: #00a32a; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
                     %s
                 </button>',
                 esc_js( $attachment_id ),
@@ -1205,20 +1509,32 @@ class WordPressImageRenderer {
             $button_text = ! empty( $converted_files ) ? __( 'Re-convert', 'flux-media-optimizer' ) : __( 'Convert', 'flux-media-optimizer' );
             
             $html .= sprintf(
-                '<button type="button" class="button button-primary" onclick="fluxMediaConvertAttachment(%d)" style="background: #0073aa; border-color: #0073aa; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
+                '<button type="button" class="button button-primary" data-action="%s" data-attachment-id="%d" style="background: #0073aa; border-color: #0073aa; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
                     %s
                 </button>',
+                esc_attr( ! empty( $converted_files ) ? 'reconvert' : 'convert' ),
                 esc_attr( $attachment_id ),
                 esc_html( $button_text )
             );
             
             $html .= sprintf(
-                '<button type="button" class="button button-secondary" onclick="fluxMediaDisableConversion(%d)" style="background: #f0f0f1; border-color: #c3c4c7; color: #2c3338; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
+                '<button type="button" class="button button-secondary" data-action="disable" data-attachment-id="%d" style="background: #f0f0f1; border-color: #c3c4c7; color: #2c3338; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
                     %s
                 </button>',
                 esc_attr( $attachment_id ),
                 esc_html( __( 'Disable Conversion', 'flux-media-optimizer' ) )
             );
+
+            // Comparison viewer is only available for converted images
+            if ( ! $is_video && ! empty( $converted_files ) ) {
+                $html .= sprintf(
+                    '<button type="button" class="button button-secondary" data-action="compare" data-attachment-id="%d" style="background: #f0f0f1; border-color: #c3c4c7; color: #2c3338; padding: 6px 12px; border-radius: 3px; cursor: pointer;">
+                    %s
+                </button>',
+                    esc_attr( $attachment_id ),
+                    esc_html( __( 'Compare', 'flux-media-optimizer' ) )
+                );
+            }
             $html .= '</div>';
         }
         
@@ -165,6 +165,7 @@ class WordPressProvider {
      *
      * @since 0.1.0
      * @since 3.0.0 Optimized hook registration: removed redundant hooks, consolidated to single pipeline via handle_update_attachment_metadata.
+     * @since TBD Removed the admin-ajax attachment action handlers, replaced by the REST attachment actions.
      * @return void
      */
     public function register_hooks() {
@@ -184,10 +185,6 @@ class WordPressProvider {
         // Local processing: Processes edited image.
         add_filter( 'wp_save_image_editor_file', [ $this, 'handle_wp_save_image_editor_file' ], 10, 5 );
         
-        // AJAX handlers for attachment actions
-        add_action( 'wp_ajax_flux_media_optimizer_convert_attachment', [ $this, 'handle_ajax_convert_attachment' ] );
-        add_action( 'wp_ajax_flux_media_optimizer_disable_conversion', [ $this, 'handle_ajax_disable_conversion' ] );
-        add_action( 'wp_ajax_flux_media_optimizer_enable_conversion', [ $this, 'handle_ajax_enable_conversion' ] );
         // Cron job for individual video processing
         // Detection of local vs external processing happens inside callback.
         add_action( 'flux_media_optimizer_process_video', [ $this, 'handle_process_video_cron' ], 10, 2 );
@@ -223,10 +220,13 @@ class WordPressProvider {
         add_filter( 'rest_prepare_attachment', [ $this, 'handle_rest_prepare_attachment' ], 10, 3 );
         // Filter srcset to use converted formats (prefer AVIF, fallback to WebP)
         add_filter( 'wp_calculate_image_srcset', [ $this, 'handle_image_srcset_filter' ], 10, 5 );
-        // Only register HTML parsing filters when hybrid approach is enabled
+        // Only register HTML parsing filters when picture output or hybrid approach is enabled
         // For non-hybrid, URLs are embedded in block content when edited and WordPress filters handle attachment URLs
-        // HTML parsing is only needed for hybrid approach to create picture elements with multiple sources
-        if ( Settings::is_image_hybrid_approach_enabled() ) {
+        // HTML parsing is only needed to create picture elements with multiple sources
+        if ( Settings::is_image_picture_output_enabled() ) {
+            // Picture output wraps each content img tag once; blocks are covered as their img tags pass through here
+            add_filter( 'wp_content_img_tag', [ $this, 'handle_content_images_filter' ], 25, 3 );
+        } elseif ( Settings::is_image_hybrid_approach_enabled() ) {
             add_filter( 'wp_content_img_tag', [ $this, 'handle_content_images_filter' ], 25, 3 );
             add_filter( 'the_content', [ $this, 'handle_post_content_images_filter' ], 20 );
             add_filter( 'render_block', [ $this, 'handle_render_block_filter' ], 10, 2 );
@@ -572,6 +572,7 @@ class WordPressProvider {
      * before WordPress processes them. URLs are retrieved from AttachmentMetaHandler meta data (single source of truth).
      *
      * @since 3.0.0
+     * @since TBD Sizes without converted files no longer fall back to the full size.
      * @param bool|array $default      Default return value (false or array with [url, width, height]).
      * @param int        $attachment_id Attachment ID.
      * @param string|int[] $size      Requested image size (string name or array of dimensions).
@@ -601,6 +602,12 @@ class WordPressProvider {
 
         // Check if size exists in meta, fallback to 'full' if not
         if ( ! isset( $converted_files_by_size[ $size_name ] ) ) {
+            // Generated sizes without converted files (excluded in settings or failed) keep their own file,
+            // the full size would be far larger than requested
+            $image_meta = wp_get_attachment_metadata( $attachment_id );
+            if ( isset( $image_meta['sizes'][ $size_name ] ) ) {
+                return $default;
+            }
             $size_name = 'full';
         }
 
@@ -611,16 +618,7 @@ class WordPressProvider {
         }
 
         // Format priority: AVIF > WebP > original
-        $file_url = null;
-        if ( isset( $converted_files[ Converter::FORMAT_AVIF ] ) ) {
-            $file_url = AttachmentMetaHandler::get_converted_file_url( $attachment_id, Converter::FORMAT_AVIF, $size_name );
-        }
-        if ( ! $file_url && isset( $converted_files[ Converter::FORMAT_WEBP ] ) ) {
-            $file_url = AttachmentMetaHandler::get_converted_file_url( $attachment_id, Converter::FORMAT_WEBP, $size_name );
-        }
-        if ( ! $file_url && isset( $converted_files['original'] ) ) {
-            $file_url = AttachmentMetaHandler::get_converted_file_url( $attachment_id, 'original', $size_name );
-        }
+        $file_url = $this->get_image_file_url( $attachment_id, $converted_files, $size_name );
 
         if ( empty( $file_url ) ) {
             return $default; // Return false to allow WordPress fallback
@@ -685,7 +683,7 @@ class WordPressProvider {
         // Determine media type and use appropriate renderer
         if ( $this->has_video_formats( $converted_files ) ) {
             return $this->video_renderer->modify_attachment_url( $url, $attachment_id, $converted_files );
-        } elseif ( $this->has_image_formats( $converted_files ) ) {
+        } elseif ( $this->has_image_formats( $converted_files ) && ! Settings::is_image_picture_output_enabled() ) {
             return $this->image_renderer->modify_attachment_url( $url, $attachment_id, $converted_files );
         } elseif ( isset( $converted_files['original'] ) && is_array( $converted_files['original'] ) && isset( $converted_files['original']['url'] ) ) {
             // For non-image/non-video files (PDFs, CSVs, etc.), use the "original" format URL if it's a CDN URL
@@ -751,16 +749,7 @@ class WordPressProvider {
 
         // Use AttachmentMetaHandler to get file URL for the requested size and format
         // Priority: AVIF > WebP > original
-        $file_url = null;
-        if ( isset( $converted_files[ Converter::FORMAT_AVIF ] ) ) {
-            $file_url = AttachmentMetaHandler::get_converted_file_url( $attachment_id, Converter::FORMAT_AVIF, $size_name );
-        }
-        if ( ! $file_url && isset( $converted_files[ Converter::FORMAT_WEBP ] ) ) {
-            $file_url = AttachmentMetaHandler::get_converted_file_url( $attachment_id, Converter::FORMAT_WEBP, $size_name );
-        }
-        if ( ! $file_url && isset( $converted_files['original'] ) ) {
-            $file_url = AttachmentMetaHandler::get_converted_file_url( $attachment_id, 'original', $size_name );
-        }
+        $file_url = $this->get_image_file_url( $attachment_id, $converted_files, $size_name );
 
         // Update the URL in the image array if file URL is available
         if ( ! empty( $file_url ) && $file_url !== $url ) {
@@ -797,7 +786,7 @@ class WordPressProvider {
         }
 
         // Format priority: AVIF > WebP > original
-        $format_priority = [ Converter::FORMAT_AVIF, Converter::FORMAT_WEBP, 'original' ];
+        $format_priority = $this->get_image_format_priority();
 
         // Build srcset array from file URLs meta
         $srcset = [];
@@ -832,6 +821,45 @@ class WordPressProvider {
         return ! empty( $srcset ) ? $srcset : $sources;
     }
 
+    /**
+     * Get the formats an image URL may resolve to, in order of preference.
+     *
+     * With picture output, img tags keep the original file for browsers without AVIF or WebP
+     * support; converted formats are only offered through the picture sources.
+     *
+     * @since TBD
+     * @return string[] Format keys as stored by AttachmentMetaHandler.
+     */
+    private function get_image_format_priority() {
+        if ( Settings::is_image_picture_output_enabled() ) {
+            return [ 'original' ];
+        }
+
+        return [ Converter::FORMAT_AVIF, Converter::FORMAT_WEBP, 'original' ];
+    }
+
+    /**
+     * Get the preferred file URL of an image size.
+     *
+     * @since TBD
+     * @param int    $attachment_id   Attachment ID.
+     * @param array  $converted_files Converted files of the size, keyed by format.
+     * @param string $size_name       Size name.
+     * @return string|null File URL, or null if none of the preferred formats is available.
+     */
+    private function get_image_file_url( $attachment_id, $converted_files, $size_name ) {
+        foreach ( $this->get_image_format_priority() as $format ) {
+            if ( isset( $converted_files[ $format ] ) ) {
+                $file_url = AttachmentMetaHandler::get_converted_file_url( $attachment_id, $format, $size_name );
+                if ( $file_url ) {
+                    return $file_url;
+                }
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Get size name from width by matching against metadata.
      *
@@ -945,12 +973,13 @@ class WordPressProvider {
     /**
      * Handle content media filter (images and videos).
      *
-     * Only registered when hybrid approach is enabled. For non-hybrid mode, WordPress filters
+     * Only registered when picture output or hybrid approach is enabled. Otherwise WordPress filters
      * (image_downsize, wp_get_attachment_url, etc.) handle URL conversion via AttachmentMetaHandler.
-     * This filter is used for hybrid approach to create picture elements with multiple sources.
+     * This filter is used to create picture elements with multiple sources.
      *
      * @since 1.0.0
      * @since 3.0.0 Only registered when hybrid approach is enabled.
+     * @since TBD Also registered when picture output is enabled.
      * @param string $filtered_media The filtered media HTML.
      * @param string $context The context of the media.
      * @param int    $attachment_id The attachment ID.
@@ -1114,156 +1143,6 @@ class WordPressProvider {
         return $this->image_renderer->modify_attachment_fields( $form_fields, $post );
     }
 
-    /**
-     * Manually convert an attachment.
-     *
-     * Queues attachment for processing on shutdown hook to ensure metadata is stable.
-     * Returns success response indicating the conversion has been queued.
-     *
-     * @since 1.0.0
-     * @since 3.0.0 Updated to queue processing via shutdown hook instead of processing directly.
-     * @param int $attachment_id WordPress attachment ID.
-     * @return array Conversion results.
-     */
-    public function convert_attachment( $attachment_id ) {
-        $file_path = get_attached_file( $attachment_id );
-        if ( ! $file_path || ! wp_check_filetype( $file_path )['ext'] ) {
-            return [
-                'success' => false,
-                'errors' => ['Attachment file not found or invalid'],
-            ];
-        }
-
-        if ( ! $this->service_locator ) {
-            return [
-                'success' => false,
-                'errors' => ['Service locator not available'],
-            ];
-        }
-
-        // Queue for processing on shutdown hook
-        // queue_attachment_processing() handles all skip logic centrally
-        $this->queue_attachment_processing( $attachment_id );
-            // For external service, other file types are also processed
-            return [
-                'success' => true,
-                'type' => 'other',
-                'queued' => true,
-                'message' => 'File processing job has been queued',
-            ];
-    
-    }
-
-    /**
-     * Handle AJAX request to convert attachment.
-     *
-     * @since 0.1.0
-     * @return void
-     */
-    public function handle_ajax_convert_attachment() {
-        // Verify nonce
-        $nonce = sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) );
-        if ( ! wp_verify_nonce( $nonce, 'flux_media_optimizer_convert_attachment' ) ) {
-            wp_die( esc_html__( 'Security check failed', 'flux-media-optimizer' ) );
-        }
-
-        // Check permissions
-        if ( ! current_user_can( 'manage_options' ) ) {
-            wp_die( esc_html__( 'Insufficient permissions', 'flux-media-optimizer' ) );
-        }
-
-        $attachment_id = (int) sanitize_text_field( wp_unslash( $_POST['attachment_id'] ?? 0 ) );
-        if ( ! $attachment_id ) {
-            wp_send_json_error( esc_html__( 'Invalid attachment ID', 'flux-media-optimizer' ) );
-        }
-
-        // Clear external job state to allow forced re-conversion
-        // This removes any 'queued' or 'processing' state that might be blocking conversion
-        AttachmentMetaHandler::delete_external_job_state( $attachment_id );
-
-        $result = $this->convert_attachment( $attachment_id );
-        
-        if ( $result['success'] ) {
-            wp_send_json_success( $result );
-        } else {
-            $error_message = implode( ', ', $result['errors'] ?? [ __( 'Unknown error', 'flux-media-optimizer' ) ] );
-            wp_send_json_error( esc_html( $error_message ) );
-        }
-    }
-
-    /**
-     * Handle AJAX request to disable conversion for attachment.
-     *
-     * @since 0.1.0
-     * 
-     * @return void
-     */
-    public function handle_ajax_disable_conversion() {
-        // Verify nonce
-        $nonce = sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) );
-        if ( ! wp_verify_nonce( $nonce, 'flux_media_optimizer_disable_conversion' ) ) {
-            wp_die( esc_html__( 'Security check failed', 'flux-media-optimizer' ) );
-        }
-
-        // Check permissions
-        if ( ! current_user_can( 'manage_options' ) ) {
-            wp_die( esc_html__( 'Insufficient permissions', 'flux-media-optimizer' ) );
-        }
-
-        $attachment_id = (int) sanitize_text_field( wp_unslash( $_POST['attachment_id'] ?? 0 ) );
-        if ( ! $attachment_id ) {
-            wp_send_json_error( esc_html__( 'Invalid attachment ID', 'flux-media-optimizer' ) );
-        }
-
-        if ( ! $this->service_locator ) {
-            wp_send_json_error( 'Service locator not available' );
-        }
-
-        // Delegate deletion to the processor
-        // The processor handles service-specific deletion logic (file deletion and meta cleanup)
-        $processor = $this->service_locator->get_processor();
-        $processor->delete_attachment( $attachment_id );
-
-        // After deletion, mark conversion as disabled
-        // (The processor's delete_attachment() clears the disabled flag, so we set it again here)
-        AttachmentMetaHandler::disable_conversion( $attachment_id );
-
-        // Remove from conversion tracking
-        $this->conversion_tracker->delete_attachment_conversions( $attachment_id );
-
-        wp_send_json_success( esc_html__( 'Conversion disabled successfully', 'flux-media-optimizer' ) );
-    }
-
-    /**
-     * Handle AJAX request to enable conversion for attachment.
-     *
-     * @since 0.1.0
-     * @return void
-     */
-    public function handle_ajax_enable_conversion() {
-        // Verify nonce
-        $nonce = sanitize_text_field( wp_unslash( $_POST['nonce'] ?? '' ) );
-        if ( ! wp_verify_nonce( $nonce, 'flux_media_optimizer_enable_conversion' ) ) {
-            wp_die( esc_html__( 'Security check failed', 'flux-media-optimizer' ) );
-        }
-
-        // Check permissions
-        if ( ! current_user_can( 'manage_options' ) ) {
-            wp_die( esc_html__( 'Insufficient permissions', 'flux-media-optimizer' ) );
-        }
-
-        $attachment_id = (int) sanitize_text_field( wp_unslash( $_POST['attachment_id'] ?? 0 ) );
-        if ( ! $attachment_id ) {
-            wp_send_json_error( esc_html__( 'Invalid attachment ID', 'flux-media-optimizer' ) );
-        }
-
-        // Remove conversion disabled flag
-        AttachmentMetaHandler::enable_conversion( $attachment_id );
-
-        wp_send_json_success( esc_html__( 'Conversion enabled successfully', 'flux-media-optimizer' ) );
-    }
-
-
     /**
      * Handle video processing cron job.
      *
@@ -1428,6 +1307,7 @@ class WordPressProvider {
      *
      * @since 3.0.0
      * @since 3.0.2 Updated to route all processing through service.
+     * @since TBD Attributes the conversions to the upload in the conversion history.
      * @return void
      */
     public function process_queued_attachments() {
@@ -1444,6 +1324,8 @@ class WordPressProvider {
         $pending = self::$pending_attachments;
         self::$pending_attachments = [];
 
+        ConversionHistory::set_trigger( ConversionHistory::TRIGGER_UPLOAD );
+
         // Process each pending attachment via service
         $processor = $this->service_locator->get_processor();
         foreach ( $pending as $attachment_id ) {
@@ -1523,7 +1405,7 @@ class WordPressProvider {
             
             if ( $this->has_video_formats( $converted_files ) ) {
                 $modified_url = $this->video_renderer->modify_attachment_url( $original_url, $attachment_id, $converted_files );
-            } elseif ( $this->has_image_formats( $converted_files ) ) {
+            } elseif ( $this->has_image_formats( $converted_files ) && ! Settings::is_image_picture_output_enabled() ) {
                 // Prefer WebP for source_url to ensure compatibility with plugins that validate URLs
                 // AVIF can still be used in srcset and other contexts
                 if ( isset( $converted_files[ Converter::FORMAT_WEBP ] ) ) {
@@ -1567,7 +1449,7 @@ class WordPressProvider {
                         
                         if ( $this->has_video_formats( $size_converted_files ) ) {
                             $modified_url = $this->video_renderer->modify_attachment_url( $original_url, $attachment_id, $size_converted_files );
-                        } elseif ( $this->has_image_formats( $size_converted_files ) ) {
+                        } elseif ( $this->has_image_formats( $size_converted_files ) && ! Settings::is_image_picture_output_enabled() ) {
                             // Prefer WebP for source_url to ensure compatibility with plugins that validate URLs
                             // AVIF can still be used in srcset and other contexts
                             if ( isset( $size_converted_files[ Converter::FORMAT_WEBP ] ) ) {
@@ -88,6 +88,7 @@ class WordPressVideoRenderer {
      * Modify block content for optimized video display.
      *
      * @since 1.0.0
+     * @since TBD Uses the video's featured image as poster when the block has none.
      * @param string $block_content The block content.
      * @param array  $block The block data.
      * @return string Modified block content.
@@ -115,6 +116,10 @@ class WordPressVideoRenderer {
             return $block_content;
         }
 
+        if ( empty( $attributes['poster'] ) ) {
+            $block_content = $this->add_featured_poster( $block_content, $attachment_id );
+        }
+
         // Get converted files
         $converted_files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id );
         $converted_files = ! empty( $converted_files_by_size ) && isset( $converted_files_by_size['full'] )
@@ -175,6 +180,120 @@ class WordPressVideoRenderer {
         }, $content );
     }
 
+    /**
+     * Get the URL of the original video file.
+     *
+     * wp_get_attachment_url() is filtered to the converted file, so the original is
+     * resolved from the conversion meta or the attached file instead.
+     *
+     * @since TBD
+     * @param int $attachment_id Attachment ID.
+     * @return string Original video URL, or an empty string if it cannot be resolved.
+     */
+    public static function get_original_video_url( $attachment_id ) {
+        $original_url = AttachmentMetaHandler::get_converted_file_url( $attachment_id, 'original', 'full' );
+        if ( $original_url ) {
+            return $original_url;
+        }
+
+        $attached_file = get_post_meta( $attachment_id, '_wp_attached_file', true );
+        if ( ! $attached_file ) {
+            return '';
+        }
+
+        $uploads = wp_get_upload_dir();
+        return trailingslashit( $uploads['baseurl'] ) . $attached_file;
+    }
+
+    /**
+     * Render the optimized video block.
+     *
+     * Always outputs ordered source elements (AV1, WebM, then the original file) so browsers
+     * pick the first format they can play, regardless of the hybrid approach setting.
+     * Without a poster attribute, the video's featured image is used as poster.
+     *
+     * @since TBD
+     * @param array $attributes Block attributes.
+     * @return string Block HTML, or an empty string if the attachment is not a video.
+     */
+    public function render_video_block( $attributes ) {
+        $attachment_id = (int) ( $attributes['id'] ?? 0 );
+        if ( ! $attachment_id || ! wp_attachment_is( 'video', $attachment_id ) ) {
+            return '';
+        }
+
+        $converted_files_by_size = AttachmentMetaHandler::get_converted_files_grouped_by_size( $attachment_id );
+        $converted_files = $converted_files_by_size['full'] ?? [];
+
+        $sources = [];
+        $source_types = [
+            Converter::FORMAT_AV1 => 'video/mp4; codecs=av01',
+            Converter::FORMAT_WEBM => 'video/webm',
+        ];
+        foreach ( $source_types as $format => $type ) {
+            if ( ! isset( $converted_files[ $format ] ) ) {
+                continue;
+            }
+
+            $converted_url = AttachmentMetaHandler::get_converted_file_url( $attachment_id, $format, 'full' );
+            if ( $converted_url ) {
+                $sources[] = [ 'src' => $converted_url, 'type' => $type ];
+            }
+        }
+
+        $original_url = self::get_original_video_url( $attachment_id );
+        if ( $original_url ) {
+            $sources[] = [ 'src' => $original_url, 'type' => get_post_mime_type( $attachment_id ) ];
+        }
+
+        if ( empty( $sources ) ) {
+            return '';
+        }
+
+        $lazy = ! empty( $attributes['lazy'] );
+        $preload = in_array( $attributes['preload'] ?? '', [ 'auto', 'metadata', 'none' ], true ) ? $attributes['preload'] : 'metadata';
+
+        $video_attrs = ' preload="' . esc_attr( $lazy ? 'none' : $preload ) . '"';
+        foreach ( [ 'controls', 'autoplay', 'loop', 'muted' ] as $flag ) {
+            if ( ! empty( $attributes[ $flag ] ) ) {
+                $video_attrs .= ' ' . $flag;
+            }
+        }
+        if ( ! empty( $attributes['playsInline'] ) ) {
+            $video_attrs .= ' playsinline';
+        }
+
+        $poster_url = ! empty( $attributes['posterId'] ) ? wp_get_attachment_image_url( (int) $attributes['posterId'], 'full' ) : '';
+        if ( ! $poster_url && ! empty( $attributes['poster'] ) ) {
+            $poster_url = $attributes['poster'];
+        }
+        if ( ! $poster_url ) {
+            $poster_url = get_the_post_thumbnail_url( $attachment_id, 'full' );
+        }
+        if ( $poster_url ) {
+            $video_attrs .= ' poster="' . esc_url( $poster_url ) . '"';
+        }
+
+        if ( $lazy ) {
+            // Sources are swapped in by the lazy video script once the video nears the viewport
+            $video_attrs .= ' data-flux-media-optimizer-lazy';
+            wp_enqueue_script( 'flux-media-optimizer-lazy-video' );
+        }
+
+        $video_html = '<video' . $video_attrs . '>';
+        foreach ( $sources as $source ) {
+            $video_html .= sprintf(
+                '<source %s="%s" type="%s">',
+                $lazy ? 'data-src' : 'src',
+                esc_url( $source['src'] ),
+                esc_attr( $source['type'] )
+            );
+        }
+        $video_html .= '</video>';
+
+        return sprintf( '<figure %s>%s</figure>', get_block_wrapper_attributes(), $video_html );
+    }
+
     /**
      * Replace video src attribute with optimized formats.
      *
@@ -265,6 +384,24 @@ class WordPressVideoRenderer {
         }
     }
 
+    /**
+     * Add the video's featured image as poster to a video tag without one.
+     *
+     * @since TBD
+     * @param string $html HTML containing the video tag.
+     * @param int    $attachment_id Video attachment ID.
+     * @return string HTML with the poster attribute added.
+     */
+    private function add_featured_poster( $html, $attachment_id ) {
+        $poster_url = get_the_post_thumbnail_url( $attachment_id, 'full' );
+        if ( ! $poster_url || ! preg_match( '/<video([^>]*?)>/i', $html, $matches ) || false !== stripos( $matches[1], 'poster=' ) ) {
+            return $html;
+        }
+
+        $video_tag = '<video poster="' . esc_url( $poster_url ) . '"' . $matches[1] . '>';
+        return str_replace( $matches[0], $video_tag, $html );
+    }
+
     /**
      * Replace video src attribute in block content with optimized formats.
      *
@@ -8,6 +8,10 @@ import { __ } from '@wordpress/i18n';
 import { ErrorBoundary, FluxMediaIcon, LogsPage } from '@flux-media-optimizer/components';
 import OverviewPage from '@flux-media-optimizer/pages/OverviewPage';
 import SettingsPage from '@flux-media-optimizer/pages/SettingsPage';
+import QueuePage from '@flux-media-optimizer/pages/QueuePage';
+import FailedPage from '@flux-media-optimizer/pages/FailedPage';
+import BulkConversionPage from '@flux-media-optimizer/pages/BulkConversionPage';
+import ComparePage from '@flux-media-optimizer/pages/ComparePage';
 import theme from '@flux-media-optimizer/theme';
 import { AutoSaveProvider } from '@flux-media-optimizer/contexts/AutoSaveContext';
 
@@ -30,20 +34,30 @@ const Navigation = () => {
   const navigate = useNavigate();
 
   const getTabValue = (pathname) => {
+    if (pathname.startsWith('/compare')) {
+      return 4;
+    }
+
     switch (pathname) {
       case '/overview':
         return 0;
-      case '/settings':
+      case '/queue':
         return 1;
-      case '/logs':
+      case '/failed':
         return 2;
+      case '/bulk':
+        return 3;
+      case '/settings':
+        return 5;
+      case '/logs':
+        return 6;
       default:
         return 0;
     }
   };
 
   const handleTabChange = (event, newValue) => {
-    const paths = ['/overview', '/settings', '/logs'];
+    const paths = ['/overview', '/queue', '/failed', '/bulk', '/compare', '/settings', '/logs'];
     navigate(paths[newValue]);
   };
 
@@ -65,6 +79,10 @@ const Navigation = () => {
         indicatorColor="primary"
       >
         <Tab label={__('Overview', 'flux-media-optimizer')} />
+        <Tab label={__('Queue', 'flux-media-optimizer')} />
+        <Tab label={__('Failed', 'flux-media-optimizer')} />
+        <Tab label={__('Bulk Conversion', 'flux-media-optimizer')} />
+        <Tab label={__('Compare', 'flux-media-optimizer')} />
         <Tab label={__('Settings', 'flux-media-optimizer')} />
         <Tab label={__('Logs', 'flux-media-optimizer')} />
       </Tabs>
@@ -102,6 +120,11 @@ const App = () => {
                   <Navigation />
                   <Routes>
                     <Route path="/overview" element={<OverviewPage />} />
+                    <Route path="/queue" element={<QueuePage />} />
+                    <Route path="/failed" element={<FailedPage />} />
+                    <Route path="/bulk" element={<BulkConversionPage />} />
+                    <Route path="/compare" element={<ComparePage />} />
+                    <Route path="/compare/:attachmentId" element={<ComparePage />} />
                     <Route path="/settings" element={<SettingsPage />} />
                     <Route path="/logs" element={<LogsPage />} />
                     <Route path="/" element={<Navigate to="/overview" replace />} />
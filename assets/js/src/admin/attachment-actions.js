@@ -0,0 +1,405 @@
+/**
+ * Attachment actions for Flux Media Optimizer plugin.
+ *
+ * Runs convert, re-convert, disable and enable actions through the REST API, polls
+ * conversions until they finish and emits @wordpress/hooks actions so other admin
+ * code can react:
+ *
+ * - `fluxMediaOptimizer.attachmentActionStarted` (action, attachmentIds)
+ * - `fluxMediaOptimizer.attachmentActionCompleted` (action, results, statuses)
+ * - `fluxMediaOptimizer.attachmentActionFailed` (action, attachmentIds, error)
+ * - `fluxMediaOptimizer.attachmentStatusChanged` (attachmentId, status)
+ * - `fluxMediaOptimizer.conversionFinished` (attachmentId, status)
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+import { addAction, doAction } from '@wordpress/hooks';
+
+export const HOOK_NAMESPACE = 'fluxMediaOptimizer';
+
+// How often pending conversions are checked, and for how long
+const POLL_INTERVAL = 3000;
+const MAX_POLLS = 100;
+
+// How long a confirmation click stays armed
+const CONFIRM_TIMEOUT = 4000;
+
+// Last known status keyed by attachment ID, for attachments being watched
+const watchedStatuses = new Map();
+let pollTimer = null;
+let pollCount = 0;
+
+/**
+ * Build a plugin REST API URL.
+ *
+ * @since TBD
+ * @param {string}   path Endpoint path relative to the plugin namespace.
+ * @param {number[]} ids  Attachment IDs to pass as the ids query parameter.
+ * @returns {string} Endpoint URL.
+ */
+export function getApiUrl(path, ids = []) {
+    const url = new URL(fluxMediaAdmin.apiUrl, window.location.origin);
+
+    // Sites without pretty permalinks pass the route as a query parameter
+    if (url.searchParams.has('rest_route')) {
+        url.searchParams.set('rest_route', url.searchParams.get('rest_route') + path);
+    } else {
+        url.pathname += path;
+    }
+
+    ids.forEach(id => url.searchParams.append('ids[]', id));
+
+    return url.toString();
+}
+
+/**
+ * Make a request to the plugin REST API.
+ *
+ * @since TBD
+ * @param {string} url     Endpoint URL.
+ * @param {Object} options Fetch options.
+ * @returns {Promise<Object>} Response data.
+ */
+export function request(url, options = {}) {
+    return fetch(url, {
+        credentials: 'same-origin',
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-WP-Nonce': fluxMediaAdmin.nonce,
+        },
+    })
+    .then(response => response.json().then(result => {
+        if (!response.ok || result.success === false) {
+            throw new Error(result.message || 'Request failed');
+        }
+        return result.data;
+    }));
+}
+
+/**
+ * Require a second click to confirm a destructive action.
+ *
+ * The first click changes the element label to the confirmation label; a second click
+ * within a few seconds confirms it.
+ *
+ * @since TBD
+ * @param {HTMLElement} element Clicked button or link.
+ * @param {string}      label   Confirmation label.
+ * @returns {boolean} True if the action is confirmed.
+ */
+export function confirmAction(element, label) {
+    // Apply buttons are inputs, which show their value instead of text
+    const textProperty = element.tagName === 'INPUT' ? 'value' : 'textContent';
+
+    if (element.dataset.confirming === 'true') {
+        clearTimeout(Number(element.dataset.confirmTimer));
+        element[textProperty] = element.dataset.originalText;
+        delete element.dataset.confirming;
+        return true;
+    }
+
+    element.dataset.confirming = 'true';
+    element.dataset.originalText = element[textProperty];
+    element[textProperty] = label;
+    element.dataset.confirmTimer = setTimeout(() => {
+        element[textProperty] = element.dataset.originalText;
+        delete element.dataset.confirming;
+    }, CONFIRM_TIMEOUT);
+
+    return false;
+}
+
+/**
+ * Record attachment statuses and emit hooks for the ones that changed.
+ *
+ * @since TBD
+ * @param {Object} statuses Statuses keyed by attachment ID.
+ */
+function applyStatuses(statuses) {
+    Object.entries(statuses).forEach(([attachmentId, status]) => {
+        const id = parseInt(attachmentId, 10);
+        const previous = watchedStatuses.get(id);
+
+        if (status && status.status === 'pending') {
+            watchedStatuses.set(id, status);
+        } else {
+            watchedStatuses.delete(id);
+        }
+
+        if (previous && previous.status === status?.status) {
+            return;
+        }
+
+        doAction(`${HOOK_NAMESPACE}.attachmentStatusChanged`, id, status);
+        if (previous && previous.status === 'pending') {
+            doAction(`${HOOK_NAMESPACE}.conversionFinished`, id, status);
+        }
+    });
+
+    schedulePoll();
+}
+
+/**
+ * Check watched attachments again after a delay, until none are pending.
+ *
+ * @since TBD
+ */
+function schedulePoll() {
+    if (pollTimer || watchedStatuses.size === 0) {
+        return;
+    }
+
+    if (pollCount >= MAX_POLLS) {
+        watchedStatuses.clear();
+        return;
+    }
+
+    pollTimer = setTimeout(() => {
+        pollTimer = null;
+        pollCount++;
+
+        request(getApiUrl('conversions/status', Array.from(watchedStatuses.keys())))
+            .then(applyStatuses)
+            .catch(error => console.error('Status refresh error:', error));
+    }, POLL_INTERVAL);
+}
+
+/**
+ * Watch attachments with pending conversions until they finish.
+ *
+ * @since TBD
+ * @param {Object} statuses Current statuses keyed by attachment ID.
+ */
+export function watchAttachments(statuses) {
+    let added = false;
+    Object.entries(statuses).forEach(([attachmentId, status]) => {
+        const id = parseInt(attachmentId, 10);
+        if (status && status.status === 'pending' && !watchedStatuses.has(id)) {
+            watchedStatuses.set(id, status);
+            added = true;
+        }
+    });
+
+    if (added) {
+        pollCount = 0;
+        schedulePoll();
+    }
+}
+
+/**
+ * Run an action on attachments.
+ *
+ * @since TBD
+ * @param {string}   action        Action name (convert, reconvert, disable, enable).
+ * @param {number[]} attachmentIds Attachment IDs.
+ * @returns {Promise<Object>} Results and statuses keyed by attachment ID.
+ */
+export function runAttachmentAction(action, attachmentIds) {
+    doAction(`${HOOK_NAMESPACE}.attachmentActionStarted`, action, attachmentIds);
+
+    return request(getApiUrl('conversions/attachments'), {
+        method: 'POST',
+        body: JSON.stringify({ action, ids: attachmentIds }),
+    })
+    .then(data => {
+        // Statuses reported by the action always count as changed
+        attachmentIds.forEach(id => watchedStatuses.delete(id));
+        pollCount = 0;
+        applyStatuses(data.statuses);
+
+        doAction(`${HOOK_NAMESPACE}.attachmentActionCompleted`, action, data.results, data.statuses);
+        return data;
+    })
+    .catch(error => {
+        doAction(`${HOOK_NAMESPACE}.attachmentActionFailed`, action, attachmentIds, error);
+        throw error;
+    });
+}
+
+/**
+ * Show a notice message to the user.
+ *
+ * @since 0.1.0
+ * @since TBD Moved to the attachment actions module.
+ * @param {string} message The message to display.
+ * @param {string} type The type of notice ('success', 'error', 'warning', 'info').
+ */
+export function showNotice(message, type = 'info') {
+    // Remove any existing notices
+    const existingNotices = document.querySelectorAll('.flux-media-optimizer-notice');
+    existingNotices.forEach(notice => notice.remove());
+
+    // Create notice element
+    const notice = document.createElement('div');
+    notice.className = `flux-media-optimizer-notice notice notice-${type} is-dismissible`;
+    notice.style.cssText = 'position: fixed; top: 32px; right: 20px; z-index: 999999; max-width: 400px;';
+
+    const noticeContent = document.createElement('p');
+    noticeContent.textContent = message;
+    notice.appendChild(noticeContent);
+
+    // Add dismiss button
+    const dismissButton = document.createElement('button');
+    dismissButton.type = 'button';
+    dismissButton.className = 'notice-dismiss';
+    dismissButton.innerHTML = '<span class="screen-reader-text">Dismiss this notice.</span>';
+    dismissButton.onclick = () => notice.remove();
+    notice.appendChild(dismissButton);
+
+    // Add to page
+    document.body.appendChild(notice);
+
+    // Auto-dismiss after 5 seconds
+    setTimeout(() => {
+        if (notice.parentNode) {
+            notice.remove();
+        }
+    }, 5000);
+}
+
+/**
+ * Replace the attachment field with its current markup.
+ *
+ * @since TBD
+ * @param {number} attachmentId Attachment ID.
+ * @returns {Promise<void>}
+ */
+function refreshAttachmentField(attachmentId) {
+    const fields = document.querySelectorAll(`.flux-media-optimizer-field[data-attachment-id="${attachmentId}"]`);
+    if (!fields.length) {
+        return Promise.resolve();
+    }
+
+    return request(getApiUrl(`conversions/attachments/${attachmentId}`))
+        .then(({ html, status }) => {
+            fields.forEach(field => {
+                field.outerHTML = html;
+            });
+
+            if (status && status.status === 'pending') {
+                showFieldProgress(attachmentId);
+            }
+        })
+        .catch(error => console.error('Attachment field refresh error:', error));
+}
+
+/**
+ * Show conversion progress in the attachment field and disable its buttons.
+ *
+ * @since TBD
+ * @param {number} attachmentId Attachment ID.
+ */
+function showFieldProgress(attachmentId) {
+    document.querySelectorAll(`.flux-media-optimizer-field[data-attachment-id="${attachmentId}"]`).forEach(field => {
+        field.querySelectorAll('[data-action]:not([data-action="compare"])').forEach(button => {
+            button.disabled = true;
+        });
+
+        if (field.querySelector('.flux-media-optimizer-progress')) {
+            return;
+        }
+
+        const progress = document.createElement('p');
+        progress.className = 'flux-media-optimizer-progress';
+        progress.style.cssText = 'display: flex; align-items: center; margin: 10px 0 0 0; color: #2271b1; font-size: 13px;';
+
+        const spinner = document.createElement('span');
+        spinner.className = 'spinner is-active';
+        spinner.style.cssText = 'float: none; margin: 0 6px 0 0;';
+        progress.appendChild(spinner);
+
+        const startedAt = Date.now();
+        const text = document.createElement('span');
+        text.textContent = 'Conversion in progress...';
+        progress.appendChild(text);
+
+        const timer = setInterval(() => {
+            if (!progress.isConnected) {
+                clearInterval(timer);
+                return;
+            }
+            text.textContent = `Conversion in progress... (${Math.round((Date.now() - startedAt) / 1000)}s)`;
+        }, 1000);
+
+        field.appendChild(progress);
+    });
+}
+
+/**
+ * Handle clicks on the attachment field buttons.
+ *
+ * @since TBD
+ * @param {MouseEvent} event Click event.
+ */
+function handleFieldClick(event) {
+    const button = event.target.closest('.flux-media-optimizer-field [data-action]');
+    if (!button || button.disabled) {
+        return;
+    }
+
+    event.preventDefault();
+
+    const action = button.dataset.action;
+    const attachmentId = parseInt(button.dataset.attachmentId, 10);
+
+    if (action === 'compare') {
+        window.open(fluxMediaAdmin.compareUrl + attachmentId, '_blank');
+        return;
+    }
+
+    if (action === 'disable' && !confirmAction(button, 'Click again to delete converted files')) {
+        return;
+    }
+
+    const field = button.closest('.flux-media-optimizer-field');
+    field.querySelectorAll('[data-action]').forEach(fieldButton => {
+        fieldButton.disabled = true;
+    });
+
+    runAttachmentAction(action, [attachmentId])
+        .then(({ results }) => {
+            const result = results[attachmentId];
+            showNotice(result.message, result.success ? 'success' : 'error');
+        })
+        .catch(error => {
+            showNotice(`Action failed: ${error.message}`, 'error');
+            field.querySelectorAll('[data-action]').forEach(fieldButton => {
+                fieldButton.disabled = false;
+            });
+        });
+}
+
+/**
+ * Initialize the attachment field actions.
+ *
+ * Uses a delegated listener so fields rendered later, such as in the media modal,
+ * work without extra setup.
+ *
+ * @since TBD
+ */
+export function initAttachmentActions() {
+    document.addEventListener('click', handleFieldClick);
+
+    addAction(`${HOOK_NAMESPACE}.attachmentStatusChanged`, 'flux-media-optimizer/attachment-field', attachmentId => {
+        refreshAttachmentField(attachmentId);
+    });
+
+    // Resume progress for fields that were rendered while a conversion was pending
+    const fieldIds = Array.from(document.querySelectorAll('.flux-media-optimizer-field'))
+        .map(field => parseInt(field.dataset.attachmentId, 10));
+    if (fieldIds.length) {
+        request(getApiUrl('conversions/status', fieldIds))
+            .then(statuses => {
+                Object.entries(statuses).forEach(([attachmentId, status]) => {
+                    if (status && status.status === 'pending') {
+                        showFieldProgress(attachmentId);
+                    }
+                });
+                watchAttachments(statuses);
+            })
+            .catch(error => console.error('Status refresh error:', error));
+    }
+}
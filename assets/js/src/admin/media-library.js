@@ -0,0 +1,317 @@
+/**
+ * Media Library integration for Flux Media Optimizer plugin.
+ *
+ * Shows optimization status badges in the list and grid views and runs row and
+ * bulk actions through the attachment actions module, updating the library in place.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+import { addAction } from '@wordpress/hooks';
+import {
+    HOOK_NAMESPACE,
+    confirmAction,
+    runAttachmentAction,
+    showNotice,
+    watchAttachments,
+} from './attachment-actions';
+
+// Badge colors keyed by status, matching MediaLibraryService::STATUS_COLORS
+const STATUS_COLORS = {
+    converted: '#00a32a',
+    pending: '#2271b1',
+    failed: '#d63638',
+    disabled: '#787c82',
+    unconverted: '#dba617',
+};
+
+// Row action labels keyed by action
+const ACTION_LABELS = {
+    convert: 'Convert',
+    reconvert: 'Re-convert',
+    disable: 'Disable conversion',
+    enable: 'Enable conversion',
+};
+
+/**
+ * Create the badge element for an attachment status.
+ *
+ * @since TBD
+ * @param {Object|null} status Attachment status.
+ * @param {boolean}     compact Whether to show only the badge, for the grid view.
+ * @returns {DocumentFragment} Badge markup.
+ */
+function createStatusElement(status, compact = false) {
+    const fragment = document.createDocumentFragment();
+
+    if (!status) {
+        fragment.appendChild(document.createTextNode('—'));
+        return fragment;
+    }
+
+    const badge = document.createElement('span');
+    badge.className = `flux-media-optimizer-badge flux-media-optimizer-badge-${status.status}`;
+    badge.style.cssText = `display: inline-block; padding: 2px 8px; border-radius: 10px; background: ${STATUS_COLORS[status.status]}; color: #fff; font-size: 12px; line-height: 18px;`;
+    badge.textContent = compact && status.status === 'converted' && status.savings_percentage
+        ? `-${status.savings_percentage}%`
+        : status.label;
+    if (status.error) {
+        badge.title = status.error;
+    } else if (status.formats.length) {
+        badge.title = `${status.formats.join(', ').toUpperCase()}, ${status.savings_percentage}% saved`;
+    }
+    fragment.appendChild(badge);
+
+    if (!compact && status.formats.length) {
+        const details = document.createElement('div');
+        details.style.cssText = 'margin-top: 4px; font-size: 12px; color: #50575e;';
+        details.textContent = `${status.formats.join(', ').toUpperCase()}, ${status.savings_percentage}% saved`;
+        fragment.appendChild(details);
+    }
+
+    return fragment;
+}
+
+/**
+ * Get the actions available for an attachment status.
+ *
+ * Mirrors MediaLibraryService::add_row_actions().
+ *
+ * @since TBD
+ * @param {Object} status Attachment status.
+ * @returns {string[]} Action names.
+ */
+function getAvailableActions(status) {
+    if (status.status === 'disabled') {
+        return ['enable'];
+    }
+
+    const actions = [];
+    if (status.status !== 'pending') {
+        actions.push(status.formats.length ? 'reconvert' : 'convert');
+    }
+    actions.push('disable');
+    return actions;
+}
+
+/**
+ * Update the status column and row actions of a list view row.
+ *
+ * @since TBD
+ * @param {number}      attachmentId Attachment ID.
+ * @param {Object|null} status       Attachment status.
+ */
+function updateListRow(attachmentId, status) {
+    const cell = document.querySelector(`.flux-media-optimizer-status[data-attachment-id="${attachmentId}"]`);
+    if (cell) {
+        cell.replaceChildren(createStatusElement(status));
+    }
+
+    const rowActions = document.querySelector(`#post-${attachmentId} .row-actions`);
+    if (!rowActions || !status) {
+        return;
+    }
+
+    rowActions.querySelectorAll('span[class^="flux_media_optimizer_"]').forEach(span => span.remove());
+
+    const actions = getAvailableActions(status);
+    const lastSpan = rowActions.lastElementChild;
+    if (lastSpan && actions.length && !lastSpan.textContent.trim().endsWith('|')) {
+        lastSpan.appendChild(document.createTextNode(' | '));
+    }
+
+    actions.forEach((action, index) => {
+        const span = document.createElement('span');
+        span.className = `flux_media_optimizer_${action}`;
+
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'flux-media-optimizer-action';
+        link.dataset.action = action;
+        link.dataset.attachmentId = attachmentId;
+        link.textContent = ACTION_LABELS[action];
+        span.appendChild(link);
+
+        if (index < actions.length - 1) {
+            span.appendChild(document.createTextNode(' | '));
+        }
+        rowActions.appendChild(span);
+    });
+}
+
+/**
+ * Update an attachment in the grid view and media modal.
+ *
+ * @since TBD
+ * @param {number}      attachmentId Attachment ID.
+ * @param {Object|null} status       Attachment status.
+ */
+function updateGridAttachment(attachmentId, status) {
+    if (!window.wp || !wp.media || !wp.media.attachment) {
+        return;
+    }
+
+    wp.media.attachment(attachmentId).set('fluxMediaOptimizer', status);
+}
+
+/**
+ * Run an action on attachments and report the outcome.
+ *
+ * @since TBD
+ * @param {string}   action        Action name (convert, reconvert, disable, enable).
+ * @param {number[]} attachmentIds Attachment IDs.
+ * @returns {Promise<void>}
+ */
+function runAction(action, attachmentIds) {
+    return runAttachmentAction(action, attachmentIds)
+        .then(({ results }) => {
+            const failed = Object.values(results).filter(result => !result.success);
+            const succeeded = attachmentIds.length - failed.length;
+            if (failed.length) {
+                showNotice(`${succeeded} of ${attachmentIds.length} attachments updated. ${failed[0].message}`, 'warning');
+            } else {
+                showNotice(`${ACTION_LABELS[action]}: ${succeeded} ${succeeded === 1 ? 'attachment' : 'attachments'} updated.`, 'success');
+            }
+        })
+        .catch(error => {
+            console.error('Attachment action error:', error);
+            showNotice(`${ACTION_LABELS[action]} failed: ${error.message}`, 'error');
+        });
+}
+
+/**
+ * Handle row action clicks in the list view.
+ *
+ * @since TBD
+ * @param {MouseEvent} event Click event.
+ */
+function handleRowActionClick(event) {
+    const link = event.target.closest('.flux-media-optimizer-action');
+    if (!link) {
+        return;
+    }
+
+    event.preventDefault();
+    if (link.getAttribute('aria-disabled') === 'true') {
+        return;
+    }
+
+    const action = link.dataset.action;
+    if (action === 'disable' && !confirmAction(link, 'Click again to delete converted files')) {
+        return;
+    }
+
+    link.setAttribute('aria-disabled', 'true');
+    link.style.opacity = '0.5';
+    runAction(action, [parseInt(link.dataset.attachmentId, 10)]).finally(() => {
+        link.removeAttribute('aria-disabled');
+        link.style.opacity = '';
+    });
+}
+
+/**
+ * Run plugin bulk actions in the list view without submitting the form.
+ *
+ * @since TBD
+ * @param {SubmitEvent} event Submit event.
+ */
+function handleBulkActionSubmit(event) {
+    const form = event.target;
+    if (form.id !== 'posts-filter') {
+        return;
+    }
+
+    // Use the selector next to the Apply button that was clicked
+    const isBottom = event.submitter && event.submitter.id === 'doaction2';
+    const selector = document.getElementById(isBottom ? 'bulk-action-selector-bottom' : 'bulk-action-selector-top');
+    const applyButton = document.getElementById(isBottom ? 'doaction2' : 'doaction');
+    if (!selector || !selector.value.startsWith('flux_media_optimizer_')) {
+        return;
+    }
+
+    event.preventDefault();
+
+    const checkboxes = Array.from(form.querySelectorAll('input[name="media[]"]:checked'));
+    if (!checkboxes.length) {
+        showNotice('Select at least one attachment.', 'warning');
+        return;
+    }
+
+    const action = selector.value.replace('flux_media_optimizer_', '');
+
+    if (action === 'disable' && applyButton && !confirmAction(applyButton, 'Click again to confirm')) {
+        return;
+    }
+
+    runAction(action, checkboxes.map(checkbox => parseInt(checkbox.value, 10))).then(() => {
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        form.querySelectorAll('#cb-select-all-1, #cb-select-all-2').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+    });
+}
+
+/**
+ * Add status badges to attachments in the grid view and media modal.
+ *
+ * @since TBD
+ */
+function extendGridView() {
+    if (!window.wp || !wp.media || !wp.media.view || !wp.media.view.Attachment) {
+        return;
+    }
+
+    const LibraryView = wp.media.view.Attachment.Library;
+    wp.media.view.Attachment.Library = LibraryView.extend({
+        initialize() {
+            LibraryView.prototype.initialize.apply(this, arguments);
+            this.listenTo(this.model, 'change:fluxMediaOptimizer', this.render);
+        },
+
+        render() {
+            LibraryView.prototype.render.apply(this, arguments);
+
+            const status = this.model.get('fluxMediaOptimizer');
+            const preview = this.el.querySelector('.attachment-preview');
+            if (status && preview) {
+                const badge = document.createElement('div');
+                badge.className = 'flux-media-optimizer-grid-status';
+                badge.style.cssText = 'position: absolute; left: 6px; bottom: 6px; z-index: 2; pointer-events: none;';
+                badge.appendChild(createStatusElement(status, true));
+                preview.appendChild(badge);
+
+                watchAttachments({ [this.model.id]: status });
+            }
+
+            return this;
+        },
+    });
+}
+
+/**
+ * Initialize the Media Library integration.
+ *
+ * Must run before DOM ready, since the grid view is created then.
+ *
+ * @since TBD
+ */
+export function initMediaLibrary() {
+    extendGridView();
+
+    addAction(`${HOOK_NAMESPACE}.attachmentStatusChanged`, 'flux-media-optimizer/media-library', (attachmentId, status) => {
+        updateListRow(attachmentId, status);
+        updateGridAttachment(attachmentId, status);
+    });
+
+    document.addEventListener('click', handleRowActionClick);
+    document.addEventListener('submit', handleBulkActionSubmit);
+
+    // Watch list view rows that were rendered while a conversion was pending
+    const pendingIds = Array.from(document.querySelectorAll('.flux-media-optimizer-status'))
+        .filter(cell => cell.querySelector('.flux-media-optimizer-badge-pending'))
+        .map(cell => cell.dataset.attachmentId);
+    watchAttachments(Object.fromEntries(pendingIds.map(id => [id, { status: 'pending' }])));
+}
@@ -0,0 +1,89 @@
+/**
+ * Video poster picker for Flux Media Optimizer plugin.
+ *
+ * Lets users pick the frame used as poster and featured image of a video from
+ * the attachment screen and media modal.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+import { getApiUrl, request, showNotice } from './attachment-actions';
+
+/**
+ * Keep the frame time input in sync with the paused or seeked preview.
+ *
+ * Media events do not bubble, so this listens in the capture phase.
+ *
+ * @since TBD
+ * @param {Event} event Media event.
+ */
+function handlePreviewSeek(event) {
+    const video = event.target;
+    if (!(video instanceof HTMLVideoElement) || !video.classList.contains('flux-media-optimizer-poster-video')) {
+        return;
+    }
+
+    const input = video.closest('.flux-media-optimizer-poster-field').querySelector('.flux-media-optimizer-poster-time');
+    if (input) {
+        input.value = video.currentTime.toFixed(1);
+    }
+}
+
+/**
+ * Create a poster from the chosen frame and set it as featured image.
+ *
+ * @since TBD
+ * @param {MouseEvent} event Click event.
+ */
+function handlePosterClick(event) {
+    const button = event.target.closest('.flux-media-optimizer-poster-field [data-poster-mode]');
+    if (!button || button.disabled) {
+        return;
+    }
+
+    event.preventDefault();
+
+    const field = button.closest('.flux-media-optimizer-poster-field');
+    const attachmentId = parseInt(field.dataset.attachmentId, 10);
+    const input = field.querySelector('.flux-media-optimizer-poster-time');
+    const buttons = field.querySelectorAll('[data-poster-mode]');
+
+    buttons.forEach(fieldButton => {
+        fieldButton.disabled = true;
+    });
+
+    request(getApiUrl(`editor/video/${attachmentId}/poster`), {
+        method: 'POST',
+        body: JSON.stringify({
+            time: Math.max(0, parseFloat(input?.value) || 0),
+            mode: button.dataset.posterMode,
+            featured: true,
+        }),
+    })
+    .then(({ url }) => {
+        const preview = field.querySelector('.flux-media-optimizer-poster-preview');
+        preview.src = url;
+        preview.style.display = '';
+        field.querySelector('.flux-media-optimizer-poster-empty')?.remove();
+
+        showNotice('Poster updated', 'success');
+    })
+    .catch(error => showNotice(`Poster update failed: ${error.message}`, 'error'))
+    .finally(() => {
+        buttons.forEach(fieldButton => {
+            fieldButton.disabled = false;
+        });
+    });
+}
+
+/**
+ * Initialize the video poster picker.
+ *
+ * @since TBD
+ */
+export function initVideoPoster() {
+    document.addEventListener('click', handlePosterClick);
+    document.addEventListener('pause', handlePreviewSeek, true);
+    document.addEventListener('seeked', handlePreviewSeek, true);
+}
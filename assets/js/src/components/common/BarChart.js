@@ -0,0 +1,92 @@
+import React from 'react';
+import { Box, Typography, Tooltip } from '@mui/material';
+
+/**
+ * Lightweight stacked bar chart built from MUI boxes.
+ *
+ * Each bar has a label and a list of segments. Segment colors and labels are shared
+ * through the series prop so a legend can be shown below the chart.
+ *
+ * @since TBD
+ */
+const BarChart = ({ data = [], series = [], height = 200, formatValue = (value) => value }) => {
+  const totals = data.map((bar) => series.reduce((sum, { key }) => sum + (bar.values[key] || 0), 0));
+  const max = Math.max(...totals, 0);
+
+  // Show at most about eight axis labels so they do not overlap
+  const labelStep = Math.max(1, Math.ceil(data.length / 8));
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height, borderBottom: 1, borderColor: 'divider' }}>
+        {data.map((bar, index) => (
+          <Tooltip
+            key={bar.label}
+            title={
+              <Box>
+                <Typography variant="caption" display="block" sx={{ fontWeight: 'bold' }}>
+                  {bar.label}
+                </Typography>
+                {series.map(({ key, label }) => (
+                  <Typography key={key} variant="caption" display="block">
+                    {label}: {formatValue(bar.values[key] || 0)}
+                  </Typography>
+                ))}
+              </Box>
+            }
+          >
+            <Box
+              sx={{
+                flex: 1,
+                minWidth: 2,
+                height: max > 0 ? `${(totals[index] / max) * 100}%` : 0,
+                display: 'flex',
+                flexDirection: 'column-reverse',
+                cursor: 'default',
+              }}
+            >
+              {series.map(({ key, color }) => (
+                <Box
+                  key={key}
+                  sx={{
+                    height: totals[index] > 0 ? `${((bar.values[key] || 0) / totals[index]) * 100}%` : 0,
+                    bgcolor: color,
+                  }}
+                />
+              ))}
+            </Box>
+          </Tooltip>
+        ))}
+      </Box>
+
+      {/* Axis labels */}
+      <Box sx={{ display: 'flex', gap: '2px', mt: 0.5 }}>
+        {data.map((bar, index) => (
+          <Box key={bar.label} sx={{ flex: 1, minWidth: 2, overflow: 'visible', whiteSpace: 'nowrap' }}>
+            {index % labelStep === 0 && (
+              <Typography variant="caption" color="text.secondary">
+                {bar.label}
+              </Typography>
+            )}
+          </Box>
+        ))}
+      </Box>
+
+      {/* Legend */}
+      {series.length > 1 && (
+        <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+          {series.map(({ key, label, color }) => (
+            <Box key={key} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <Box sx={{ width: 12, height: 12, bgcolor: color, borderRadius: 0.5 }} />
+              <Typography variant="caption" color="text.secondary">
+                {label}
+              </Typography>
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Chip, Tooltip } from '@mui/material';
+import { Verified, Error as ErrorIcon } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Chip showing whether a processor supports a format, corrected by the self-test:
+ * a format the processor reports but failed to encode is shown as failed.
+ *
+ * @since TBD
+ * @param {Object}      props           Component props.
+ * @param {string}      props.label     Format label.
+ * @param {boolean}     props.supported Support reported by the processor.
+ * @param {string|null} props.outcome   Self-test outcome, 'passed', 'failed' or null when not encoded.
+ */
+const FormatSupportChip = ({ label, supported, outcome }) => {
+  const failed = outcome === 'failed';
+  const chip = (
+    <Chip
+      label={label}
+      color={supported && !failed ? 'success' : 'error'}
+      icon={outcome === 'passed' ? <Verified /> : failed ? <ErrorIcon /> : undefined}
+      size="small"
+    />
+  );
+
+  if (!outcome) {
+    return chip;
+  }
+
+  return (
+    <Tooltip
+      title={failed
+        ? __('Reported as supported, but the self-test encode failed', 'flux-media-optimizer')
+        : __('Passed the self-test encode', 'flux-media-optimizer')}
+      arrow
+    >
+      {chip}
+    </Tooltip>
+  );
+};
+
+export default FormatSupportChip;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Box } from '@mui/material';
+import { ChevronRight, ExpandMore } from '@mui/icons-material';
+import { _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Get the color of a primitive JSON value.
+ *
+ * @param {*} value JSON value.
+ * @returns {string} Theme color.
+ */
+const getValueColor = (value) => {
+  if (value === null) return 'text.disabled';
+  switch (typeof value) {
+    case 'string':
+      return 'success.dark';
+    case 'number':
+      return 'info.dark';
+    case 'boolean':
+      return 'warning.dark';
+    default:
+      return 'text.primary';
+  }
+};
+
+/**
+ * Summary of a collapsed object or array.
+ *
+ * @param {Object|Array} value Object or array.
+ * @returns {string} Summary.
+ */
+const getSummary = (value) => {
+  const count = Object.keys(value).length;
+
+  return Array.isArray(value)
+    ? sprintf(
+      /* translators: %d: number of items in a list */
+      _n('[%d item]', '[%d items]', count, 'flux-media-optimizer'),
+      count
+    )
+    : sprintf(
+      /* translators: %d: number of keys in an object */
+      _n('{%d key}', '{%d keys}', count, 'flux-media-optimizer'),
+      count
+    );
+};
+
+/**
+ * A key and its value, expandable when the value is an object or array.
+ */
+const JsonNode = ({ name, value, depth, expandDepth }) => {
+  const isExpandable = value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+  const [expanded, setExpanded] = useState(depth < expandDepth);
+
+  const label = name !== undefined && (
+    <Box component="span" sx={{ color: 'text.secondary' }}>
+      {name}:{' '}
+    </Box>
+  );
+
+  if (!isExpandable) {
+    const isEmpty = value !== null && typeof value === 'object';
+
+    return (
+      <Box sx={{ pl: 2.5, wordBreak: 'break-all' }}>
+        {label}
+        <Box component="span" sx={{ color: getValueColor(value) }}>
+          {isEmpty ? (Array.isArray(value) ? '[]' : '{}') : JSON.stringify(value)}
+        </Box>
+      </Box>
+    );
+  }
+
+  const Icon = expanded ? ExpandMore : ChevronRight;
+
+  return (
+    <Box>
+      <Box
+        component="span"
+        role="button"
+        tabIndex={0}
+        aria-expanded={expanded}
+        onClick={() => setExpanded(!expanded)}
+        onKeyDown={(event) => (event.key === 'Enter' || event.key === ' ') && setExpanded(!expanded)}
+        sx={{ display: 'inline-flex', alignItems: 'center', cursor: 'pointer' }}
+      >
+        <Icon sx={{ fontSize: '1.1rem', color: 'text.secondary', mr: 0.25 }} />
+        {label}
+        {!expanded && (
+          <Box component="span" sx={{ color: 'text.secondary' }}>
+            {getSummary(value)}
+          </Box>
+        )}
+      </Box>
+      {expanded && (
+        <Box sx={{ pl: 1.5, borderLeft: '1px dashed', borderColor: 'divider', ml: 1 }}>
+          {Object.entries(value).map(([key, child]) => (
+            <JsonNode key={key} name={key} value={child} depth={depth + 1} expandDepth={expandDepth} />
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * Collapsible tree of a JSON value, e.g. the context of a log entry.
+ *
+ * @since TBD
+ * @param {Object} props             Component props.
+ * @param {*}      props.data        JSON value to show.
+ * @param {number} props.expandDepth Number of levels expanded initially.
+ */
+const JsonTree = ({ data, expandDepth = 0 }) => (
+  <Box sx={{ fontFamily: 'monospace', fontSize: '0.75rem', lineHeight: 1.6 }}>
+    {data !== null && typeof data === 'object' ? (
+      Object.entries(data).map(([key, value]) => (
+        <JsonNode key={key} name={key} value={value} depth={0} expandDepth={expandDepth} />
+      ))
+    ) : (
+      <JsonNode value={data} depth={0} expandDepth={expandDepth} />
+    )}
+  </Box>
+);
+
+export default JsonTree;
@@ -0,0 +1,481 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import {
+  Typography,
+  Box,
+  Chip,
+  Grid,
+  Alert,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButtonGroup,
+  ToggleButton,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Link,
+} from '@mui/material';
+import {
+  CompareArrows,
+  ViewColumn,
+  ZoomIn,
+  ZoomOut,
+  CenterFocusStrong,
+} from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { formatFileSize } from '@flux-media-optimizer/utils/fileSize';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+const VIEWPORT_HEIGHT = 480;
+
+const INITIAL_VIEW = { zoom: 1, x: 0, y: 0 };
+
+// Checkerboard background so transparency differences are visible
+const CHECKERBOARD = {
+  backgroundColor: '#fff',
+  backgroundImage: 'linear-gradient(45deg, #eee 25%, transparent 25%), linear-gradient(-45deg, #eee 25%, transparent 25%), linear-gradient(45deg, transparent 75%, #eee 75%), linear-gradient(-45deg, transparent 75%, #eee 75%)',
+  backgroundSize: '20px 20px',
+  backgroundPosition: '0 0, 0 10px, 10px -10px, -10px 0',
+};
+
+/**
+ * Clamp a zoom level to the supported range.
+ *
+ * @param {number} zoom Zoom level.
+ * @returns {number} Clamped zoom level.
+ */
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+/**
+ * Get the label for a variant key.
+ *
+ * @param {string} key Variant key ('original' or a format).
+ * @returns {string} Variant label.
+ */
+const getVariantLabel = (key) => (key === 'original' ? __('Original', 'flux-media-optimizer') : key.toUpperCase());
+
+/**
+ * Pannable and zoomable viewport. Zoom and pan are controlled by the parent so
+ * several viewports can share the same view.
+ */
+const Viewport = ({ view, onViewChange, height = VIEWPORT_HEIGHT, children, sx = {} }) => {
+  const ref = useRef(null);
+  const dragRef = useRef(null);
+  const viewRef = useRef(view);
+  viewRef.current = view;
+
+  // React registers wheel listeners as passive, so zooming needs a native listener to prevent page scroll
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return undefined;
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const current = viewRef.current;
+      const zoom = clampZoom(event.deltaY < 0 ? current.zoom * ZOOM_STEP : current.zoom / ZOOM_STEP);
+      const ratio = zoom / current.zoom;
+      onViewChange(zoom === MIN_ZOOM ? INITIAL_VIEW : { zoom, x: current.x * ratio, y: current.y * ratio });
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    return () => element.removeEventListener('wheel', handleWheel);
+  }, [onViewChange]);
+
+  const handlePointerDown = (event) => {
+    if (view.zoom === MIN_ZOOM) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { x: event.clientX, y: event.clientY };
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    const dx = event.clientX - dragRef.current.x;
+    const dy = event.clientY - dragRef.current.y;
+    dragRef.current = { x: event.clientX, y: event.clientY };
+    onViewChange({ ...viewRef.current, x: viewRef.current.x + dx, y: viewRef.current.y + dy });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <Box
+      ref={ref}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      sx={{
+        position: 'relative',
+        overflow: 'hidden',
+        height,
+        borderRadius: 1,
+        border: 1,
+        borderColor: 'divider',
+        cursor: view.zoom > MIN_ZOOM ? 'grab' : 'default',
+        touchAction: 'none',
+        userSelect: 'none',
+        ...CHECKERBOARD,
+        ...sx,
+      }}
+    >
+      {children}
+    </Box>
+  );
+};
+
+/**
+ * Image layer that applies the shared zoom and pan transform.
+ */
+const ImageLayer = ({ src, alt, view, clipPath }) => (
+  <Box
+    sx={{
+      position: 'absolute',
+      inset: 0,
+      clipPath,
+    }}
+  >
+    <Box
+      component="img"
+      src={src}
+      alt={alt}
+      draggable={false}
+      sx={{
+        width: '100%',
+        height: '100%',
+        objectFit: 'contain',
+        transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+        transformOrigin: 'center',
+        // Keep pixels crisp when zoomed in so compression artifacts are visible
+        imageRendering: view.zoom > 2 ? 'pixelated' : 'auto',
+        pointerEvents: 'none',
+      }}
+    />
+  </Box>
+);
+
+/**
+ * Variant label overlay shown in a viewport corner.
+ */
+const VariantChip = ({ label, side }) => (
+  <Chip
+    label={label}
+    size="small"
+    sx={{
+      position: 'absolute',
+      top: 8,
+      [side]: 8,
+      bgcolor: 'rgba(0, 0, 0, 0.6)',
+      color: 'common.white',
+      pointerEvents: 'none',
+    }}
+  />
+);
+
+/**
+ * Dumb component for comparing an original image against its converted formats
+ * with a slider overlay or split view and synced zoom and pan.
+ *
+ * The compact variant uses a shorter viewport and hides the file details table.
+ *
+ * @since TBD
+ */
+const ComparisonViewer = ({ sizes = {}, settings, currentSettings, compact = false }) => {
+  const viewportHeight = compact ? VIEWPORT_HEIGHT * 0.75 : VIEWPORT_HEIGHT;
+  const sizeNames = Object.keys(sizes);
+  const [sizeName, setSizeName] = useState(sizeNames.includes('full') ? 'full' : sizeNames[0]);
+  const [mode, setMode] = useState('slider');
+  const [leftKey, setLeftKey] = useState('original');
+  const [rightKey, setRightKey] = useState(null);
+  const [sliderPosition, setSliderPosition] = useState(50);
+  const [view, setView] = useState(INITIAL_VIEW);
+  const sliderViewportRef = useRef(null);
+  const sliderDragRef = useRef(false);
+
+  const size = sizes[sizeName];
+
+  const variants = useMemo(() => {
+    if (!size) return {};
+    return { original: size.original, ...size.formats };
+  }, [size]);
+
+  const variantKeys = Object.keys(variants);
+  const formatKeys = variantKeys.filter((key) => key !== 'original');
+
+  // Default the right side to the first converted format, and keep both sides valid when the size changes
+  const activeLeft = variants[leftKey] ? leftKey : 'original';
+  const activeRight = rightKey && variants[rightKey] ? rightKey : formatKeys[0];
+
+  if (!size || !activeRight) {
+    return (
+      <Alert severity="info">
+        {__('No converted files are available to compare for this attachment.', 'flux-media-optimizer')}
+      </Alert>
+    );
+  }
+
+  const handleSizeChange = (event) => {
+    setSizeName(event.target.value);
+    setView(INITIAL_VIEW);
+  };
+
+  const handleZoom = (factor) => {
+    setView((current) => {
+      const zoom = clampZoom(current.zoom * factor);
+      if (zoom === MIN_ZOOM) return INITIAL_VIEW;
+      const ratio = zoom / current.zoom;
+      return { zoom, x: current.x * ratio, y: current.y * ratio };
+    });
+  };
+
+  const updateSliderPosition = (clientX) => {
+    const rect = sliderViewportRef.current?.getBoundingClientRect();
+    if (!rect || !rect.width) return;
+    const position = ((clientX - rect.left) / rect.width) * 100;
+    setSliderPosition(Math.min(100, Math.max(0, position)));
+  };
+
+  const handleSliderPointerDown = (event) => {
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    sliderDragRef.current = true;
+  };
+
+  const handleSliderPointerMove = (event) => {
+    if (!sliderDragRef.current) return;
+    event.stopPropagation();
+    updateSliderPosition(event.clientX);
+  };
+
+  const handleSliderPointerUp = () => {
+    sliderDragRef.current = false;
+  };
+
+  const getQualityLabel = (key, source) => {
+    if (!source) return '—';
+    switch (key) {
+      case 'webp':
+        return sprintf(__('Quality %d', 'flux-media-optimizer'), source.webp_quality);
+      case 'avif':
+        return sprintf(__('Quality %1$d, speed %2$d', 'flux-media-optimizer'), source.avif_quality, source.avif_speed);
+      default:
+        return '—';
+    }
+  };
+
+  const getSavings = (key) => {
+    const originalSize = variants.original?.filesize;
+    const fileSize = variants[key]?.filesize;
+    if (key === 'original' || !originalSize || !fileSize) return null;
+    return Math.round(((originalSize - fileSize) / originalSize) * 1000) / 10;
+  };
+
+  const settingsChanged = settings && currentSettings && Object.keys(currentSettings).some(
+    (key) => settings[key] !== undefined && Number(settings[key]) !== Number(currentSettings[key])
+  );
+
+  const renderVariantSelect = (label, value, onChange) => (
+    <FormControl size="small" sx={{ minWidth: 140 }}>
+      <InputLabel>{label}</InputLabel>
+      <Select value={value} label={label} onChange={(event) => onChange(event.target.value)}>
+        {variantKeys.map((key) => (
+          <MenuItem key={key} value={key}>
+            {`${getVariantLabel(key)} · ${formatFileSize(variants[key]?.filesize, '—')}`}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+
+  const getChipLabel = (key) => `${getVariantLabel(key)} · ${formatFileSize(variants[key]?.filesize, '—')}`;
+
+  return (
+    <Box>
+      {/* Controls */}
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Grid item>
+          <ToggleButtonGroup
+            value={mode}
+            exclusive
+            size="small"
+            onChange={(event, value) => value && setMode(value)}
+            aria-label={__('Comparison mode', 'flux-media-optimizer')}
+          >
+            <ToggleButton value="slider">
+              <CompareArrows fontSize="small" sx={{ mr: 0.5 }} />
+              {__('Slider', 'flux-media-optimizer')}
+            </ToggleButton>
+            <ToggleButton value="split">
+              <ViewColumn fontSize="small" sx={{ mr: 0.5 }} />
+              {__('Split', 'flux-media-optimizer')}
+            </ToggleButton>
+          </ToggleButtonGroup>
+        </Grid>
+        <Grid item>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>{__('Image size', 'flux-media-optimizer')}</InputLabel>
+            <Select value={sizeName} label={__('Image size', 'flux-media-optimizer')} onChange={handleSizeChange}>
+              {sizeNames.map((name) => (
+                <MenuItem key={name} value={name}>
+                  {sizes[name].width && sizes[name].height
+                    ? `${name} (${sizes[name].width}×${sizes[name].height})`
+                    : name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item>
+          {renderVariantSelect(__('Left', 'flux-media-optimizer'), activeLeft, setLeftKey)}
+        </Grid>
+        <Grid item>
+          {renderVariantSelect(__('Right', 'flux-media-optimizer'), activeRight, setRightKey)}
+        </Grid>
+        <Grid item sx={{ ml: 'auto', display: 'flex', alignItems: 'center' }}>
+          <Tooltip title={__('Zoom out', 'flux-media-optimizer')}>
+            <span>
+              <IconButton size="small" onClick={() => handleZoom(1 / ZOOM_STEP)} disabled={view.zoom <= MIN_ZOOM}>
+                <ZoomOut />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Typography variant="body2" sx={{ minWidth: 48, textAlign: 'center' }}>
+            {Math.round(view.zoom * 100)}%
+          </Typography>
+          <Tooltip title={__('Zoom in', 'flux-media-optimizer')}>
+            <span>
+              <IconButton size="small" onClick={() => handleZoom(ZOOM_STEP)} disabled={view.zoom >= MAX_ZOOM}>
+                <ZoomIn />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title={__('Reset view', 'flux-media-optimizer')}>
+            <span>
+              <IconButton size="small" onClick={() => setView(INITIAL_VIEW)} disabled={view === INITIAL_VIEW}>
+                <CenterFocusStrong />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Grid>
+      </Grid>
+
+      {/* Viewer */}
+      {mode === 'slider' ? (
+        <Box ref={sliderViewportRef}>
+          <Viewport view={view} onViewChange={setView} height={viewportHeight}>
+            <ImageLayer src={variants[activeLeft].url} alt={getVariantLabel(activeLeft)} view={view} />
+            <ImageLayer
+              src={variants[activeRight].url}
+              alt={getVariantLabel(activeRight)}
+              view={view}
+              clipPath={`inset(0 0 0 ${sliderPosition}%)`}
+            />
+            <VariantChip label={getChipLabel(activeLeft)} side="left" />
+            <VariantChip label={getChipLabel(activeRight)} side="right" />
+            <Box
+              onPointerDown={handleSliderPointerDown}
+              onPointerMove={handleSliderPointerMove}
+              onPointerUp={handleSliderPointerUp}
+              onPointerCancel={handleSliderPointerUp}
+              sx={{
+                position: 'absolute',
+                top: 0,
+                bottom: 0,
+                left: `${sliderPosition}%`,
+                width: 24,
+                ml: '-12px',
+                cursor: 'ew-resize',
+                display: 'flex',
+                justifyContent: 'center',
+                '&::before': {
+                  content: '""',
+                  width: 2,
+                  height: '100%',
+                  bgcolor: 'common.white',
+                  boxShadow: '0 0 4px rgba(0, 0, 0, 0.5)',
+                  pointerEvents: 'none',
+                },
+              }}
+            />
+          </Viewport>
+        </Box>
+      ) : (
+        <Grid container spacing={1}>
+          {[activeLeft, activeRight].map((key, index) => (
+            <Grid item xs={6} key={`${index}-${key}`}>
+              <Viewport view={view} onViewChange={setView} height={viewportHeight}>
+                <ImageLayer src={variants[key].url} alt={getVariantLabel(key)} view={view} />
+                <VariantChip label={getChipLabel(key)} side="left" />
+              </Viewport>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+      <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+        {__('Scroll to zoom and drag to pan. Both sides stay in sync.', 'flux-media-optimizer')}
+      </Typography>
+
+      {!compact && (
+        <>
+          {settingsChanged && (
+            <Alert severity="info" sx={{ mt: 2 }}>
+              {__('Quality settings have changed since this attachment was converted. Re-convert it to compare against the current settings.', 'flux-media-optimizer')}
+            </Alert>
+          )}
+
+          {/* File details */}
+          <Table size="small" sx={{ mt: 2 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>{__('Format', 'flux-media-optimizer')}</TableCell>
+                <TableCell align="right">{__('File size', 'flux-media-optimizer')}</TableCell>
+                <TableCell align="right">{__('Savings', 'flux-media-optimizer')}</TableCell>
+                <TableCell>{__('Settings used', 'flux-media-optimizer')}</TableCell>
+                <TableCell>{__('Current settings', 'flux-media-optimizer')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {variantKeys.map((key) => {
+                const savings = getSavings(key);
+                return (
+                  <TableRow key={key}>
+                    <TableCell>
+                      <Link href={variants[key].url} target="_blank" rel="noopener noreferrer" underline="hover">
+                        {getVariantLabel(key)}
+                      </Link>
+                    </TableCell>
+                    <TableCell align="right">{formatFileSize(variants[key].filesize, '—')}</TableCell>
+                    <TableCell align="right">
+                      {savings !== null ? (
+                        <Typography variant="body2" color={savings >= 0 ? 'success.main' : 'error.main'}>
+                          {`${savings}%`}
+                        </Typography>
+                      ) : '—'}
+                    </TableCell>
+                    <TableCell>{key === 'original' ? '—' : getQualityLabel(key, settings)}</TableCell>
+                    <TableCell>{key === 'original' ? '—' : getQualityLabel(key, currentSettings)}</TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+          {!settings && (
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+              {__('Settings used are not recorded for conversions made before this version. Re-convert to record them.', 'flux-media-optimizer')}
+            </Typography>
+          )}
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ComparisonViewer;
@@ -0,0 +1,199 @@
+import React from 'react';
+import {
+  Typography,
+  Box,
+  Drawer,
+  IconButton,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Alert,
+  Chip,
+  Skeleton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { Close, ExpandMore } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+import { useAttachmentHistory } from '@flux-media-optimizer/hooks/useConversions';
+import { formatFileSize } from '@flux-media-optimizer/utils/fileSize';
+
+/**
+ * Format a settings snapshot value for display.
+ *
+ * @param {*} value Setting value.
+ * @returns {string} Formatted value.
+ */
+const formatSettingValue = (value) => {
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (typeof value === 'boolean') return value ? __('On', 'flux-media-optimizer') : __('Off', 'flux-media-optimizer');
+  return String(value);
+};
+
+/**
+ * Expanded details of a conversion history entry.
+ */
+const HistoryEntryDetails = ({ entry }) => {
+  const processors = Object.entries(entry.processors || {});
+  const settings = Object.entries(entry.settings || {});
+  const outputs = Object.entries(entry.outputs || {});
+  const formats = [...new Set(outputs.flatMap(([, files]) => Object.keys(files)))];
+
+  return (
+    <Box>
+      {entry.error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {entry.error}
+        </Alert>
+      )}
+
+      {processors.length > 0 && (
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            {__('Processors', 'flux-media-optimizer')}
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {processors.map(([format, processor]) => (
+              <Chip key={format} size="small" label={`${format.toUpperCase()}: ${processor}`} />
+            ))}
+          </Box>
+        </Box>
+      )}
+
+      {settings.length > 0 && (
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            {__('Settings', 'flux-media-optimizer')}
+          </Typography>
+          {settings.map(([key, value]) => (
+            <Typography key={key} variant="body2" color="text.secondary">
+              {key}: {formatSettingValue(value)}
+            </Typography>
+          ))}
+        </Box>
+      )}
+
+      {outputs.length > 0 && (
+        <Box>
+          <Typography variant="subtitle2" gutterBottom>
+            {__('Output', 'flux-media-optimizer')}
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>{__('Size', 'flux-media-optimizer')}</TableCell>
+                {formats.map((format) => (
+                  <TableCell key={format} align="right">{format.toUpperCase()}</TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {outputs.map(([sizeName, files]) => (
+                <TableRow key={sizeName}>
+                  <TableCell>{sizeName === 'full' ? __('Full Size', 'flux-media-optimizer') : sizeName}</TableCell>
+                  {formats.map((format) => (
+                    <TableCell key={format} align="right">{formatFileSize(files[format], '—')}</TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+      )}
+
+      {!entry.error && processors.length === 0 && settings.length === 0 && outputs.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          {__('No details recorded.', 'flux-media-optimizer')}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * Drawer showing the conversion history of an attachment as an expandable timeline.
+ *
+ * Each entry records an attempt with its trigger, user, duration, processors, settings and output sizes.
+ *
+ * @since TBD
+ */
+const ConversionHistoryDrawer = ({ attachmentId, open, onClose }) => {
+  const { data, isLoading, error } = useAttachmentHistory(open ? attachmentId : null);
+  const entries = data?.entries || [];
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: { xs: '100vw', sm: 480 }, p: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', mb: 2 }}>
+          <Box>
+            <Typography variant="h6" component="h2">
+              {__('Conversion History', 'flux-media-optimizer')}
+            </Typography>
+            {data && (
+              <Typography variant="body2" color="text.secondary">
+                {data.title || `#${data.attachment_id}`}
+              </Typography>
+            )}
+          </Box>
+          <IconButton onClick={onClose} aria-label={__('Close', 'flux-media-optimizer')}>
+            <Close />
+          </IconButton>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {__('Error loading conversion history:', 'flux-media-optimizer')} {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          Array.from({ length: 3 }).map((_, index) => (
+            <Skeleton key={index} variant="rectangular" height={56} sx={{ mb: 1, borderRadius: 1 }} />
+          ))
+        ) : entries.length > 0 ? (
+          entries.map((entry, index) => (
+            <Accordion key={`${entry.time}-${index}`} disableGutters>
+              <AccordionSummary expandIcon={<ExpandMore />}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5, width: '100%' }}>
+                  <Chip
+                    size="small"
+                    label={entry.success ? __('Converted', 'flux-media-optimizer') : __('Failed', 'flux-media-optimizer')}
+                    color={entry.success ? 'success' : 'error'}
+                  />
+                  <Box>
+                    <Typography variant="body2">
+                      {new Date(entry.time.replace(' ', 'T')).toLocaleString()}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {[
+                        entry.trigger_label,
+                        entry.user,
+                        entry.duration !== null && entry.duration !== undefined
+                          ? `${Number(entry.duration).toFixed(2)}s`
+                          : null,
+                      ].filter(Boolean).join(' · ')}
+                    </Typography>
+                  </Box>
+                </Box>
+              </AccordionSummary>
+              <AccordionDetails>
+                <HistoryEntryDetails entry={entry} />
+              </AccordionDetails>
+            </Accordion>
+          ))
+        ) : (
+          !error && (
+            <Typography variant="body2" color="text.secondary">
+              {__('No conversions recorded for this attachment yet.', 'flux-media-optimizer')}
+            </Typography>
+          )
+        )}
+      </Box>
+    </Drawer>
+  );
+};
+
+export default ConversionHistoryDrawer;
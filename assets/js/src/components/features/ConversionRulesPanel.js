@@ -0,0 +1,577 @@
+import React, { useState } from 'react';
+import {
+  Typography,
+  Box,
+  Grid,
+  Alert,
+  Button,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Chip,
+  IconButton,
+  Tooltip,
+  Switch,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  TextField,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { Add, ArrowUpward, ArrowDownward, Delete, ExpandMore, PlayArrow } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { useTestConversionRules } from '@flux-media-optimizer/hooks/useOptions';
+
+const RULE_FORMATS = [
+  { value: 'webp', label: 'WebP' },
+  { value: 'avif', label: 'AVIF' },
+  { value: 'av1', label: 'AV1' },
+  { value: 'webm', label: 'WebM' },
+];
+
+const NEW_RULE = {
+  name: '',
+  enabled: true,
+  conditions: {
+    mime_types: [],
+    min_size_kb: 0,
+    max_size_kb: 0,
+    min_width: 0,
+    max_width: 0,
+    min_height: 0,
+    max_height: 0,
+    folder: '',
+    filename: '',
+    post_types: [],
+    taxonomy: '',
+    terms: [],
+  },
+  actions: {
+    skip: false,
+    formats: [],
+    webp_quality: null,
+    avif_quality: null,
+    avif_speed: null,
+    lossless: false,
+  },
+};
+
+/**
+ * Labels of the conditions reported by the rule test.
+ *
+ * @returns {Object} Labels keyed by condition.
+ */
+const getConditionLabels = () => ({
+  mime_types: __('MIME type', 'flux-media-optimizer'),
+  file_size: __('File size', 'flux-media-optimizer'),
+  width: __('Width', 'flux-media-optimizer'),
+  height: __('Height', 'flux-media-optimizer'),
+  folder: __('Folder', 'flux-media-optimizer'),
+  filename: __('Filename', 'flux-media-optimizer'),
+  post_types: __('Parent post type', 'flux-media-optimizer'),
+  taxonomy: __('Taxonomy', 'flux-media-optimizer'),
+});
+
+/**
+ * Text field editing a list as comma separated values, committed on blur so separators can be typed.
+ */
+const ListField = ({ value = [], onChange, ...props }) => {
+  const [text, setText] = useState(value.join(', '));
+
+  const handleBlur = () => {
+    const items = text.split(',').map((item) => item.trim()).filter(Boolean);
+    setText(items.join(', '));
+    onChange(items);
+  };
+
+  return (
+    <TextField
+      {...props}
+      size="small"
+      fullWidth
+      value={text}
+      onChange={(event) => setText(event.target.value)}
+      onBlur={handleBlur}
+    />
+  );
+};
+
+/**
+ * Number field where an empty value falls back to a default.
+ */
+const NumberField = ({ value, onChange, emptyValue = 0, ...props }) => (
+  <TextField
+    {...props}
+    type="number"
+    size="small"
+    fullWidth
+    value={value === null || value === undefined || value === emptyValue ? '' : value}
+    onChange={(event) => {
+      const number = parseInt(event.target.value, 10);
+      onChange(Number.isNaN(number) ? emptyValue : number);
+    }}
+  />
+);
+
+/**
+ * Short summary of the actions of a rule.
+ *
+ * @param {Object} actions Rule actions.
+ * @returns {string[]} Summary items.
+ */
+const summarizeActions = (actions = {}) => {
+  if (actions.skip) return [__('Skip conversion', 'flux-media-optimizer')];
+
+  const items = [];
+  if (actions.formats?.length) items.push(actions.formats.map((format) => format.toUpperCase()).join(' + '));
+  if (actions.lossless) items.push(__('Lossless', 'flux-media-optimizer'));
+  if (actions.webp_quality !== null && actions.webp_quality !== undefined) items.push(`WebP ${actions.webp_quality}`);
+  if (actions.avif_quality !== null && actions.avif_quality !== undefined) items.push(`AVIF ${actions.avif_quality}`);
+  if (actions.avif_speed !== null && actions.avif_speed !== undefined) {
+    items.push(sprintf(
+      /* translators: %d: AVIF encoder speed */
+      __('AVIF speed %d', 'flux-media-optimizer'),
+      actions.avif_speed
+    ));
+  }
+  return items;
+};
+
+/**
+ * Result of testing the rules against an attachment.
+ */
+const RuleTestResult = ({ result }) => {
+  const conditionLabels = getConditionLabels();
+  const facts = result.facts || {};
+  const settings = Object.entries(result.settings || {});
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        {result.title || `#${result.attachment_id}`}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {[
+          facts.mime_type,
+          facts.file_size ? `${(facts.file_size / 1024).toFixed(1)} KB` : null,
+          facts.width && facts.height ? `${facts.width}×${facts.height}` : null,
+          facts.folder ? `${__('Folder:', 'flux-media-optimizer')} ${facts.folder}` : null,
+          facts.filename,
+          facts.parent_post_type ? `${__('Parent:', 'flux-media-optimizer')} ${facts.parent_post_type}` : null,
+          ...Object.entries(facts.terms || {}).map(([taxonomy, terms]) => `${taxonomy}: ${terms.join(', ')}`),
+        ].filter(Boolean).join(' · ')}
+      </Typography>
+
+      <Alert severity={result.rule ? (result.skip ? 'warning' : 'success') : 'info'} sx={{ mb: 2 }}>
+        {result.rule
+          ? sprintf(
+            /* translators: %s: rule name */
+            __('Rule "%s" applies.', 'flux-media-optimizer'),
+            result.rule.name || __('Untitled rule', 'flux-media-optimizer')
+          )
+          : __('No rule applies, the configured settings are used.', 'flux-media-optimizer')}
+        {' '}
+        {result.skip
+          ? __('The attachment is not converted.', 'flux-media-optimizer')
+          : sprintf(
+            /* translators: 1: formats, 2: quality settings */
+            __('Converted to %1$s. %2$s', 'flux-media-optimizer'),
+            (result.formats || []).map((format) => format.toUpperCase()).join(', ') || '—',
+            settings.map(([key, value]) => `${key}: ${value === true ? __('On', 'flux-media-optimizer') : value}`).join(', ')
+          )}
+      </Alert>
+
+      {result.rules?.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>{__('Rule', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Result', 'flux-media-optimizer')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {result.rules.map((rule, index) => (
+              <TableRow key={rule.id || index}>
+                <TableCell>{rule.name || __('Untitled rule', 'flux-media-optimizer')}</TableCell>
+                <TableCell>
+                  {rule.applies && <Chip size="small" color="success" label={__('Applies', 'flux-media-optimizer')} />}
+                  {!rule.applies && !rule.enabled && <Chip size="small" label={__('Disabled', 'flux-media-optimizer')} />}
+                  {!rule.applies && rule.enabled && rule.failed_conditions.length === 0 && (
+                    <Chip size="small" label={__('Matches, but an earlier rule applies', 'flux-media-optimizer')} />
+                  )}
+                  {!rule.applies && rule.enabled && rule.failed_conditions.length > 0 && (
+                    <Typography variant="caption" color="text.secondary">
+                      {__('No match:', 'flux-media-optimizer')} {rule.failed_conditions.map((condition) => conditionLabels[condition] || condition).join(', ')}
+                    </Typography>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * Editor of the ordered conversion rules, with a tool to test them against an attachment.
+ *
+ * The first enabled rule whose conditions all match an attachment sets whether it is
+ * converted, its formats and its quality. Empty conditions match any attachment.
+ *
+ * @since TBD
+ */
+const ConversionRulesPanel = ({ rules = [], onChange, disabled = false }) => {
+  const [expanded, setExpanded] = useState(null);
+  const [testAttachmentId, setTestAttachmentId] = useState('');
+  const testRules = useTestConversionRules();
+
+  const updateRule = (index, changes) => {
+    onChange(rules.map((rule, ruleIndex) => (ruleIndex === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateCondition = (index, key, value) => {
+    updateRule(index, { conditions: { ...NEW_RULE.conditions, ...rules[index].conditions, [key]: value } });
+  };
+
+  const updateAction = (index, key, value) => {
+    updateRule(index, { actions: { ...NEW_RULE.actions, ...rules[index].actions, [key]: value } });
+  };
+
+  const toggleFormat = (index, format) => {
+    const formats = rules[index].actions?.formats || [];
+    updateAction(index, 'formats', formats.includes(format) ? formats.filter((value) => value !== format) : [...formats, format]);
+  };
+
+  const addRule = () => {
+    const id = `rule-${Date.now()}`;
+    onChange([...rules, { ...NEW_RULE, id }]);
+    setExpanded(id);
+  };
+
+  const moveRule = (index, offset) => {
+    const reordered = [...rules];
+    const [rule] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, rule);
+    onChange(reordered);
+  };
+
+  const removeRule = (index) => {
+    onChange(rules.filter((rule, ruleIndex) => ruleIndex !== index));
+  };
+
+  const handleTest = () => {
+    testRules.mutate({ attachmentId: parseInt(testAttachmentId, 10), rules });
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: 2, mb: 2 }}>
+        <Box>
+          <Typography variant="h5" gutterBottom>
+            {__('Conversion Rules', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('Rules are checked in order before converting an attachment. The first enabled rule whose conditions all match sets whether it is converted, its formats and its quality. Empty conditions match any attachment.', 'flux-media-optimizer')}
+          </Typography>
+        </Box>
+        <Button variant="outlined" startIcon={<Add />} onClick={addRule} disabled={disabled} sx={{ flexShrink: 0 }}>
+          {__('Add rule', 'flux-media-optimizer')}
+        </Button>
+      </Box>
+
+      {rules.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {__('No rules yet. For example, add a rule keeping files named *logo* lossless, or one raising the AVIF quality of images attached to products.', 'flux-media-optimizer')}
+        </Typography>
+      )}
+
+      {rules.map((rule, index) => {
+        const conditions = { ...NEW_RULE.conditions, ...rule.conditions };
+        const actions = { ...NEW_RULE.actions, ...rule.actions };
+        const ruleKey = rule.id || index;
+
+        return (
+          <Accordion
+            key={ruleKey}
+            expanded={expanded === ruleKey}
+            onChange={(event, isExpanded) => setExpanded(isExpanded ? ruleKey : null)}
+            disableGutters
+          >
+            <AccordionSummary expandIcon={<ExpandMore />}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, width: '100%', flexWrap: 'wrap' }}>
+                <Switch
+                  size="small"
+                  checked={!!rule.enabled}
+                  disabled={disabled}
+                  onClick={(event) => event.stopPropagation()}
+                  onChange={(event) => updateRule(index, { enabled: event.target.checked })}
+                  inputProps={{ 'aria-label': __('Enable rule', 'flux-media-optimizer') }}
+                />
+                <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                  {index + 1}. {rule.name || __('Untitled rule', 'flux-media-optimizer')}
+                </Typography>
+                {summarizeActions(actions).map((item) => (
+                  <Chip key={item} size="small" label={item} color={actions.skip ? 'warning' : 'default'} />
+                ))}
+                <Box sx={{ ml: 'auto' }} onClick={(event) => event.stopPropagation()}>
+                  <Tooltip title={__('Move up', 'flux-media-optimizer')}>
+                    <span>
+                      <IconButton size="small" onClick={() => moveRule(index, -1)} disabled={disabled || index === 0}>
+                        <ArrowUpward fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title={__('Move down', 'flux-media-optimizer')}>
+                    <span>
+                      <IconButton size="small" onClick={() => moveRule(index, 1)} disabled={disabled || index === rules.length - 1}>
+                        <ArrowDownward fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title={__('Delete rule', 'flux-media-optimizer')}>
+                    <span>
+                      <IconButton size="small" onClick={() => removeRule(index)} disabled={disabled}>
+                        <Delete fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </Box>
+              </Box>
+            </AccordionSummary>
+            <AccordionDetails>
+              <TextField
+                label={__('Name', 'flux-media-optimizer')}
+                size="small"
+                fullWidth
+                value={rule.name || ''}
+                disabled={disabled}
+                onChange={(event) => updateRule(index, { name: event.target.value })}
+                sx={{ mb: 2 }}
+              />
+
+              <Typography variant="subtitle2" gutterBottom>
+                {__('Conditions', 'flux-media-optimizer')}
+              </Typography>
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                <Grid item xs={12} md={6}>
+                  <ListField
+                    label={__('MIME types', 'flux-media-optimizer')}
+                    helperText={__('Comma separated, such as image/png or video/*', 'flux-media-optimizer')}
+                    value={conditions.mime_types}
+                    disabled={disabled}
+                    onChange={(value) => updateCondition(index, 'mime_types', value)}
+                  />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <NumberField
+                    label={__('Min size (KB)', 'flux-media-optimizer')}
+                    value={conditions.min_size_kb}
+                    disabled={disabled}
+                    onChange={(value) => updateCondition(index, 'min_size_kb', value)}
+                  />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <NumberField
+                    label={__('Max size (KB)', 'flux-media-optimizer')}
+                    value={conditions.max_size_kb}
+                    disabled={disabled}
+                    onChange={(value) => updateCondition(index, 'max_size_kb', value)}
+                  />
+                </Grid>
+                {['min_width', 'max_width', 'min_height', 'max_height'].map((key) => (
+                  <Grid item xs={6} md={3} key={key}>
+                    <NumberField
+                      label={{
+                        min_width: __('Min width (px)', 'flux-media-optimizer'),
+                        max_width: __('Max width (px)', 'flux-media-optimizer'),
+                        min_height: __('Min height (px)', 'flux-media-optimizer'),
+                        max_height: __('Max height (px)', 'flux-media-optimizer'),
+                      }[key]}
+                      value={conditions[key]}
+                      disabled={disabled}
+                      onChange={(value) => updateCondition(index, key, value)}
+                    />
+                  </Grid>
+                ))}
+                <Grid item xs={12} md={6}>
+                  <TextField
+                    label={__('Upload folder', 'flux-media-optimizer')}
+                    helperText={__('Relative to the uploads directory, such as logos or 2024/*', 'flux-media-optimizer')}
+                    size="small"
+                    fullWidth
+                    value={conditions.folder}
+                    disabled={disabled}
+                    onChange={(event) => updateCondition(index, 'folder', event.target.value)}
+                  />
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <TextField
+                    label={__('Filename', 'flux-media-optimizer')}
+                    helperText={__('Wildcards allowed, such as *logo*', 'flux-media-optimizer')}
+                    size="small"
+                    fullWidth
+                    value={conditions.filename}
+                    disabled={disabled}
+                    onChange={(event) => updateCondition(index, 'filename', event.target.value)}
+                  />
+                </Grid>
+                <Grid item xs={12} md={4}>
+                  <ListField
+                    label={__('Parent post types', 'flux-media-optimizer')}
+                    helperText={__('Comma separated, such as product', 'flux-media-optimizer')}
+                    value={conditions.post_types}
+                    disabled={disabled}
+                    onChange={(value) => updateCondition(index, 'post_types', value)}
+                  />
+                </Grid>
+                <Grid item xs={12} md={4}>
+                  <TextField
+                    label={__('Taxonomy', 'flux-media-optimizer')}
+                    helperText={__('Such as product_cat', 'flux-media-optimizer')}
+                    size="small"
+                    fullWidth
+                    value={conditions.taxonomy}
+                    disabled={disabled}
+                    onChange={(event) => updateCondition(index, 'taxonomy', event.target.value)}
+                  />
+                </Grid>
+                <Grid item xs={12} md={4}>
+                  <ListField
+                    label={__('Terms', 'flux-media-optimizer')}
+                    helperText={__('Term slugs, any term when empty', 'flux-media-optimizer')}
+                    value={conditions.terms}
+                    disabled={disabled || !conditions.taxonomy}
+                    onChange={(value) => updateCondition(index, 'terms', value)}
+                  />
+                </Grid>
+              </Grid>
+
+              <Typography variant="subtitle2" gutterBottom>
+                {__('Actions', 'flux-media-optimizer')}
+              </Typography>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={actions.skip}
+                    disabled={disabled}
+                    onChange={(event) => updateAction(index, 'skip', event.target.checked)}
+                  />
+                }
+                label={__('Skip conversion', 'flux-media-optimizer')}
+              />
+              {!actions.skip && (
+                <>
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    {__('Formats to produce, the configured formats when none is checked', 'flux-media-optimizer')}
+                  </Typography>
+                  <FormGroup row sx={{ mb: 2 }}>
+                    {RULE_FORMATS.map((format) => (
+                      <FormControlLabel
+                        key={format.value}
+                        control={
+                          <Checkbox
+                            checked={actions.formats.includes(format.value)}
+                            disabled={disabled}
+                            onChange={() => toggleFormat(index, format.value)}
+                          />
+                        }
+                        label={format.label}
+                      />
+                    ))}
+                  </FormGroup>
+                  <Grid container spacing={2}>
+                    <Grid item xs={12} md={4}>
+                      <NumberField
+                        label={__('WebP quality', 'flux-media-optimizer')}
+                        helperText={__('1-100, empty for the setting', 'flux-media-optimizer')}
+                        value={actions.webp_quality}
+                        emptyValue={null}
+                        disabled={disabled || actions.lossless}
+                        onChange={(value) => updateAction(index, 'webp_quality', value)}
+                        inputProps={{ min: 1, max: 100 }}
+                      />
+                    </Grid>
+                    <Grid item xs={12} md={4}>
+                      <NumberField
+                        label={__('AVIF quality', 'flux-media-optimizer')}
+                        helperText={__('1-100, empty for the setting', 'flux-media-optimizer')}
+                        value={actions.avif_quality}
+                        emptyValue={null}
+                        disabled={disabled || actions.lossless}
+                        onChange={(value) => updateAction(index, 'avif_quality', value)}
+                        inputProps={{ min: 1, max: 100 }}
+                      />
+                    </Grid>
+                    <Grid item xs={12} md={4}>
+                      <NumberField
+                        label={__('AVIF speed', 'flux-media-optimizer')}
+                        helperText={__('0-10, empty for the setting', 'flux-media-optimizer')}
+                        value={actions.avif_speed}
+                        emptyValue={null}
+                        disabled={disabled}
+                        onChange={(value) => updateAction(index, 'avif_speed', value)}
+                        inputProps={{ min: 0, max: 10 }}
+                      />
+                    </Grid>
+                  </Grid>
+                  <FormControlLabel
+                    sx={{ mt: 1 }}
+                    control={
+                      <Switch
+                        checked={actions.lossless}
+                        disabled={disabled}
+                        onChange={(event) => updateAction(index, 'lossless', event.target.checked)}
+                      />
+                    }
+                    label={__('Lossless (WebP and AVIF lossless mode)', 'flux-media-optimizer')}
+                  />
+                </>
+              )}
+            </AccordionDetails>
+          </Accordion>
+        );
+      })}
+
+      {/* Rule test tool */}
+      <Box sx={{ mt: 3 }}>
+        <Typography variant="subtitle1" gutterBottom>
+          {__('Test rules against an attachment', 'flux-media-optimizer')}
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField
+            label={__('Attachment ID', 'flux-media-optimizer')}
+            type="number"
+            size="small"
+            value={testAttachmentId}
+            onChange={(event) => setTestAttachmentId(event.target.value)}
+            inputProps={{ min: 1 }}
+          />
+          <Button
+            variant="outlined"
+            startIcon={<PlayArrow />}
+            onClick={handleTest}
+            disabled={!testAttachmentId || testRules.isPending}
+          >
+            {__('Test', 'flux-media-optimizer')}
+          </Button>
+        </Box>
+
+        {testRules.isError && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {testRules.error?.message || __('Failed to test conversion rules', 'flux-media-optimizer')}
+          </Alert>
+        )}
+
+        {testRules.data && <RuleTestResult result={testRules.data} />}
+      </Box>
+    </Box>
+  );
+};
+
+export default ConversionRulesPanel;
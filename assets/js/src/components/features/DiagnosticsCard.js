@@ -0,0 +1,42 @@
+import React from 'react';
+import { Typography, Box, Button, Divider } from '@mui/material';
+import { Download } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+import { apiService } from '@flux-media-optimizer/services/api';
+
+/**
+ * Download of the diagnostics report to share with support.
+ *
+ * @since TBD
+ */
+const DiagnosticsCard = () => {
+  const handleDownload = () => {
+    window.location.href = apiService.getDiagnosticsUrl();
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h5" gutterBottom>
+          {__('Diagnostics', 'flux-media-optimizer')}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {__('One report with the system status, settings, compatibility check, recent errors, queue health and a test encode of each format', 'flux-media-optimizer')}
+        </Typography>
+      </Box>
+      <Divider sx={{ mb: 3 }} />
+
+      <Button variant="outlined" startIcon={<Download />} onClick={handleDownload}>
+        {__('Generate diagnostics', 'flux-media-optimizer')}
+      </Button>
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+        {__('The report downloads as a JSON file after a few seconds. API and license keys are redacted, so it can be attached to a support request.', 'flux-media-optimizer')}
+      </Typography>
+      <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+        {__('From the command line:', 'flux-media-optimizer')} <code>wp flux-media-optimizer diagnostics --file=diagnostics.json</code>
+      </Typography>
+    </Box>
+  );
+};
+
+export default DiagnosticsCard;
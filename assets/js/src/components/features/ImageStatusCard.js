@@ -15,6 +15,8 @@ import {
   Error,
 } from '@mui/icons-material';
 import { __, _x } from '@wordpress/i18n';
+import FormatSupportChip from '../common/FormatSupportChip';
+import { getSelfTestOutcome } from '@flux-media-optimizer/utils/selfTest';
 
 /**
  * Dumb component for displaying image processing status
@@ -150,17 +152,17 @@ const ImageStatusCard = ({ status, loading, error }) => {
                     </Typography>
                     <Grid container spacing={1}>
                       <Grid item>
-                        <Chip
+                        <FormatSupportChip
                           label="WebP"
-                          color={processor.webp_support ? 'success' : 'error'}
-                          size="small"
+                          supported={processor.webp_support}
+                          outcome={getSelfTestOutcome(status.selfTest, processorType, 'webp')}
                         />
                       </Grid>
                       <Grid item>
-                        <Chip
+                        <FormatSupportChip
                           label="AVIF"
-                          color={processor.avif_support ? 'success' : 'error'}
-                          size="small"
+                          supported={processor.avif_support}
+                          outcome={getSelfTestOutcome(status.selfTest, processorType, 'avif')}
                         />
                       </Grid>
                       <Grid item>
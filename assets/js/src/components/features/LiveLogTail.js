@@ -0,0 +1,147 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Box, Typography, Chip, Button, Alert } from '@mui/material';
+import { DeleteSweep } from '@mui/icons-material';
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Get the chip color of a log level.
+ *
+ * @param {string} level Log level.
+ * @returns {string} MUI color.
+ */
+const getLevelColor = (level) => {
+  switch (level) {
+    case 'ERROR':
+    case 'CRITICAL':
+    case 'ALERT':
+    case 'EMERGENCY':
+      return 'error';
+    case 'WARNING':
+      return 'warning';
+    default:
+      return 'default';
+  }
+};
+
+/**
+ * Live tail of log entries streamed by useLogStream.
+ *
+ * Follows new entries by scrolling to the bottom, and stops following while the pointer
+ * is over the list so entries can be read.
+ *
+ * @since TBD
+ * @param {Object}   props            Component props.
+ * @param {Array}    props.entries    Streamed log entries, oldest first.
+ * @param {Error}    props.error      Last polling error, if any.
+ * @param {number}   props.bufferSize Maximum number of entries kept.
+ * @param {Function} props.onClear    Clear the entries.
+ */
+const LiveLogTail = ({ entries, error, bufferSize, onClear }) => {
+  const listRef = useRef(null);
+  const [paused, setPaused] = useState(false);
+  const [pausedAtId, setPausedAtId] = useState(null);
+
+  const lastId = entries.length > 0 ? entries[entries.length - 1].id : null;
+  const newWhilePaused = paused && pausedAtId !== null
+    ? entries.filter(entry => Number(entry.id) > Number(pausedAtId)).length
+    : 0;
+
+  // Follow new entries unless paused
+  useEffect(() => {
+    if (!paused && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [lastId, paused]);
+
+  const handleMouseEnter = () => {
+    setPaused(true);
+    setPausedAtId(lastId);
+  };
+
+  const handleMouseLeave = () => {
+    setPaused(false);
+    setPausedAtId(null);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Box
+            sx={{
+              width: 10,
+              height: 10,
+              borderRadius: '50%',
+              bgcolor: error ? 'error.main' : paused ? 'warning.main' : 'success.main',
+            }}
+          />
+          <Typography variant="body2" color="text.secondary">
+            {paused
+              ? sprintf(
+                /* translators: %d: number of entries received while paused */
+                _n('Paused while hovering, %d new entry', 'Paused while hovering, %d new entries', newWhilePaused, 'flux-media-optimizer'),
+                newWhilePaused
+              )
+              : sprintf(
+                /* translators: 1: number of entries shown, 2: maximum number of entries kept */
+                __('Following new entries (%1$d of the last %2$d kept)', 'flux-media-optimizer'),
+                entries.length,
+                bufferSize
+              )}
+          </Typography>
+        </Box>
+        <Button size="small" startIcon={<DeleteSweep />} onClick={onClear} disabled={entries.length === 0}>
+          {__('Clear', 'flux-media-optimizer')}
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="warning" sx={{ mb: 1 }}>
+          {__('Could not fetch new entries, retrying:', 'flux-media-optimizer')} {error.message}
+        </Alert>
+      )}
+
+      <Box
+        ref={listRef}
+        onMouseEnter={handleMouseEnter}
+        onMouseLeave={handleMouseLeave}
+        sx={{
+          height: 480,
+          overflowY: 'auto',
+          p: 1,
+          border: '1px solid',
+          borderColor: paused ? 'warning.main' : 'divider',
+          borderRadius: 1,
+          bgcolor: 'grey.50',
+          fontFamily: 'monospace',
+          fontSize: '0.8rem',
+        }}
+      >
+        {entries.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ p: 1 }}>
+            {__('Waiting for new log entries…', 'flux-media-optimizer')}
+          </Typography>
+        ) : (
+          entries.map((entry) => (
+            <Box key={entry.id} sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, py: 0.25 }}>
+              <Box component="span" sx={{ color: 'text.secondary', whiteSpace: 'nowrap' }}>
+                {new Date(entry.created_at).toLocaleTimeString()}
+              </Box>
+              <Chip label={entry.level} color={getLevelColor(entry.level)} size="small" sx={{ height: 18, fontSize: '0.7rem' }} />
+              <Box component="span" sx={{ wordBreak: 'break-word' }}>
+                {entry.message}
+                {entry.context && (
+                  <Box component="span" sx={{ color: 'text.secondary', ml: 1 }}>
+                    {JSON.stringify(entry.context)}
+                  </Box>
+                )}
+              </Box>
+            </Box>
+          ))
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default LiveLogTail;
@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  TextField,
+  InputAdornment,
+  Button,
+  Alert,
+  Skeleton,
+} from '@mui/material';
+import { CleaningServices } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { useLogRetention, useRunLogRetention } from '@flux-media-optimizer/hooks/useLogs';
+import { useAutoSaveForm } from '@flux-media-optimizer/hooks/useAutoSaveForm';
+
+/**
+ * Format a UTC date from the server in the browser's locale.
+ *
+ * @param {string|null} value Date as Y-m-d H:i:s in UTC.
+ * @returns {string} Formatted date.
+ */
+const formatUtcDate = (value) => {
+  if (!value) return '—';
+  return new Date(`${value.replace(' ', 'T')}Z`).toLocaleString();
+};
+
+/**
+ * A labelled value of the retention state.
+ */
+const RetentionStat = ({ label, value }) => (
+  <Box>
+    <Typography variant="caption" color="text.secondary" display="block">
+      {label}
+    </Typography>
+    <Typography variant="body2">{value}</Typography>
+  </Box>
+);
+
+/**
+ * Log retention policy with the size of the log and the runs of the retention job.
+ *
+ * The policy is auto-saved; the scheduled job applies it every hour, or immediately
+ * with the Apply now button.
+ *
+ * @since TBD
+ */
+const LogRetentionPanel = () => {
+  const { data: retention, isLoading, error } = useLogRetention();
+  const runRetention = useRunLogRetention();
+  const [policy, setPolicy] = useState({ log_retention_days: '', log_retention_max_rows: '' });
+  const { debouncedSave } = useAutoSaveForm('log_retention', policy);
+
+  const savedDays = retention?.days;
+  const savedMaxRows = retention?.max_rows;
+
+  // Show the saved policy once loaded, and again when a refetch returns a different one
+  useEffect(() => {
+    if (savedDays !== undefined && savedMaxRows !== undefined) {
+      setPolicy({ log_retention_days: savedDays, log_retention_max_rows: savedMaxRows });
+    }
+  }, [savedDays, savedMaxRows]);
+
+  const handlePolicyChange = (key) => (event) => {
+    const value = event.target.value === '' ? '' : Math.max(0, parseInt(event.target.value, 10) || 0);
+    const newPolicy = { ...policy, [key]: value };
+    setPolicy(newPolicy);
+
+    if (value !== '') {
+      debouncedSave(newPolicy);
+    }
+  };
+
+  const lastRun = retention?.last_run;
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" gutterBottom>
+        {__('Retention', 'flux-media-optimizer')}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {__('Older entries and entries beyond the maximum count are deleted every hour. Use 0 to keep entries regardless of age or count.', 'flux-media-optimizer')}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {__('Error loading log retention:', 'flux-media-optimizer')} {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={__('Keep entries for', 'flux-media-optimizer')}
+            value={policy.log_retention_days}
+            onChange={handlePolicyChange('log_retention_days')}
+            disabled={isLoading}
+            InputProps={{ endAdornment: <InputAdornment position="end">{__('days', 'flux-media-optimizer')}</InputAdornment> }}
+            inputProps={{ min: 0, max: 3650 }}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={__('Keep at most', 'flux-media-optimizer')}
+            value={policy.log_retention_max_rows}
+            onChange={handlePolicyChange('log_retention_max_rows')}
+            disabled={isLoading}
+            InputProps={{ endAdornment: <InputAdornment position="end">{__('entries', 'flux-media-optimizer')}</InputAdornment> }}
+            inputProps={{ min: 0, step: 1000 }}
+          />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Button
+            variant="outlined"
+            size="small"
+            startIcon={<CleaningServices />}
+            onClick={() => runRetention.mutate()}
+            disabled={isLoading || runRetention.isPending}
+          >
+            {runRetention.isPending ? __('Applying…', 'flux-media-optimizer') : __('Apply now', 'flux-media-optimizer')}
+          </Button>
+        </Grid>
+      </Grid>
+
+      {runRetention.error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {__('Failed to apply log retention:', 'flux-media-optimizer')} {runRetention.error.message}
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <Skeleton variant="text" width="60%" />
+      ) : retention && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+          <RetentionStat
+            label={__('Entries', 'flux-media-optimizer')}
+            value={retention.stats.total.toLocaleString()}
+          />
+          <RetentionStat
+            label={__('Oldest entry', 'flux-media-optimizer')}
+            value={formatUtcDate(retention.stats.oldest)}
+          />
+          <RetentionStat
+            label={__('Last run', 'flux-media-optimizer')}
+            value={lastRun
+              ? sprintf(
+                /* translators: 1: date of the last run, 2: entries deleted by age, 3: entries deleted by count */
+                __('%1$s, deleted %2$d old and %3$d excess entries', 'flux-media-optimizer'),
+                formatUtcDate(lastRun.ran_at),
+                lastRun.deleted_by_age,
+                lastRun.deleted_by_count
+              )
+              : __('Never', 'flux-media-optimizer')}
+          />
+          <RetentionStat
+            label={__('Next run', 'flux-media-optimizer')}
+            value={retention.next_run ? formatUtcDate(retention.next_run) : __('Not scheduled', 'flux-media-optimizer')}
+          />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default LogRetentionPanel;
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Typography,
+  Box,
+  Grid,
+  Alert,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButtonGroup,
+  ToggleButton,
+  LinearProgress,
+  Stack,
+} from '@mui/material';
+import { __, sprintf } from '@wordpress/i18n';
+import { useConversionPreview } from '@flux-media-optimizer/hooks/useConversions';
+import { useRecentConversions } from '@flux-media-optimizer/hooks/useConversionStats';
+import { scoreConvertedImages, getSsimRating } from '@flux-media-optimizer/utils/imageQuality';
+import { formatFileSize } from '@flux-media-optimizer/utils/fileSize';
+import ComparisonViewer from './ComparisonViewer';
+
+// Wait for the slider to settle before converting a new preview
+const PREVIEW_DEBOUNCE_MS = 600;
+
+/**
+ * Live preview of image quality settings on a sample attachment.
+ *
+ * While a sample is selected, slider changes are converted on a temporary copy of the
+ * sample and shown against the original, and are only saved when applied.
+ *
+ * @since TBD
+ */
+const QualityPreviewPanel = ({
+  settings,
+  formats = [],
+  attachmentId,
+  onAttachmentChange,
+  hasPendingChanges = false,
+  onApply,
+  onDiscard,
+}) => {
+  const [format, setFormat] = useState(formats[0] || 'webp');
+  const [preview, setPreview] = useState(null);
+  const [score, setScore] = useState(null);
+  const conversionPreview = useConversionPreview();
+  // mutate keeps its identity across renders, unlike the mutation result
+  const { mutate: previewConversion } = conversionPreview;
+  const { data: recentConversions } = useRecentConversions(25);
+  const requestRef = useRef(0);
+
+  const recentImages = (recentConversions || []).filter((item) => item.mime_type?.startsWith('image/'));
+  const activeFormat = formats.includes(format) ? format : formats[0];
+
+  const webpQuality = settings?.image_webp_quality;
+  const avifQuality = settings?.image_avif_quality;
+  const avifSpeed = settings?.image_avif_speed;
+
+  // Convert a new preview whenever the sample, format or slider values settle
+  useEffect(() => {
+    if (!attachmentId || !activeFormat) return undefined;
+
+    const timer = setTimeout(() => {
+      const requestId = ++requestRef.current;
+      setScore(null);
+
+      previewConversion({
+        attachmentId,
+        format: activeFormat,
+        webp_quality: webpQuality,
+        avif_quality: avifQuality,
+        avif_speed: avifSpeed,
+      }, {
+        onSuccess: async (data) => {
+          // Ignore responses for settings that have since changed
+          if (requestId !== requestRef.current) return;
+          setPreview(data);
+
+          try {
+            const scores = await scoreConvertedImages(data.original.url, { [data.format]: data.preview.url });
+            if (requestId === requestRef.current) {
+              setScore(scores[data.format]);
+            }
+          } catch (error) {
+            console.error('Failed to score preview:', error);
+          }
+        },
+      });
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [attachmentId, activeFormat, webpQuality, avifQuality, avifSpeed, previewConversion]);
+
+  const handleAttachmentChange = (event) => {
+    setPreview(null);
+    setScore(null);
+    onAttachmentChange(event.target.value || null);
+  };
+
+  const previewSizes = preview ? {
+    [preview.size]: {
+      width: preview.width,
+      height: preview.height,
+      original: preview.original,
+      formats: { [preview.format]: preview.preview },
+    },
+  } : null;
+
+  const rating = score ? getSsimRating(score.ssim) : null;
+
+  return (
+    <Box>
+      <Typography variant="h5" gutterBottom>
+        {__('Quality Preview', 'flux-media-optimizer')}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {__('Pick a sample image to preview the quality sliders before saving them. While a sample is selected, slider changes are only saved when you apply them.', 'flux-media-optimizer')}
+      </Typography>
+
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Grid item>
+          <FormControl size="small" sx={{ minWidth: 260 }}>
+            <InputLabel>{__('Sample image', 'flux-media-optimizer')}</InputLabel>
+            <Select
+              value={attachmentId || ''}
+              label={__('Sample image', 'flux-media-optimizer')}
+              onChange={handleAttachmentChange}
+            >
+              <MenuItem value="">
+                <em>{__('None (save changes immediately)', 'flux-media-optimizer')}</em>
+              </MenuItem>
+              {recentImages.map((item) => (
+                <MenuItem key={item.attachment_id} value={item.attachment_id}>
+                  {item.title || `#${item.attachment_id}`}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        {formats.length > 1 && (
+          <Grid item>
+            <ToggleButtonGroup
+              value={activeFormat}
+              exclusive
+              size="small"
+              onChange={(event, value) => value && setFormat(value)}
+              aria-label={__('Preview format', 'flux-media-optimizer')}
+            >
+              {formats.map((value) => (
+                <ToggleButton key={value} value={value}>
+                  {value.toUpperCase()}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          </Grid>
+        )}
+        {hasPendingChanges && (
+          <Grid item sx={{ ml: 'auto' }}>
+            <Stack direction="row" spacing={1}>
+              <Button variant="outlined" onClick={onDiscard}>
+                {__('Discard', 'flux-media-optimizer')}
+              </Button>
+              <Button variant="contained" onClick={onApply}>
+                {__('Apply settings', 'flux-media-optimizer')}
+              </Button>
+            </Stack>
+          </Grid>
+        )}
+      </Grid>
+
+      {formats.length === 0 && (
+        <Alert severity="info">
+          {__('Enable WebP or AVIF conversion to preview quality settings.', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {recentConversions && recentImages.length === 0 && (
+        <Alert severity="info">
+          {__('Convert at least one image to use it as a preview sample.', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {hasPendingChanges && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {__('You have unsaved quality changes. Apply them to use them for new conversions.', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {attachmentId && conversionPreview.isPending && <LinearProgress sx={{ mb: 2 }} />}
+
+      {attachmentId && conversionPreview.isError && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {conversionPreview.error?.message || __('Failed to preview conversion', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {attachmentId && previewSizes && (
+        <Box>
+          <Grid container spacing={3} sx={{ mb: 2 }}>
+            <Grid item xs={6} md={3}>
+              <Typography variant="h6">{formatFileSize(preview.original.filesize)}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {__('Original Size', 'flux-media-optimizer')}
+              </Typography>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <Typography variant="h6">{formatFileSize(preview.preview.filesize)}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {sprintf(__('%s Size', 'flux-media-optimizer'), preview.format.toUpperCase())}
+              </Typography>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <Typography variant="h6" color={preview.savings_percentage >= 0 ? 'success.main' : 'error.main'}>
+                {preview.savings_percentage}%
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {sprintf(__('Saved, encoded in %ss', 'flux-media-optimizer'), preview.duration)}
+              </Typography>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <Typography variant="h6" color={rating ? `${rating.color}.main` : 'text.primary'}>
+                {score ? score.ssim.toFixed(4) : '—'}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {score
+                  ? sprintf(__('SSIM, %1$s dB PSNR (%2$s)', 'flux-media-optimizer'), score.psnr.toFixed(1), rating.label)
+                  : __('SSIM', 'flux-media-optimizer')}
+              </Typography>
+            </Grid>
+          </Grid>
+          <ComparisonViewer key={preview.size} sizes={previewSizes} compact />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default QualityPreviewPanel;
@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import {
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  Button,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  Tooltip,
+} from '@mui/material';
+import { Insights, Whatshot } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { useSaveQualityScores } from '@flux-media-optimizer/hooks/useConversions';
+import { scoreConvertedImages, getSsimRating } from '@flux-media-optimizer/utils/imageQuality';
+
+/**
+ * Card for computing SSIM/PSNR scores of an attachment's converted formats in the browser.
+ *
+ * Scores are computed for the full size and saved so they can be aggregated on the Overview page.
+ *
+ * @since TBD
+ */
+const QualityScoreCard = ({ attachmentId, sizes = {}, savedScores }) => {
+  const [results, setResults] = useState(null);
+  const [scoring, setScoring] = useState(false);
+  const [scoredFormats, setScoredFormats] = useState(0);
+  const [scoreError, setScoreError] = useState(null);
+  const [heatmapFormat, setHeatmapFormat] = useState(null);
+  const saveQualityScores = useSaveQualityScores();
+
+  const sizeName = sizes.full ? 'full' : Object.keys(sizes)[0];
+  const size = sizes[sizeName];
+  const formats = size ? Object.keys(size.formats || {}) : [];
+
+  // Freshly computed scores take precedence over the ones saved on the attachment
+  const scores = results || savedScores?.formats || {};
+
+  const handleScore = async () => {
+    setScoring(true);
+    setScoredFormats(0);
+    setScoreError(null);
+    setHeatmapFormat(null);
+
+    try {
+      const convertedUrls = Object.fromEntries(formats.map((format) => [format, size.formats[format].url]));
+      const computed = await scoreConvertedImages(size.original.url, convertedUrls, {
+        onProgress: () => setScoredFormats((count) => count + 1),
+      });
+      setResults(computed);
+
+      saveQualityScores.mutate({
+        attachmentId,
+        size: sizeName,
+        scores: Object.fromEntries(
+          Object.entries(computed).map(([format, { ssim, psnr }]) => [format, { ssim, psnr }])
+        ),
+      });
+    } catch (error) {
+      setScoreError(error?.message || __('Failed to compute quality scores', 'flux-media-optimizer'));
+    } finally {
+      setScoring(false);
+    }
+  };
+
+  if (!size || formats.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+        <Box>
+          <Typography variant="h6" component="h3">
+            {__('Perceptual Quality', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('SSIM and PSNR computed in your browser by comparing each converted format against the original pixels.', 'flux-media-optimizer')}
+          </Typography>
+        </Box>
+        <Button
+          variant="outlined"
+          startIcon={<Insights />}
+          onClick={handleScore}
+          disabled={scoring}
+        >
+          {Object.keys(scores).length > 0
+            ? __('Recompute scores', 'flux-media-optimizer')
+            : __('Compute scores', 'flux-media-optimizer')}
+        </Button>
+      </Box>
+
+      {scoring && (
+        <LinearProgress
+          variant="determinate"
+          value={(scoredFormats / formats.length) * 100}
+          sx={{ my: 2 }}
+        />
+      )}
+
+      {scoreError && (
+        <Alert severity="error" sx={{ my: 2 }} onClose={() => setScoreError(null)}>
+          {scoreError}
+        </Alert>
+      )}
+
+      {saveQualityScores.isError && (
+        <Alert severity="warning" sx={{ my: 2 }}>
+          {__('Scores were computed but could not be saved:', 'flux-media-optimizer')} {saveQualityScores.error?.message}
+        </Alert>
+      )}
+
+      {Object.keys(scores).length > 0 ? (
+        <Table size="small" sx={{ mt: 1 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>{__('Format', 'flux-media-optimizer')}</TableCell>
+              <TableCell align="right">{__('SSIM', 'flux-media-optimizer')}</TableCell>
+              <TableCell align="right">{__('PSNR', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Rating', 'flux-media-optimizer')}</TableCell>
+              <TableCell align="right">{__('Heatmap', 'flux-media-optimizer')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {Object.entries(scores).map(([format, score]) => {
+              const rating = getSsimRating(score.ssim);
+              const quality = score.quality ?? saveQualityScores.data?.formats?.[format]?.quality;
+              return (
+                <TableRow key={format}>
+                  <TableCell>
+                    {format.toUpperCase()}
+                    {quality !== undefined && quality !== null && (
+                      <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                        {sprintf(__('quality %d', 'flux-media-optimizer'), quality)}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{Number(score.ssim).toFixed(4)}</TableCell>
+                  <TableCell align="right">{`${Number(score.psnr).toFixed(2)} dB`}</TableCell>
+                  <TableCell>
+                    <Chip label={rating.label} color={rating.color} size="small" />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title={score.heatmap ? __('Show distortion heatmap', 'flux-media-optimizer') : __('Recompute scores to view the heatmap', 'flux-media-optimizer')}>
+                      <span>
+                        <ToggleButton
+                          value={format}
+                          size="small"
+                          selected={heatmapFormat === format}
+                          disabled={!score.heatmap}
+                          onChange={() => setHeatmapFormat(heatmapFormat === format ? null : format)}
+                        >
+                          <Whatshot fontSize="small" />
+                        </ToggleButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      ) : (
+        !scoring && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            {__('This attachment has not been scored yet.', 'flux-media-optimizer')}
+          </Typography>
+        )
+      )}
+
+      {savedScores?.scored_at && !results && (
+        <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+          {sprintf(__('Scored %s', 'flux-media-optimizer'), savedScores.scored_at)}
+        </Typography>
+      )}
+
+      {heatmapFormat && scores[heatmapFormat]?.heatmap && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            {sprintf(__('%s distortion heatmap: green areas match the original, red areas differ the most.', 'flux-media-optimizer'), heatmapFormat.toUpperCase())}
+          </Typography>
+          <Box sx={{ position: 'relative', maxWidth: '100%', display: 'inline-block' }}>
+            <Box
+              component="img"
+              src={size.original.url}
+              alt={__('Original', 'flux-media-optimizer')}
+              sx={{ display: 'block', maxWidth: '100%', maxHeight: 480 }}
+            />
+            <Box
+              component="img"
+              src={scores[heatmapFormat].heatmap}
+              alt={__('Distortion heatmap', 'flux-media-optimizer')}
+              sx={{
+                position: 'absolute',
+                inset: 0,
+                width: '100%',
+                height: '100%',
+                opacity: 0.6,
+                mixBlendMode: 'multiply',
+                imageRendering: 'pixelated',
+              }}
+            />
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default QualityScoreCard;
@@ -0,0 +1,363 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Grid,
+  Alert,
+  Skeleton,
+  TextField,
+  ToggleButtonGroup,
+  ToggleButton,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tooltip,
+  Button,
+  ButtonGroup,
+} from '@mui/material';
+import { CompareArrows, Download } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { useConversionStats } from '@flux-media-optimizer/hooks/useConversionStats';
+import { apiService } from '@flux-media-optimizer/services/api';
+import { formatFileSize } from '@flux-media-optimizer/utils/fileSize';
+import BarChart from '../common/BarChart';
+
+// Range shown when the section first loads
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Format a date as Y-m-d in the browser's timezone.
+ *
+ * @param {Date} date Date to format.
+ * @returns {string} Formatted date.
+ */
+const toDateInput = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Breakdown table of savings keyed by format or MIME type.
+ *
+ * @param {Object} props
+ * @param {string} props.title     Table heading.
+ * @param {string} props.keyLabel  Column label for the row keys.
+ * @param {Object} props.breakdown Savings rows keyed by format or MIME type.
+ * @param {number} props.total     Total savings in the range, used for the share bars.
+ */
+const SavingsBreakdown = ({ title, keyLabel, breakdown, total }) => (
+  <Box sx={{ p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1, height: '100%' }}>
+    <Typography variant="h6" gutterBottom>
+      {title}
+    </Typography>
+    {Object.keys(breakdown).length === 0 ? (
+      <Typography variant="body2" color="text.secondary">
+        {__('No conversions in this range.', 'flux-media-optimizer')}
+      </Typography>
+    ) : (
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>{keyLabel}</TableCell>
+            <TableCell align="right">{__('Files', 'flux-media-optimizer')}</TableCell>
+            <TableCell align="right">{__('Saved', 'flux-media-optimizer')}</TableCell>
+            <TableCell sx={{ width: '35%' }}>{__('Share of savings', 'flux-media-optimizer')}</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {Object.entries(breakdown).map(([key, row]) => (
+            <TableRow key={key}>
+              <TableCell>{key}</TableCell>
+              <TableCell align="right">{row.count}</TableCell>
+              <TableCell align="right">
+                {formatFileSize(row.total_savings_bytes)}
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {row.savings_percentage}%
+                </Typography>
+              </TableCell>
+              <TableCell>
+                <LinearProgress
+                  variant="determinate"
+                  value={total > 0 ? Math.max(0, Math.min(100, (row.total_savings_bytes / total) * 100)) : 0}
+                  sx={{ height: 8, borderRadius: 1 }}
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    )}
+  </Box>
+);
+
+/**
+ * Savings analytics for a date range.
+ *
+ * Shows savings over time, successful vs failed conversions, breakdowns by output
+ * format and source MIME type, and the attachments with the largest savings. The
+ * selected range can be downloaded as a CSV or JSON report.
+ *
+ * @since TBD
+ */
+const SavingsAnalytics = () => {
+  const navigate = useNavigate();
+  const [dateTo, setDateTo] = useState(() => toDateInput(new Date()));
+  const [dateFrom, setDateFrom] = useState(() => {
+    const date = new Date();
+    date.setDate(date.getDate() - (DEFAULT_RANGE_DAYS - 1));
+    return toDateInput(date);
+  });
+  const [groupBy, setGroupBy] = useState('day');
+
+  const { data, isLoading, error } = useConversionStats({
+    date_from: dateFrom,
+    date_to: dateTo,
+    group_by: groupBy,
+  });
+  const analytics = data?.analytics;
+
+  const handleExport = (format) => {
+    window.location.href = apiService.getConversionExportUrl({
+      format,
+      date_from: dateFrom,
+      date_to: dateTo,
+      group_by: groupBy,
+    });
+  };
+
+  const savingsSeries = [
+    { key: 'saved', label: __('Saved', 'flux-media-optimizer'), color: 'success.main' },
+    { key: 'converted', label: __('Converted size', 'flux-media-optimizer'), color: 'primary.light' },
+  ];
+
+  const outcomeSeries = [
+    { key: 'successful', label: __('Successful', 'flux-media-optimizer'), color: 'success.main' },
+    { key: 'failed', label: __('Failed', 'flux-media-optimizer'), color: 'error.main' },
+  ];
+
+  const savingsData = (analytics?.time_series || []).map((period) => ({
+    label: period.period,
+    values: { saved: period.total_savings_bytes, converted: period.total_converted_bytes },
+  }));
+
+  const outcomeData = (analytics?.time_series || []).map((period) => ({
+    label: period.period,
+    values: { successful: period.attachments, failed: period.failed },
+  }));
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Grid container justifyContent="space-between" alignItems="center" spacing={2} sx={{ mb: 2 }}>
+        <Grid item>
+          <Typography variant="h5" component="h2">
+            {__('Savings Analytics', 'flux-media-optimizer')}
+          </Typography>
+        </Grid>
+        <Grid item>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+            <TextField
+              type="date"
+              size="small"
+              label={__('From', 'flux-media-optimizer')}
+              value={dateFrom}
+              onChange={(event) => event.target.value && setDateFrom(event.target.value)}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ max: dateTo }}
+            />
+            <TextField
+              type="date"
+              size="small"
+              label={__('To', 'flux-media-optimizer')}
+              value={dateTo}
+              onChange={(event) => event.target.value && setDateTo(event.target.value)}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ min: dateFrom }}
+            />
+            <ToggleButtonGroup
+              value={groupBy}
+              exclusive
+              size="small"
+              onChange={(event, value) => value && setGroupBy(value)}
+              aria-label={__('Group by', 'flux-media-optimizer')}
+            >
+              <ToggleButton value="day">{__('Daily', 'flux-media-optimizer')}</ToggleButton>
+              <ToggleButton value="week">{__('Weekly', 'flux-media-optimizer')}</ToggleButton>
+            </ToggleButtonGroup>
+            <Tooltip title={__('Download every conversion and failure in this range', 'flux-media-optimizer')}>
+              <ButtonGroup variant="outlined" size="small">
+                <Button startIcon={<Download />} onClick={() => handleExport('csv')}>
+                  {__('CSV', 'flux-media-optimizer')}
+                </Button>
+                <Button onClick={() => handleExport('json')}>
+                  {__('JSON', 'flux-media-optimizer')}
+                </Button>
+              </ButtonGroup>
+            </Tooltip>
+          </Box>
+        </Grid>
+      </Grid>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {__('Error loading savings analytics:', 'flux-media-optimizer')} {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {isLoading && <Skeleton variant="rectangular" height={320} sx={{ borderRadius: 1 }} />}
+
+      {analytics && (
+        <Box>
+          {analytics.range.group_by !== groupBy && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              {__('Ranges longer than a year are grouped by week.', 'flux-media-optimizer')}
+            </Alert>
+          )}
+
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            <Grid item xs={12} sm={6} md={3}>
+              <Box sx={{ textAlign: 'center', p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                <Typography variant="h6" color="success.main">
+                  {formatFileSize(analytics.totals.total_savings_bytes)}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {sprintf(__('Saved (%s%%)', 'flux-media-optimizer'), analytics.totals.savings_percentage)}
+                </Typography>
+              </Box>
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <Box sx={{ textAlign: 'center', p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                <Typography variant="h6">
+                  {analytics.totals.count}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {__('Files Created', 'flux-media-optimizer')}
+                </Typography>
+              </Box>
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <Box sx={{ textAlign: 'center', p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                <Typography variant="h6">
+                  {analytics.totals.attachments}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {__('Attachments Converted', 'flux-media-optimizer')}
+                </Typography>
+              </Box>
+            </Grid>
+            <Grid item xs={12} sm={6} md={3}>
+              <Box sx={{ textAlign: 'center', p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                <Typography variant="h6" color={analytics.totals.failed > 0 ? 'error.main' : 'text.primary'}>
+                  {analytics.totals.failed}
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {__('Failed Conversions', 'flux-media-optimizer')}
+                </Typography>
+              </Box>
+            </Grid>
+          </Grid>
+
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            <Grid item xs={12} md={7}>
+              <Box sx={{ p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                <Typography variant="h6" gutterBottom>
+                  {__('Savings Over Time', 'flux-media-optimizer')}
+                </Typography>
+                <BarChart data={savingsData} series={savingsSeries} formatValue={formatFileSize} />
+              </Box>
+            </Grid>
+            <Grid item xs={12} md={5}>
+              <Box sx={{ p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                <Typography variant="h6" gutterBottom>
+                  {__('Successful vs Failed', 'flux-media-optimizer')}
+                </Typography>
+                <BarChart data={outcomeData} series={outcomeSeries} />
+              </Box>
+            </Grid>
+          </Grid>
+
+          <Grid container spacing={3} sx={{ mb: 3 }}>
+            <Grid item xs={12} md={6}>
+              <SavingsBreakdown
+                title={__('By Output Format', 'flux-media-optimizer')}
+                keyLabel={__('Format', 'flux-media-optimizer')}
+                breakdown={Object.fromEntries(
+                  Object.entries(analytics.by_format).map(([format, row]) => [format.toUpperCase(), row])
+                )}
+                total={analytics.totals.total_savings_bytes}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <SavingsBreakdown
+                title={__('By Source Type', 'flux-media-optimizer')}
+                keyLabel={__('MIME Type', 'flux-media-optimizer')}
+                breakdown={analytics.by_mime}
+                total={analytics.totals.total_savings_bytes}
+              />
+            </Grid>
+          </Grid>
+
+          <Box sx={{ p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+            <Typography variant="h6" gutterBottom>
+              {__('Largest Savings', 'flux-media-optimizer')}
+            </Typography>
+            {analytics.top_savings.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                {__('No conversions in this range.', 'flux-media-optimizer')}
+              </Typography>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>{__('Attachment', 'flux-media-optimizer')}</TableCell>
+                    <TableCell>{__('Formats', 'flux-media-optimizer')}</TableCell>
+                    <TableCell align="right">{__('Original', 'flux-media-optimizer')}</TableCell>
+                    <TableCell align="right">{__('Converted', 'flux-media-optimizer')}</TableCell>
+                    <TableCell align="right">{__('Saved', 'flux-media-optimizer')}</TableCell>
+                    <TableCell align="right" />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {analytics.top_savings.map((row) => (
+                    <TableRow key={row.attachment_id}>
+                      <TableCell>
+                        {row.title || `#${row.attachment_id}`}
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {row.mime_type}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>{row.formats.map((format) => format.toUpperCase()).join(', ')}</TableCell>
+                      <TableCell align="right">{formatFileSize(row.total_original_bytes)}</TableCell>
+                      <TableCell align="right">{formatFileSize(row.total_converted_bytes)}</TableCell>
+                      <TableCell align="right">
+                        {formatFileSize(row.total_savings_bytes)}
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {row.savings_percentage}%
+                        </Typography>
+                      </TableCell>
+                      <TableCell align="right">
+                        {row.mime_type?.startsWith('image/') && (
+                          <Tooltip title={__('Compare', 'flux-media-optimizer')}>
+                            <IconButton size="small" onClick={() => navigate(`/compare/${row.attachment_id}`)}>
+                              <CompareArrows fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Box>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default SavingsAnalytics;
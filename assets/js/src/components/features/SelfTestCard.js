@@ -0,0 +1,169 @@
+import React from 'react';
+import {
+  Typography,
+  Box,
+  Button,
+  Divider,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+} from '@mui/material';
+import { PlayArrow } from '@mui/icons-material';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { useRunSelfTest } from '@flux-media-optimizer/hooks/useSystemStatus';
+import { formatFileSize } from '@flux-media-optimizer/utils/fileSize';
+
+const PROCESSOR_LABELS = {
+  gd: 'GD',
+  imagick: 'Imagick',
+  ffmpeg: 'FFmpeg',
+};
+
+const FORMAT_LABELS = {
+  webp: 'WebP',
+  avif: 'AVIF',
+  av1: 'AV1',
+  webm: 'WebM',
+};
+
+/**
+ * Chip of the outcome of a test encode.
+ */
+const ResultChip = ({ result }) => {
+  switch (result.status) {
+    case 'passed':
+      return <Chip label={__('Passed', 'flux-media-optimizer')} color="success" size="small" />;
+    case 'failed':
+      return (
+        <Tooltip title={result.error || ''} arrow>
+          <Chip label={__('Failed', 'flux-media-optimizer')} color="error" size="small" />
+        </Tooltip>
+      );
+    case 'unsupported':
+      return <Chip label={__('Not supported', 'flux-media-optimizer')} size="small" variant="outlined" />;
+    default:
+      return <Chip label={__('Not available', 'flux-media-optimizer')} size="small" variant="outlined" />;
+  }
+};
+
+/**
+ * Self-test encoding the bundled sample images and clip with every processor to every
+ * format, with the pass/fail, time and output size of each encode.
+ *
+ * Formats that fail with the processor converting to them are disabled in Settings.
+ *
+ * @since TBD
+ * @param {Object} props          Component props.
+ * @param {Object} props.selfTest Last self-test run of the system status, null if it never ran.
+ */
+const SelfTestCard = ({ selfTest }) => {
+  const runSelfTest = useRunSelfTest();
+  const run = runSelfTest.data || selfTest;
+
+  const failed = (run?.results || []).filter((result) => result.status === 'failed').length;
+  const unusableFormats = Object.entries(run?.formats || {})
+    .filter(([, usable]) => !usable)
+    .map(([format]) => FORMAT_LABELS[format] || format);
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h5" gutterBottom>
+          {__('Self-Test', 'flux-media-optimizer')}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          {__('Encodes sample images and a short clip with GD, Imagick and FFmpeg to every format they report, since a processor may list a format it cannot encode', 'flux-media-optimizer')}
+        </Typography>
+      </Box>
+      <Divider sx={{ mb: 3 }} />
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <Button
+          variant="outlined"
+          startIcon={<PlayArrow />}
+          onClick={() => runSelfTest.mutate()}
+          disabled={runSelfTest.isPending}
+        >
+          {runSelfTest.isPending ? __('Running…', 'flux-media-optimizer') : __('Run self-test', 'flux-media-optimizer')}
+        </Button>
+        <Typography variant="body2" color="text.secondary">
+          {run
+            ? sprintf(
+              /* translators: %s: date of the last self-test run */
+              __('Last run %s', 'flux-media-optimizer'),
+              new Date(`${run.ran_at.replace(' ', 'T')}Z`).toLocaleString()
+            )
+            : __('Not run yet', 'flux-media-optimizer')}
+        </Typography>
+      </Box>
+
+      {runSelfTest.error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {__('Failed to run self-test:', 'flux-media-optimizer')} {runSelfTest.error.message}
+        </Alert>
+      )}
+
+      {run && failed > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {sprintf(
+            /* translators: %d: number of failed test encodes */
+            _n('%d test encode failed.', '%d test encodes failed.', failed, 'flux-media-optimizer'),
+            failed
+          )}{' '}
+          {unusableFormats.length > 0 && sprintf(
+            /* translators: %s: list of formats */
+            __('Disabled in Settings: %s.', 'flux-media-optimizer'),
+            unusableFormats.join(', ')
+          )}
+        </Alert>
+      )}
+
+      {run && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>{__('Processor', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Format', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Sample', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Result', 'flux-media-optimizer')}</TableCell>
+              <TableCell align="right">{__('Time', 'flux-media-optimizer')}</TableCell>
+              <TableCell align="right">{__('Output size', 'flux-media-optimizer')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {run.results.map((result) => (
+              <TableRow key={`${result.processor}-${result.format}-${result.sample}`}>
+                <TableCell>{PROCESSOR_LABELS[result.processor] || result.processor}</TableCell>
+                <TableCell>{FORMAT_LABELS[result.format] || result.format}</TableCell>
+                <TableCell>{result.sample}</TableCell>
+                <TableCell><ResultChip result={result} /></TableCell>
+                <TableCell align="right">
+                  {result.duration_ms !== null ? `${result.duration_ms} ms` : '—'}
+                </TableCell>
+                <TableCell align="right">
+                  {formatFileSize(result.bytes, '—')}
+                  {result.bytes && result.source_bytes ? (
+                    <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                      {sprintf(
+                        /* translators: %s: output size as a percentage of the sample size */
+                        __('(%s%% of sample)', 'flux-media-optimizer'),
+                        Math.round((result.bytes / result.source_bytes) * 100)
+                      )}
+                    </Typography>
+                  ) : null}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default SelfTestCard;
@@ -14,6 +14,8 @@ import {
   Error,
 } from '@mui/icons-material';
 import { __, _x } from '@wordpress/i18n';
+import FormatSupportChip from '../common/FormatSupportChip';
+import { getSelfTestOutcome } from '@flux-media-optimizer/utils/selfTest';
 
 /**
  * Dumb component for displaying video processing status
@@ -137,17 +139,17 @@ const VideoStatusCard = ({ status, loading, error }) => {
                     </Typography>
                     <Grid container spacing={1}>
                       <Grid item>
-                        <Chip
+                        <FormatSupportChip
                           label="AV1"
-                          color={processor.av1_support ? 'success' : 'error'}
-                          size="small"
+                          supported={processor.av1_support}
+                          outcome={getSelfTestOutcome(status.selfTest, processorType, 'av1')}
                         />
                       </Grid>
                       <Grid item>
-                        <Chip
+                        <FormatSupportChip
                           label="WebM"
-                          color={processor.webm_support ? 'success' : 'error'}
-                          size="small"
+                          supported={processor.webm_support}
+                          outcome={getSelfTestOutcome(status.selfTest, processorType, 'webm')}
                         />
                       </Grid>
                     </Grid>
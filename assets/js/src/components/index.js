@@ -3,11 +3,24 @@ export { default as LoadingSpinner } from './common/LoadingSpinner';
 export { default as ErrorBoundary } from './common/ErrorBoundary';
 export { default as FluxMediaIcon } from './common/FluxMediaIcon';
 export { default as SettingsSkeleton } from './common/SettingsSkeleton';
+export { default as BarChart } from './common/BarChart';
+export { default as JsonTree } from './common/JsonTree';
+export { default as FormatSupportChip } from './common/FormatSupportChip';
 
 // Feature components
 export { default as ImageStatusCard } from './features/ImageStatusCard';
 export { default as VideoStatusCard } from './features/VideoStatusCard';
 export { default as PHPConfigurationCard } from './features/PHPConfigurationCard';
+export { default as DiagnosticsCard } from './features/DiagnosticsCard';
+export { default as SelfTestCard } from './features/SelfTestCard';
+export { default as ComparisonViewer } from './features/ComparisonViewer';
+export { default as QualityScoreCard } from './features/QualityScoreCard';
+export { default as QualityPreviewPanel } from './features/QualityPreviewPanel';
+export { default as SavingsAnalytics } from './features/SavingsAnalytics';
+export { default as ConversionHistoryDrawer } from './features/ConversionHistoryDrawer';
+export { default as ConversionRulesPanel } from './features/ConversionRulesPanel';
+export { default as LiveLogTail } from './features/LiveLogTail';
+export { default as LogRetentionPanel } from './features/LogRetentionPanel';
 
 // Form components
 export { default as SubscribeForm } from './forms/SubscribeForm';
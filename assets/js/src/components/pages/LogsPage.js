@@ -24,16 +24,68 @@ import {
   Switch,
   FormControlLabel,
   Divider,
+  Link,
+  Button,
+  ButtonGroup,
 } from '@mui/material';
 import {
   Refresh,
   Search,
   FilterList,
+  FilterAlt,
+  History,
+  ClearAll,
+  Download,
 } from '@mui/icons-material';
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 import { useQuery } from '@tanstack/react-query';
 import { apiService } from '@flux-media-optimizer/services/api';
 import { useAutoSaveForm } from '@flux-media-optimizer/hooks/useAutoSaveForm';
+import { useLogStream } from '@flux-media-optimizer/hooks/useLogs';
+import LiveLogTail from '@flux-media-optimizer/components/features/LiveLogTail';
+import ConversionHistoryDrawer from '@flux-media-optimizer/components/features/ConversionHistoryDrawer';
+import JsonTree from '@flux-media-optimizer/components/common/JsonTree';
+import LogRetentionPanel from '@flux-media-optimizer/components/features/LogRetentionPanel';
+
+// Entries kept in memory by the live tail
+const LIVE_BUFFER_SIZE = 1000;
+
+// Filters sent to the logs and stream routes
+const DEFAULT_FILTERS = {
+  level: '',
+  search: '',
+  date_from: '',
+  date_to: '',
+  attachment_id: '',
+  job_id: '',
+  processor: '',
+  format: '',
+};
+
+const LEVEL_OPTIONS = [
+  { value: 'DEBUG', label: __('Debug', 'flux-media-optimizer') },
+  { value: 'INFO', label: __('Info', 'flux-media-optimizer') },
+  { value: 'NOTICE', label: __('Notice', 'flux-media-optimizer') },
+  { value: 'WARNING', label: __('Warning', 'flux-media-optimizer') },
+  { value: 'ERROR', label: __('Error', 'flux-media-optimizer') },
+  { value: 'CRITICAL', label: __('Critical', 'flux-media-optimizer') },
+  { value: 'ALERT', label: __('Alert', 'flux-media-optimizer') },
+  { value: 'EMERGENCY', label: __('Emergency', 'flux-media-optimizer') },
+];
+
+const PROCESSOR_OPTIONS = [
+  { value: 'imagick', label: 'ImageMagick' },
+  { value: 'gd', label: 'GD' },
+  { value: 'ffmpeg', label: 'FFmpeg' },
+  { value: 'external', label: __('External service', 'flux-media-optimizer') },
+];
+
+const FORMAT_OPTIONS = [
+  { value: 'webp', label: 'WebP' },
+  { value: 'avif', label: 'AVIF' },
+  { value: 'av1', label: 'AV1' },
+  { value: 'webm', label: 'WebM' },
+];
 
 /**
  * Logs page component with pagination and filtering
@@ -41,9 +93,10 @@ import { useAutoSaveForm } from '@flux-media-optimizer/hooks/useAutoSaveForm';
 const LogsPage = () => {
   const [page, setPage] = useState(1);
   const [perPage, setPerPage] = useState(20);
-  const [level, setLevel] = useState('');
-  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [historyAttachmentId, setHistoryAttachmentId] = useState(null);
   const [enableLogging, setEnableLogging] = useState(false);
+  const [live, setLive] = useState(false);
   const [error, setError] = useState(null);
 
   // Auto-save hook for logging setting
@@ -73,10 +126,17 @@ const LogsPage = () => {
     error: logsError,
     refetch,
   } = useQuery({
-    queryKey: ['logs', page, perPage, level, search],
-    queryFn: () => apiService.getLogs({ page, per_page: perPage, level, search }),
+    queryKey: ['logs', page, perPage, filters],
+    queryFn: () => apiService.getLogs({ ...filters, page, per_page: perPage }),
     keepPreviousData: true,
-    enabled: enableLogging, // Only fetch when logging is enabled
+    enabled: enableLogging && !live, // Only fetch when logging is enabled and not tailing
+  });
+
+  // Stream new entries while live
+  const { entries: liveEntries, error: liveError, clear: clearLiveEntries } = useLogStream({
+    enabled: enableLogging && live,
+    filters,
+    bufferSize: LIVE_BUFFER_SIZE,
   });
 
   const handleLoggingToggle = (event) => {
@@ -97,24 +157,39 @@ const LogsPage = () => {
     setPage(1); // Reset to first page when changing per page
   };
 
-  const handleLevelChange = (event) => {
-    setLevel(event.target.value);
+  const handleFilterChange = (key) => (event) => {
+    setFilters((prev) => ({ ...prev, [key]: event.target.value }));
     setPage(1); // Reset to first page when filtering
   };
 
-  const handleSearchChange = (event) => {
-    setSearch(event.target.value);
-    setPage(1); // Reset to first page when searching
+  // Show only the entries of an attachment or job from a log row
+  const filterBy = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: String(value) }));
+    setPage(1);
   };
 
+  const handleClearFilters = () => {
+    setFilters(DEFAULT_FILTERS);
+    setPage(1);
+  };
+
+  const hasFilters = Object.keys(DEFAULT_FILTERS).some((key) => filters[key] !== DEFAULT_FILTERS[key]);
+
   const handleRefresh = () => {
     refetch();
   };
 
+  // Download the entries matching the filters, streamed by the server
+  const handleExport = (fileFormat) => {
+    window.location.href = apiService.getLogExportUrl({ ...filters, file_format: fileFormat });
+  };
+
   const getLevelColor = (level) => {
     switch (level) {
       case 'ERROR':
       case 'CRITICAL':
+      case 'ALERT':
+      case 'EMERGENCY':
         return 'error';
       case 'WARNING':
         return 'warning';
@@ -127,12 +202,6 @@ const LogsPage = () => {
     return new Date(dateString).toLocaleString();
   };
 
-  const formatContext = (context) => {
-    if (!context) return '';
-    if (typeof context === 'string') return context;
-    return JSON.stringify(context, null, 2);
-  };
-
   if (error) {
     return (
       <Alert severity="error" sx={{ mb: 3 }}>
@@ -178,6 +247,12 @@ const LogsPage = () => {
             />
           </Grid>
         </Grid>
+        {enableLogging && (
+          <>
+            <Divider sx={{ my: 2 }} />
+            <LogRetentionPanel />
+          </>
+        )}
       </Box>
 
       {/* Show message when logging is disabled */}
@@ -198,16 +273,40 @@ const LogsPage = () => {
                 {__('Log Entries', 'flux-media-optimizer')}
               </Typography>
             </Grid>
-            <Grid item>
+            <Grid item sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Tooltip title={__('Download the entries matching the filters', 'flux-media-optimizer')}>
+                <ButtonGroup variant="outlined" size="small">
+                  <Button startIcon={<Download />} onClick={() => handleExport('ndjson')}>
+                    {__('NDJSON', 'flux-media-optimizer')}
+                  </Button>
+                  <Button onClick={() => handleExport('csv')}>
+                    {__('CSV', 'flux-media-optimizer')}
+                  </Button>
+                </ButtonGroup>
+              </Tooltip>
+              <Tooltip title={__('Stream new entries as they are written', 'flux-media-optimizer')}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={live}
+                      onChange={(event) => setLive(event.target.checked)}
+                      color="success"
+                    />
+                  }
+                  label={__('Live', 'flux-media-optimizer')}
+                />
+              </Tooltip>
               <Tooltip title={__('Refresh logs', 'flux-media-optimizer')}>
-                <IconButton onClick={handleRefresh} disabled={isLoading}>
-                  <Refresh />
-                </IconButton>
+                <span>
+                  <IconButton onClick={handleRefresh} disabled={isLoading || live}>
+                    <Refresh />
+                  </IconButton>
+                </span>
               </Tooltip>
             </Grid>
           </Grid>
 
-          {logsError && (
+          {logsError && !live && (
             <Alert severity="error" sx={{ mb: 3 }}>
               {__('Error loading logs:', 'flux-media-optimizer')} {logsError?.message || __('Unknown error occurred', 'flux-media-optimizer')}
             </Alert>
@@ -219,8 +318,8 @@ const LogsPage = () => {
           <TextField
             fullWidth
             label={__('Search logs', 'flux-media-optimizer')}
-            value={search}
-            onChange={handleSearchChange}
+            value={filters.search}
+            onChange={handleFilterChange('search')}
             InputProps={{
               startAdornment: <Search sx={{ mr: 1, color: 'text.secondary' }} />,
             }}
@@ -231,121 +330,244 @@ const LogsPage = () => {
           <FormControl fullWidth size="small">
             <InputLabel>{__('Log Level', 'flux-media-optimizer')}</InputLabel>
             <Select
-              value={level}
-              onChange={handleLevelChange}
+              value={filters.level}
+              onChange={handleFilterChange('level')}
               label={__('Log Level', 'flux-media-optimizer')}
             >
               <MenuItem value="">{__('All Levels', 'flux-media-optimizer')}</MenuItem>
-              <MenuItem value="ERROR">{__('Error', 'flux-media-optimizer')}</MenuItem>
-              <MenuItem value="WARNING">{__('Warning', 'flux-media-optimizer')}</MenuItem>
-              <MenuItem value="CRITICAL">{__('Critical', 'flux-media-optimizer')}</MenuItem>
+              {LEVEL_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
             </Select>
           </FormControl>
         </Grid>
-        <Grid item xs={12} sm={6} md={3}>
+        <Grid item xs={6} sm={3} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="date"
+            label={__('From', 'flux-media-optimizer')}
+            value={filters.date_from}
+            onChange={handleFilterChange('date_from')}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: filters.date_to || undefined }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3} md={3}>
+          <TextField
+            fullWidth
+            size="small"
+            type="date"
+            label={__('To', 'flux-media-optimizer')}
+            value={filters.date_to}
+            onChange={handleFilterChange('date_to')}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ min: filters.date_from || undefined }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={__('Attachment ID', 'flux-media-optimizer')}
+            value={filters.attachment_id}
+            onChange={handleFilterChange('attachment_id')}
+            inputProps={{ min: 1 }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={__('Job ID', 'flux-media-optimizer')}
+            value={filters.job_id}
+            onChange={handleFilterChange('job_id')}
+            inputProps={{ min: 1 }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3} md={2}>
           <FormControl fullWidth size="small">
-            <InputLabel>{__('Per Page', 'flux-media-optimizer')}</InputLabel>
+            <InputLabel>{__('Processor', 'flux-media-optimizer')}</InputLabel>
             <Select
-              value={perPage}
-              onChange={handlePerPageChange}
-              label={__('Per Page', 'flux-media-optimizer')}
+              value={filters.processor}
+              onChange={handleFilterChange('processor')}
+              label={__('Processor', 'flux-media-optimizer')}
             >
-              <MenuItem value={10}>10</MenuItem>
-              <MenuItem value={20}>20</MenuItem>
-              <MenuItem value={50}>50</MenuItem>
-              <MenuItem value={100}>100</MenuItem>
+              <MenuItem value="">{__('All Processors', 'flux-media-optimizer')}</MenuItem>
+              {PROCESSOR_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
             </Select>
           </FormControl>
         </Grid>
+        <Grid item xs={6} sm={3} md={2}>
+          <FormControl fullWidth size="small">
+            <InputLabel>{__('Format', 'flux-media-optimizer')}</InputLabel>
+            <Select
+              value={filters.format}
+              onChange={handleFilterChange('format')}
+              label={__('Format', 'flux-media-optimizer')}
+            >
+              <MenuItem value="">{__('All Formats', 'flux-media-optimizer')}</MenuItem>
+              {FORMAT_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        {!live && (
+          <Grid item xs={6} sm={3} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>{__('Per Page', 'flux-media-optimizer')}</InputLabel>
+              <Select
+                value={perPage}
+                onChange={handlePerPageChange}
+                label={__('Per Page', 'flux-media-optimizer')}
+              >
+                <MenuItem value={10}>10</MenuItem>
+                <MenuItem value={20}>20</MenuItem>
+                <MenuItem value={50}>50</MenuItem>
+                <MenuItem value={100}>100</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+        )}
+        <Grid item xs={6} sm={3} md={2} sx={{ display: 'flex', alignItems: 'center' }}>
+          <Button size="small" startIcon={<ClearAll />} onClick={handleClearFilters} disabled={!hasFilters}>
+            {__('Clear filters', 'flux-media-optimizer')}
+          </Button>
+        </Grid>
       </Grid>
 
+      {/* Live Tail */}
+      {live && (
+        <LiveLogTail
+          entries={liveEntries}
+          error={liveError}
+          bufferSize={LIVE_BUFFER_SIZE}
+          onClear={clearLiveEntries}
+        />
+      )}
+
       {/* Logs Table */}
-      <TableContainer component={Paper}>
-        <Table>
-          <TableHead>
-            <TableRow>
-              <TableCell>{__('Level', 'flux-media-optimizer')}</TableCell>
-              <TableCell>{__('Message', 'flux-media-optimizer')}</TableCell>
-              <TableCell>{__('Context', 'flux-media-optimizer')}</TableCell>
-              <TableCell>{__('Date', 'flux-media-optimizer')}</TableCell>
-            </TableRow>
-          </TableHead>
-          <TableBody>
-            {isLoading ? (
-              // Loading skeleton
-              Array.from({ length: perPage }).map((_, index) => (
-                <TableRow key={index}>
-                  <TableCell>
-                    <Skeleton variant="rectangular" width={60} height={24} sx={{ borderRadius: 1 }} />
-                  </TableCell>
-                  <TableCell>
-                    <Skeleton variant="text" width="80%" />
-                  </TableCell>
-                  <TableCell>
-                    <Skeleton variant="text" width="60%" />
-                  </TableCell>
-                  <TableCell>
-                    <Skeleton variant="text" width={120} />
-                  </TableCell>
-                </TableRow>
-              ))
-            ) : logsData?.data?.length > 0 ? (
-              logsData.data.map((log) => (
-                <TableRow key={log.id} hover>
-                  <TableCell>
-                    <Chip
-                      label={log.level}
-                      color={getLevelColor(log.level)}
-                      size="small"
-                    />
-                  </TableCell>
-                  <TableCell>
-                    <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
-                      {log.message}
-                    </Typography>
-                  </TableCell>
-                  <TableCell>
-                    {log.context && (
-                      <Typography
-                        variant="caption"
-                        sx={{
-                          fontFamily: 'monospace',
-                          fontSize: '0.75rem',
-                          wordBreak: 'break-all',
-                          display: 'block',
-                          maxWidth: 200,
-                          overflow: 'hidden',
-                          textOverflow: 'ellipsis',
-                          whiteSpace: 'nowrap',
-                        }}
-                        title={formatContext(log.context)}
-                      >
-                        {formatContext(log.context)}
+      {!live && (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>{__('Level', 'flux-media-optimizer')}</TableCell>
+                <TableCell>{__('Message', 'flux-media-optimizer')}</TableCell>
+                <TableCell>{__('Attachment', 'flux-media-optimizer')}</TableCell>
+                <TableCell>{__('Context', 'flux-media-optimizer')}</TableCell>
+                <TableCell>{__('Date', 'flux-media-optimizer')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {isLoading ? (
+                // Loading skeleton
+                Array.from({ length: perPage }).map((_, index) => (
+                  <TableRow key={index}>
+                    <TableCell>
+                      <Skeleton variant="rectangular" width={60} height={24} sx={{ borderRadius: 1 }} />
+                    </TableCell>
+                    <TableCell>
+                      <Skeleton variant="text" width="80%" />
+                    </TableCell>
+                    <TableCell>
+                      <Skeleton variant="text" width={60} />
+                    </TableCell>
+                    <TableCell>
+                      <Skeleton variant="text" width="60%" />
+                    </TableCell>
+                    <TableCell>
+                      <Skeleton variant="text" width={120} />
+                    </TableCell>
+                  </TableRow>
+                ))
+              ) : logsData?.data?.length > 0 ? (
+                logsData.data.map((log) => (
+                  <TableRow key={log.id} hover>
+                    <TableCell>
+                      <Chip
+                        label={log.level}
+                        color={getLevelColor(log.level)}
+                        size="small"
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
+                        {log.message}
                       </Typography>
-                    )}
-                  </TableCell>
-                  <TableCell>
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {log.attachment_id > 0 && (
+                        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                          {log.edit_url ? (
+                            <Link href={log.edit_url} underline="hover" variant="body2">
+                              #{log.attachment_id}
+                            </Link>
+                          ) : (
+                            <Typography variant="body2">#{log.attachment_id}</Typography>
+                          )}
+                          <Tooltip title={__('Conversion history', 'flux-media-optimizer')}>
+                            <IconButton size="small" onClick={() => setHistoryAttachmentId(log.attachment_id)}>
+                              <History fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title={__('Show only logs of this attachment', 'flux-media-optimizer')}>
+                            <IconButton size="small" onClick={() => filterBy('attachment_id', log.attachment_id)}>
+                              <FilterAlt fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        </Box>
+                      )}
+                      {log.context?.job_id > 0 && (
+                        <Tooltip title={__('Show only logs of this job', 'flux-media-optimizer')}>
+                          <Chip
+                            label={sprintf(
+                              /* translators: %d: Action Scheduler job ID */
+                              __('Job %d', 'flux-media-optimizer'),
+                              log.context.job_id
+                            )}
+                            size="small"
+                            variant="outlined"
+                            onClick={() => filterBy('job_id', log.context.job_id)}
+                          />
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                    <TableCell sx={{ minWidth: 200, maxWidth: 360 }}>
+                      {log.context && (
+                        typeof log.context === 'object'
+                          ? <JsonTree data={log.context} />
+                          : <Typography variant="caption" sx={{ fontFamily: 'monospace' }}>{String(log.context)}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" color="text.secondary">
+                        {formatDate(log.created_at)}
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                ))
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={5} align="center">
                     <Typography variant="body2" color="text.secondary">
-                      {formatDate(log.created_at)}
+                      {__('No logs found', 'flux-media-optimizer')}
                     </Typography>
                   </TableCell>
                 </TableRow>
-              ))
-            ) : (
-              <TableRow>
-                <TableCell colSpan={4} align="center">
-                  <Typography variant="body2" color="text.secondary">
-                    {__('No logs found', 'flux-media-optimizer')}
-                  </Typography>
-                </TableCell>
-              </TableRow>
-            )}
-          </TableBody>
-        </Table>
-      </TableContainer>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
 
       {/* Pagination */}
-      {logsData?.data && logsData.total_pages > 1 && (
+      {!live && logsData?.data && logsData.total_pages > 1 && (
         <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
           <Pagination
             count={logsData.total_pages}
@@ -359,7 +581,7 @@ const LogsPage = () => {
       )}
 
           {/* Pagination Info */}
-          {logsData?.data && (
+          {!live && logsData?.data && (
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
               <Typography variant="body2" color="text.secondary">
                 {__('Showing', 'flux-media-optimizer')} {((page - 1) * perPage) + 1} - {Math.min(page * perPage, logsData.total)} {__('of', 'flux-media-optimizer')} {logsData.total} {__('logs', 'flux-media-optimizer')}
@@ -368,6 +590,12 @@ const LogsPage = () => {
           )}
         </>
       )}
+
+      <ConversionHistoryDrawer
+        attachmentId={historyAttachmentId}
+        open={!!historyAttachmentId}
+        onClose={() => setHistoryAttachmentId(null)}
+      />
     </Box>
   );
 };
@@ -0,0 +1,336 @@
+/**
+ * Media Optimization sidebar for the block editor.
+ *
+ * Lists the image and video blocks in the current post with their optimized
+ * variants, bytes saved and the total page weight reduction.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+import { Button, Notice, PanelBody, PanelRow, Spinner } from '@wordpress/components';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { useCallback, useEffect, useMemo, useState } from '@wordpress/element';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { formatFileSize } from '@flux-media-optimizer/utils/fileSize';
+import apiFetch from './api';
+
+// How often pending conversions are checked
+const POLL_INTERVAL = 5000;
+
+// Variant formats in order of preference, matching BlockEditorService::PREFERRED_FORMATS
+const VARIANT_FORMATS = {
+  image: ['avif', 'webp'],
+  video: ['av1', 'webm'],
+};
+
+const BLOCK_LABELS = {
+  'core/image': __('Image', 'flux-media-optimizer'),
+  'core/video': __('Video', 'flux-media-optimizer'),
+  'flux-media-optimizer/video': __('Optimized Video', 'flux-media-optimizer'),
+  'core/cover': __('Cover', 'flux-media-optimizer'),
+  'core/media-text': __('Media & Text', 'flux-media-optimizer'),
+  'core/gallery': __('Gallery', 'flux-media-optimizer'),
+};
+
+/**
+ * Collect the images and videos used by blocks, including nested blocks.
+ *
+ * @param {Array} blocks Blocks from the block editor store.
+ * @param {Array} items  Collected items.
+ * @returns {Array} Items with clientId, name, attachmentId, type and size.
+ */
+const collectMediaBlocks = (blocks, items = []) => {
+  blocks.forEach((block) => {
+    const { clientId, name, attributes, innerBlocks } = block;
+
+    if (name === 'core/image' && attributes.id) {
+      items.push({ clientId, name, attachmentId: attributes.id, type: 'image', size: attributes.sizeSlug || 'full' });
+    } else if (['core/video', 'flux-media-optimizer/video'].includes(name) && attributes.id) {
+      items.push({ clientId, name, attachmentId: attributes.id, type: 'video', size: 'full' });
+      if (attributes.posterId) {
+        items.push({ clientId, name, attachmentId: attributes.posterId, type: 'image', size: 'full' });
+      }
+    } else if (name === 'core/cover' && attributes.id && ['image', 'video'].includes(attributes.backgroundType)) {
+      items.push({ clientId, name, attachmentId: attributes.id, type: attributes.backgroundType, size: 'full' });
+    } else if (name === 'core/media-text' && attributes.mediaId && ['image', 'video'].includes(attributes.mediaType)) {
+      items.push({ clientId, name, attachmentId: attributes.mediaId, type: attributes.mediaType, size: attributes.mediaSizeSlug || 'full' });
+    } else if (name === 'core/gallery' && !innerBlocks?.length && attributes.ids?.length) {
+      // Galleries saved before WordPress 5.9 store their images as attributes
+      attributes.ids.forEach((id) => {
+        items.push({ clientId, name, attachmentId: Number(id), type: 'image', size: attributes.sizeSlug || 'large' });
+      });
+    }
+
+    if (innerBlocks?.length) {
+      collectMediaBlocks(innerBlocks, items);
+    }
+  });
+
+  return items;
+};
+
+/**
+ * Get the delivered file of an item for the image size used by its block.
+ *
+ * @param {Object} item  Media block item.
+ * @param {Object} media Delivery data from the REST API.
+ * @returns {Object|null} Size data with original and served bytes.
+ */
+const getItemSize = (item, media) => media?.sizes?.[item.size] || media?.sizes?.full || null;
+
+/**
+ * Single image or video in the sidebar.
+ *
+ * @param {Object}   props           Component props.
+ * @param {Object}   props.item      Media block item.
+ * @param {Object}   props.media     Delivery data from the REST API.
+ * @param {boolean}  props.converting Whether a conversion request is running for the item.
+ * @param {Function} props.onConvert Convert handler.
+ * @returns {JSX.Element} Media item.
+ */
+const MediaItem = ({ item, media, converting, onConvert }) => {
+  const { selectBlock } = useDispatch('core/block-editor');
+  const size = getItemSize(item, media);
+  const status = media?.status?.status;
+  const savedBytes = size ? size.original_bytes - size.served_bytes : 0;
+
+  return (
+    <div style={{ width: '100%', padding: '8px 0', borderBottom: '1px solid #f0f0f0' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+        <Button variant="link" onClick={() => selectBlock(item.clientId)} style={{ textAlign: 'left', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+          {media?.title || sprintf(__('Attachment #%d', 'flux-media-optimizer'), item.attachmentId)}
+        </Button>
+        <span style={{ color: '#757575', fontSize: '12px', whiteSpace: 'nowrap' }}>
+          {BLOCK_LABELS[item.name]}
+        </span>
+      </div>
+
+      {media === null && (
+        <p style={{ margin: '4px 0 0', color: '#757575' }}>
+          {__('Not an image or video attachment.', 'flux-media-optimizer')}
+        </p>
+      )}
+
+      {media && (
+        <>
+          <div style={{ display: 'flex', gap: '6px', margin: '6px 0', flexWrap: 'wrap' }}>
+            {VARIANT_FORMATS[media.type].map((format) => {
+              const exists = !!size?.variants?.[format];
+              return (
+                <span
+                  key={format}
+                  style={{
+                    padding: '1px 6px',
+                    borderRadius: '2px',
+                    fontSize: '11px',
+                    background: exists ? '#edfaef' : '#f0f0f0',
+                    color: exists ? '#00a32a' : '#757575',
+                  }}
+                >
+                  {`${format.toUpperCase()} ${exists ? '✓' : '—'}`}
+                </span>
+              );
+            })}
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', fontSize: '12px' }}>
+            <span>
+              {size?.served_format
+                ? sprintf(
+                  /* translators: 1: bytes saved, 2: optimized format */
+                  __('%1$s saved, served as %2$s', 'flux-media-optimizer'),
+                  formatFileSize(savedBytes),
+                  size.served_format.toUpperCase()
+                )
+                : media.status.label}
+            </span>
+
+            {(status === 'pending' || converting) && <Spinner style={{ margin: 0 }} />}
+            {['unconverted', 'failed'].includes(status) && !converting && (
+              <Button variant="secondary" size="small" onClick={() => onConvert([item.attachmentId])}>
+                {__('Convert', 'flux-media-optimizer')}
+              </Button>
+            )}
+          </div>
+
+          {media.status.error && (
+            <p style={{ margin: '4px 0 0', color: '#d63638', fontSize: '12px' }}>{media.status.error}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Media Optimization sidebar content.
+ *
+ * @returns {JSX.Element} Sidebar content.
+ */
+const MediaOptimizationSidebar = () => {
+  const blocks = useSelect((select) => select('core/block-editor').getBlocks(), []);
+  const { createNotice } = useDispatch('core/notices');
+  const [media, setMedia] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [converting, setConverting] = useState([]);
+
+  const items = useMemo(() => collectMediaBlocks(blocks), [blocks]);
+  const idsKey = useMemo(
+    () => [...new Set(items.map((item) => item.attachmentId))].sort((a, b) => a - b).join(','),
+    [items]
+  );
+
+  const fetchMedia = useCallback(async () => {
+    if (!idsKey) {
+      setMedia({});
+      return;
+    }
+
+    const query = idsKey.split(',').map((id) => `ids[]=${id}`).join('&');
+    try {
+      const response = await apiFetch({ path: `editor/media?${query}` });
+      setMedia(response.data || {});
+      setError(null);
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }, [idsKey]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchMedia().finally(() => setLoading(false));
+  }, [fetchMedia]);
+
+  // Check pending conversions until they finish
+  const hasPending = Object.values(media).some((item) => item?.status?.status === 'pending');
+  useEffect(() => {
+    if (!hasPending) return undefined;
+
+    const timer = setTimeout(fetchMedia, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [hasPending, media, fetchMedia]);
+
+  const handleConvert = async (attachmentIds) => {
+    setConverting((current) => [...current, ...attachmentIds]);
+    try {
+      const response = await apiFetch({
+        path: 'editor/media/convert',
+        method: 'POST',
+        data: { ids: attachmentIds },
+      });
+      const { results, media: updated } = response.data;
+      setMedia((current) => ({ ...current, ...updated }));
+
+      const failed = Object.values(results).filter((result) => !result.success);
+      if (failed.length) {
+        createNotice('error', failed[0].message, { type: 'snackbar' });
+      } else {
+        createNotice(
+          'success',
+          sprintf(
+            /* translators: %d: number of attachments */
+            _n('Conversion queued for %d item.', 'Conversion queued for %d items.', attachmentIds.length, 'flux-media-optimizer'),
+            attachmentIds.length
+          ),
+          { type: 'snackbar' }
+        );
+      }
+    } catch (requestError) {
+      createNotice('error', requestError.message, { type: 'snackbar' });
+    } finally {
+      setConverting((current) => current.filter((id) => !attachmentIds.includes(id)));
+    }
+  };
+
+  // Every block counts towards page weight, even when it repeats an attachment
+  const totals = items.reduce((sum, item) => {
+    const size = getItemSize(item, media[item.attachmentId]);
+    if (size) {
+      sum.original += size.original_bytes;
+      sum.served += size.served_bytes;
+    }
+    return sum;
+  }, { original: 0, served: 0 });
+  const reduction = totals.original - totals.served;
+  const reductionPercentage = totals.original > 0 ? Math.round((reduction / totals.original) * 100) : 0;
+
+  const unoptimizedIds = [...new Set(
+    items
+      .filter((item) => ['unconverted', 'failed'].includes(media[item.attachmentId]?.status?.status))
+      .map((item) => item.attachmentId)
+  )].filter((id) => !converting.includes(id));
+
+  if (!items.length) {
+    return (
+      <PanelBody>
+        <p>{__('This post has no image or video blocks.', 'flux-media-optimizer')}</p>
+      </PanelBody>
+    );
+  }
+
+  return (
+    <>
+      <PanelBody title={__('Page Weight', 'flux-media-optimizer')}>
+        {error && (
+          <Notice status="error" isDismissible={false}>{error}</Notice>
+        )}
+        {loading && !Object.keys(media).length ? (
+          <Spinner />
+        ) : (
+          <>
+            <PanelRow>
+              <span>{__('Original', 'flux-media-optimizer')}</span>
+              <strong>{formatFileSize(totals.original)}</strong>
+            </PanelRow>
+            <PanelRow>
+              <span>{__('Optimized', 'flux-media-optimizer')}</span>
+              <strong>{formatFileSize(totals.served)}</strong>
+            </PanelRow>
+            <PanelRow>
+              <span>{__('Reduction', 'flux-media-optimizer')}</span>
+              <strong style={{ color: reduction > 0 ? '#00a32a' : undefined }}>
+                {`${formatFileSize(reduction)} (${reductionPercentage}%)`}
+              </strong>
+            </PanelRow>
+            {(window.fluxMediaEditor?.imageHybrid || window.fluxMediaEditor?.videoHybrid) && (
+              <p style={{ color: '#757575', fontSize: '12px' }}>
+                {__('Optimized files are served with fallbacks, so browsers without support for a format receive the next one.', 'flux-media-optimizer')}
+              </p>
+            )}
+            {unoptimizedIds.length > 0 && (
+              <Button variant="primary" onClick={() => handleConvert(unoptimizedIds)}>
+                {sprintf(
+                  /* translators: %d: number of unoptimized attachments */
+                  _n('Convert %d unoptimized item', 'Convert %d unoptimized items', unoptimizedIds.length, 'flux-media-optimizer'),
+                  unoptimizedIds.length
+                )}
+              </Button>
+            )}
+          </>
+        )}
+      </PanelBody>
+
+      <PanelBody
+        title={sprintf(
+          /* translators: %d: number of image and video blocks */
+          __('Images and Videos (%d)', 'flux-media-optimizer'),
+          items.length
+        )}
+      >
+        {items.map((item, index) => (
+          <MediaItem
+            key={`${item.clientId}-${item.attachmentId}-${index}`}
+            item={item}
+            media={media[item.attachmentId]}
+            converting={converting.includes(item.attachmentId)}
+            onConvert={handleConvert}
+          />
+        ))}
+      </PanelBody>
+    </>
+  );
+};
+
+export default MediaOptimizationSidebar;
@@ -0,0 +1,390 @@
+/**
+ * Optimized video block for the block editor.
+ *
+ * Rendered on the server with AV1, WebM and original sources in that order, so
+ * the editor only stores the attachment, poster and playback settings.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+import {
+  BlockControls,
+  InspectorControls,
+  MediaPlaceholder,
+  MediaReplaceFlow,
+  MediaUpload,
+  MediaUploadCheck,
+  useBlockProps,
+} from '@wordpress/block-editor';
+import {
+  Button,
+  Notice,
+  PanelBody,
+  PanelRow,
+  SelectControl,
+  Spinner,
+  TextControl,
+  ToggleControl,
+} from '@wordpress/components';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { useCallback, useEffect, useRef, useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import { formatFileSize } from '@flux-media-optimizer/utils/fileSize';
+import apiFetch from './api';
+
+export const BLOCK_NAME = 'flux-media-optimizer/video';
+
+// How often a pending conversion is checked
+const POLL_INTERVAL = 5000;
+
+// Sources in the order they are rendered, matching WordPressVideoRenderer::render_video_block()
+const SOURCE_FORMATS = ['av1', 'webm'];
+
+/**
+ * Load the conversion state of a video and check it again while it is pending.
+ *
+ * @param {number} id Video attachment ID.
+ * @returns {Object} Delivery data, error, and a refresh function.
+ */
+const useVideoDelivery = (id) => {
+  const [delivery, setDelivery] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!id) {
+      setDelivery(null);
+      return;
+    }
+
+    try {
+      const response = await apiFetch({ path: `editor/media?ids[]=${id}` });
+      setDelivery(response.data?.[id] || null);
+      setError(null);
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const pending = delivery?.status?.status === 'pending';
+  useEffect(() => {
+    if (!pending) return undefined;
+
+    const timer = setTimeout(refresh, POLL_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [pending, delivery, refresh]);
+
+  return { delivery, error, refresh, setDelivery };
+};
+
+/**
+ * Ordered list of the sources the block renders.
+ *
+ * @param {Object} props          Component props.
+ * @param {Object} props.delivery Delivery data from the REST API.
+ * @param {string} props.mimeType Original file MIME type.
+ * @returns {JSX.Element} Source list.
+ */
+const SourceList = ({ delivery, mimeType }) => {
+  const size = delivery?.sizes?.full;
+
+  return (
+    <ol style={{ margin: '0 0 8px 20px', fontSize: '12px' }}>
+      {SOURCE_FORMATS.map((format) => {
+        const bytes = size?.variants?.[format];
+        return (
+          <li key={format} style={{ color: bytes ? '#00a32a' : '#757575' }}>
+            {bytes
+              ? `${format.toUpperCase()} — ${formatFileSize(bytes)}`
+              : sprintf(
+                /* translators: %s: video format */
+                __('%s — not converted', 'flux-media-optimizer'),
+                format.toUpperCase()
+              )}
+          </li>
+        );
+      })}
+      <li>
+        {sprintf(
+          /* translators: 1: original MIME type, 2: file size */
+          __('Original (%1$s) — %2$s', 'flux-media-optimizer'),
+          mimeType || __('unknown type', 'flux-media-optimizer'),
+          formatFileSize(size?.original_bytes)
+        )}
+      </li>
+    </ol>
+  );
+};
+
+/**
+ * Optimized video block editor.
+ *
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Attribute setter.
+ * @param {boolean}  props.isSelected    Whether the block is selected.
+ * @returns {JSX.Element} Block editor.
+ */
+const OptimizedVideoEdit = ({ attributes, setAttributes, isSelected }) => {
+  const { id, posterId, poster, preload, lazy, controls, autoplay, loop, muted, playsInline } = attributes;
+  const blockProps = useBlockProps();
+  const videoRef = useRef(null);
+  const { createNotice } = useDispatch('core/notices');
+  const video = useSelect((select) => (id ? select('core').getMedia(id) : null), [id]);
+  const { delivery, error, setDelivery } = useVideoDelivery(id);
+  const [frameTime, setFrameTime] = useState('0');
+  const [creatingPoster, setCreatingPoster] = useState(false);
+  const [converting, setConverting] = useState(false);
+
+  const onSelectVideo = (media) => {
+    if (!media?.id) return;
+    setAttributes({ id: media.id, posterId: undefined, poster: undefined });
+  };
+
+  const onSelectPoster = (image) => {
+    setAttributes({ posterId: image.id, poster: image.url });
+  };
+
+  const handleCreatePoster = async () => {
+    setCreatingPoster(true);
+    try {
+      const response = await apiFetch({
+        path: `editor/video/${id}/poster`,
+        method: 'POST',
+        data: { time: Math.max(0, parseFloat(frameTime) || 0) },
+      });
+      setAttributes({ posterId: response.data.id, poster: response.data.url });
+      createNotice('success', __('Poster created from the video frame.', 'flux-media-optimizer'), { type: 'snackbar' });
+    } catch (requestError) {
+      createNotice('error', requestError.message, { type: 'snackbar' });
+    } finally {
+      setCreatingPoster(false);
+    }
+  };
+
+  const handleConvert = async () => {
+    setConverting(true);
+    try {
+      const response = await apiFetch({
+        path: 'editor/media/convert',
+        method: 'POST',
+        data: { ids: [id] },
+      });
+      const { results, media } = response.data;
+      if (media?.[id]) {
+        setDelivery(media[id]);
+      }
+      if (results?.[id] && !results[id].success) {
+        createNotice('error', results[id].message, { type: 'snackbar' });
+      }
+    } catch (requestError) {
+      createNotice('error', requestError.message, { type: 'snackbar' });
+    } finally {
+      setConverting(false);
+    }
+  };
+
+  if (!id) {
+    return (
+      <div {...blockProps}>
+        <MediaPlaceholder
+          icon="format-video"
+          labels={{
+            title: __('Optimized Video', 'flux-media-optimizer'),
+            instructions: __('Upload a video or pick one from your media library. It is served as AV1 and WebM once converted, with the original as fallback.', 'flux-media-optimizer'),
+          }}
+          accept="video/*"
+          allowedTypes={['video']}
+          onSelect={onSelectVideo}
+        />
+      </div>
+    );
+  }
+
+  const status = delivery?.status?.status;
+  const posterUrl = poster || undefined;
+
+  return (
+    <>
+      <BlockControls group="other">
+        <MediaReplaceFlow
+          mediaId={id}
+          accept="video/*"
+          allowedTypes={['video']}
+          onSelect={onSelectVideo}
+          name={__('Replace', 'flux-media-optimizer')}
+        />
+      </BlockControls>
+
+      <InspectorControls>
+        <PanelBody title={__('Optimization', 'flux-media-optimizer')}>
+          {error && <Notice status="error" isDismissible={false}>{error}</Notice>}
+          {!delivery && !error ? (
+            <Spinner />
+          ) : (
+            <>
+              <p style={{ marginTop: 0 }}>{__('Sources, in the order browsers try them:', 'flux-media-optimizer')}</p>
+              <SourceList delivery={delivery} mimeType={video?.mime_type} />
+              <PanelRow>
+                <span>{delivery?.status?.label}</span>
+                {(status === 'pending' || converting) && <Spinner style={{ margin: 0 }} />}
+                {['unconverted', 'failed'].includes(status) && !converting && (
+                  <Button variant="secondary" size="small" onClick={handleConvert}>
+                    {__('Convert', 'flux-media-optimizer')}
+                  </Button>
+                )}
+              </PanelRow>
+              {delivery?.status?.error && (
+                <p style={{ color: '#d63638', fontSize: '12px' }}>{delivery.status.error}</p>
+              )}
+            </>
+          )}
+        </PanelBody>
+
+        <PanelBody title={__('Poster', 'flux-media-optimizer')}>
+          {posterUrl && (
+            <img src={posterUrl} alt="" style={{ width: '100%', height: 'auto', marginBottom: '8px' }} />
+          )}
+          <MediaUploadCheck>
+            <MediaUpload
+              title={__('Select poster image', 'flux-media-optimizer')}
+              allowedTypes={['image']}
+              value={posterId}
+              onSelect={onSelectPoster}
+              render={({ open }) => (
+                <Button variant="secondary" onClick={open}>
+                  {posterUrl ? __('Replace poster', 'flux-media-optimizer') : __('Select poster', 'flux-media-optimizer')}
+                </Button>
+              )}
+            />
+          </MediaUploadCheck>
+          {posterUrl && (
+            <Button variant="link" isDestructive onClick={() => setAttributes({ posterId: undefined, poster: undefined })} style={{ marginLeft: '8px' }}>
+              {__('Remove', 'flux-media-optimizer')}
+            </Button>
+          )}
+
+          <div style={{ marginTop: '16px' }}>
+            <TextControl
+              type="number"
+              min={0}
+              step={0.1}
+              label={__('Frame time (seconds)', 'flux-media-optimizer')}
+              help={__('Pause the preview on a frame to use it, or enter a time.', 'flux-media-optimizer')}
+              value={frameTime}
+              onChange={setFrameTime}
+            />
+            <Button variant="secondary" onClick={handleCreatePoster} disabled={creatingPoster} isBusy={creatingPoster}>
+              {__('Generate poster from frame', 'flux-media-optimizer')}
+            </Button>
+          </div>
+        </PanelBody>
+
+        <PanelBody title={__('Playback', 'flux-media-optimizer')}>
+          <ToggleControl
+            label={__('Playback controls', 'flux-media-optimizer')}
+            checked={controls}
+            onChange={(value) => setAttributes({ controls: value })}
+          />
+          <ToggleControl
+            label={__('Autoplay', 'flux-media-optimizer')}
+            help={__('Most browsers only autoplay muted videos.', 'flux-media-optimizer')}
+            checked={autoplay}
+            onChange={(value) => setAttributes({ autoplay: value, muted: value ? true : muted })}
+          />
+          <ToggleControl
+            label={__('Loop', 'flux-media-optimizer')}
+            checked={loop}
+            onChange={(value) => setAttributes({ loop: value })}
+          />
+          <ToggleControl
+            label={__('Muted', 'flux-media-optimizer')}
+            checked={muted}
+            onChange={(value) => setAttributes({ muted: value })}
+          />
+          <ToggleControl
+            label={__('Play inline', 'flux-media-optimizer')}
+            checked={playsInline}
+            onChange={(value) => setAttributes({ playsInline: value })}
+          />
+        </PanelBody>
+
+        <PanelBody title={__('Loading', 'flux-media-optimizer')}>
+          <ToggleControl
+            label={__('Lazy load', 'flux-media-optimizer')}
+            help={__('Load the video only when it is about to scroll into view.', 'flux-media-optimizer')}
+            checked={lazy}
+            onChange={(value) => setAttributes({ lazy: value })}
+          />
+          <SelectControl
+            label={__('Preload', 'flux-media-optimizer')}
+            value={lazy ? 'none' : preload}
+            disabled={lazy}
+            options={[
+              { value: 'metadata', label: __('Metadata', 'flux-media-optimizer') },
+              { value: 'auto', label: __('Auto', 'flux-media-optimizer') },
+              { value: 'none', label: __('None', 'flux-media-optimizer') },
+            ]}
+            onChange={(value) => setAttributes({ preload: value })}
+          />
+        </PanelBody>
+      </InspectorControls>
+
+      <figure {...blockProps}>
+        {video?.source_url ? (
+          <video
+            ref={videoRef}
+            src={video.source_url}
+            poster={posterUrl}
+            controls
+            preload="metadata"
+            style={{ width: '100%' }}
+            onPause={() => setFrameTime(videoRef.current.currentTime.toFixed(1))}
+            onSeeked={() => setFrameTime(videoRef.current.currentTime.toFixed(1))}
+          />
+        ) : (
+          <Spinner />
+        )}
+        {isSelected && delivery && (
+          <figcaption style={{ fontSize: '12px', color: '#757575' }}>
+            {SOURCE_FORMATS.map((format) => (
+              `${format.toUpperCase()} ${delivery.sizes?.full?.variants?.[format] ? '✓' : '—'}`
+            )).join(' · ')}
+            {` · ${delivery.status.label}`}
+          </figcaption>
+        )}
+      </figure>
+    </>
+  );
+};
+
+export const settings = {
+  apiVersion: 2,
+  title: __('Optimized Video', 'flux-media-optimizer'),
+  description: __('Video served as AV1 and WebM with the original as fallback, with poster and lazy loading options.', 'flux-media-optimizer'),
+  category: 'media',
+  icon: 'format-video',
+  keywords: [__('av1', 'flux-media-optimizer'), __('webm', 'flux-media-optimizer'), __('poster', 'flux-media-optimizer')],
+  // Matches BlockEditorService::VIDEO_BLOCK_ATTRIBUTES
+  attributes: {
+    id: { type: 'number' },
+    posterId: { type: 'number' },
+    poster: { type: 'string' },
+    preload: { type: 'string', enum: ['auto', 'metadata', 'none'], default: 'metadata' },
+    lazy: { type: 'boolean', default: false },
+    controls: { type: 'boolean', default: true },
+    autoplay: { type: 'boolean', default: false },
+    loop: { type: 'boolean', default: false },
+    muted: { type: 'boolean', default: false },
+    playsInline: { type: 'boolean', default: false },
+  },
+  supports: {
+    align: ['wide', 'full'],
+  },
+  edit: OptimizedVideoEdit,
+  save: () => null,
+};
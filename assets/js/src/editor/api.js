@@ -0,0 +1,13 @@
+/**
+ * REST API client for the block editor integration.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+import apiFetch from '@wordpress/api-fetch';
+
+apiFetch.use(apiFetch.createRootURLMiddleware(window.fluxMediaEditor?.apiUrl || '/wp-json/flux-media-optimizer/v1/'));
+apiFetch.use(apiFetch.createNonceMiddleware(window.fluxMediaEditor?.nonce || ''));
+
+export default apiFetch;
@@ -0,0 +1,33 @@
+/**
+ * Block editor integration for Flux Media Optimizer plugin.
+ *
+ * Registers the "Media Optimization" sidebar and the optimized video block.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+import { registerBlockType } from '@wordpress/blocks';
+import { PluginSidebar, PluginSidebarMoreMenuItem } from '@wordpress/edit-post';
+import { registerPlugin } from '@wordpress/plugins';
+import { __ } from '@wordpress/i18n';
+import MediaOptimizationSidebar from './MediaOptimizationSidebar';
+import { BLOCK_NAME, settings as optimizedVideoSettings } from './OptimizedVideoBlock';
+
+const SIDEBAR_NAME = 'flux-media-optimizer-sidebar';
+
+registerBlockType(BLOCK_NAME, optimizedVideoSettings);
+
+registerPlugin('flux-media-optimizer', {
+  icon: 'performance',
+  render: () => (
+    <>
+      <PluginSidebarMoreMenuItem target={SIDEBAR_NAME}>
+        {__('Media Optimization', 'flux-media-optimizer')}
+      </PluginSidebarMoreMenuItem>
+      <PluginSidebar name={SIDEBAR_NAME} title={__('Media Optimization', 'flux-media-optimizer')}>
+        <MediaOptimizationSidebar />
+      </PluginSidebar>
+    </>
+  ),
+});
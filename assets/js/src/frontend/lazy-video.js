@@ -0,0 +1,64 @@
+/**
+ * Lazy loading for optimized video blocks.
+ *
+ * Videos rendered with lazy loading keep their sources in data-src until they
+ * come close to the viewport, then load (and autoplay if enabled).
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+const LAZY_SELECTOR = 'video[data-flux-media-optimizer-lazy]';
+
+// Start loading a little before the video scrolls into view
+const ROOT_MARGIN = '200px 0px';
+
+/**
+ * Move the sources of a video from data-src to src and load it.
+ *
+ * @param {HTMLVideoElement} video Video element.
+ */
+const loadVideo = (video) => {
+    video.querySelectorAll('source[data-src]').forEach((source) => {
+        source.src = source.dataset.src;
+        source.removeAttribute('data-src');
+    });
+    video.removeAttribute('data-flux-media-optimizer-lazy');
+    video.load();
+
+    if (video.autoplay) {
+        video.play().catch(() => {});
+    }
+};
+
+/**
+ * Load lazy videos as they approach the viewport.
+ */
+const initLazyVideos = () => {
+    const videos = document.querySelectorAll(LAZY_SELECTOR);
+    if (!videos.length) {
+        return;
+    }
+
+    if (!('IntersectionObserver' in window)) {
+        videos.forEach(loadVideo);
+        return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+                observer.unobserve(entry.target);
+                loadVideo(entry.target);
+            }
+        });
+    }, { rootMargin: ROOT_MARGIN });
+
+    videos.forEach((video) => observer.observe(video));
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initLazyVideos);
+} else {
+    initLazyVideos();
+}
@@ -1,9 +1,11 @@
 // Custom hooks
-export { useSystemStatus } from './useSystemStatus';
+export { useSystemStatus, useRunSelfTest } from './useSystemStatus';
 export { useConversionStats, useRecentConversions } from './useConversionStats';
-export { useOptions, useUpdateOptions } from './useOptions';
-export { useStartConversion, useCancelConversion, useBulkConvert, useDeleteConvertedFile } from './useConversions';
-export { useLogs } from './useLogs';
+export { useOptions, useUpdateOptions, useTestConversionRules } from './useOptions';
+export { useAttachmentComparison, useConversionPreview, useQualitySummary, useSaveQualityScores, useConversionQueue, useStartConversion, useCancelConversion, useBulkConvert, useDeleteConvertedFile, useAttachmentHistory } from './useConversions';
+export { useFailures, useRetryFailures, useSkipFailures } from './useFailures';
+export { useBulkRun, useMediaScan, usePauseBulkRun, useResumeBulkRun } from './useBulkConversion';
+export { useLogs, useLogStream, useLogRetention, useRunLogRetention } from './useLogs';
 export { useCleanupTempFiles, useCleanupOldRecords } from './useCleanup';
 export { useAutoSaveForm } from './useAutoSaveForm';
 export { useSubscribeNewsletter } from './useUser';
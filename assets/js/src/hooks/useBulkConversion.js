@@ -0,0 +1,86 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiService } from '@flux-media-optimizer/services/api';
+
+/**
+ * React Query hook for polling the current bulk conversion run
+ */
+export const useBulkRun = () => {
+  return useQuery({
+    queryKey: ['conversions', 'bulk'],
+    queryFn: () => apiService.getBulkRun(),
+    refetchInterval: 5 * 1000, // 5 seconds
+  });
+};
+
+/**
+ * React Query hook for scanning the library in batches
+ *
+ * Follows the scan cursor until the whole library has been examined,
+ * reporting the running totals through onProgress after each batch.
+ */
+export const useMediaScan = () => {
+  return useMutation({
+    mutationFn: async ({ filters, onProgress, signal }) => {
+      const totals = { count: 0, total_bytes: 0, by_mime: {} };
+      let cursor = 0;
+
+      do {
+        if (signal?.aborted) break;
+
+        const batch = await apiService.scanMedia(filters, cursor);
+
+        totals.count += batch.count;
+        totals.total_bytes += batch.total_bytes;
+        Object.entries(batch.by_mime || {}).forEach(([mimeType, summary]) => {
+          const current = totals.by_mime[mimeType] || { count: 0, total_bytes: 0 };
+          totals.by_mime[mimeType] = {
+            count: current.count + summary.count,
+            total_bytes: current.total_bytes + summary.total_bytes,
+          };
+        });
+
+        cursor = batch.next_cursor;
+        onProgress?.({ ...totals });
+      } while (cursor);
+
+      return totals;
+    },
+    onError: (error) => {
+      console.error('Failed to scan media library:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for pausing the bulk conversion run
+ */
+export const usePauseBulkRun = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => apiService.pauseBulkRun(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['conversions'] });
+    },
+    onError: (error) => {
+      console.error('Failed to pause bulk conversion:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for resuming the bulk conversion run
+ */
+export const useResumeBulkRun = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => apiService.resumeBulkRun(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['conversions'] });
+    },
+    onError: (error) => {
+      console.error('Failed to resume bulk conversion:', error);
+    },
+  });
+};
@@ -1,4 +1,4 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
 import { apiService } from '@flux-media-optimizer/services/api';
 
 /**
@@ -24,6 +24,82 @@ export const useRecentConversions = (limit = 10) => {
   });
 };
 
+/**
+ * React Query hook for getting original and converted files of an attachment for comparison
+ */
+export const useAttachmentComparison = (attachmentId) => {
+  return useQuery({
+    queryKey: ['conversions', 'compare', attachmentId],
+    queryFn: () => apiService.getAttachmentComparison(attachmentId),
+    enabled: !!attachmentId,
+  });
+};
+
+/**
+ * React Query hook for getting the conversion history of an attachment
+ */
+export const useAttachmentHistory = (attachmentId) => {
+  return useQuery({
+    queryKey: ['conversions', 'history', attachmentId],
+    queryFn: () => apiService.getAttachmentHistory(attachmentId),
+    enabled: !!attachmentId,
+  });
+};
+
+/**
+ * React Query hook for previewing an image conversion at unsaved quality settings
+ */
+export const useConversionPreview = () => {
+  return useMutation({
+    mutationFn: ({ attachmentId, ...params }) =>
+      apiService.previewConversion(attachmentId, params),
+    onError: (error) => {
+      console.error('Failed to preview conversion:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for getting aggregate SSIM/PSNR quality statistics
+ */
+export const useQualitySummary = () => {
+  return useQuery({
+    queryKey: ['conversions', 'quality'],
+    queryFn: () => apiService.getQualitySummary(),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+  });
+};
+
+/**
+ * React Query hook for saving quality scores computed in the browser
+ */
+export const useSaveQualityScores = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ attachmentId, scores, size }) =>
+      apiService.saveQualityScores(attachmentId, scores, size),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['conversions', 'quality'] });
+    },
+    onError: (error) => {
+      console.error('Failed to save quality scores:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for polling the Action Scheduler conversion queue
+ */
+export const useConversionQueue = (status = '', perPage = 50) => {
+  return useQuery({
+    queryKey: ['conversions', 'queue', status, perPage],
+    queryFn: () => apiService.getConversionQueue({ status, per_page: perPage }),
+    refetchInterval: 5 * 1000, // 5 seconds
+    placeholderData: keepPreviousData,
+  });
+};
+
 /**
  * React Query hook for starting a conversion
  */
@@ -68,7 +144,7 @@ export const useBulkConvert = () => {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: (formats) => apiService.bulkConvert(formats),
+    mutationFn: ({ formats, filters }) => apiService.bulkConvert(formats, filters),
     onSuccess: () => {
       // Invalidate conversion-related queries
       queryClient.invalidateQueries({ queryKey: ['conversions'] });
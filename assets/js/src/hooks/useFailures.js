@@ -0,0 +1,49 @@
+import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import { apiService } from '@flux-media-optimizer/services/api';
+
+/**
+ * React Query hook for getting failed conversions grouped by cause
+ */
+export const useFailures = (category = '') => {
+  return useQuery({
+    queryKey: ['failures', category],
+    queryFn: () => apiService.getFailures(category),
+    refetchInterval: 30 * 1000, // 30 seconds
+    placeholderData: keepPreviousData,
+  });
+};
+
+/**
+ * React Query hook for retrying failed conversions, optionally with different settings
+ */
+export const useRetryFailures = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ ids, category, settings }) => apiService.retryFailures({ ids, category, settings }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['failures'] });
+      queryClient.invalidateQueries({ queryKey: ['conversions'] });
+    },
+    onError: (error) => {
+      console.error('Failed to retry failures:', error);
+    },
+  });
+};
+
+/**
+ * React Query hook for permanently skipping failed conversions
+ */
+export const useSkipFailures = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ ids, category }) => apiService.skipFailures({ ids, category }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['failures'] });
+    },
+    onError: (error) => {
+      console.error('Failed to skip failures:', error);
+    },
+  });
+};
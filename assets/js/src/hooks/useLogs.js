@@ -1,6 +1,11 @@
-import { useQuery } from '@tanstack/react-query';
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { apiService } from '@flux-media-optimizer/services/api';
 
+// Live tail defaults
+const LOG_STREAM_INTERVAL = 2000;
+const LOG_STREAM_BUFFER_SIZE = 1000;
+
 /**
  * React Query hook for fetching logs
  */
@@ -12,3 +17,91 @@ export const useLogs = (level = null, limit = 100) => {
     retry: 2,
   });
 };
+
+/**
+ * React Query hook for the log retention policy, log size and retention job runs
+ */
+export const useLogRetention = (enabled = true) => {
+  return useQuery({
+    queryKey: ['logs', 'retention'],
+    queryFn: () => apiService.getLogRetention(),
+    staleTime: 60 * 1000, // 1 minute
+    enabled,
+  });
+};
+
+/**
+ * React Query mutation applying the log retention policy now
+ */
+export const useRunLogRetention = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => apiService.runLogRetention(),
+    onSuccess: (state) => {
+      queryClient.setQueryData(['logs', 'retention'], state);
+      queryClient.invalidateQueries({ queryKey: ['logs'] });
+    },
+  });
+};
+
+/**
+ * Hook tailing the log by polling for entries written after the last one received.
+ * Starts at the newest entries, restarts when the filters change, keeps only the newest
+ * bufferSize entries and skips polls while the browser tab is hidden.
+ * Filters are those of apiService.getLogs (level, search, date range, attachment, job, processor, format).
+ */
+export const useLogStream = ({
+  enabled,
+  filters = {},
+  interval = LOG_STREAM_INTERVAL,
+  bufferSize = LOG_STREAM_BUFFER_SIZE,
+}) => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+  const filtersKey = JSON.stringify(filters);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let cancelled = false;
+    let timer = null;
+    let cursor = 0;
+
+    setEntries([]);
+    setError(null);
+
+    const poll = async () => {
+      if (!document.hidden) {
+        try {
+          const response = await apiService.streamLogs({ ...JSON.parse(filtersKey), since: cursor });
+          if (cancelled) return;
+
+          cursor = response.cursor;
+          if (response.data.length > 0) {
+            setEntries(prev => [...prev, ...response.data].slice(-bufferSize));
+          }
+          setError(null);
+        } catch (err) {
+          if (cancelled) return;
+          setError(err);
+        }
+      }
+
+      timer = setTimeout(poll, interval);
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [enabled, filtersKey, interval, bufferSize]);
+
+  return {
+    entries,
+    error,
+    clear: () => setEntries([]),
+  };
+};
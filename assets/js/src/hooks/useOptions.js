@@ -38,3 +38,15 @@ export const useUpdateOptions = () => {
     },
   });
 };
+
+/**
+ * React Query hook for testing unsaved conversion rules against an attachment
+ */
+export const useTestConversionRules = () => {
+  return useMutation({
+    mutationFn: ({ attachmentId, rules }) => apiService.testConversionRules(attachmentId, rules),
+    onError: (error) => {
+      console.error('Failed to test conversion rules:', error);
+    },
+  });
+};
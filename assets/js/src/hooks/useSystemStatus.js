@@ -1,4 +1,4 @@
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { apiService } from '@flux-media-optimizer/services/api';
 
 /**
@@ -11,4 +11,18 @@ export const useSystemStatus = () => {
     staleTime: 5 * 60 * 1000, // 5 minutes
     retry: 2,
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Mutation hook running the self-test, storing the run in the system status
+ */
+export const useRunSelfTest = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => apiService.runSelfTest(),
+    onSuccess: (run) => {
+      queryClient.setQueryData(['system', 'status'], (status) => (status ? { ...status, selfTest: run } : status));
+    },
+  });
+};
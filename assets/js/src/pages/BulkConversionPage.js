@@ -0,0 +1,498 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  Typography,
+  Box,
+  Grid,
+  Alert,
+  Button,
+  Stepper,
+  Step,
+  StepLabel,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+} from '@mui/material';
+import { PlayArrow, Pause, Search } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+import { useConversions, useBulkConvert } from '@flux-media-optimizer/hooks/useConversions';
+import { useBulkRun, useMediaScan, usePauseBulkRun, useResumeBulkRun } from '@flux-media-optimizer/hooks/useBulkConversion';
+import { useOptions } from '@flux-media-optimizer/hooks/useOptions';
+import { formatFileSize } from '@flux-media-optimizer/utils/fileSize';
+
+const MIME_TYPE_OPTIONS = [
+  { value: 'image/jpeg', label: 'JPEG' },
+  { value: 'image/png', label: 'PNG' },
+  { value: 'image/gif', label: 'GIF' },
+  { value: 'video/mp4', label: 'MP4' },
+  { value: 'video/quicktime', label: 'MOV' },
+  { value: 'video/webm', label: 'WebM' },
+];
+
+// Bulk runs schedule one conversion every 10 seconds to spread server load
+const SECONDS_PER_CONVERSION = 10;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Format a duration in seconds as hours and minutes.
+ *
+ * @param {number} seconds Duration in seconds.
+ * @returns {string} Formatted duration.
+ */
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.ceil((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+/**
+ * Bulk conversion wizard: scan the library, review a dry-run estimate, then run.
+ *
+ * @since TBD
+ */
+const BulkConversionPage = () => {
+  const [activeStep, setActiveStep] = useState(0);
+  const [filters, setFilters] = useState({
+    mime_types: [],
+    date_from: '',
+    date_to: '',
+    min_size_mb: '',
+    max_size_mb: '',
+  });
+  const [scanProgress, setScanProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const scanAbortRef = useRef(null);
+
+  const { data: options } = useOptions();
+  const { data: conversionStats } = useConversions();
+  const { data: bulkRunData } = useBulkRun();
+  const mediaScan = useMediaScan();
+  const bulkConvert = useBulkConvert();
+  const pauseBulkRun = usePauseBulkRun();
+  const resumeBulkRun = useResumeBulkRun();
+
+  const bulkRun = bulkRunData?.run;
+  const hasActiveRun = bulkRun && ['running', 'paused'].includes(bulkRun.status);
+
+  // Jump straight to the run step when a run is already in progress
+  useEffect(() => {
+    if (hasActiveRun) {
+      setActiveStep(2);
+    }
+  }, [hasActiveRun]);
+
+  // Stop scanning when leaving the page
+  useEffect(() => () => scanAbortRef.current?.abort(), []);
+
+  const steps = [
+    __('Scan library', 'flux-media-optimizer'),
+    __('Review estimate', 'flux-media-optimizer'),
+    __('Convert', 'flux-media-optimizer'),
+  ];
+
+  const getRequestFilters = () => ({
+    mime_types: filters.mime_types,
+    date_from: filters.date_from || undefined,
+    date_to: filters.date_to || undefined,
+    min_size: filters.min_size_mb ? Math.round(filters.min_size_mb * BYTES_PER_MB) : undefined,
+    max_size: filters.max_size_mb ? Math.round(filters.max_size_mb * BYTES_PER_MB) : undefined,
+  });
+
+  const handleFilterChange = (key) => (event) => {
+    setFilters((prev) => ({ ...prev, [key]: event.target.value }));
+  };
+
+  const handleScan = () => {
+    setError(null);
+    setScanProgress({ count: 0, total_bytes: 0, by_mime: {} });
+    scanAbortRef.current = new AbortController();
+
+    mediaScan.mutate(
+      {
+        filters: getRequestFilters(),
+        onProgress: setScanProgress,
+        signal: scanAbortRef.current.signal,
+      },
+      {
+        onSuccess: () => setActiveStep(1),
+        onError: (err) => setError(err?.message || __('Failed to scan media library', 'flux-media-optimizer')),
+      }
+    );
+  };
+
+  const handleStart = () => {
+    setError(null);
+    bulkConvert.mutate(
+      { formats: getEstimate().map((row) => row.format), filters: getRequestFilters() },
+      {
+        onSuccess: () => setActiveStep(2),
+        onError: (err) => setError(err?.message || __('Failed to start bulk conversion', 'flux-media-optimizer')),
+      }
+    );
+  };
+
+  const handlePause = () => {
+    setError(null);
+    pauseBulkRun.mutate(undefined, {
+      onError: (err) => setError(err?.message || __('Failed to pause bulk conversion', 'flux-media-optimizer')),
+    });
+  };
+
+  const handleResume = () => {
+    setError(null);
+    resumeBulkRun.mutate(undefined, {
+      onError: (err) => setError(err?.message || __('Failed to resume bulk conversion', 'flux-media-optimizer')),
+    });
+  };
+
+  /**
+   * Build the dry-run estimate from scan totals and historical savings ratios.
+   */
+  const getEstimate = () => {
+    if (!scanProgress) return [];
+
+    let imageBytes = 0;
+    let videoBytes = 0;
+    Object.entries(scanProgress.by_mime).forEach(([mimeType, summary]) => {
+      if (mimeType.startsWith('image/')) imageBytes += summary.total_bytes;
+      if (mimeType.startsWith('video/')) videoBytes += summary.total_bytes;
+    });
+
+    const rows = [];
+    const addRows = (formats, bytes) => {
+      (formats || []).forEach((format) => {
+        const history = conversionStats?.savings_by_type?.[format];
+        const ratio = history?.savings_percentage ?? null;
+        rows.push({
+          format,
+          sourceBytes: bytes,
+          ratio,
+          expectedSavings: ratio !== null ? Math.round(bytes * (ratio / 100)) : null,
+        });
+      });
+    };
+
+    if (imageBytes > 0) addRows(options?.image_formats, imageBytes);
+    if (videoBytes > 0) addRows(options?.video_formats, videoBytes);
+
+    return rows;
+  };
+
+  const renderScanStep = () => (
+    <Box>
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={4}>
+          <FormControl fullWidth size="small">
+            <InputLabel>{__('MIME types', 'flux-media-optimizer')}</InputLabel>
+            <Select
+              multiple
+              value={filters.mime_types}
+              onChange={handleFilterChange('mime_types')}
+              label={__('MIME types', 'flux-media-optimizer')}
+              renderValue={(selected) => (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                  {selected.map((value) => (
+                    <Chip key={value} label={MIME_TYPE_OPTIONS.find((option) => option.value === value)?.label || value} size="small" />
+                  ))}
+                </Box>
+              )}
+            >
+              {MIME_TYPE_OPTIONS.map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="date"
+            label={__('Uploaded from', 'flux-media-optimizer')}
+            value={filters.date_from}
+            onChange={handleFilterChange('date_from')}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="date"
+            label={__('Uploaded to', 'flux-media-optimizer')}
+            value={filters.date_to}
+            onChange={handleFilterChange('date_to')}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={__('Min size (MB)', 'flux-media-optimizer')}
+            value={filters.min_size_mb}
+            onChange={handleFilterChange('min_size_mb')}
+            inputProps={{ min: 0, step: 0.1 }}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label={__('Max size (MB)', 'flux-media-optimizer')}
+            value={filters.max_size_mb}
+            onChange={handleFilterChange('max_size_mb')}
+            inputProps={{ min: 0, step: 0.1 }}
+          />
+        </Grid>
+      </Grid>
+
+      {mediaScan.isPending && scanProgress && (
+        <Box sx={{ mb: 3 }}>
+          <LinearProgress sx={{ mb: 1 }} />
+          <Typography variant="body2" color="text.secondary">
+            {__('Scanning library…', 'flux-media-optimizer')} {scanProgress.count} {__('unconverted files found so far', 'flux-media-optimizer')}
+          </Typography>
+        </Box>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <Button
+          variant="contained"
+          startIcon={<Search />}
+          onClick={handleScan}
+          disabled={mediaScan.isPending || hasActiveRun}
+        >
+          {__('Scan library', 'flux-media-optimizer')}
+        </Button>
+        {mediaScan.isPending && (
+          <Button onClick={() => scanAbortRef.current?.abort()}>
+            {__('Stop scan', 'flux-media-optimizer')}
+          </Button>
+        )}
+      </Box>
+
+      {hasActiveRun && (
+        <Alert severity="info" sx={{ mt: 2 }}>
+          {__('A bulk conversion is already in progress. Pause or let it finish before starting a new one.', 'flux-media-optimizer')}
+        </Alert>
+      )}
+    </Box>
+  );
+
+  const renderEstimateStep = () => {
+    const estimate = getEstimate();
+    const totalSavings = estimate.reduce((total, row) => total + (row.expectedSavings || 0), 0);
+
+    return (
+      <Box>
+        <Grid container spacing={3} sx={{ mb: 3 }}>
+          <Grid item xs={12} sm={4}>
+            <Box sx={{ textAlign: 'center', p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+              <Typography variant="h6" color="primary">
+                {scanProgress?.count ?? 0}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {__('Files to convert', 'flux-media-optimizer')}
+              </Typography>
+            </Box>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <Box sx={{ textAlign: 'center', p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+              <Typography variant="h6" color="primary">
+                {formatFileSize(totalSavings)}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {__('Expected savings', 'flux-media-optimizer')}
+              </Typography>
+            </Box>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <Box sx={{ textAlign: 'center', p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+              <Typography variant="h6" color="primary">
+                {formatDuration((scanProgress?.count ?? 0) * SECONDS_PER_CONVERSION)}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {__('Estimated time', 'flux-media-optimizer')}
+              </Typography>
+            </Box>
+          </Grid>
+        </Grid>
+
+        <TableContainer component={Paper} sx={{ mb: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>{__('Format', 'flux-media-optimizer')}</TableCell>
+                <TableCell align="right">{__('Source size', 'flux-media-optimizer')}</TableCell>
+                <TableCell align="right">{__('Historical savings', 'flux-media-optimizer')}</TableCell>
+                <TableCell align="right">{__('Expected bytes saved', 'flux-media-optimizer')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {estimate.length > 0 ? (
+                estimate.map((row) => (
+                  <TableRow key={row.format}>
+                    <TableCell>{row.format.toUpperCase()}</TableCell>
+                    <TableCell align="right">{formatFileSize(row.sourceBytes)}</TableCell>
+                    <TableCell align="right">
+                      {row.ratio !== null ? `${row.ratio}%` : __('No history yet', 'flux-media-optimizer')}
+                    </TableCell>
+                    <TableCell align="right">
+                      {row.expectedSavings !== null ? formatFileSize(row.expectedSavings) : '—'}
+                    </TableCell>
+                  </TableRow>
+                ))
+              ) : (
+                <TableRow>
+                  <TableCell colSpan={4} align="center">
+                    <Typography variant="body2" color="text.secondary">
+                      {__('No matching files need conversion', 'flux-media-optimizer')}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 3 }}>
+          {__('Savings are estimated from the average ratios of previous conversions. Time is estimated from the queue spacing of one conversion every 10 seconds and may be longer for large videos.', 'flux-media-optimizer')}
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button onClick={() => setActiveStep(0)}>
+            {__('Back', 'flux-media-optimizer')}
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<PlayArrow />}
+            onClick={handleStart}
+            disabled={!scanProgress?.count || bulkConvert.isPending}
+          >
+            {__('Start conversion', 'flux-media-optimizer')}
+          </Button>
+        </Box>
+      </Box>
+    );
+  };
+
+  const renderRunStep = () => {
+    if (!bulkRun) {
+      return <LinearProgress />;
+    }
+
+    const total = scanProgress?.count || 0;
+    const converted = Math.max(0, bulkRun.scheduled - bulkRun.pending);
+
+    return (
+      <Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+          <Typography variant="h6">
+            {__('Bulk conversion', 'flux-media-optimizer')}
+          </Typography>
+          <Chip
+            size="small"
+            label={bulkRun.status === 'running'
+              ? __('Running', 'flux-media-optimizer')
+              : bulkRun.status === 'paused'
+                ? __('Paused', 'flux-media-optimizer')
+                : __('All files queued', 'flux-media-optimizer')}
+            color={bulkRun.status === 'running' ? 'primary' : bulkRun.status === 'paused' ? 'warning' : 'success'}
+          />
+        </Box>
+
+        {total > 0 && (
+          <LinearProgress
+            variant="determinate"
+            value={Math.min(100, (converted / total) * 100)}
+            sx={{ mb: 1 }}
+          />
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          {bulkRun.scheduled} {__('files scheduled', 'flux-media-optimizer')} · {bulkRun.pending} {__('waiting in queue', 'flux-media-optimizer')}
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          {bulkRun.status === 'running' && (
+            <Button
+              variant="outlined"
+              startIcon={<Pause />}
+              onClick={handlePause}
+              disabled={pauseBulkRun.isPending}
+            >
+              {__('Pause', 'flux-media-optimizer')}
+            </Button>
+          )}
+          {bulkRun.status === 'paused' && (
+            <Button
+              variant="contained"
+              startIcon={<PlayArrow />}
+              onClick={handleResume}
+              disabled={resumeBulkRun.isPending}
+            >
+              {__('Resume', 'flux-media-optimizer')}
+            </Button>
+          )}
+          {bulkRun.status === 'completed' && (
+            <Button onClick={() => setActiveStep(0)}>
+              {__('Start a new scan', 'flux-media-optimizer')}
+            </Button>
+          )}
+        </Box>
+      </Box>
+    );
+  };
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="center" sx={{ mb: 3 }}>
+        <Grid item>
+          <Typography variant="h5" gutterBottom>
+            {__('Bulk Conversion', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('Scan existing media, review the expected savings and convert it in the background.', 'flux-media-optimizer')}
+          </Typography>
+        </Grid>
+      </Grid>
+
+      <Stepper activeStep={activeStep} sx={{ mb: 4 }}>
+        {steps.map((label) => (
+          <Step key={label}>
+            <StepLabel>{label}</StepLabel>
+          </Step>
+        ))}
+      </Stepper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {activeStep === 0 && renderScanStep()}
+      {activeStep === 1 && renderEstimateStep()}
+      {activeStep === 2 && renderRunStep()}
+    </Box>
+  );
+};
+
+export default BulkConversionPage;
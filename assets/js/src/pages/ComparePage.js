@@ -0,0 +1,124 @@
+import React from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Grid,
+  Alert,
+  Skeleton,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Link,
+} from '@mui/material';
+import { __ } from '@wordpress/i18n';
+import { ComparisonViewer, QualityScoreCard } from '@flux-media-optimizer/components';
+import { useAttachmentComparison } from '@flux-media-optimizer/hooks/useConversions';
+import { useRecentConversions } from '@flux-media-optimizer/hooks/useConversionStats';
+
+/**
+ * Comparison page for reviewing original vs converted output of an attachment.
+ *
+ * @since TBD
+ */
+const ComparePage = () => {
+  const { attachmentId } = useParams();
+  const navigate = useNavigate();
+  const selectedId = attachmentId ? parseInt(attachmentId, 10) : null;
+
+  const { data: comparison, isLoading, error } = useAttachmentComparison(selectedId);
+  const { data: recentConversions } = useRecentConversions(25);
+
+  // Only images can be compared visually
+  const recentImages = (recentConversions || []).filter((item) => item.mime_type?.startsWith('image/'));
+  const hasSelectedInRecent = recentImages.some((item) => item.attachment_id === selectedId);
+
+  const handleAttachmentChange = (event) => {
+    navigate(`/compare/${event.target.value}`);
+  };
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="center" spacing={2} sx={{ mb: 3 }}>
+        <Grid item>
+          <Typography variant="h5" gutterBottom>
+            {__('Compare Conversions', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('Review the original image side by side with each converted format to tune quality settings.', 'flux-media-optimizer')}
+          </Typography>
+        </Grid>
+        <Grid item>
+          <FormControl size="small" sx={{ minWidth: 260 }}>
+            <InputLabel>{__('Recently converted', 'flux-media-optimizer')}</InputLabel>
+            <Select
+              value={selectedId || ''}
+              label={__('Recently converted', 'flux-media-optimizer')}
+              onChange={handleAttachmentChange}
+            >
+              {selectedId && !hasSelectedInRecent && (
+                <MenuItem value={selectedId}>
+                  {comparison?.title || `#${selectedId}`}
+                </MenuItem>
+              )}
+              {recentImages.map((item) => (
+                <MenuItem key={item.attachment_id} value={item.attachment_id}>
+                  {item.title || `#${item.attachment_id}`}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+      </Grid>
+
+      {!selectedId && (
+        <Alert severity="info">
+          {__('Select a converted image to compare, or use the Compare button on an attachment edit screen.', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {__('Error loading comparison:', 'flux-media-optimizer')} {error?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {selectedId && isLoading && (
+        <Box>
+          <Skeleton variant="rectangular" height={40} sx={{ mb: 2, borderRadius: 1 }} />
+          <Skeleton variant="rectangular" height={480} sx={{ borderRadius: 1 }} />
+        </Box>
+      )}
+
+      {comparison && (
+        <Box>
+          <Typography variant="subtitle1" sx={{ mb: 2 }}>
+            <Link href={comparison.edit_url} underline="hover">
+              {comparison.title || `#${comparison.attachment_id}`}
+            </Link>
+            {comparison.converted_at && (
+              <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                {__('Converted', 'flux-media-optimizer')} {comparison.converted_at}
+              </Typography>
+            )}
+          </Typography>
+          <ComparisonViewer
+            key={comparison.attachment_id}
+            sizes={comparison.sizes}
+            settings={comparison.settings}
+            currentSettings={comparison.current_settings}
+          />
+          <QualityScoreCard
+            key={`quality-${comparison.attachment_id}`}
+            attachmentId={comparison.attachment_id}
+            sizes={comparison.sizes}
+            savedScores={comparison.quality_scores}
+          />
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ComparePage;
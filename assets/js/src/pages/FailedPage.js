@@ -0,0 +1,550 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Grid,
+  Alert,
+  Skeleton,
+  IconButton,
+  Tooltip,
+  Tabs,
+  Tab,
+  Avatar,
+  Link,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControlLabel,
+  FormGroup,
+  TextField,
+} from '@mui/material';
+import { Refresh, Replay, Tune, Block, History } from '@mui/icons-material';
+import { __, sprintf } from '@wordpress/i18n';
+import { useFailures, useRetryFailures, useSkipFailures } from '@flux-media-optimizer/hooks/useFailures';
+import { useOptions } from '@flux-media-optimizer/hooks/useOptions';
+import { ConversionHistoryDrawer } from '@flux-media-optimizer/components';
+
+const CATEGORY_FILTERS = ['', 'timeout', 'memory', 'codec', 'file_size', 'external', 'other'];
+
+const RETRY_FORMATS = [
+  { value: 'webp', label: 'WebP' },
+  { value: 'avif', label: 'AVIF' },
+  { value: 'av1', label: 'AV1' },
+  { value: 'webm', label: 'WebM' },
+];
+
+/**
+ * Suggested retry settings for a failure category.
+ *
+ * Timeouts retry with a faster AVIF speed and WebM for videos, memory and codec
+ * failures retry with WebP, which every processor supports with the least memory.
+ *
+ * @param {string} category Failure category.
+ * @param {Object} options  Plugin options.
+ * @returns {Object} Retry settings.
+ */
+const getSuggestedSettings = (category, options = {}) => {
+  const settings = {
+    formats: [],
+    webp_quality: options.image_webp_quality ?? 80,
+    avif_quality: options.image_avif_quality ?? 70,
+    avif_speed: options.image_avif_speed ?? 6,
+  };
+
+  switch (category) {
+    case 'timeout':
+      return { ...settings, formats: ['webp', 'avif', 'webm'], avif_speed: Math.min(10, settings.avif_speed + 2) };
+    case 'memory':
+    case 'codec':
+      return { ...settings, formats: ['webp', 'webm'] };
+    default:
+      return settings;
+  }
+};
+
+/**
+ * Failed conversions page grouping failures by cause, with bulk retry,
+ * retry with different settings and permanent skip.
+ *
+ * @since TBD
+ */
+const FailedPage = () => {
+  const [category, setCategory] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [actionError, setActionError] = useState(null);
+  const [actionMessage, setActionMessage] = useState(null);
+  const [retryDialogOpen, setRetryDialogOpen] = useState(false);
+  const [retrySettings, setRetrySettings] = useState(() => getSuggestedSettings(''));
+  const [historyAttachmentId, setHistoryAttachmentId] = useState(null);
+
+  const {
+    data: failuresData,
+    isLoading,
+    error: failuresError,
+    refetch,
+  } = useFailures(category);
+  const { data: options } = useOptions();
+  const retryFailures = useRetryFailures();
+  const skipFailures = useSkipFailures();
+
+  // Selection only applies within the listed category
+  useEffect(() => {
+    setSelected([]);
+  }, [category]);
+
+  const counts = failuresData?.counts || {};
+  const labels = failuresData?.categories || {};
+  const failures = failuresData?.failures || [];
+  const isBusy = retryFailures.isPending || skipFailures.isPending;
+
+  const getCategoryLabel = (value) => {
+    if (!value) return __('All', 'flux-media-optimizer');
+    return labels[value] || value;
+  };
+
+  const getCategoryColor = (value) => {
+    switch (value) {
+      case 'timeout':
+      case 'memory':
+        return 'warning';
+      case 'codec':
+      case 'file_size':
+        return 'info';
+      case 'external':
+        return 'secondary';
+      default:
+        return 'default';
+    }
+  };
+
+  // Selected rows, else the whole category, else every listed failure
+  const getTarget = (ids = null) => {
+    if (ids) return { ids };
+    if (selected.length > 0) return { ids: selected };
+    if (category) return { category };
+    return { ids: failures.map((failure) => failure.attachment_id) };
+  };
+
+  const getTargetCount = () => {
+    if (selected.length > 0) return selected.length;
+    if (category) return counts[category] ?? 0;
+    return failures.length;
+  };
+
+  const handleRetry = (ids = null, settings = undefined) => {
+    setActionError(null);
+    setActionMessage(null);
+    retryFailures.mutate({ ...getTarget(ids), settings }, {
+      onSuccess: (result) => {
+        setSelected([]);
+        setRetryDialogOpen(false);
+        setActionMessage(
+          sprintf(
+            /* translators: 1: number of queued conversions, 2: number of conversions that could not be queued */
+            __('%1$d conversions queued for retry, %2$d could not be queued.', 'flux-media-optimizer'),
+            result?.queued ?? 0,
+            result?.failed ?? 0
+          )
+        );
+      },
+      onError: (error) => {
+        setActionError(error?.message || __('Failed to retry conversions', 'flux-media-optimizer'));
+      },
+    });
+  };
+
+  const handleSkip = (ids = null) => {
+    setActionError(null);
+    setActionMessage(null);
+    skipFailures.mutate(getTarget(ids), {
+      onSuccess: (result) => {
+        setSelected([]);
+        setActionMessage(
+          sprintf(
+            /* translators: %d: number of skipped attachments */
+            __('%d attachments will no longer be converted.', 'flux-media-optimizer'),
+            result?.skipped ?? 0
+          )
+        );
+      },
+      onError: (error) => {
+        setActionError(error?.message || __('Failed to skip conversions', 'flux-media-optimizer'));
+      },
+    });
+  };
+
+  const openRetryDialog = () => {
+    setRetrySettings(getSuggestedSettings(category, options));
+    setRetryDialogOpen(true);
+  };
+
+  const toggleRetryFormat = (format) => {
+    setRetrySettings((current) => ({
+      ...current,
+      formats: current.formats.includes(format)
+        ? current.formats.filter((value) => value !== format)
+        : [...current.formats, format],
+    }));
+  };
+
+  const setRetryNumber = (key, value) => {
+    setRetrySettings((current) => ({ ...current, [key]: parseInt(value, 10) || 0 }));
+  };
+
+  const toggleSelected = (attachmentId) => {
+    setSelected((current) => (
+      current.includes(attachmentId)
+        ? current.filter((id) => id !== attachmentId)
+        : [...current, attachmentId]
+    ));
+  };
+
+  const toggleAll = (event) => {
+    setSelected(event.target.checked ? failures.map((failure) => failure.attachment_id) : []);
+  };
+
+  const formatTime = (time) => {
+    if (!time) return '—';
+    return new Date(time.replace(' ', 'T')).toLocaleString();
+  };
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="center" sx={{ mb: 3 }}>
+        <Grid item>
+          <Typography variant="h5" gutterBottom>
+            {__('Failed Conversions', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('Attachments whose last conversion failed, grouped by cause. Retry them, retry with different settings, or skip them permanently.', 'flux-media-optimizer')}
+          </Typography>
+        </Grid>
+        <Grid item>
+          <Tooltip title={__('Refresh failures', 'flux-media-optimizer')}>
+            <IconButton onClick={() => refetch()} disabled={isLoading}>
+              <Refresh />
+            </IconButton>
+          </Tooltip>
+        </Grid>
+      </Grid>
+
+      {failuresError && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {__('Error loading failed conversions:', 'flux-media-optimizer')} {failuresError?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {actionError && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setActionError(null)}>
+          {actionError}
+        </Alert>
+      )}
+
+      {actionMessage && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setActionMessage(null)}>
+          {actionMessage}
+        </Alert>
+      )}
+
+      {/* Category filter */}
+      <Tabs
+        value={CATEGORY_FILTERS.indexOf(category)}
+        onChange={(event, newValue) => setCategory(CATEGORY_FILTERS[newValue])}
+        aria-label={__('Failure category filter', 'flux-media-optimizer')}
+        variant="scrollable"
+        scrollButtons="auto"
+        sx={{ mb: 2 }}
+      >
+        {CATEGORY_FILTERS.map((value) => (
+          <Tab
+            key={value || 'all'}
+            label={`${getCategoryLabel(value)} (${value ? (counts[value] ?? 0) : (failuresData?.total ?? 0)})`}
+          />
+        ))}
+      </Tabs>
+
+      {/* Bulk actions */}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+        <Button
+          variant="contained"
+          startIcon={<Replay />}
+          onClick={() => handleRetry()}
+          disabled={isBusy || getTargetCount() === 0}
+        >
+          {selected.length > 0
+            ? sprintf(
+              /* translators: %d: number of selected failures */
+              __('Retry selected (%d)', 'flux-media-optimizer'),
+              selected.length
+            )
+            : sprintf(
+              /* translators: %d: number of failures */
+              __('Retry all (%d)', 'flux-media-optimizer'),
+              getTargetCount()
+            )}
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<Tune />}
+          onClick={openRetryDialog}
+          disabled={isBusy || getTargetCount() === 0}
+        >
+          {__('Retry with different settings…', 'flux-media-optimizer')}
+        </Button>
+        <Button
+          variant="outlined"
+          color="error"
+          startIcon={<Block />}
+          onClick={() => handleSkip()}
+          disabled={isBusy || getTargetCount() === 0}
+        >
+          {selected.length > 0
+            ? sprintf(
+              /* translators: %d: number of selected failures */
+              __('Skip selected (%d)', 'flux-media-optimizer'),
+              selected.length
+            )
+            : sprintf(
+              /* translators: %d: number of failures */
+              __('Skip all (%d)', 'flux-media-optimizer'),
+              getTargetCount()
+            )}
+        </Button>
+      </Box>
+
+      {/* Failures Table */}
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox">
+                <Checkbox
+                  checked={failures.length > 0 && selected.length === failures.length}
+                  indeterminate={selected.length > 0 && selected.length < failures.length}
+                  onChange={toggleAll}
+                  inputProps={{ 'aria-label': __('Select all failures', 'flux-media-optimizer') }}
+                />
+              </TableCell>
+              <TableCell>{__('Media', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Cause', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Error', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Failed', 'flux-media-optimizer')}</TableCell>
+              <TableCell align="right">{__('Actions', 'flux-media-optimizer')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {isLoading ? (
+              // Loading skeleton
+              Array.from({ length: 5 }).map((_, index) => (
+                <TableRow key={index}>
+                  <TableCell padding="checkbox" />
+                  <TableCell>
+                    <Skeleton variant="text" width="70%" />
+                  </TableCell>
+                  <TableCell>
+                    <Skeleton variant="rectangular" width={80} height={24} sx={{ borderRadius: 1 }} />
+                  </TableCell>
+                  <TableCell>
+                    <Skeleton variant="text" width="100%" />
+                  </TableCell>
+                  <TableCell>
+                    <Skeleton variant="text" width={120} />
+                  </TableCell>
+                  <TableCell />
+                </TableRow>
+              ))
+            ) : failures.length > 0 ? (
+              failures.map((failure) => (
+                <TableRow key={failure.attachment_id} hover selected={selected.includes(failure.attachment_id)}>
+                  <TableCell padding="checkbox">
+                    <Checkbox
+                      checked={selected.includes(failure.attachment_id)}
+                      onChange={() => toggleSelected(failure.attachment_id)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+                      <Avatar variant="rounded" src={failure.thumbnail_url || undefined} alt="" sx={{ width: 40, height: 40 }} />
+                      <Box>
+                        {failure.edit_url ? (
+                          <Link href={failure.edit_url} underline="hover" variant="body2">
+                            {failure.title || `#${failure.attachment_id}`}
+                          </Link>
+                        ) : (
+                          <Typography variant="body2">
+                            {failure.title || `#${failure.attachment_id}`}
+                          </Typography>
+                        )}
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {failure.mime_type}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      label={failure.category_label}
+                      color={getCategoryColor(failure.category)}
+                      size="small"
+                    />
+                    {failure.pending && (
+                      <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                        {__('Retry queued', 'flux-media-optimizer')}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Typography
+                      variant="caption"
+                      color="error"
+                      display="block"
+                      sx={{ maxWidth: 320, wordBreak: 'break-word' }}
+                    >
+                      {failure.error || '—'}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" color="text.secondary">
+                      {formatTime(failure.time)}
+                    </Typography>
+                    {failure.trigger && (
+                      <Typography variant="caption" color="text.secondary">
+                        {failure.trigger}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title={__('Conversion history', 'flux-media-optimizer')}>
+                      <IconButton size="small" onClick={() => setHistoryAttachmentId(failure.attachment_id)}>
+                        <History fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title={__('Retry conversion', 'flux-media-optimizer')}>
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleRetry([failure.attachment_id])}
+                          disabled={isBusy || failure.pending}
+                        >
+                          <Replay fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title={__('Skip permanently', 'flux-media-optimizer')}>
+                      <span>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleSkip([failure.attachment_id])}
+                          disabled={isBusy}
+                        >
+                          <Block fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))
+            ) : (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    {__('No failed conversions', 'flux-media-optimizer')}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {/* Retry with different settings */}
+      <Dialog open={retryDialogOpen} onClose={() => setRetryDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>{__('Retry with different settings', 'flux-media-optimizer')}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {sprintf(
+              /* translators: %d: number of attachments to retry */
+              __('These settings apply to the next attempt of %d attachments only. Leave all formats unchecked to keep the configured formats.', 'flux-media-optimizer'),
+              getTargetCount()
+            )}
+          </Typography>
+
+          <Typography variant="subtitle2">{__('Formats', 'flux-media-optimizer')}</Typography>
+          <FormGroup row sx={{ mb: 2 }}>
+            {RETRY_FORMATS.map((format) => (
+              <FormControlLabel
+                key={format.value}
+                control={
+                  <Checkbox
+                    checked={retrySettings.formats.includes(format.value)}
+                    onChange={() => toggleRetryFormat(format.value)}
+                  />
+                }
+                label={format.label}
+              />
+            ))}
+          </FormGroup>
+
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <TextField
+              label={__('WebP Quality', 'flux-media-optimizer')}
+              type="number"
+              size="small"
+              value={retrySettings.webp_quality}
+              onChange={(event) => setRetryNumber('webp_quality', event.target.value)}
+              inputProps={{ min: 1, max: 100 }}
+            />
+            <TextField
+              label={__('AVIF Quality', 'flux-media-optimizer')}
+              type="number"
+              size="small"
+              value={retrySettings.avif_quality}
+              onChange={(event) => setRetryNumber('avif_quality', event.target.value)}
+              inputProps={{ min: 1, max: 100 }}
+            />
+            <TextField
+              label={__('AVIF Speed', 'flux-media-optimizer')}
+              type="number"
+              size="small"
+              value={retrySettings.avif_speed}
+              onChange={(event) => setRetryNumber('avif_speed', event.target.value)}
+              inputProps={{ min: 0, max: 10 }}
+              helperText={__('Higher is faster with larger files.', 'flux-media-optimizer')}
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRetryDialogOpen(false)}>
+            {__('Cancel', 'flux-media-optimizer')}
+          </Button>
+          <Button
+            variant="contained"
+            onClick={() => handleRetry(null, retrySettings)}
+            disabled={isBusy}
+          >
+            {__('Retry', 'flux-media-optimizer')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <ConversionHistoryDrawer
+        attachmentId={historyAttachmentId}
+        open={!!historyAttachmentId}
+        onClose={() => setHistoryAttachmentId(null)}
+      />
+    </Box>
+  );
+};
+
+export default FailedPage;
@@ -1,9 +1,21 @@
 import React from 'react';
-import { Grid, Typography, Box } from '@mui/material';
-import { __ } from '@wordpress/i18n';
-import { ImageStatusCard, VideoStatusCard, PHPConfigurationCard } from '@flux-media-optimizer/components';
+import {
+  Grid,
+  Typography,
+  Box,
+  Chip,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { __, sprintf } from '@wordpress/i18n';
+import { ImageStatusCard, VideoStatusCard, PHPConfigurationCard, DiagnosticsCard, SelfTestCard, SavingsAnalytics } from '@flux-media-optimizer/components';
 import { useSystemStatus } from '@flux-media-optimizer/hooks/useSystemStatus';
-import { useConversions } from '@flux-media-optimizer/hooks/useConversions';
+import { useConversions, useQualitySummary } from '@flux-media-optimizer/hooks/useConversions';
+import { getSsimRating } from '@flux-media-optimizer/utils/imageQuality';
 
 /**
  * Overview page component showing system status and conversion statistics.
@@ -13,6 +25,11 @@ import { useConversions } from '@flux-media-optimizer/hooks/useConversions';
 const OverviewPage = () => {
   const { data: systemStatus, isLoading: systemLoading } = useSystemStatus();
   const { data: conversionsData, isLoading: conversionsLoading } = useConversions();
+  const { data: qualitySummary } = useQualitySummary();
+
+  const qualityFormats = Object.entries(qualitySummary?.by_format || {});
+  const autoQuality = qualitySummary?.auto_quality;
+  const autoQualityFormats = Object.entries(autoQuality?.by_format || {});
 
   const getSavingsStats = () => {
     if (!conversionsData) return null;
@@ -51,6 +68,12 @@ const OverviewPage = () => {
             loading={systemLoading}
           />
         </Grid>
+        <Grid item xs={12} md={6}>
+          <DiagnosticsCard />
+        </Grid>
+        <Grid item xs={12}>
+          <SelfTestCard selfTest={systemStatus?.selfTest} />
+        </Grid>
       </Grid>   
 
       {/* Conversion Savings Section - without Paper wrapper */}
@@ -108,6 +131,167 @@ const OverviewPage = () => {
         </Box>
       )}
 
+      {/* Savings Analytics Section */}
+      <SavingsAnalytics />
+
+      {/* Perceptual Quality Section */}
+      {qualityFormats.length > 0 && (
+        <Box sx={{ mt: 4 }}>
+          <Typography variant="h5" component="h2" gutterBottom>
+            {__('Perceptual Quality', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {sprintf(
+              __('Average SSIM and PSNR across %d scored attachments. Score attachments from the Compare tab.', 'flux-media-optimizer'),
+              qualitySummary.scored_attachments
+            )}
+          </Typography>
+
+          <Grid container spacing={3}>
+            {qualityFormats.map(([format, summary]) => {
+              const rating = getSsimRating(summary.average_ssim);
+              return (
+                <Grid item xs={12} md={6} key={format}>
+                  <Box sx={{ p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+                      <Typography variant="h6">
+                        {format.toUpperCase()}
+                      </Typography>
+                      <Chip label={rating.label} color={rating.color} size="small" />
+                    </Box>
+                    <Grid container spacing={2} sx={{ mb: 1 }}>
+                      <Grid item xs={4}>
+                        <Typography variant="h6" color="primary">
+                          {summary.average_ssim.toFixed(4)}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {__('Average SSIM', 'flux-media-optimizer')}
+                        </Typography>
+                      </Grid>
+                      <Grid item xs={4}>
+                        <Typography variant="h6">
+                          {`${summary.average_psnr.toFixed(1)} dB`}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {__('Average PSNR', 'flux-media-optimizer')}
+                        </Typography>
+                      </Grid>
+                      <Grid item xs={4}>
+                        <Typography variant="h6">
+                          {summary.min_ssim.toFixed(4)}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {__('Lowest SSIM', 'flux-media-optimizer')}
+                        </Typography>
+                      </Grid>
+                    </Grid>
+
+                    {summary.by_quality.length > 0 && (
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>{__('Quality', 'flux-media-optimizer')}</TableCell>
+                            <TableCell align="right">{__('Attachments', 'flux-media-optimizer')}</TableCell>
+                            <TableCell align="right">{__('Avg. SSIM', 'flux-media-optimizer')}</TableCell>
+                            <TableCell align="right">{__('Avg. PSNR', 'flux-media-optimizer')}</TableCell>
+                            <TableCell align="right">{__('Lowest SSIM', 'flux-media-optimizer')}</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {summary.by_quality.map((row) => (
+                            <TableRow key={row.quality}>
+                              <TableCell>{row.quality}</TableCell>
+                              <TableCell align="right">{row.count}</TableCell>
+                              <TableCell align="right">{row.average_ssim.toFixed(4)}</TableCell>
+                              <TableCell align="right">{`${row.average_psnr.toFixed(1)} dB`}</TableCell>
+                              <TableCell align="right">{row.min_ssim.toFixed(4)}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    )}
+                  </Box>
+                </Grid>
+              );
+            })}
+          </Grid>
+        </Box>
+      )}
+
+      {/* Automatic Quality Section */}
+      {autoQualityFormats.length > 0 && (
+        <Box sx={{ mt: 4 }}>
+          <Typography variant="h5" component="h2" gutterBottom>
+            {__('Automatic Quality', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {sprintf(
+              /* translators: 1: number of attachments, 2: target SSIM */
+              __('Qualities chosen for %1$d attachments to reach a target SSIM of %2$s.', 'flux-media-optimizer'),
+              autoQuality.attachments,
+              Number(autoQuality.target).toFixed(3)
+            )}
+            {!autoQuality.enabled && ` ${__('Automatic quality is currently turned off in Settings.', 'flux-media-optimizer')}`}
+          </Typography>
+
+          <Grid container spacing={3}>
+            {autoQualityFormats.map(([format, summary]) => {
+              const largestBucket = Math.max(...summary.distribution.map(bucket => bucket.count));
+              return (
+                <Grid item xs={12} md={6} key={format}>
+                  <Box sx={{ p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                    <Typography variant="h6" sx={{ mb: 1 }}>
+                      {format.toUpperCase()}
+                    </Typography>
+                    <Grid container spacing={2} sx={{ mb: 2 }}>
+                      <Grid item xs={4}>
+                        <Typography variant="h6" color="primary">
+                          {summary.average_quality}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {__('Average quality', 'flux-media-optimizer')}
+                        </Typography>
+                      </Grid>
+                      <Grid item xs={4}>
+                        <Typography variant="h6">
+                          {summary.average_attempts}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {__('Average attempts', 'flux-media-optimizer')}
+                        </Typography>
+                      </Grid>
+                      <Grid item xs={4}>
+                        <Typography variant="h6" color={summary.unreached > 0 ? 'warning.main' : 'text.primary'}>
+                          {summary.unreached}
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {__('Target not reached', 'flux-media-optimizer')}
+                        </Typography>
+                      </Grid>
+                    </Grid>
+
+                    {summary.distribution.map((bucket) => (
+                      <Box key={bucket.min_quality} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                        <Typography variant="body2" sx={{ width: 56 }}>
+                          {`${bucket.min_quality}–${bucket.max_quality}`}
+                        </Typography>
+                        <LinearProgress
+                          variant="determinate"
+                          value={(bucket.count / largestBucket) * 100}
+                          sx={{ flexGrow: 1, height: 8, borderRadius: 1 }}
+                        />
+                        <Typography variant="body2" color="text.secondary" sx={{ width: 40, textAlign: 'right' }}>
+                          {bucket.count}
+                        </Typography>
+                      </Box>
+                    ))}
+                  </Box>
+                </Grid>
+              );
+            })}
+          </Grid>
+        </Box>
+      )}
     </Box>
   );
 };
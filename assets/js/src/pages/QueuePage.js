@@ -0,0 +1,336 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Grid,
+  Alert,
+  Skeleton,
+  IconButton,
+  Tooltip,
+  Tabs,
+  Tab,
+  LinearProgress,
+  Avatar,
+  Link,
+} from '@mui/material';
+import { Refresh, Cancel, CompareArrows, History } from '@mui/icons-material';
+import { __ } from '@wordpress/i18n';
+import { useConversionQueue, useCancelConversion } from '@flux-media-optimizer/hooks/useConversions';
+import { ConversionHistoryDrawer } from '@flux-media-optimizer/components';
+
+const STATUS_FILTERS = ['', 'pending', 'running', 'completed', 'failed'];
+
+/**
+ * Format a duration in seconds as a short human readable string.
+ *
+ * @param {number|null} seconds Duration in seconds.
+ * @returns {string} Formatted duration.
+ */
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+};
+
+/**
+ * Conversion queue page showing Action Scheduler conversion jobs with live progress.
+ *
+ * @since TBD
+ */
+const QueuePage = () => {
+  const [status, setStatus] = useState('');
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const [cancelError, setCancelError] = useState(null);
+  const [historyAttachmentId, setHistoryAttachmentId] = useState(null);
+
+  const {
+    data: queueData,
+    isLoading,
+    error: queueError,
+    refetch,
+  } = useConversionQueue(status);
+  const cancelConversion = useCancelConversion();
+  const navigate = useNavigate();
+
+  // Tick every second so elapsed time for running jobs updates between polls
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const counts = queueData?.counts || {};
+  const jobs = queueData?.jobs || [];
+
+  const getStatusLabel = (value) => {
+    switch (value) {
+      case 'pending':
+        return __('Pending', 'flux-media-optimizer');
+      case 'running':
+        return __('Running', 'flux-media-optimizer');
+      case 'completed':
+        return __('Completed', 'flux-media-optimizer');
+      case 'failed':
+        return __('Failed', 'flux-media-optimizer');
+      default:
+        return __('All', 'flux-media-optimizer');
+    }
+  };
+
+  const getStatusColor = (value) => {
+    switch (value) {
+      case 'running':
+        return 'primary';
+      case 'completed':
+        return 'success';
+      case 'failed':
+        return 'error';
+      default:
+        return 'default';
+    }
+  };
+
+  const getElapsed = (job) => {
+    if (job.status === 'running' && job.started_at) {
+      return Math.max(0, now - job.started_at);
+    }
+    return job.elapsed;
+  };
+
+  const formatTimestamp = (timestamp) => {
+    if (!timestamp) return '—';
+    return new Date(timestamp * 1000).toLocaleString();
+  };
+
+  const handleStatusChange = (event, newValue) => {
+    setStatus(STATUS_FILTERS[newValue]);
+  };
+
+  const handleCancel = (jobId) => {
+    setCancelError(null);
+    cancelConversion.mutate(jobId, {
+      onError: (error) => {
+        setCancelError(error?.message || __('Failed to cancel conversion job', 'flux-media-optimizer'));
+      },
+    });
+  };
+
+  const getTotalCount = () => {
+    return Object.values(counts).reduce((total, count) => total + count, 0);
+  };
+
+  return (
+    <Box>
+      <Grid container justifyContent="space-between" alignItems="center" sx={{ mb: 3 }}>
+        <Grid item>
+          <Typography variant="h5" gutterBottom>
+            {__('Conversion Queue', 'flux-media-optimizer')}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            {__('Monitor scheduled, running and finished conversion jobs. The queue refreshes automatically every few seconds.', 'flux-media-optimizer')}
+          </Typography>
+        </Grid>
+        <Grid item>
+          <Tooltip title={__('Refresh queue', 'flux-media-optimizer')}>
+            <IconButton onClick={() => refetch()} disabled={isLoading}>
+              <Refresh />
+            </IconButton>
+          </Tooltip>
+        </Grid>
+      </Grid>
+
+      {queueError && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {__('Error loading conversion queue:', 'flux-media-optimizer')} {queueError?.message || __('Unknown error occurred', 'flux-media-optimizer')}
+        </Alert>
+      )}
+
+      {cancelError && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setCancelError(null)}>
+          {cancelError}
+        </Alert>
+      )}
+
+      {/* Status filter */}
+      <Tabs
+        value={STATUS_FILTERS.indexOf(status)}
+        onChange={handleStatusChange}
+        aria-label={__('Conversion queue status filter', 'flux-media-optimizer')}
+        sx={{ mb: 2 }}
+      >
+        {STATUS_FILTERS.map((value) => (
+          <Tab
+            key={value || 'all'}
+            label={`${getStatusLabel(value)} (${value ? (counts[value] ?? 0) : getTotalCount()})`}
+          />
+        ))}
+      </Tabs>
+
+      {/* Jobs Table */}
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>{__('Media', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Status', 'flux-media-optimizer')}</TableCell>
+              <TableCell sx={{ minWidth: 160 }}>{__('Progress', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Scheduled', 'flux-media-optimizer')}</TableCell>
+              <TableCell>{__('Elapsed', 'flux-media-optimizer')}</TableCell>
+              <TableCell align="right">{__('Actions', 'flux-media-optimizer')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {isLoading ? (
+              // Loading skeleton
+              Array.from({ length: 5 }).map((_, index) => (
+                <TableRow key={index}>
+                  <TableCell>
+                    <Skeleton variant="text" width="70%" />
+                  </TableCell>
+                  <TableCell>
+                    <Skeleton variant="rectangular" width={80} height={24} sx={{ borderRadius: 1 }} />
+                  </TableCell>
+                  <TableCell>
+                    <Skeleton variant="text" width="100%" />
+                  </TableCell>
+                  <TableCell>
+                    <Skeleton variant="text" width={120} />
+                  </TableCell>
+                  <TableCell>
+                    <Skeleton variant="text" width={60} />
+                  </TableCell>
+                  <TableCell />
+                </TableRow>
+              ))
+            ) : jobs.length > 0 ? (
+              jobs.map((job) => (
+                <TableRow key={job.id} hover>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+                      <Avatar variant="rounded" src={job.thumbnail_url || undefined} alt="" sx={{ width: 40, height: 40 }} />
+                      <Box>
+                        {job.edit_url ? (
+                          <Link href={job.edit_url} underline="hover" variant="body2">
+                            {job.title || `#${job.attachment_id}`}
+                          </Link>
+                        ) : (
+                          <Typography variant="body2">
+                            {job.title || `#${job.attachment_id}`}
+                          </Typography>
+                        )}
+                        <Typography variant="caption" color="text.secondary" display="block">
+                          {job.mime_type} · {__('Job', 'flux-media-optimizer')} #{job.id}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      label={getStatusLabel(job.status)}
+                      color={getStatusColor(job.status)}
+                      size="small"
+                    />
+                    {job.error && (
+                      <Typography
+                        variant="caption"
+                        color="error"
+                        display="block"
+                        sx={{ mt: 0.5, maxWidth: 240, wordBreak: 'break-word' }}
+                      >
+                        {job.error}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {job.status === 'running' && job.progress === null ? (
+                      <LinearProgress />
+                    ) : (
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <LinearProgress
+                          variant="determinate"
+                          value={job.progress ?? 0}
+                          color={job.status === 'failed' ? 'error' : 'primary'}
+                          sx={{ flexGrow: 1 }}
+                        />
+                        <Typography variant="caption" color="text.secondary">
+                          {job.progress ?? 0}%
+                        </Typography>
+                      </Box>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" color="text.secondary">
+                      {formatTimestamp(job.scheduled_at)}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2" color="text.secondary">
+                      {formatDuration(getElapsed(job))}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title={__('Conversion history', 'flux-media-optimizer')}>
+                      <IconButton size="small" onClick={() => setHistoryAttachmentId(job.attachment_id)}>
+                        <History fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    {job.status === 'completed' && job.mime_type?.startsWith('image/') && (
+                      <Tooltip title={__('Compare original and converted', 'flux-media-optimizer')}>
+                        <IconButton size="small" onClick={() => navigate(`/compare/${job.attachment_id}`)}>
+                          <CompareArrows fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    {job.status === 'pending' && (
+                      <Tooltip title={__('Cancel conversion', 'flux-media-optimizer')}>
+                        <span>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleCancel(job.id)}
+                            disabled={cancelConversion.isPending && cancelConversion.variables === job.id}
+                          >
+                            <Cancel fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            ) : (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    {__('No conversion jobs found', 'flux-media-optimizer')}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <ConversionHistoryDrawer
+        attachmentId={historyAttachmentId}
+        open={!!historyAttachmentId}
+        onClose={() => setHistoryAttachmentId(null)}
+      />
+    </Box>
+  );
+};
+
+export default QueuePage;
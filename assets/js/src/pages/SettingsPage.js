@@ -1,12 +1,19 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Typography, Box, Grid, Switch, FormControlLabel, Alert, Divider, TextField, Stack, FormHelperText, Skeleton, Button, CircularProgress, InputAdornment, Tooltip, IconButton, Link, Collapse } from '@mui/material';
+import { Typography, Box, Grid, Switch, FormControlLabel, Alert, Divider, TextField, Stack, FormHelperText, Skeleton, Button, CircularProgress, InputAdornment, Tooltip, IconButton, Link, Collapse, MenuItem } from '@mui/material';
 import { CheckCircle, Error as ErrorIcon, Refresh } from '@mui/icons-material';
-import { __, _x } from '@wordpress/i18n';
+import { __, _x, sprintf } from '@wordpress/i18n';
 import { useAutoSaveForm } from '@flux-media-optimizer/hooks/useAutoSaveForm';
 import { useOptions, useUpdateOptions } from '@flux-media-optimizer/hooks/useOptions';
 import { useSystemStatus } from '@flux-media-optimizer/hooks/useSystemStatus';
 import { useLicense, useActivateLicense, useValidateLicense } from '@flux-media-optimizer/hooks/useLicense';
-import { SubscribeForm, SettingsSkeleton } from '@flux-media-optimizer/components';
+import { SubscribeForm, SettingsSkeleton, QualityPreviewPanel, ConversionRulesPanel } from '@flux-media-optimizer/components';
+import { isFormatUsable } from '@flux-media-optimizer/utils/selfTest';
+
+// Image quality settings that are held back from auto-save while previewing on a sample image
+const QUALITY_PREVIEW_KEYS = ['image_webp_quality', 'image_avif_quality', 'image_avif_speed'];
+
+// Intermediate image sizes registered by WordPress, the theme and plugins
+const IMAGE_SIZES = window.fluxMediaAdmin?.imageSizes || [];
 
 /**
  * Settings page component with auto-save functionality
@@ -18,6 +25,9 @@ const SettingsPage = () => {
   const [licenseActivationError, setLicenseActivationError] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
   const [isLicenseInitialized, setIsLicenseInitialized] = useState(false);
+  const [previewAttachmentId, setPreviewAttachmentId] = useState(null);
+  const [pendingQuality, setPendingQuality] = useState({});
+  const [committedQuality, setCommittedQuality] = useState({});
   
   // React Query hooks for data fetching
   const { data: serverSettings, isLoading: optionsLoading, error: optionsError } = useOptions();
@@ -101,13 +111,46 @@ const SettingsPage = () => {
   // Use local settings for display (immediate updates)
   const settings = localSettings;
 
-  // Helper functions to check format support
+  // Helper functions to check format support, verified by the self-test once it ran
   const isWebPSupported = () => {
-    return systemStatus?.imageProcessor?.webp_support === true;
+    return isFormatUsable(systemStatus, 'webp');
   };
 
   const isAVIFSupported = () => {
-    return systemStatus?.imageProcessor?.avif_support === true;
+    return isFormatUsable(systemStatus, 'avif');
+  };
+
+  const isAV1Supported = () => {
+    return isFormatUsable(systemStatus, 'av1');
+  };
+
+  const isWebMSupported = () => {
+    return isFormatUsable(systemStatus, 'webm');
+  };
+
+  // Formats the processors report but failed to encode in the last self-test
+  const selfTestFailedFormats = Object.entries(systemStatus?.selfTest?.formats || {})
+    .filter(([, usable]) => !usable)
+    .map(([format]) => format);
+
+  const getSelfTestNotice = (formats) => {
+    const failed = formats.filter(format => selfTestFailedFormats.includes(format));
+    if (failed.length === 0) return null;
+
+    return (
+      <FormHelperText error>
+        {sprintf(
+          /* translators: %s: list of formats */
+          __('Disabled because the self-test on the Overview page could not encode: %s', 'flux-media-optimizer'),
+          failed.map(format => format.toUpperCase()).join(', ')
+        )}
+      </FormHelperText>
+    );
+  };
+
+  // Encoding options depend on the processor that handles the format
+  const isEncodingOptionSupported = (option) => {
+    return systemStatus?.imageProcessor?.encoding_options?.[option] === true;
   };
 
   const handleSettingChange = (key) => (event) => {
@@ -130,12 +173,68 @@ const SettingsPage = () => {
       ...prev,
       [key]: newValue
     }));
+
+    // While previewing, hold quality changes back until they are applied
+    if (previewAttachmentId && QUALITY_PREVIEW_KEYS.includes(key)) {
+      setCommittedQuality(prev => (key in prev ? prev : { ...prev, [key]: settings[key] }));
+      setPendingQuality(prev => ({ ...prev, [key]: newValue }));
+      return;
+    }
     
     // Trigger auto-save in the background
     // The UI already reflects the change, so no waiting for server response
     debouncedSave({ [key]: newValue });
   };
 
+  // Sizes are saved as exclusions so sizes registered later are converted by default
+  const handleImageSizeChange = (sizeName) => (event) => {
+    const otherSizes = (settings?.image_excluded_sizes || []).filter(s => s !== sizeName);
+    const newExcludedSizes = event.target.checked ? otherSizes : [...otherSizes, sizeName];
+
+    setLocalSettings(prev => ({
+      ...prev,
+      image_excluded_sizes: newExcludedSizes
+    }));
+
+    debouncedSave({ image_excluded_sizes: newExcludedSizes });
+  };
+
+  // The SSIM target is edited in thousandths on a range input
+  const handleAutoQualityTargetChange = (event) => {
+    const target = parseInt(event.target.value, 10) / 1000;
+
+    setLocalSettings(prev => ({
+      ...prev,
+      image_auto_quality_target: target
+    }));
+
+    debouncedSave({ image_auto_quality_target: target });
+  };
+
+  const handleConversionRulesChange = (rules) => {
+    setLocalSettings(prev => ({
+      ...prev,
+      conversion_rules: rules
+    }));
+
+    debouncedSave({ conversion_rules: rules });
+  };
+
+  const handleApplyQuality = () => {
+    manualSave(pendingQuality);
+    setPendingQuality({});
+    setCommittedQuality({});
+  };
+
+  const handleDiscardQuality = () => {
+    setLocalSettings(prev => ({
+      ...prev,
+      ...committedQuality
+    }));
+    setPendingQuality({});
+    setCommittedQuality({});
+  };
+
   const handleLicenseKeyChange = (event) => {
     const newLicenseKey = event.target.value;
     
@@ -308,6 +407,20 @@ const SettingsPage = () => {
                 {__('Creates both WebP and AVIF formats when supported by your server. Serves AVIF where supported (via <picture> tags or server detection), with WebP and the original image as fallback. This is the recommended approach for maximum performance and device compatibility. This is more dependent on theme and plugin compatibility than the native approach.', 'flux-media-optimizer')}
               </FormHelperText>
 
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={!!settings?.image_picture_output}
+                    disabled={isLoading || (!isWebPSupported() && !isAVIFSupported())}
+                    onChange={handleSettingChange('image_picture_output')}
+                  />
+                }
+                label={__('Render images as <picture> elements', 'flux-media-optimizer')}
+              />
+              <FormHelperText>
+                {__('Wraps images in <picture> elements with AVIF and WebP sources covering every image size, and keeps the original image as fallback. Browsers pick the best format they support, so older Safari versions still get an image they can display. Takes precedence over the hybrid approach for images.', 'flux-media-optimizer')}
+              </FormHelperText>
+
               {!settings?.image_hybrid_approach && (
                 <>
                   <FormControlLabel
@@ -359,6 +472,31 @@ const SettingsPage = () => {
                   />
                 </>
               )}
+              {getSelfTestNotice(['webp', 'avif'])}
+
+              {IMAGE_SIZES.length > 0 && (
+                <>
+                  <Typography variant="subtitle1">
+                    {__('Sizes to convert', 'flux-media-optimizer')}
+                  </Typography>
+                  <FormHelperText>
+                    {__('The full size is always converted. Excluded sizes are served from their original file, and their converted files are removed the next time the image is converted.', 'flux-media-optimizer')}
+                  </FormHelperText>
+                  {IMAGE_SIZES.map((size) => (
+                    <FormControlLabel
+                      key={size.name}
+                      control={
+                        <Switch
+                          checked={!(settings?.image_excluded_sizes || []).includes(size.name)}
+                          disabled={isLoading}
+                          onChange={handleImageSizeChange(size.name)}
+                        />
+                      }
+                      label={`${size.name} (${size.width || '∞'}×${size.height || '∞'})`}
+                    />
+                  ))}
+                </>
+              )}
             </Stack>
           </Box>
         </Grid>
@@ -385,7 +523,7 @@ const SettingsPage = () => {
                 control={
                   <Switch
                     checked={!!settings?.video_hybrid_approach}
-                    disabled={isLoading}
+                    disabled={isLoading || (!isAV1Supported() && !isWebMSupported())}
                     onChange={handleSettingChange('video_hybrid_approach')}
                   />
                 }
@@ -401,7 +539,7 @@ const SettingsPage = () => {
                     control={
                       <Switch
                         checked={settings?.video_formats?.includes('av1') || false}
-                        disabled={isLoading}
+                        disabled={isLoading || !isAV1Supported()}
                         onChange={(e) => {
                           const newFormats = e.target.checked 
                             ? [...(settings?.video_formats || []).filter(f => f !== 'av1'), 'av1']
@@ -425,7 +563,7 @@ const SettingsPage = () => {
                     control={
                       <Switch
                         checked={settings?.video_formats?.includes('webm') || false}
-                        disabled={isLoading}
+                        disabled={isLoading || !isWebMSupported()}
                         onChange={(e) => {
                           const newFormats = e.target.checked 
                             ? [...(settings?.video_formats || []).filter(f => f !== 'webm'), 'webm']
@@ -446,6 +584,51 @@ const SettingsPage = () => {
                   />
                 </>
               )}
+              {getSelfTestNotice(['av1', 'webm'])}
+
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={!!settings?.video_poster_enabled}
+                    disabled={isLoading}
+                    onChange={handleSettingChange('video_poster_enabled')}
+                  />
+                }
+                label={__('Generate a poster image after conversion', 'flux-media-optimizer')}
+              />
+              <FormHelperText>
+                {__('Extracts a frame from converted videos without a featured image, converts it like any other image and sets it as the featured image, so players show it before the video loads.', 'flux-media-optimizer')}
+              </FormHelperText>
+
+              {settings?.video_poster_enabled && (
+                <Stack direction="row" spacing={2}>
+                  <TextField
+                    select
+                    size="small"
+                    label={__('Poster frame', 'flux-media-optimizer')}
+                    value={settings?.video_poster_mode || 'timestamp'}
+                    disabled={isLoading}
+                    onChange={handleSettingChange('video_poster_mode')}
+                    sx={{ minWidth: 200 }}
+                  >
+                    <MenuItem value="timestamp">{__('Frame at a set time', 'flux-media-optimizer')}</MenuItem>
+                    <MenuItem value="scene">{__('First scene change', 'flux-media-optimizer')}</MenuItem>
+                  </TextField>
+                  <TextField
+                    type="number"
+                    size="small"
+                    label={settings?.video_poster_mode === 'scene'
+                      ? __('Fallback time', 'flux-media-optimizer')
+                      : __('Time', 'flux-media-optimizer')}
+                    value={settings?.video_poster_timestamp ?? 1}
+                    disabled={isLoading}
+                    onChange={handleSettingChange('video_poster_timestamp')}
+                    inputProps={{ min: 0, max: 3600 }}
+                    InputProps={{ endAdornment: <InputAdornment position="end">{__('s', 'flux-media-optimizer')}</InputAdornment> }}
+                    sx={{ width: 140 }}
+                  />
+                </Stack>
+              )}
             </Stack>
           </Box>
         </Grid>
@@ -459,6 +642,63 @@ const SettingsPage = () => {
                 {__('Image Quality Settings', 'flux-media-optimizer')}
               </Typography>
               <Stack spacing={3}>
+                {/* Quality Mode */}
+                <Box sx={{ opacity: isWebPSupported() || isAVIFSupported() ? 1 : 0.5 }}>
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label={__('Quality mode', 'flux-media-optimizer')}
+                    value={settings?.image_quality_mode || 'fixed'}
+                    disabled={isLoading || (!isWebPSupported() && !isAVIFSupported())}
+                    onChange={handleSettingChange('image_quality_mode')}
+                  >
+                    <MenuItem value="fixed">{__('Fixed quality', 'flux-media-optimizer')}</MenuItem>
+                    <MenuItem value="auto">{__('Automatic (target similarity)', 'flux-media-optimizer')}</MenuItem>
+                  </TextField>
+                  <FormHelperText>
+                    {settings?.image_quality_mode === 'auto'
+                      ? __('Each image is encoded at the lowest quality that still reaches the target SSIM, so simple graphics get smaller files and detailed photos keep their detail. The qualities below are still used for animated GIFs, and quality set by a conversion rule or a retry takes precedence.', 'flux-media-optimizer')
+                      : __('Every image is encoded at the qualities below.', 'flux-media-optimizer')}
+                  </FormHelperText>
+
+                  {settings?.image_quality_mode === 'auto' && (
+                    <Box sx={{ mt: 2 }}>
+                      <Typography variant="subtitle1" gutterBottom>
+                        {__('Target SSIM', 'flux-media-optimizer')}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        {__('Current:', 'flux-media-optimizer')} {Number(settings?.image_auto_quality_target ?? 0.98).toFixed(3)} ({__('Higher values keep more detail, 0.98 and above is hard to tell from the original', 'flux-media-optimizer')})
+                      </Typography>
+                      <input
+                        type="range"
+                        min="900"
+                        max="999"
+                        value={Math.round((settings?.image_auto_quality_target ?? 0.98) * 1000)}
+                        disabled={isLoading}
+                        onChange={handleAutoQualityTargetChange}
+                        style={{ width: '100%' }}
+                      />
+
+                      <Typography variant="subtitle1" gutterBottom sx={{ mt: 2 }}>
+                        {__('Maximum Encode Attempts', 'flux-media-optimizer')}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        {__('Current:', 'flux-media-optimizer')} {settings?.image_auto_quality_max_attempts ?? 6} ({__('Encodes per format and image while searching. More attempts find a closer quality but convert slower', 'flux-media-optimizer')})
+                      </Typography>
+                      <input
+                        type="range"
+                        min="2"
+                        max="10"
+                        value={settings?.image_auto_quality_max_attempts ?? 6}
+                        disabled={isLoading}
+                        onChange={handleSettingChange('image_auto_quality_max_attempts')}
+                        style={{ width: '100%' }}
+                      />
+                    </Box>
+                  )}
+                </Box>
+
                 {/* WebP Quality */}
                 <Box sx={{ opacity: isWebPSupported() ? 1 : 0.5 }}>
                   <Typography variant="subtitle1" gutterBottom>
@@ -515,6 +755,142 @@ const SettingsPage = () => {
                     style={{ width: '100%' }}
                   />
                 </Box>
+
+                <Divider />
+
+                {/* WebP Encoding */}
+                <Box sx={{ opacity: isWebPSupported() ? 1 : 0.5 }}>
+                  <Typography variant="subtitle1" gutterBottom>
+                    {__('WebP Encoding', 'flux-media-optimizer')}
+                  </Typography>
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label={__('Mode', 'flux-media-optimizer')}
+                    value={settings?.image_webp_mode || 'lossy'}
+                    disabled={isLoading || !isWebPSupported()}
+                    onChange={handleSettingChange('image_webp_mode')}
+                  >
+                    <MenuItem value="lossy">{__('Lossy', 'flux-media-optimizer')}</MenuItem>
+                    <MenuItem value="lossless" disabled={!isEncodingOptionSupported('webp_lossless')}>
+                      {__('Lossless', 'flux-media-optimizer')}
+                    </MenuItem>
+                    <MenuItem value="near_lossless" disabled={!isEncodingOptionSupported('webp_near_lossless')}>
+                      {__('Near-lossless', 'flux-media-optimizer')}
+                    </MenuItem>
+                  </TextField>
+                  <FormHelperText>
+                    {settings?.image_webp_mode === 'lossless'
+                      ? __('Keeps every pixel. Best for logos, screenshots and graphics, larger for photos.', 'flux-media-optimizer')
+                      : settings?.image_webp_mode === 'near_lossless'
+                        ? __('Lossless encoding after light preprocessing, visually identical at a smaller size.', 'flux-media-optimizer')
+                        : __('Uses the WebP quality above. Smallest files for photos.', 'flux-media-optimizer')}
+                  </FormHelperText>
+
+                  {settings?.image_webp_mode === 'near_lossless' && (
+                    <Box sx={{ mt: 2 }}>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        {__('Near-lossless level:', 'flux-media-optimizer')} {settings?.image_webp_near_lossless ?? 60} ({__('Lower values = more preprocessing and smaller files, 100 = lossless', 'flux-media-optimizer')})
+                      </Typography>
+                      <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={settings?.image_webp_near_lossless ?? 60}
+                        disabled={isLoading || !isEncodingOptionSupported('webp_near_lossless')}
+                        onChange={handleSettingChange('image_webp_near_lossless')}
+                        style={{ width: '100%' }}
+                      />
+                    </Box>
+                  )}
+
+                  <Box sx={{ mt: 2, opacity: isEncodingOptionSupported('webp_alpha_quality') ? 1 : 0.5 }}>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                      {__('Alpha quality:', 'flux-media-optimizer')} {settings?.image_webp_alpha_quality ?? 100}% ({__('Quality of transparent areas, lower values shrink images with transparency', 'flux-media-optimizer')})
+                    </Typography>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={settings?.image_webp_alpha_quality ?? 100}
+                      disabled={isLoading || !isEncodingOptionSupported('webp_alpha_quality')}
+                      onChange={handleSettingChange('image_webp_alpha_quality')}
+                      style={{ width: '100%' }}
+                    />
+                  </Box>
+
+                  <Box sx={{ mt: 2, opacity: isEncodingOptionSupported('webp_method') ? 1 : 0.5 }}>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                      {__('Method:', 'flux-media-optimizer')} {settings?.image_webp_method ?? 4} ({__('Higher values = slower encoding but smaller files (0-6)', 'flux-media-optimizer')})
+                    </Typography>
+                    <input
+                      type="range"
+                      min="0"
+                      max="6"
+                      value={settings?.image_webp_method ?? 4}
+                      disabled={isLoading || !isEncodingOptionSupported('webp_method')}
+                      onChange={handleSettingChange('image_webp_method')}
+                      style={{ width: '100%' }}
+                    />
+                  </Box>
+
+                  {isWebPSupported() && !isEncodingOptionSupported('webp_method') && (
+                    <FormHelperText>
+                      {__('The image processor handling WebP only supports the quality and lossless mode. Install Imagick for the other WebP options.', 'flux-media-optimizer')}
+                    </FormHelperText>
+                  )}
+                </Box>
+
+                {/* AVIF Encoding */}
+                <Box sx={{ opacity: isAVIFSupported() ? 1 : 0.5 }}>
+                  <Typography variant="subtitle1" gutterBottom>
+                    {__('AVIF Encoding', 'flux-media-optimizer')}
+                  </Typography>
+                  <Stack direction="row" spacing={2}>
+                    <TextField
+                      select
+                      fullWidth
+                      size="small"
+                      label={__('Mode', 'flux-media-optimizer')}
+                      value={settings?.image_avif_mode || 'lossy'}
+                      disabled={isLoading || !isAVIFSupported()}
+                      onChange={handleSettingChange('image_avif_mode')}
+                    >
+                      <MenuItem value="lossy">{__('Lossy', 'flux-media-optimizer')}</MenuItem>
+                      <MenuItem value="lossless" disabled={!isEncodingOptionSupported('avif_lossless')}>
+                        {__('Lossless', 'flux-media-optimizer')}
+                      </MenuItem>
+                      <MenuItem value="near_lossless" disabled>
+                        {__('Near-lossless (not supported by AVIF encoders)', 'flux-media-optimizer')}
+                      </MenuItem>
+                    </TextField>
+                    <TextField
+                      select
+                      fullWidth
+                      size="small"
+                      label={__('Chroma subsampling', 'flux-media-optimizer')}
+                      value={settings?.image_avif_mode === 'lossless' ? '444' : (settings?.image_avif_chroma || '420')}
+                      disabled={isLoading || settings?.image_avif_mode === 'lossless' || !isEncodingOptionSupported('avif_chroma')}
+                      onChange={handleSettingChange('image_avif_chroma')}
+                    >
+                      <MenuItem value="420">{_x('4:2:0', 'chroma subsampling', 'flux-media-optimizer')}</MenuItem>
+                      <MenuItem value="422">{_x('4:2:2', 'chroma subsampling', 'flux-media-optimizer')}</MenuItem>
+                      <MenuItem value="444">{_x('4:4:4', 'chroma subsampling', 'flux-media-optimizer')}</MenuItem>
+                    </TextField>
+                  </Stack>
+                  <FormHelperText>
+                    {settings?.image_avif_mode === 'lossless'
+                      ? __('Encodes at full quality with full color resolution (4:4:4).', 'flux-media-optimizer')
+                      : __('4:2:0 gives the smallest files. 4:4:4 keeps sharp colored edges in graphics and text.', 'flux-media-optimizer')}
+                  </FormHelperText>
+
+                  {isAVIFSupported() && !isEncodingOptionSupported('avif_chroma') && (
+                    <FormHelperText>
+                      {__('The image processor handling AVIF does not support lossless mode or chroma subsampling. These need Imagick with ImageMagick 7.1 or newer.', 'flux-media-optimizer')}
+                    </FormHelperText>
+                  )}
+                </Box>
               </Stack>
             </Box>
           </Collapse>
@@ -605,6 +981,33 @@ const SettingsPage = () => {
           </Collapse>
         </Grid>
 
+        {/* Conversion Rules */}
+        <Grid item xs={12}>
+          <Divider sx={{ mb: 3 }} />
+          <ConversionRulesPanel
+            rules={settings?.conversion_rules || []}
+            onChange={handleConversionRulesChange}
+            disabled={isLoading}
+          />
+        </Grid>
+
+        {/* Image Quality Preview */}
+        <Grid item xs={12}>
+          <Collapse in={shouldEnableQualitySettings} timeout="auto" unmountOnExit>
+            <QualityPreviewPanel
+              settings={settings}
+              formats={(settings?.image_formats || []).filter(format => (
+                (format === 'webp' && isWebPSupported()) || (format === 'avif' && isAVIFSupported())
+              ))}
+              attachmentId={previewAttachmentId}
+              onAttachmentChange={setPreviewAttachmentId}
+              hasPendingChanges={Object.keys(pendingQuality).length > 0}
+              onApply={handleApplyQuality}
+              onDiscard={handleDiscardQuality}
+            />
+          </Collapse>
+        </Grid>
+
         {/* License Settings */}
         <Grid item xs={12}>
           <Divider sx={{ my: 2 }} />
@@ -82,6 +82,21 @@ class ApiService {
     return this.request('/status');
   }
 
+  /**
+   * Build the download URL of the diagnostics report.
+   *
+   * @returns {string} - Report URL
+   */
+  getDiagnosticsUrl() {
+    return this.getDownloadUrl('status/diagnostics');
+  }
+
+  async runSelfTest() {
+    return this.request('/status/self-test', {
+      method: 'POST',
+    });
+  }
+
   // Conversion endpoints
   async getConversionStats(filters = {}) {
     const params = new URLSearchParams();
@@ -95,10 +110,61 @@ class ApiService {
     return this.request(endpoint);
   }
 
+  /**
+   * Build the download URL of a conversion report.
+   *
+   * Reports are streamed by the server, so they are downloaded by navigating to this
+   * URL rather than fetched into memory. The nonce is passed as a query parameter.
+   *
+   * @param {Object} params - Report format and date range
+   * @returns {string} - Report URL
+   */
+  getConversionExportUrl(params = {}) {
+    return this.getDownloadUrl('conversions/export', params);
+  }
+
+  /**
+   * Build the URL of a file streamed by a route, with the nonce as a query parameter.
+   *
+   * @param {string} route - Route relative to the namespace
+   * @param {Object} params - Query parameters, empty values are left out
+   * @returns {string} - Download URL
+   */
+  getDownloadUrl(route, params = {}) {
+    const url = new URL(window.fluxMediaAdmin?.apiUrl || `/wp-json/${this.namespace}/`, window.location.origin);
+
+    // Sites without pretty permalinks pass the route as a query parameter
+    if (url.searchParams.has('rest_route')) {
+      url.searchParams.set('rest_route', `${url.searchParams.get('rest_route')}${route}`);
+    } else {
+      url.pathname += route;
+    }
+
+    Object.entries(params).forEach(([key, value]) => {
+      if (value) url.searchParams.append(key, value);
+    });
+    url.searchParams.append('_wpnonce', window.fluxMediaAdmin?.nonce || '');
+
+    return url.toString();
+  }
+
+  async getQualitySummary() {
+    return this.request('/conversions/quality');
+  }
+
   async getRecentConversions(limit = 10) {
     return this.request(`/conversions/recent?limit=${limit}`);
   }
 
+  async getConversionQueue(params = {}) {
+    const queryParams = new URLSearchParams();
+
+    if (params.status) queryParams.append('status', params.status);
+    if (params.per_page) queryParams.append('per_page', params.per_page.toString());
+
+    return this.request(`/conversions/queue?${queryParams.toString()}`);
+  }
+
 
   // Options endpoints
   async getOptions() {
@@ -112,6 +178,13 @@ class ApiService {
     });
   }
 
+  async testConversionRules(attachmentId, rules) {
+    return this.request('/options/rules/test', {
+      method: 'POST',
+      body: JSON.stringify({ attachment_id: attachmentId, rules }),
+    });
+  }
+
   // License endpoints
   async getLicense() {
     return this.request('/license');
@@ -146,14 +219,88 @@ class ApiService {
     });
   }
 
-  async bulkConvert(formats) {
+  async bulkConvert(formats, filters = {}) {
     return this.request('/conversions/bulk', {
       method: 'POST',
-      body: JSON.stringify({ formats }),
+      body: JSON.stringify({ formats, filters }),
+    });
+  }
+
+  async scanMedia(filters = {}, cursor = 0) {
+    const queryParams = new URLSearchParams();
+
+    (filters.mime_types || []).forEach((mimeType) => queryParams.append('mime_types[]', mimeType));
+    if (filters.date_from) queryParams.append('date_from', filters.date_from);
+    if (filters.date_to) queryParams.append('date_to', filters.date_to);
+    if (filters.min_size) queryParams.append('min_size', filters.min_size.toString());
+    if (filters.max_size) queryParams.append('max_size', filters.max_size.toString());
+    if (cursor) queryParams.append('cursor', cursor.toString());
+
+    return this.request(`/conversions/scan?${queryParams.toString()}`);
+  }
+
+  async getBulkRun() {
+    return this.request('/conversions/bulk');
+  }
+
+  async pauseBulkRun() {
+    return this.request('/conversions/bulk/pause', {
+      method: 'POST',
+    });
+  }
+
+  async resumeBulkRun() {
+    return this.request('/conversions/bulk/resume', {
+      method: 'POST',
+    });
+  }
+
+  async getAttachmentHistory(attachmentId) {
+    return this.request(`/conversions/attachments/${attachmentId}/history`);
+  }
+
+  // Failed conversions
+  async getFailures(category = '') {
+    const queryParams = new URLSearchParams();
+
+    if (category) queryParams.append('category', category);
+
+    return this.request(`/failures?${queryParams.toString()}`);
+  }
+
+  async retryFailures({ ids, category, settings }) {
+    return this.request('/failures/retry', {
+      method: 'POST',
+      body: JSON.stringify({ ids, category, settings }),
+    });
+  }
+
+  async skipFailures({ ids, category }) {
+    return this.request('/failures/skip', {
+      method: 'POST',
+      body: JSON.stringify({ ids, category }),
     });
   }
 
   // File operations
+  async getAttachmentComparison(attachmentId) {
+    return this.request(`/files/compare/${attachmentId}`);
+  }
+
+  async previewConversion(attachmentId, { format, size, webp_quality, avif_quality, avif_speed }) {
+    return this.request(`/files/preview/${attachmentId}`, {
+      method: 'POST',
+      body: JSON.stringify({ format, size, webp_quality, avif_quality, avif_speed }),
+    });
+  }
+
+  async saveQualityScores(attachmentId, scores, size = 'full') {
+    return this.request(`/files/quality/${attachmentId}`, {
+      method: 'POST',
+      body: JSON.stringify({ scores, size }),
+    });
+  }
+
   async deleteConvertedFile(attachmentId, format) {
     return this.request(`/files/delete/${attachmentId}/${format}`, {
       method: 'DELETE',
@@ -166,12 +313,47 @@ class ApiService {
     
     if (params.page) queryParams.append('page', params.page.toString());
     if (params.per_page) queryParams.append('per_page', params.per_page.toString());
-    if (params.level) queryParams.append('level', params.level);
-    if (params.search) queryParams.append('search', params.search);
+    this.appendLogFilters(queryParams, params);
     
     return this.request(`/logs?${queryParams.toString()}`);
   }
 
+  async streamLogs({ since = 0, limit, ...filters } = {}) {
+    const queryParams = new URLSearchParams({ since: since.toString() });
+
+    this.appendLogFilters(queryParams, filters);
+    if (limit) queryParams.append('limit', limit.toString());
+
+    return this.request(`/logs/stream?${queryParams.toString()}`);
+  }
+
+  /**
+   * Build the download URL of a log export.
+   *
+   * @param {Object} params - Export file format (ndjson or csv) and the filters of getLogs
+   * @returns {string} - Export URL
+   */
+  getLogExportUrl({ file_format = 'ndjson', ...filters } = {}) {
+    return this.getDownloadUrl('logs/export', { ...filters, file_format });
+  }
+
+  async getLogRetention() {
+    return this.request('/logs/retention');
+  }
+
+  async runLogRetention() {
+    return this.request('/logs/retention', {
+      method: 'POST',
+    });
+  }
+
+  // Append the non-empty log filters (level, search, date range, attachment, job, processor, format)
+  appendLogFilters(queryParams, filters) {
+    ['level', 'search', 'date_from', 'date_to', 'attachment_id', 'job_id', 'processor', 'format'].forEach((key) => {
+      if (filters[key]) queryParams.append(key, filters[key].toString());
+    });
+  }
+
   // Cleanup operations
   async cleanupTempFiles() {
     return this.request('/cleanup/temp-files', {
@@ -0,0 +1,26 @@
+/**
+ * File size formatting shared by the admin app and the block editor.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+const KB = 1024;
+const MB = KB * 1024;
+const GB = MB * 1024;
+
+/**
+ * Format bytes as a human readable size.
+ *
+ * Negative sizes, e.g. a converted file larger than its original, keep their sign.
+ *
+ * @param {number} bytes       Size in bytes.
+ * @param {string} emptyLabel  Label for a missing or zero size.
+ * @returns {string} Formatted size.
+ */
+export const formatFileSize = (bytes, emptyLabel = '0 KB') => {
+  if (!bytes) return emptyLabel;
+  if (Math.abs(bytes) >= GB) return `${(bytes / GB).toFixed(2)} GB`;
+  if (Math.abs(bytes) >= MB) return `${(bytes / MB).toFixed(2)} MB`;
+  return `${(bytes / KB).toFixed(1)} KB`;
+};
@@ -0,0 +1,241 @@
+/**
+ * In-browser perceptual quality metrics for comparing converted images against the original.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+import { __ } from '@wordpress/i18n';
+
+// Images are scored at most at this size on their longest side to keep scoring fast
+const DEFAULT_MAX_DIMENSION = 1600;
+
+// SSIM is computed over 8x8 windows moved 4 pixels at a time
+const WINDOW_SIZE = 8;
+const WINDOW_STRIDE = 4;
+
+// SSIM stabilisation constants for 8-bit images
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// PSNR reported for identical images, where the real value is infinite
+const MAX_PSNR = 100;
+
+// Local SSIM at or below this value is shown as maximum distortion in the heatmap
+const HEATMAP_FLOOR = 0.8;
+
+/**
+ * Describe how visible the difference is for an SSIM score.
+ *
+ * @param {number} ssim SSIM score.
+ * @returns {{ label: string, color: string }} Rating label and MUI color.
+ */
+export const getSsimRating = (ssim) => {
+  if (ssim >= 0.99) return { label: __('Visually identical', 'flux-media-optimizer'), color: 'success' };
+  if (ssim >= 0.97) return { label: __('Excellent', 'flux-media-optimizer'), color: 'success' };
+  if (ssim >= 0.94) return { label: __('Good', 'flux-media-optimizer'), color: 'primary' };
+  if (ssim >= 0.9) return { label: __('Noticeable', 'flux-media-optimizer'), color: 'warning' };
+  return { label: __('Degraded', 'flux-media-optimizer'), color: 'error' };
+};
+
+/**
+ * Load an image that can be read back from a canvas.
+ *
+ * @param {string} url Image URL.
+ * @returns {Promise<HTMLImageElement>} Loaded image.
+ */
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error(`Could not load image ${url}. The browser may not support this format, or the server does not allow cross-origin access.`));
+  image.src = url;
+});
+
+/**
+ * Draw an image onto a white canvas and read back its pixels.
+ *
+ * Transparent areas are composited onto white so alpha handling differences between
+ * formats are compared the way they would appear on a light page.
+ *
+ * @param {HTMLImageElement} image  Loaded image.
+ * @param {number}           width  Target width.
+ * @param {number}           height Target height.
+ * @returns {Uint8ClampedArray} RGBA pixel data.
+ */
+const getPixels = (image, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  return context.getImageData(0, 0, width, height).data;
+};
+
+/**
+ * Convert RGBA pixel data to luma (Rec. 601).
+ *
+ * @param {Uint8ClampedArray} pixels RGBA pixel data.
+ * @returns {Float32Array} Luma values.
+ */
+const toLuma = (pixels) => {
+  const luma = new Float32Array(pixels.length / 4);
+  for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+    luma[i] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+  }
+  return luma;
+};
+
+/**
+ * Compute PSNR over the RGB channels of two images of the same size.
+ *
+ * @param {Uint8ClampedArray} original  Original RGBA pixel data.
+ * @param {Uint8ClampedArray} converted Converted RGBA pixel data.
+ * @returns {number} PSNR in decibels, capped at MAX_PSNR for identical images.
+ */
+export const computePsnr = (original, converted) => {
+  let squaredError = 0;
+  for (let p = 0; p < original.length; p += 4) {
+    for (let channel = 0; channel < 3; channel++) {
+      const difference = original[p + channel] - converted[p + channel];
+      squaredError += difference * difference;
+    }
+  }
+
+  const mse = squaredError / ((original.length / 4) * 3);
+  if (mse === 0) return MAX_PSNR;
+  return Math.min(MAX_PSNR, 10 * Math.log10((255 * 255) / mse));
+};
+
+/**
+ * Compute SSIM over the luma of two images of the same size.
+ *
+ * Uses uniform 8x8 windows with a stride of 4 pixels and returns the local SSIM of
+ * every window so distortion can be visualised as a heatmap.
+ *
+ * @param {Float32Array} original  Original luma values.
+ * @param {Float32Array} converted Converted luma values.
+ * @param {number}       width     Image width.
+ * @param {number}       height    Image height.
+ * @returns {{ ssim: number, map: Float32Array, columns: number, rows: number }} Mean SSIM and local SSIM map.
+ */
+export const computeSsim = (original, converted, width, height) => {
+  const columns = Math.max(1, Math.floor((width - WINDOW_SIZE) / WINDOW_STRIDE) + 1);
+  const rows = Math.max(1, Math.floor((height - WINDOW_SIZE) / WINDOW_STRIDE) + 1);
+  const windowWidth = Math.min(WINDOW_SIZE, width);
+  const windowHeight = Math.min(WINDOW_SIZE, height);
+  const count = windowWidth * windowHeight;
+  const map = new Float32Array(columns * rows);
+  let total = 0;
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let sumX = 0;
+      let sumY = 0;
+      let sumXX = 0;
+      let sumYY = 0;
+      let sumXY = 0;
+
+      for (let y = row * WINDOW_STRIDE; y < row * WINDOW_STRIDE + windowHeight; y++) {
+        let index = y * width + column * WINDOW_STRIDE;
+        for (let x = 0; x < windowWidth; x++, index++) {
+          const a = original[index];
+          const b = converted[index];
+          sumX += a;
+          sumY += b;
+          sumXX += a * a;
+          sumYY += b * b;
+          sumXY += a * b;
+        }
+      }
+
+      const meanX = sumX / count;
+      const meanY = sumY / count;
+      const varianceX = sumXX / count - meanX * meanX;
+      const varianceY = sumYY / count - meanY * meanY;
+      const covariance = sumXY / count - meanX * meanY;
+
+      const ssim = ((2 * meanX * meanY + C1) * (2 * covariance + C2))
+        / ((meanX * meanX + meanY * meanY + C1) * (varianceX + varianceY + C2));
+
+      map[row * columns + column] = ssim;
+      total += ssim;
+    }
+  }
+
+  return { ssim: total / map.length, map, columns, rows };
+};
+
+/**
+ * Render a local SSIM map as a green (identical) to red (distorted) heatmap.
+ *
+ * @param {Float32Array} map     Local SSIM values.
+ * @param {number}       columns Map width.
+ * @param {number}       rows    Map height.
+ * @returns {string} PNG data URL of the heatmap.
+ */
+export const createHeatmap = (map, columns, rows) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = columns;
+  canvas.height = rows;
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(columns, rows);
+
+  for (let i = 0, p = 0; i < map.length; i++, p += 4) {
+    const distortion = Math.min(1, Math.max(0, (1 - map[i]) / (1 - HEATMAP_FLOOR)));
+    image.data[p] = Math.round(255 * Math.min(1, distortion * 2));
+    image.data[p + 1] = Math.round(200 * Math.min(1, (1 - distortion) * 2));
+    image.data[p + 2] = 0;
+    image.data[p + 3] = 255;
+  }
+
+  context.putImageData(image, 0, 0);
+  return canvas.toDataURL('image/png');
+};
+
+/**
+ * Score converted images against their original.
+ *
+ * All images are decoded by the browser, scaled to the same size and compared pixel by pixel.
+ * Formats are scored one at a time, yielding between them so the page stays responsive.
+ *
+ * @param {string}                 originalUrl   Original image URL.
+ * @param {Object<string, string>} convertedUrls Converted image URLs keyed by format.
+ * @param {Object}                 options       Scoring options.
+ * @param {number}                 options.maxDimension Longest side images are scaled down to.
+ * @param {Function}               options.onProgress   Called with the format after it has been scored.
+ * @returns {Promise<Object<string, {ssim: number, psnr: number, heatmap: string, width: number, height: number}>>} Scores keyed by format.
+ */
+export const scoreConvertedImages = async (originalUrl, convertedUrls, { maxDimension = DEFAULT_MAX_DIMENSION, onProgress } = {}) => {
+  const original = await loadImage(originalUrl);
+  const scale = Math.min(1, maxDimension / Math.max(original.naturalWidth, original.naturalHeight));
+  const width = Math.max(1, Math.round(original.naturalWidth * scale));
+  const height = Math.max(1, Math.round(original.naturalHeight * scale));
+
+  const originalPixels = getPixels(original, width, height);
+  const originalLuma = toLuma(originalPixels);
+
+  const scores = {};
+  for (const [format, url] of Object.entries(convertedUrls)) {
+    const converted = await loadImage(url);
+    const convertedPixels = getPixels(converted, width, height);
+    const { ssim, map, columns, rows } = computeSsim(originalLuma, toLuma(convertedPixels), width, height);
+
+    scores[format] = {
+      ssim,
+      psnr: computePsnr(originalPixels, convertedPixels),
+      heatmap: createHeatmap(map, columns, rows),
+      width,
+      height,
+    };
+
+    if (onProgress) onProgress(format);
+
+    // Yield to the browser between formats
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  return scores;
+};
@@ -0,0 +1,41 @@
+/**
+ * Self-test results reported with the system status.
+ *
+ * @package FluxMedia
+ * @since TBD
+ */
+
+const IMAGE_FORMATS = ['webp', 'avif'];
+
+/**
+ * Get the self-test outcome of a processor and format.
+ *
+ * @param {Object|null} selfTest  Last self-test run of the system status.
+ * @param {string}      processor Processor type.
+ * @param {string}      format    Target format.
+ * @returns {string|null} 'passed' when every sample encoded, 'failed' when any failed, null when not encoded.
+ */
+export const getSelfTestOutcome = (selfTest, processor, format) => {
+  const encoded = (selfTest?.results || []).filter(
+    (result) => result.processor === processor && result.format === format && ['passed', 'failed'].includes(result.status)
+  );
+
+  if (encoded.length === 0) return null;
+  return encoded.every((result) => result.status === 'passed') ? 'passed' : 'failed';
+};
+
+/**
+ * Check a format can be converted to, from the self-test once it ran and from the
+ * support reported by the processors before that.
+ *
+ * @param {Object} systemStatus System status.
+ * @param {string} format       Target format.
+ * @returns {boolean} True if the format can be converted to.
+ */
+export const isFormatUsable = (systemStatus, format) => {
+  const tested = systemStatus?.selfTest?.formats?.[format];
+  if (typeof tested === 'boolean') return tested;
+
+  const processor = IMAGE_FORMATS.includes(format) ? systemStatus?.imageProcessor : systemStatus?.videoProcessor;
+  return processor?.[`${format}_support`] === true;
+};
@@ -359,6 +359,9 @@ function flux_media_optimizer_uninstall() {
 		'flux_media_optimizer_settings',
 		'flux_media_optimizer_version',
 		'flux_media_optimizer_activation_redirect',
+		'flux_media_optimizer_bulk_run',
+		'flux_media_optimizer_log_retention_last_run',
+		'flux_media_optimizer_self_test',
 		'flux-plugins_account_id',
 	];
 
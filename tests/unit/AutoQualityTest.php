@@ -0,0 +1,143 @@
+<?php
+/**
+ * Unit tests for automatic quality selection.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since TBD
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\AutoQualityService;
+use FluxMedia\App\Services\ImageSimilarity;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Automatic quality selection unit tests.
+ *
+ * @since TBD
+ */
+class AutoQualityTest extends TestCase {
+
+    /**
+     * Test the search finds the lowest quality reaching the target.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testSearchFindsLowestQualityReachingTarget() {
+        $measured = [];
+        $measure = function ( $quality ) use ( &$measured ) {
+            $measured[] = $quality;
+            // SSIM rises with quality and first reaches 0.98 at quality 63
+            return 0.355 + $quality / 100;
+        };
+
+        $result = AutoQualityService::search( $measure, 0.98, 0, 100, 10 );
+
+        $this->assertSame( 63, $result['quality'] );
+        $this->assertTrue( $result['reached'] );
+        $this->assertEqualsWithDelta( 0.985, $result['ssim'], 0.0001 );
+        $this->assertSame( count( $measured ), $result['attempts'] );
+        $this->assertLessThanOrEqual( 7, $result['attempts'] );
+    }
+
+    /**
+     * Test the search stops after the maximum number of attempts.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testSearchRespectsMaxAttempts() {
+        $result = AutoQualityService::search( function ( $quality ) {
+            return 0.355 + $quality / 100;
+        }, 0.98, 0, 100, 2 );
+
+        $this->assertSame( 2, $result['attempts'] );
+        // 50 misses, 75 reaches the target
+        $this->assertSame( 75, $result['quality'] );
+        $this->assertTrue( $result['reached'] );
+    }
+
+    /**
+     * Test the maximum quality is used when the target cannot be reached.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testSearchFallsBackToMaxQuality() {
+        $unreachable = AutoQualityService::search( function () {
+            return 0.9;
+        }, 0.98, 40, 95, 6 );
+
+        $this->assertSame( 95, $unreachable['quality'] );
+        $this->assertFalse( $unreachable['reached'] );
+
+        $failed = AutoQualityService::search( function () {
+            return null;
+        }, 0.98, 40, 95, 6 );
+
+        $this->assertSame( 95, $failed['quality'] );
+        $this->assertSame( 1, $failed['attempts'] );
+        $this->assertNull( $failed['ssim'] );
+    }
+
+    /**
+     * Test the sample size is the largest size scored at its own resolution.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testSampleSize() {
+        $sizes = [
+            'full' => [ 'file_path' => '/photo.jpg', 'width' => 4000, 'height' => 3000 ],
+            'medium' => [ 'file_path' => '/photo-300x225.jpg', 'width' => 300, 'height' => 225 ],
+            'large' => [ 'file_path' => '/photo-1024x768.jpg', 'width' => 1024, 'height' => 768 ],
+            'medium_large' => [ 'file_path' => '/photo-768x576.jpg', 'width' => 768, 'height' => 576 ],
+        ];
+
+        $this->assertSame( 'large', AutoQualityService::get_sample_size( $sizes ) );
+        $this->assertSame( 'full', AutoQualityService::get_sample_size( [ 'full' => $sizes['full'] ] ) );
+        $this->assertNull( AutoQualityService::get_sample_size( [] ) );
+    }
+
+    /**
+     * Test SSIM of identical and distorted images.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testComputeSsim() {
+        $width = 16;
+        $height = 16;
+        $original = [];
+        $noisy = [];
+        for ( $i = 0; $i < $width * $height; $i++ ) {
+            $original[] = ( $i * 37 ) % 256;
+            $noisy[] = ( ( $i * 37 ) % 256 ) + ( $i % 2 ? 20 : -20 );
+        }
+
+        $this->assertEqualsWithDelta( 1.0, ImageSimilarity::compute_ssim( $original, $original, $width, $height ), 0.0001 );
+
+        $ssim = ImageSimilarity::compute_ssim( $original, $noisy, $width, $height );
+        $this->assertLessThan( 1.0, $ssim );
+        $this->assertGreaterThan( 0.5, $ssim );
+    }
+
+    /**
+     * Test luma conversion and scoring dimensions.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testLumaAndScaledDimensions() {
+        $luma = ImageSimilarity::rgb_to_luma( [ 255, 255, 255, 0, 0, 0, 255, 0, 0 ] );
+
+        $this->assertEqualsWithDelta( 255, $luma[0], 0.001 );
+        $this->assertEqualsWithDelta( 0, $luma[1], 0.001 );
+        $this->assertEqualsWithDelta( 76.245, $luma[2], 0.001 );
+
+        $this->assertSame( [ 1024, 768 ], ImageSimilarity::get_scaled_dimensions( 4000, 3000 ) );
+        $this->assertSame( [ 300, 200 ], ImageSimilarity::get_scaled_dimensions( 300, 200 ) );
+    }
+}
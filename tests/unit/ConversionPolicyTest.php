@@ -0,0 +1,137 @@
+<?php
+/**
+ * Unit tests for conversion rule matching.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since TBD
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\ConversionPolicy;
+use FluxMedia\App\Services\Converter;
+use FluxMedia\App\Services\Settings;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Conversion rule matching unit tests.
+ *
+ * @since TBD
+ */
+class ConversionPolicyTest extends TestCase {
+
+    /**
+     * Facts of a product logo.
+     *
+     * @since TBD
+     * @var array
+     */
+    private $logo_facts = [
+        'mime_type' => 'image/png',
+        'file_size' => 48 * 1024,
+        'width' => 400,
+        'height' => 200,
+        'folder' => 'brand/logos',
+        'filename' => 'Company-Logo.png',
+        'parent_post_type' => 'product',
+        'terms' => [ 'product_cat' => [ 'shoes', 'sale' ] ],
+    ];
+
+    /**
+     * Test empty conditions match any attachment.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testEmptyConditionsMatch() {
+        $this->assertSame( [], ConversionPolicy::get_failed_conditions( [], $this->logo_facts ) );
+    }
+
+    /**
+     * Test each condition against the attachment facts.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testConditions() {
+        $matching = [
+            'mime_types' => [ 'image/*' ],
+            'min_size_kb' => 10,
+            'max_size_kb' => 100,
+            'max_width' => 800,
+            'min_height' => 100,
+            'folder' => 'brand',
+            'filename' => '*logo*',
+            'post_types' => [ 'product' ],
+            'taxonomy' => 'product_cat',
+            'terms' => [ 'shoes' ],
+        ];
+        $this->assertSame( [], ConversionPolicy::get_failed_conditions( $matching, $this->logo_facts ) );
+
+        $failing = [
+            'mime_types' => [ 'video/*' ],
+            'min_size_kb' => 100,
+            'min_width' => 1000,
+            'max_height' => 100,
+            'folder' => 'uploads/2024',
+            'filename' => '*.jpg',
+            'post_types' => [ 'page' ],
+            'taxonomy' => 'product_tag',
+        ];
+        $this->assertSame(
+            [ 'mime_types', 'file_size', 'width', 'height', 'folder', 'filename', 'post_types', 'taxonomy' ],
+            ConversionPolicy::get_failed_conditions( $failing, $this->logo_facts )
+        );
+    }
+
+    /**
+     * Test the first enabled matching rule applies.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testFindRuleUsesFirstEnabledMatch() {
+        $rules = [
+            [ 'id' => 'disabled', 'enabled' => false, 'conditions' => [] ],
+            [ 'id' => 'videos', 'enabled' => true, 'conditions' => [ 'mime_types' => [ 'video/*' ] ] ],
+            [ 'id' => 'logos', 'enabled' => true, 'conditions' => [ 'filename' => '*logo*' ], 'actions' => [ 'lossless' => true ] ],
+            [ 'id' => 'products', 'enabled' => true, 'conditions' => [ 'post_types' => [ 'product' ] ] ],
+        ];
+
+        $rule = ConversionPolicy::find_rule( $rules, $this->logo_facts );
+
+        $this->assertSame( 'logos', $rule['id'] );
+        $this->assertTrue( $rule['actions']['lossless'] );
+        $this->assertFalse( $rule['actions']['skip'] );
+        $this->assertNull( ConversionPolicy::find_rule( array_slice( $rules, 0, 2 ), $this->logo_facts ) );
+    }
+
+    /**
+     * Test rule actions override formats and quality.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testApplyActions() {
+        $settings = [ 'webp_quality' => 75, 'avif_quality' => 55, 'avif_speed' => 5 ];
+
+        $result = ConversionPolicy::apply_actions(
+            [ 'formats' => [ Converter::FORMAT_AVIF, Converter::FORMAT_WEBM ], 'avif_quality' => 80 ],
+            Converter::TYPE_IMAGE,
+            [ Converter::FORMAT_WEBP, Converter::FORMAT_AVIF ],
+            $settings
+        );
+        $this->assertSame( [ Converter::FORMAT_AVIF ], $result['formats'] );
+        $this->assertSame( 80, $result['settings']['avif_quality'] );
+        $this->assertSame( 75, $result['settings']['webp_quality'] );
+
+        $lossless = ConversionPolicy::apply_actions( [ 'lossless' => true ], Converter::TYPE_IMAGE, [ Converter::FORMAT_WEBP ], $settings );
+        $this->assertSame( Settings::IMAGE_MODE_LOSSLESS, $lossless['settings']['webp_mode'] );
+        $this->assertSame( Settings::IMAGE_MODE_LOSSLESS, $lossless['settings']['avif_mode'] );
+        $this->assertSame( 55, $lossless['settings']['avif_quality'] );
+
+        // Image formats of a rule leave the video formats unchanged
+        $video = ConversionPolicy::apply_actions( [ 'formats' => [ Converter::FORMAT_WEBP ] ], Converter::TYPE_VIDEO, [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ] );
+        $this->assertSame( [ Converter::FORMAT_AV1, Converter::FORMAT_WEBM ], $video['formats'] );
+    }
+}
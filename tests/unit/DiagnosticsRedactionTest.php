@@ -0,0 +1,69 @@
+<?php
+/**
+ * Unit tests for redacting secrets from the diagnostics report.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since TBD
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\DiagnosticsService;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Diagnostics redaction unit tests.
+ *
+ * @since TBD
+ */
+class DiagnosticsRedactionTest extends TestCase {
+
+    /**
+     * Test secret values are redacted and other settings kept.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testRedactsSecrets() {
+        $redacted = DiagnosticsService::redact_options( [
+            'cdn_api_key' => 'abc123',
+            'external_conversion_API_KEY' => 'def456',
+            'webhook_secret' => 's3cret',
+            'webp_quality' => 80,
+            'image_formats' => [ 'webp', 'avif' ],
+        ] );
+
+        $this->assertSame( '[redacted]', $redacted['cdn_api_key'] );
+        $this->assertSame( '[redacted]', $redacted['external_conversion_API_KEY'] );
+        $this->assertSame( '[redacted]', $redacted['webhook_secret'] );
+        $this->assertSame( 80, $redacted['webp_quality'] );
+        $this->assertSame( [ 'webp', 'avif' ], $redacted['image_formats'] );
+    }
+
+    /**
+     * Test empty secrets are kept to show they are not set.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testKeepsEmptySecrets() {
+        $redacted = DiagnosticsService::redact_options( [ 'cdn_api_key' => '', 'license_key' => null ] );
+
+        $this->assertSame( '', $redacted['cdn_api_key'] );
+        $this->assertNull( $redacted['license_key'] );
+    }
+
+    /**
+     * Test secrets in nested settings are redacted.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testRedactsNestedSecrets() {
+        $redacted = DiagnosticsService::redact_options( [
+            'cdn' => [ 'provider' => 'bunny', 'access_token' => 'tok' ],
+        ] );
+
+        $this->assertSame( [ 'provider' => 'bunny', 'access_token' => '[redacted]' ], $redacted['cdn'] );
+    }
+}
@@ -0,0 +1,107 @@
+<?php
+/**
+ * Unit tests for removing the converted files of excluded image sizes.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since TBD
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\LocalProcessingService;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Excluded size cleanup unit tests.
+ *
+ * @since TBD
+ */
+class ExcludedSizeCleanupTest extends TestCase {
+
+    /**
+     * Upload directory pointing at the test temp directory.
+     *
+     * @since TBD
+     * @var array
+     */
+    private $upload_dir;
+
+    /**
+     * Set up an uploads month directory with the files of a thumbnail and a medium size.
+     *
+     * @since TBD
+     * @return void
+     */
+    protected function setUp(): void {
+        $this->upload_dir = [
+            'baseurl' => 'https://example.com/wp-content/uploads',
+            'basedir' => TEST_TEMP_DIR . '/uploads',
+        ];
+
+        if ( ! is_dir( $this->upload_dir['basedir'] . '/2024/01' ) ) {
+            mkdir( $this->upload_dir['basedir'] . '/2024/01', 0755, true );
+        }
+
+        foreach ( [ 'photo-150x150.jpg', 'photo-150x150.webp', 'photo-150x150.avif', 'photo-300x200.webp' ] as $file ) {
+            file_put_contents( $this->upload_dir['basedir'] . '/2024/01/' . $file, 'data' );
+        }
+    }
+
+    /**
+     * Test the converted files of an excluded size are deleted from disk, and other files kept.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testDeletesConvertedFilesOfExcludedSize() {
+        $base_url = $this->upload_dir['baseurl'] . '/2024/01/';
+        $base_dir = $this->upload_dir['basedir'] . '/2024/01/';
+
+        $converted_files_by_size = [
+            'thumbnail' => [
+                'original' => [ 'url' => $base_url . 'photo-150x150.jpg', 'size' => 4 ],
+                'webp' => [ 'url' => $base_url . 'photo-150x150.webp', 'size' => 4 ],
+                'avif' => [ 'url' => $base_url . 'photo-150x150.avif', 'size' => 4 ],
+            ],
+            'medium' => [
+                'webp' => [ 'url' => $base_url . 'photo-300x200.webp', 'size' => 4 ],
+            ],
+        ];
+
+        $not_deleted = LocalProcessingService::delete_converted_size_files( $converted_files_by_size, [ 'thumbnail' ], $this->upload_dir, function ( $path ) {
+            return ! file_exists( $path ) || unlink( $path );
+        } );
+
+        $this->assertSame( [], $not_deleted );
+        $this->assertFileDoesNotExist( $base_dir . 'photo-150x150.webp' );
+        $this->assertFileDoesNotExist( $base_dir . 'photo-150x150.avif' );
+        $this->assertFileExists( $base_dir . 'photo-150x150.jpg' );
+        $this->assertFileExists( $base_dir . 'photo-300x200.webp' );
+    }
+
+    /**
+     * Test files on a CDN are left alone.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testSkipsCdnFiles() {
+        $deleted = [];
+
+        LocalProcessingService::delete_converted_size_files( [
+            'thumbnail' => [
+                'webp' => [ 'url' => 'https://cdn.example.com/2024/01/photo-150x150.webp', 'size' => 4 ],
+            ],
+        ], [ 'thumbnail' ], $this->upload_dir, function ( $path ) use ( &$deleted ) {
+            $deleted[] = $path;
+            return true;
+        } );
+
+        $this->assertSame( [], $deleted );
+        $this->assertNull( LocalProcessingService::get_upload_file_path( 'https://cdn.example.com/2024/01/photo.webp', $this->upload_dir ) );
+        $this->assertSame(
+            $this->upload_dir['basedir'] . '/2024/01/photo.webp',
+            LocalProcessingService::get_upload_file_path( $this->upload_dir['baseurl'] . '/2024/01/photo.webp', $this->upload_dir )
+        );
+    }
+}
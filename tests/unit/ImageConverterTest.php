@@ -11,6 +11,7 @@ namespace FluxMedia\Tests\Unit;
 use FluxMedia\App\Services\ImageConverter;
 use FluxMedia\Tests\Support\Mocks\NoopLogger;
 use FluxMedia\App\Services\Converter;
+use FluxMedia\App\Services\ProcessorTypes;
 use PHPUnit\Framework\TestCase;
 
 /**
@@ -243,6 +244,8 @@ class ImageConverterTest extends TestCase {
         $this->assertContains( $target_format, $result['converted_formats'] );
         $this->assertArrayHasKey( $target_format, $result['converted_files'] );
         $this->assertEquals( $output_file, $result['converted_files'][ $target_format ] );
+        $this->assertArrayHasKey( $target_format, $result['processors'] );
+        $this->assertContains( $result['processors'][ $target_format ], ProcessorTypes::get_image_processors() );
 
         // Verify output file exists and has content
         $this->assertFileExists( $output_file );
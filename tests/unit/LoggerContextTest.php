@@ -0,0 +1,73 @@
+<?php
+/**
+ * Unit tests for scoped log context.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since TBD
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\Logger;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Scoped log context unit tests.
+ *
+ * @since TBD
+ */
+class LoggerContextTest extends TestCase {
+
+    /**
+     * Test records logged inside nested scopes get the context of every scope.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testNestedScopesAddContext() {
+        $record = Logger::with_context( [ 'job_id' => 7, 'attachment_id' => 12 ], function () {
+            return Logger::with_context( [ 'format' => 'webp', 'processor' => 'gd' ], function () {
+                return Logger::add_scoped_context( [ 'message' => 'Converted', 'context' => [ 'size' => 'full' ] ] );
+            } );
+        } );
+
+        $this->assertSame(
+            [ 'job_id' => 7, 'attachment_id' => 12, 'format' => 'webp', 'processor' => 'gd', 'size' => 'full' ],
+            $record['context']
+        );
+    }
+
+    /**
+     * Test context passed to the log call wins over the scoped context.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testRecordContextWins() {
+        $record = Logger::with_context( [ 'format' => 'webp' ], function () {
+            return Logger::add_scoped_context( [ 'context' => [ 'format' => 'avif' ] ] );
+        } );
+
+        $this->assertSame( [ 'format' => 'avif' ], $record['context'] );
+    }
+
+    /**
+     * Test the scope ends with the callback, also when it throws.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testScopeEndsAfterCallback() {
+        try {
+            Logger::with_context( [ 'attachment_id' => 5 ], function () {
+                throw new \RuntimeException( 'Conversion failed' );
+            } );
+        } catch ( \RuntimeException $e ) {
+            $this->assertSame( 'Conversion failed', $e->getMessage() );
+        }
+
+        $record = Logger::add_scoped_context( [ 'context' => [] ] );
+
+        $this->assertSame( [], $record['context'] );
+    }
+}
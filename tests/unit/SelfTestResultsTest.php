@@ -0,0 +1,68 @@
+<?php
+/**
+ * Unit tests for self-test results.
+ *
+ * @package FluxMedia\Tests\Unit
+ * @since TBD
+ */
+
+namespace FluxMedia\Tests\Unit;
+
+use FluxMedia\App\Services\TestEncodeService;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Self-test results unit tests.
+ *
+ * @since TBD
+ */
+class SelfTestResultsTest extends TestCase {
+
+    /**
+     * Results of a run where Imagick lists AVIF but fails to encode one sample.
+     *
+     * @since TBD
+     * @var array
+     */
+    private $results = [
+        [ 'processor' => 'gd', 'format' => 'webp', 'sample' => 'sample.jpg', 'status' => 'passed' ],
+        [ 'processor' => 'gd', 'format' => 'webp', 'sample' => 'sample.png', 'status' => 'passed' ],
+        [ 'processor' => 'gd', 'format' => 'avif', 'sample' => 'sample.jpg', 'status' => 'unsupported' ],
+        [ 'processor' => 'imagick', 'format' => 'avif', 'sample' => 'sample.jpg', 'status' => 'passed' ],
+        [ 'processor' => 'imagick', 'format' => 'avif', 'sample' => 'sample.png', 'status' => 'failed' ],
+        [ 'processor' => 'ffmpeg', 'format' => 'av1', 'sample' => 'sample.y4m', 'status' => 'unavailable' ],
+    ];
+
+    /**
+     * Test a format passes when every sample passed.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testPassesWhenEverySamplePassed() {
+        $this->assertTrue( TestEncodeService::passed( $this->results, 'gd', 'webp' ) );
+    }
+
+    /**
+     * Test a single failed sample fails the format.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testFailsWhenAnySampleFailed() {
+        $this->assertFalse( TestEncodeService::passed( $this->results, 'imagick', 'avif' ) );
+    }
+
+    /**
+     * Test unsupported, unavailable and untested processors do not pass.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testFailsWithoutEncodes() {
+        $this->assertFalse( TestEncodeService::passed( $this->results, 'gd', 'avif' ) );
+        $this->assertFalse( TestEncodeService::passed( $this->results, 'ffmpeg', 'av1' ) );
+        $this->assertFalse( TestEncodeService::passed( $this->results, 'imagick', 'webp' ) );
+        $this->assertFalse( TestEncodeService::passed( $this->results, null, 'webm' ) );
+    }
+}
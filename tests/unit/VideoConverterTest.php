@@ -206,6 +206,20 @@ class VideoConverterTest extends TestCase {
         $this->assertIsString( $this->video_converter->get_last_error() );
     }
 
+    /**
+     * Test poster frame extraction from a missing video.
+     *
+     * @since TBD
+     * @return void
+     */
+    public function testExtractFrameFromNonExistentFile() {
+        $destination = TEST_TEMP_DIR . '/poster-' . uniqid() . '.jpg';
+
+        $this->assertFalse( $this->video_converter->extract_frame( 'non-existent.mp4', $destination, 1 ) );
+        $this->assertFalse( $this->video_converter->extract_scene_frame( 'non-existent.mp4', $destination, 0.4 ) );
+        $this->assertFileDoesNotExist( $destination );
+    }
+
     /**
      * Test cleanup temp files functionality.
      *
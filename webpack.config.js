@@ -6,6 +6,8 @@ module.exports = {
     admin: './assets/js/src/admin/index.js',
     attachment: './assets/js/src/admin/attachment.js',
     'compatibility-dismiss': './assets/js/src/admin/compatibility-dismiss.js',
+    editor: './assets/js/src/editor/index.js',
+    'lazy-video': './assets/js/src/frontend/lazy-video.js',
   },
   output: {
     path: path.resolve(__dirname, 'assets/js/dist'),
@@ -26,6 +28,11 @@ module.exports = {
           /node_modules/,
           path.resolve(__dirname, 'assets/js/src/admin/attachment.js'),
           path.resolve(__dirname, 'assets/js/src/admin/compatibility-dismiss.js'),
+          path.resolve(__dirname, 'assets/js/src/admin/attachment-actions.js'),
+          path.resolve(__dirname, 'assets/js/src/admin/media-library.js'),
+          path.resolve(__dirname, 'assets/js/src/admin/video-poster.js'),
+          path.resolve(__dirname, 'assets/js/src/editor'),
+          path.resolve(__dirname, 'assets/js/src/frontend'),
         ],
         use: {
           loader: 'babel-loader',
@@ -51,6 +58,10 @@ module.exports = {
         include: [
           path.resolve(__dirname, 'assets/js/src/admin/attachment.js'),
           path.resolve(__dirname, 'assets/js/src/admin/compatibility-dismiss.js'),
+          path.resolve(__dirname, 'assets/js/src/admin/attachment-actions.js'),
+          path.resolve(__dirname, 'assets/js/src/admin/media-library.js'),
+          path.resolve(__dirname, 'assets/js/src/admin/video-poster.js'),
+          path.resolve(__dirname, 'assets/js/src/frontend'),
         ],
         use: {
           loader: 'babel-loader',
@@ -70,6 +81,23 @@ module.exports = {
           },
         },
       },
+      {
+        // Block editor code renders with the editor's React from wp.element
+        test: /\.js$/,
+        exclude: /node_modules/,
+        include: [
+          path.resolve(__dirname, 'assets/js/src/editor'),
+        ],
+        use: {
+          loader: 'babel-loader',
+          options: {
+            presets: [
+              '@babel/preset-env',
+              ['@babel/preset-react', { pragma: 'wp.element.createElement', pragmaFrag: 'wp.element.Fragment' }],
+            ],
+          },
+        },
+      },
       {
         test: /\.css$/i,
         use: ['style-loader', 'css-loader'],
@@ -95,11 +123,15 @@ module.exports = {
     // WordPress globals
     'wp': 'wp',
     'jquery': 'jQuery',
+    '@wordpress/block-editor': 'wp.blockEditor',
+    '@wordpress/blocks': 'wp.blocks',
     '@wordpress/components': 'wp.components',
     '@wordpress/data': 'wp.data',
+    '@wordpress/edit-post': 'wp.editPost',
     '@wordpress/element': 'wp.element',
     '@wordpress/hooks': 'wp.hooks',
     '@wordpress/i18n': 'wp.i18n',
     '@wordpress/notices': 'wp.notices',
+    '@wordpress/plugins': 'wp.plugins',
   },
 };